@@ -1,11 +1,15 @@
 const CaseType = require('./src/casetype');
 const HashAlgorithm = require('./src/hashalgorithm');
 const StringUtils = require('./src/stringutils');
+const TextOffsetMap = require('./src/textoffsetmap');
 const UnicodeCharType = require('./src/unicodechartype');
+const UnresolvedPlaceholderException = require('./src/unresolvedplaceholderexception');
 
 module.exports = {
     CaseType: CaseType,
     HashAlgorithm: HashAlgorithm,
     StringUtils: StringUtils,
-    UnicodeCharType: UnicodeCharType
+    TextOffsetMap: TextOffsetMap,
+    UnicodeCharType: UnicodeCharType,
+    UnresolvedPlaceholderException: UnresolvedPlaceholderException
 };
\ No newline at end of file
@@ -0,0 +1,3 @@
+const DisplayWidth = require('./src/DisplayWidth');
+
+module.exports = DisplayWidth;
\ No newline at end of file
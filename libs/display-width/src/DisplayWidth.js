@@ -0,0 +1,81 @@
+const classesData = require('./classes-v17.0.0');
+const trie = classesData.trie;
+const { Narrow, Wide, Ambiguous, Zero, Control, Emoji, AmbiguousEmoji, RegionalIndicator } = classesData.classes;
+
+const UnicodeTrie = require('unicode-trie');
+
+const classTrie = new UnicodeTrie(Buffer.from(trie, 'base64'));
+
+// U+FE0F VARIATION SELECTOR-16，要求前一个字符以 emoji 方式显示
+const emojiPresentationSelector = 0xFE0F;
+
+const dw = {};
+
+/**
+ * 获取单个码点（code point）的显示宽度
+ *
+ * @param {*} codePoint
+ * @param {*} options 可选，{ambiguousWidth: 1}，其中 ambiguousWidth 为宽度不确定
+ *     的字符（East Asian Ambiguous，比如希腊字母、俄文字母、部分标点符号等）的宽度，
+ *     一般西文环境为 1，CJK 环境为 2。默认为 1。
+ * @returns 返回 0，1 或者 2
+ */
+dw.getCodePointWidth = function (codePoint, options = {}) {
+    let { ambiguousWidth = 1 } = options;
+
+    switch (classTrie.get(codePoint)) {
+        case Wide:
+        case RegionalIndicator:
+            // 单独一个区域指示符一般也显示为一个方框字母，占 2 列
+            return 2;
+
+        case Ambiguous:
+        case AmbiguousEmoji:
+            return ambiguousWidth;
+
+        case Zero:
+        case Control:
+            return 0;
+
+        default:
+            return 1;
+    }
+};
+
+/**
+ * 获取一个 Unicode 字符（即 grapheme cluster，由一个或多个码点组成）的显示宽度
+ *
+ * - 宽字符、全角字符为 2
+ * - 组合字符、零宽字符、控制字符为 0
+ * - 以 emoji 方式显示的字符（包括后跟 U+FE0F 的字符，比如 '❤️'、'#️⃣'）以及
+ *   旗帜（两个区域指示符）为 2
+ * - 其他字符为 1
+ *
+ * 组合字符会合并到前面的字符显示，所以复合字符的宽度取其中各个码点宽度的最大值。
+ *
+ * @param {*} char
+ * @param {*} options 可选，{ambiguousWidth: 1}，见 getCodePointWidth()
+ * @returns
+ */
+dw.getCharWidth = function (char, options = {}) {
+    let width = 0;
+    let previousClass = Narrow;
+
+    for (let c of char) {
+        let codePoint = c.codePointAt(0);
+        let currentClass = classTrie.get(codePoint);
+
+        if (codePoint === emojiPresentationSelector &&
+            (previousClass === Emoji || previousClass === AmbiguousEmoji)) {
+            width = 2;
+        } else {
+            width = Math.max(width, dw.getCodePointWidth(codePoint, options));
+        }
+
+        previousClass = currentClass;
+    }
+
+    return width;
+};
+
+module.exports = dw;
@@ -0,0 +1,13 @@
+module.exports = {
+ "trie": "AAARAAAAAADwvAAAASEL3vTtnXmMXVUdx8/r9N15bwbaQgEbmSgQwmJIBTMx88ekqTIaIkUEItuwiNgUpI1Um2hjXYiNQoAIKahNSxAoAWIJEAqEpGGXGmmsmoYlrSXGYmIQCRADKRD8Xu95eeedOft6S+8vfHLOPcvv9zv7nXvvK9uGCNkBXgKvgnfBR2B4NiFzwSfAp8Hx4LPgReTtAeOITzLXixE/jbk+E/HzwKVgGbgcXAW+A74PfgJ+AX4Jfg02gLvA78DDjB4+fAx5T4JtYAd4CbwKXgNvMPXeRnwf+AgMtwk5GBwODgNj4GhwIjgFTIDJdlX3VBqe3q58n4vwHDANLgdD4FtgOVgF1tDrteA65vpmsJ6WvwPcR+s/RPU/TsOnET4LXmD0l+X/Sq/vL9tE7fXy/99GGpbsRfx15vpNxN+l1+8jnFVU8S7CQ8AC8CBT/ihcnwBOBhNFP71kcdHn0tkzYcuq2GJRNiSnwe+r233KtK8i7Vzazku49i7F9cL2YNqKQq5/Fc37IcKf0fg02noQ1fFbhNcX1bivK6rx3EDL3UnDewT670faIwq7tv0vYytsPAe2g51gN/h7UbXhSIT/Am+B9wAZxn9gDjgcjIFjwUlgHEyCKXD6cF//OYhfOCzwH2lLufR1s/usQN73hvvXP0B8DVgLbgC3gI1gE9gMtoCt4DmwHewEu8Fe8Dp4B7wPhjqEjHbs+mi+ZXmWT9K6xzjoOJGrs4kbb9H4n9Lpr9dTi8H1yzKBcoto2SmES2j8zM5gufNwPc2kfYOJL0P8DHq9oiO31dDQ0NDQ0NDQ0NDQ0NDA8136d+Rqh7+Xf4w6RzDPbj5s6+v8HHVuFNjaibq30vTbEG4CmzvV88AtNH0rDZ9B+MdO9dyvvP5Thz6n07Thb83fzA0NDQ1Jea0T7vn5/g77zL2hoWEQ373mDY93Ryb8F/o/BK0uIZ3uYF75vmgJc485j8tf0I3rmwkb51bsBmPzCLkIbATn4/rPNCSHVOEkwjXgBrAVfAAmDyVkOdh8aFWmx25cj82HPnDL/CrtDwg/AOOHEfI1sBYsHiHkavAgeBM8VVR8ZrQfZ/km0q8H61oVLyA+etBgmXFcrwI30fRHEb4Fjj6YkMvABrALHDmnrycH0zWwL+rjhoaGhgOBDZn3wPKbnlzsmpPfvs+9y1Ga+6c9swevT6jB/RbPyfBpWSHOWypJt+VztN0Thu1fRMudz/TfGH22+mVOR/mc9QKUm4PwK93q+7qzEV5Iy5XPay+j8WU0fznCVYye1d3+d5U9ynvna7r97y/LsbyW1rkb8Ru71bee5XVp/1ZG322I361o633Ie4jJf7w7OFeeZvK2Ib5DoWunpk93If8fXJl/Unv/Qfg22EfzWyP2Y9th6sxD/AhOxxiuf0/1H2uh/2X67Wu5Zn5Vk3VTfhN5kkMfhaB8rzGeyXYKJmjbFtWgjVfQ+TbF+LJkJP9zy5x8sQY+yCi/ZT0L43NBDeZOTi42nKNLUe7bYKXlnP5CoPuBmPyoXX1zn9uP2JTvLlaPVPc9NvWuQZ3rwJTgTL1Zsn56479+pCJ320V9ccdIFd6L8AHwWA39lPEkfN3G+HuFYGxsz8X1VMd2z37Q1V8ZYK3xbXvvY7p+50ruY/9C2/8Kwj0j1XuHvQj/Dd6hefsQzhqt9uAOwnmjM/WUa3TBaBV+CuFxNL4Q4edpfBLh1OjMvf1LNO0MhF8H06PVs+4rwUqwmqkzVfTtlfwUedcK/GG5SZNfshDn+G9Q7naBf4u5s+celHmAlnsU4RMG+nOT+z4pJ+W8Gmqrfzso+n1hj6sE5fc3cr/LzMnzGP/nh1oE0ayw0iZykeW1DWlkpvD9fyBKHeb/LMYfPl7S5tJLKbgyLDbpMlHlmZZT2dD5IfJXpFOWLrPBh3zcRUQ6VeVMdYraoyqr6kddPVkbTMrI/PURm/aHsucT1klCzeccolrbLmvXdA/IJUMHOCFEdNbZotNTZ/v7u/i0L0Tf58S3/XWS2Ou8rpJ7D3Xdd9lQFv+4i+98de3zOkodz/dU/WU6dqo2qsrG8pkNc0id5kqd5UDoh1BtS9EHpuubT1eVSyWh91eZnpBzNcbZkrLfVXutrY98Wsj+TS0m/eGiw1dyzY8ctnlRzTuRn6L5GNMXW/26fVlUPrTEHtPc+xvrBx8PvZ5d2pZrPbnYDb1+Yul2Edk9kaic6p5JZyPU/Mi5F/vYNu0j1X2Jq8jOCJd9IMW9m6m/rvMq596cwhY/h0LbMxkT3Rlvevbb2vPxLxS+YtMmQmbarcN8jt0fLjp4fSZlfW21MhNKUu2TpuvYRA+vM9Ta9ZmDMc6cHOtdteZN9bjYCCmifTOmLdamai/nfXGds7ZzPkb7Ve32tRnzLFb1kahNoUV2tovyYvYhX85XRONvi66eyKbKH5F/LiLyhf+2TfaNEF9GVEemQ2abCOoRIv8+pUxva8qIJOb3+C7jr5oLNu3S9XkKiWlPNh9MbfLz1MZuIUhT6beRWPNRN/623wCafBfoWk/XDtM2FBJsxOc3O7HWXIhv9VLsBbJzQpQmW8cm61t3Ton0uXwDaTrfTcV073IdK9V5bHJuh5KQ+m33+1RnXuj+Uonp85G2RVlfCXVu8c+A2N9Ntri4yAfVfs2eC7ZnW0hIRL2i9sbSr5NQ9lz9MO1v3RnP2y2I2A/bcnwbRfkh9hUXfbZ22XXZ4tJYVO3uCdtv7Ljwexk/Zr2x5Ovy48vXE12zbZGh228KLuQl5vPwNhnsx168IP0+YvdBIojb2mPjNv7q2svv/Wyfi8aYXdcyP1Tzii1je671dIn6j83j+5+lRQbHqxe2JOVNzxtedHoLJr/FlS24fNZ3fo3zfc2ms+tMNK5EkObybzPwtnViOvaqdaLac1h/RH7x68Bl/Ye6J4t1f2AitvufT5t97pNj3GO7jGGsf2ckxt8RsnkfY16FeN+Q8r33/vBePZQ//HPvkG1MNWam/qjaGLOPU8+70Lp0EsKO7nwL3ZYY8yuVhHyvJXtHrEsLIaozIbRNl/fFob4L0L1HDm3PxJ+Y7S0l5d4Zex2Kvmdw+c4h1niq7KnG1KUNMjshyrjYtB0LnzaGbifvs48unfiulRz7ZgixPR9l+O5Bqeyb+hi6fmjJcV/F2499zvDrI9ZzHFNJsU5t9ga+jMm+nnK/SX2/FlN36n3a574jxr2E6f2Rjy+pxtD0zIslsXWHapdq3EOKyobJHqjSl/pey9RuKL+GJKGriNZITImhX9X/qvnCx3OI7dnPx1NJyjNXtw/Z+iGqZztnUoiJn6K0nHtc7nnJ25Wt99SimsMyf0z6OUVbTNahjT+mPtvYNRXTPo09l03txd6PXPrDZN8U9VuqPuTLiPwIZVtmy6S+TrfPuJjYt9UXcs+JvY+F6CNT3S7CPzOz1ZPr3apIcr9/Evmg84soyvr6EUJE/tjotu1732fmMc8R333Pdq2G8iXmHmTie0oJ+f7FZd/wHTObsYp1Ntue37FE5nus9enqUyjfbNetzm4MiWkjxJnl8tsp1/omukPr46X3+wJbfa71RL9hMN0/Q7fdR4YT4Xs/F/vc8r3XzHGPzdvnf0Oiw6TPTMvFIKZtvp/4PuPzbf3W9bPp///Vxb5Jm9n5knOM2XGugx8ksw82IpsbIdpgYpe/ls1bk3bIdInK9MSmz9jxlekT+WX62yhZOZ/fWNnUVfWZqL7N7yJ1ZW3nkeg3uqI6Kj2itStC1A6RTtFvkm3WiO/6sl37ovop9yiXvFz7pEh8bfr4mbIvQugN4YtvO0L9/Rjqb67/AQ==",
+ "classes": {
+  "Narrow": 0,
+  "Wide": 1,
+  "Ambiguous": 2,
+  "Zero": 3,
+  "Control": 4,
+  "Emoji": 5,
+  "AmbiguousEmoji": 6,
+  "RegionalIndicator": 7
+ }
+}
\ No newline at end of file
@@ -0,0 +1,169 @@
+const fsPromise = require('fs/promises');
+const path = require('path');
+const UnicodeTrieBuilder = require('unicode-trie/builder');
+
+const UNICODE_VERSION = '17.0.0';
+
+// 显示宽度类别
+//
+// - Narrow 普通（半角）字符，占 1 列，包括 EastAsianWidth 为 N, Na 和 H 的字符
+// - Wide 宽（全角）字符，占 2 列，包括 EastAsianWidth 为 W 和 F 的字符
+// - Ambiguous 宽度不确定的字符（EastAsianWidth 为 A），占 1 列或者 2 列，由调用者决定
+// - Zero 零宽度字符，包括组合字符（Mn, Me）、格式字符（Cf）以及韩文字母的中声和终声
+// - Control 控制字符（Cc），不占列
+// - Emoji 默认以文本方式显示的 emoji，占 1 列，后跟 U+FE0F 时以 emoji 方式显示，占 2 列
+// - AmbiguousEmoji 同上，但文本方式显示时宽度不确定
+// - RegionalIndicator 区域指示符，两个组成一面旗帜，占 2 列
+const classes = {
+    Narrow: 0,
+    Wide: 1,
+    Ambiguous: 2,
+    Zero: 3,
+    Control: 4,
+    Emoji: 5,
+    AmbiguousEmoji: 6,
+    RegionalIndicator: 7
+};
+
+const rangePattern = /^([0-9A-F]+)(?:\.\.([0-9A-F]+))?\s*;\s*([A-Za-z_]+)/gm;
+
+/**
+ * 读取本地 UCD 目录里的数据文件，目录的结构可以跟 unicode.org 上的 ucd 目录
+ * 一致（比如 emoji/emoji-data.txt），也可以把所有文件直接放在该目录下。
+ *
+ * @param {*} ucdDir
+ * @param {*} filePath 相对于 ucd 目录的文件路径
+ * @returns
+ */
+const readUcdFile = async function (ucdDir, filePath) {
+    const candidates = [path.join(ucdDir, filePath), path.join(ucdDir, path.basename(filePath))];
+    for (const candidate of candidates) {
+        try {
+            return await fsPromise.readFile(candidate, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+    throw new Error(`Cannot find "${filePath}" in directory "${ucdDir}".`);
+};
+
+/**
+ * 读取 UCD 数据文件，并逐个范围调用 callback(start, end, value)
+ *
+ * @param {*} ucdDir
+ * @param {*} filePath 相对于 ucd 目录的文件路径
+ * @param {*} callback
+ */
+const eachRange = async function (ucdDir, filePath, callback) {
+    const data = await readUcdFile(ucdDir, filePath);
+    const re = new RegExp(rangePattern);
+    let match = null;
+    while ((match = re.exec(data)) !== null) {
+        const start = parseInt(match[1], 16);
+        const end = match[2] ? parseInt(match[2], 16) : start;
+        callback(start, end, match[3]);
+    }
+};
+
+const main = async function () {
+    const ucdDir = process.argv[2] || process.env.UCD_DIR;
+    if (!ucdDir) {
+        console.log('Usage:');
+        console.log('$ npm run generate_data -- <ucd-dir>');
+        console.log(`where <ucd-dir> contains the UCD ${UNICODE_VERSION} files (EastAsianWidth.txt,`);
+        console.log('emoji/emoji-data.txt and extracted/DerivedGeneralCategory.txt), e.g. the extracted');
+        console.log(`https://www.unicode.org/Public/${UNICODE_VERSION}/ucd/UCD.zip`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // 先逐个码点计算类别，再写入 trie，这样可以按优先级覆盖。
+    const values = new Uint8Array(0x110000); // 默认为 Narrow
+
+    const fill = (start, end, value) => {
+        values.fill(value, start, end + 1);
+    };
+
+    // EastAsianWidth.txt 文件头部说明了未列出的码点的默认值：
+    // 表意文字区段里未分配的码点默认为 W，其余默认为 N。
+    fill(0x3400, 0x4DBF, classes.Wide);
+    fill(0x4E00, 0x9FFF, classes.Wide);
+    fill(0xF900, 0xFAFF, classes.Wide);
+    fill(0x20000, 0x2FFFD, classes.Wide);
+    fill(0x30000, 0x3FFFD, classes.Wide);
+
+    await eachRange(ucdDir, 'EastAsianWidth.txt', (start, end, width) => {
+        switch (width) {
+            case 'W':
+            case 'F':
+                fill(start, end, classes.Wide);
+                break;
+            case 'A':
+                fill(start, end, classes.Ambiguous);
+                break;
+            default:
+                fill(start, end, classes.Narrow);
+        }
+    });
+
+    // 以文本方式显示的 emoji 只改变窄字符和宽度不确定的字符，
+    // 本身已经是宽字符的（比如大部分 Emoji_Presentation）保持不变。
+    await eachRange(ucdDir, 'emoji/emoji-data.txt', (start, end, property) => {
+        if (property === 'Emoji') {
+            for (let codePoint = start; codePoint <= end; codePoint++) {
+                if (values[codePoint] === classes.Narrow) {
+                    values[codePoint] = classes.Emoji;
+                } else if (values[codePoint] === classes.Ambiguous) {
+                    values[codePoint] = classes.AmbiguousEmoji;
+                }
+            }
+        } else if (property === 'Emoji_Presentation') {
+            fill(start, end, classes.Wide);
+        }
+    });
+
+    fill(0x1F1E6, 0x1F1FF, classes.RegionalIndicator);
+
+    await eachRange(ucdDir, 'extracted/DerivedGeneralCategory.txt', (start, end, category) => {
+        switch (category) {
+            case 'Mn':
+            case 'Me':
+            case 'Cf':
+                fill(start, end, classes.Zero);
+                break;
+            case 'Cc':
+                fill(start, end, classes.Control);
+                break;
+        }
+    });
+
+    // 软连字符（soft hyphen）虽然属于 Cf，但终端一般会显示出来
+    fill(0x00AD, 0x00AD, classes.Narrow);
+
+    // 韩文字母的中声（Jungseong）和终声（Jongseong）跟初声组合显示
+    fill(0x1160, 0x11FF, classes.Zero);
+    fill(0xD7B0, 0xD7FF, classes.Zero);
+
+    const trie = new UnicodeTrieBuilder(classes.Narrow);
+    let start = 0;
+    for (let codePoint = 1; codePoint <= 0x110000; codePoint++) {
+        if (codePoint === 0x110000 || values[codePoint] !== values[start]) {
+            if (values[start] !== classes.Narrow) {
+                trie.setRange(start, codePoint - 1, values[start]);
+            }
+            start = codePoint;
+        }
+    }
+
+    const output = { trie: trie.toBuffer().toString('base64'), classes };
+    await fsPromise.writeFile(path.join(__dirname, `classes-v${UNICODE_VERSION}.js`), 'module.exports = ' + JSON.stringify(output, undefined, ' '));
+
+    console.log('Usage:');
+    console.log(`const classesData = require('./classes-v${UNICODE_VERSION}')`);
+    console.log('const trie = classesData.trie');
+    console.log('const { ' + Object.keys(classes).join(', ') + ' } = classesData.classes');
+};
+
+main();
@@ -0,0 +1,63 @@
+const DisplayWidth = require('../src/DisplayWidth');
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('DisplayWidth', function () {
+    it('getCodePointWidth', function () {
+        expect(DisplayWidth.getCodePointWidth(0x61)).to.equal(1); // a
+        expect(DisplayWidth.getCodePointWidth(0x4E2D)).to.equal(2); // 中
+        expect(DisplayWidth.getCodePointWidth(0xFF01)).to.equal(2); // ！
+        expect(DisplayWidth.getCodePointWidth(0xFF71)).to.equal(1); // ｱ (halfwidth katakana)
+        expect(DisplayWidth.getCodePointWidth(0x20BB7)).to.equal(2); // 𠮷
+        expect(DisplayWidth.getCodePointWidth(0x9FFE)).to.equal(2); // unassigned in CJK Unified Ideographs
+        expect(DisplayWidth.getCodePointWidth(0x0308)).to.equal(0); // combining diaeresis
+        expect(DisplayWidth.getCodePointWidth(0x200B)).to.equal(0); // zero width space
+        expect(DisplayWidth.getCodePointWidth(0x200D)).to.equal(0); // zero width joiner
+        expect(DisplayWidth.getCodePointWidth(0x0A)).to.equal(0); // line feed
+        expect(DisplayWidth.getCodePointWidth(0xAD)).to.equal(1); // soft hyphen
+        expect(DisplayWidth.getCodePointWidth(0x1F600)).to.equal(2); // 😀
+    });
+
+    it('getCodePointWidth with ambiguous width', function () {
+        expect(DisplayWidth.getCodePointWidth(0x03B1)).to.equal(1); // α
+        expect(DisplayWidth.getCodePointWidth(0x03B1, { ambiguousWidth: 2 })).to.equal(2);
+        expect(DisplayWidth.getCodePointWidth(0x2026, { ambiguousWidth: 2 })).to.equal(2); // …
+        expect(DisplayWidth.getCodePointWidth(0x61, { ambiguousWidth: 2 })).to.equal(1);
+        expect(DisplayWidth.getCodePointWidth(0x4E2D, { ambiguousWidth: 2 })).to.equal(2);
+    });
+
+    it('getCharWidth', function () {
+        expect(DisplayWidth.getCharWidth('')).to.equal(0);
+        expect(DisplayWidth.getCharWidth('a')).to.equal(1);
+        expect(DisplayWidth.getCharWidth('中')).to.equal(2);
+        expect(DisplayWidth.getCharWidth('é')).to.equal(1); // é (decomposed)
+        expect(DisplayWidth.getCharWidth('각')).to.equal(2); // 각 (Hangul jamo)
+        expect(DisplayWidth.getCharWidth('각')).to.equal(2);
+    });
+
+    it('getCharWidth of emoji', function () {
+        expect(DisplayWidth.getCharWidth('😜')).to.equal(2);
+        expect(DisplayWidth.getCharWidth('👍🏼')).to.equal(2);
+        expect(DisplayWidth.getCharWidth('🤦🏻‍♂️')).to.equal(2);
+        expect(DisplayWidth.getCharWidth('👩‍❤️‍💋‍👨')).to.equal(2);
+        expect(DisplayWidth.getCharWidth('🇺🇸')).to.equal(2);
+        expect(DisplayWidth.getCharWidth('🥹')).to.equal(2); // Emoji 14.0
+        expect(DisplayWidth.getCharWidth('🫨')).to.equal(2); // Emoji 15.0
+        expect(DisplayWidth.getCharWidth('🫩')).to.equal(2); // Emoji 16.0
+
+        // text presentation by default
+        expect(DisplayWidth.getCharWidth('❤')).to.equal(1); // ❤
+        expect(DisplayWidth.getCharWidth('#')).to.equal(1);
+
+        // emoji presentation sequences
+        expect(DisplayWidth.getCharWidth('❤️')).to.equal(2); // ❤️
+        expect(DisplayWidth.getCharWidth('#️⃣')).to.equal(2); // #️⃣
+        expect(DisplayWidth.getCharWidth('a️')).to.equal(1);
+
+        // ambiguous emoji, e.g. ♥
+        expect(DisplayWidth.getCharWidth('♥')).to.equal(1);
+        expect(DisplayWidth.getCharWidth('♥', { ambiguousWidth: 2 })).to.equal(2);
+        expect(DisplayWidth.getCharWidth('♥️')).to.equal(2);
+    });
+});
@@ -1,158 +1,203 @@
 // import classesmjs from './classes-v13.0.0.mjs' // MOD::REM
-const classesmjs = require('./classes-v13.0.0'); // MOD::ADD
+const classesmjs = require('./classes-v17.0.0'); // MOD::ADD
 const trie = classesmjs.trie
 const { Other, Prepend, CR, LF, Control, Extend, Regional_Indicator, SpacingMark, L, V, T, LV, LVT, ZWJ, ExtPict} = classesmjs.classes
+const { Linker: InCB_Linker, Consonant: InCB_Consonant, Extend: InCB_Extend } = classesmjs.incbClasses // MOD::ADD
 
 //import UnicodeTrie from 'unicode-trie'
 // import UnicodeTrie from './unicode-trie/index.mjs' // MOD::REM
 const UnicodeTrie = require('unicode-trie'); // MOD::ADD
 
-let data = null
-if (globalThis['window']) {
-  const bin = window.atob(trie)
-  data = new Uint8Array(bin.length)
-  for (let i = 0; i < bin.length; i++)
-    data[i] = bin.charCodeAt(i)
-} else {
-  data = Buffer.from(trie, 'base64')
+// MOD::MOD decode base64 in a function, so that it can be used by incbTrie too
+const decodeBase64 = function(base64) {
+  let data = null
+  if (globalThis['window']) {
+    const bin = window.atob(base64)
+    data = new Uint8Array(bin.length)
+    for (let i = 0; i < bin.length; i++)
+      data[i] = bin.charCodeAt(i)
+  } else {
+    data = Buffer.from(base64, 'base64')
+  }
+  return data
 }
 //console.log(data, data.length)
-const classTrie = new UnicodeTrie(data)
-
-const codePointAt = function(str, idx) { // different from String#codePointAt with low surrogate
-  const code = str.charCodeAt(idx)
-  // High surrogate
-  if (0xD800 <= code && code <= 0xDBFF) {
-    const hi = code
-    const low = str.charCodeAt(idx + 1)
-    if ((0xDC00 <= low && low <= 0xDFFF)) {
-      return ((hi - 0xD800) * 0x400) + (low - 0xDC00) + 0x10000
-    }
-    return hi
-  }
-  // Low surrogate
-  if (0xDC00 <= code && code <= 0xDFFF) {
-    const hi = str.charCodeAt(idx - 1)
-    const low = code
-    if ((0xD800 <= hi && hi <= 0xDBFF)) {
-      return ((hi - 0xD800) * 0x400) + (low - 0xDC00) + 0x10000
-    }
-    return low
-  }
-  return code
+const classTrie = new UnicodeTrie(decodeBase64(trie))
+const incbTrie = new UnicodeTrie(decodeBase64(classesmjs.incbTrie)) // MOD::ADD
+
+// MOD::MOD
+// The original implementation checked every boundary with
+// `shouldBreak(reverse, start, mid, end)`, which created new arrays and
+// rescanned the whole cluster on each call, and `previousBreak` needed a
+// separate set of "reverse" rules. It is replaced by a single-pass state
+// machine: the context that the rules need (the previous class, the number of
+// consecutive regional indicators, the emoji ZWJ sequence and the Indic
+// conjunct sequence) is kept in a small state object and updated
+// incrementally, one code point at a time.
+
+const isHighSurrogate = function(code) {
+  return 0xD800 <= code && code <= 0xDBFF
 }
 
-const isSurrogate = function(str, pos) {
-  let ref, ref1
-  return (0xd800 <= (ref = str.charCodeAt(pos)) && ref <= 0xdbff) && (0xdc00 <= (ref1 = str.charCodeAt(pos + 1)) && ref1 <= 0xdfff)
+const isLowSurrogate = function(code) {
+  return 0xDC00 <= code && code <= 0xDFFF
 }
 
-const BreakType = {
-  NotBreak: 0,
-  BreakStart: 1,
-  Break: 2,
-  BreakLastRegional: 3,
-  BreakPenultimateRegional: 4
+// Returns the index of the code point before the given index
+const previousCodePointIndex = function(str, index) {
+  return index - (index >= 2 && isLowSurrogate(str.charCodeAt(index - 1)) && isHighSurrogate(str.charCodeAt(index - 2)) ? 2 : 1)
 }
 
-// Returns whether a break is allowed within a sequence of grapheme breaking classes
-const shouldBreak = function(reverse, start, mid, end) {
-  const all = [start].concat(mid).concat([end])
-  const previous = reverse ? start : all[all.length - 2]
-  const next = reverse ? all[1] : end
+// GB11. ExtPict Extend* ZWJ × ExtPict
+const EmojiState = {
+  None: 0,
+  ExtPict: 1, // ExtPict Extend*
+  ZWJ: 2 // ExtPict Extend* ZWJ
+}
 
-  // Lookahead terminator for:
-  // GB12. ^ (RI RI)* RI	×	RI
-  // GB13. [^RI] (RI RI)* RI	×	RI
-  let rIIndex = all.lastIndexOf(Regional_Indicator)
-  if (rIIndex > 0 && all.slice(1, rIIndex).every(c => c === Regional_Indicator) && (previous !== Prepend && previous !== Regional_Indicator)) {
-    if (all.filter(c => c === Regional_Indicator).length % 2 === 1) {
-      return BreakType.BreakLastRegional
-    } else {
-      return BreakType.BreakPenultimateRegional
-    }
+// GB9c. \p{InCB=Consonant} [\p{InCB=Extend}\p{InCB=Linker}]* \p{InCB=Linker} [\p{InCB=Extend}\p{InCB=Linker}]* × \p{InCB=Consonant}
+const ConjunctState = {
+  None: 0,
+  Consonant: 1, // Consonant [Extend]*
+  Linker: 2 // Consonant [Extend Linker]* Linker [Extend Linker]*
+}
+
+const createState = function() {
+  return {
+    cls: null, // the class of the previous code point
+    regionalCount: 0, // the number of consecutive regional indicators before
+    emoji: EmojiState.None,
+    conjunct: ConjunctState.None
+  }
+}
+
+// Updates the state with the next code point
+const advance = function(state, cls, incb) {
+  state.regionalCount = cls === Regional_Indicator ? state.regionalCount + 1 : 0
+
+  if (cls === ExtPict) {
+    state.emoji = EmojiState.ExtPict
+  } else if (cls === ZWJ && state.emoji === EmojiState.ExtPict) {
+    state.emoji = EmojiState.ZWJ
+  } else if (cls !== Extend || state.emoji !== EmojiState.ExtPict) {
+    state.emoji = EmojiState.None
+  }
+
+  if (incb === InCB_Consonant) {
+    state.conjunct = ConjunctState.Consonant
+  } else if (incb === InCB_Linker && state.conjunct !== ConjunctState.None) {
+    state.conjunct = ConjunctState.Linker
+  } else if (incb !== InCB_Extend) {
+    state.conjunct = ConjunctState.None
+  }
+
+  state.cls = cls
+}
+
+// Returns whether a break is allowed between the text of the given state and the next code point
+const isBreakBefore = function(state, cls, incb) {
+  const previous = state.cls
+  // GB1. sot ÷ Any
+  if (previous === null) {
+    return true
   }
   // GB3. CR X LF
-  if (previous === CR && next === LF) {
-    return BreakType.NotBreak
+  if (previous === CR && cls === LF) {
+    return false
   }
   // GB4. (Control|CR|LF) ÷
   if (previous === Control || previous === CR || previous === LF) {
-    //return BreakType.BreakStart
-    if (next !== Extend && mid.every(c => c === Extend)) {
-      return BreakType.Break
-    } else {
-      return BreakType.BreakStart
-    }
+    return true
   }
   // GB5. ÷ (Control|CR|LF)
-  if (next === Control || next === CR || next === LF) {
-    return BreakType.BreakStart
+  if (cls === Control || cls === CR || cls === LF) {
+    return true
   }
   // GB6. L X (L|V|LV|LVT)
-  if (previous === L && (next === L || next === V || next === LV || next === LVT)) {
-    return BreakType.NotBreak
+  if (previous === L && (cls === L || cls === V || cls === LV || cls === LVT)) {
+    return false
   }
   // GB7. (LV|V) X (V|T)
-  if ((previous === LV || previous === V) && (next === V || next === T)) {
-    return BreakType.NotBreak
+  if ((previous === LV || previous === V) && (cls === V || cls === T)) {
+    return false
   }
   // GB8. (LVT|T) X (T)
-  if ((previous === LVT || previous === T) && next === T) {
-    return BreakType.NotBreak
+  if ((previous === LVT || previous === T) && cls === T) {
+    return false
   }
-  // GB9.0 X (Extend|ZWJ)
-  if (reverse) {
-    if (next === Extend) {
-      return BreakType.NotBreak
-    }
-    if (next === ZWJ) {
-      if (previous == Other && mid.length > 0 && mid[0] == ZWJ) {
-        return end != ExtPict ? BreakType.BreakStart : BreakType.Break
-      }
-      return BreakType.NotBreak
-    }
-  } else {
-    if (next === Extend || next === ZWJ) {
-      return BreakType.NotBreak
-    }
+  // GB9. X (Extend|ZWJ)
+  if (cls === Extend || cls === ZWJ) {
+    return false
   }
-  // GB9.1 X SpacingMark
-  if (next === SpacingMark) {
-    return BreakType.NotBreak
+  // GB9a. X SpacingMark
+  if (cls === SpacingMark) {
+    return false
   }
-  // GB9.2 Prepend X
+  // GB9b. Prepend X
   if (previous === Prepend) {
-    return BreakType.NotBreak
+    return false
   }
-  // GB11.0 ExtPict Extend * ZWJ	×	ExtPict
-  if (reverse) {
-    if (previous == ZWJ && next == ExtPict && (start == ZWJ || start == Other)) {
-      return BreakType.NotBreak
-    }
-  } else {
-    if (start == ExtPict && previous == ZWJ && next == ExtPict) {
-      return BreakType.NotBreak
-    }
+  // GB9c. Consonant [Extend Linker]* Linker [Extend Linker]* X Consonant
+  if (incb === InCB_Consonant && state.conjunct === ConjunctState.Linker) {
+    return false
   }
-
-  // GB12. ^ (RI RI)* RI	×	RI
-  // GB13. [^RI] (RI RI)* RI	×	RI
-  if (!reverse && mid.indexOf(Regional_Indicator) >= 0) {
-    return BreakType.Break
+  // GB11. ExtPict Extend* ZWJ X ExtPict
+  if (cls === ExtPict && state.emoji === EmojiState.ZWJ) {
+    return false
   }
-  if (previous === Regional_Indicator && next === Regional_Indicator) {
-    return BreakType.NotBreak
+  // GB12. ^ (RI RI)* RI X RI
+  // GB13. [^RI] (RI RI)* RI X RI
+  if (cls === Regional_Indicator && state.regionalCount % 2 === 1) {
+    return false
   }
   // GB999. Any ÷ Any
-  return BreakType.BreakStart
+  return true
 }
 
-const getUnicodeByteOffset = function(str, start, unicodeOffset) {
-  while (unicodeOffset--) {
-    start += isSurrogate(str, start) ? 2 : 1
+// Scans the string forwards from `start`, which is treated as the start of the
+// text, and calls `callback(index)` for every grapheme break after `start` and
+// before `end`. The scan stops when the callback returns false.
+const scanBreaks = function(str, start, end, callback) {
+  const state = createState()
+  let i = start
+  while (i < end) {
+    const codePoint = str.codePointAt(i)
+    const cls = classTrie.get(codePoint)
+    const incb = incbTrie.get(codePoint)
+    if (i > start && isBreakBefore(state, cls, incb) && callback(i) === false) {
+      return
+    }
+    advance(state, cls, incb)
+    i += codePoint > 0xFFFF ? 2 : 1
   }
-  return start
+}
+
+// Returns a grapheme break at or before the given index that does not depend
+// on the text before it, so that the string can be scanned forwards from it.
+const findSafeBreak = function(str, index) {
+  let i = index
+  if (isLowSurrogate(str.charCodeAt(i)) && isHighSurrogate(str.charCodeAt(i - 1))) {
+    i--
+  }
+  while (i > 0) {
+    const previousIndex = previousCodePointIndex(str, i)
+    const previousCodePoint = str.codePointAt(previousIndex)
+    const previous = classTrie.get(previousCodePoint)
+    const previousIncb = incbTrie.get(previousCodePoint)
+    // assume the context of the previous code point that allows the fewest breaks
+    const state = {
+      cls: previous,
+      regionalCount: previous === Regional_Indicator ? 1 : 0,
+      emoji: previous === ZWJ ? EmojiState.ZWJ : EmojiState.None,
+      conjunct: (previousIncb === InCB_Linker || previousIncb === InCB_Extend) ? ConjunctState.Linker : ConjunctState.None
+    }
+    const codePoint = str.codePointAt(i)
+    if (isBreakBefore(state, classTrie.get(codePoint), incbTrie.get(codePoint))) {
+      return i
+    }
+    i = previousIndex
+  }
+  return 0
 }
 
 // const exports = {} // MOD::REM
@@ -167,21 +212,17 @@ gb.nextBreak = function(string, index = 0) {
   if (index >= string.length - 1) {
     return string.length
   }
-  const prev = classTrie.get(string.codePointAt(index))
-  const mid = []
-  let i, j, ref, ref1
-  for (i = j = ref = index + 1, ref1 = string.length; j < ref1; i = j += 1) {
-    if (isSurrogate(string, i - 1)) {
-      // check for already processed low surrogates
-      continue
-    }
-    const next = classTrie.get(string.codePointAt(i))
-    if (shouldBreak(false, prev, mid, next)) {
-      return i
+  // back up to a break at or before the index, since the code points before
+  // the index may belong to the same cluster (e.g. GB9c conjuncts)
+  let brk = string.length
+  scanBreaks(string, findSafeBreak(string, index), string.length, (i) => {
+    if (i <= index) {
+      return true
     }
-    mid.push(next)
-  }
-  return string.length
+    brk = i
+    return false
+  })
+  return brk
 }
 
 // MOD::rename 'exports' into 'gb'
@@ -193,28 +234,33 @@ gb.previousBreak = function(string, index = string.length) {
   if (index <= 1) {
     return 0
   }
-  index--
-  let mid = []
-  let next = classTrie.get(codePointAt(string, index))
-  let i, j, ref
-  for (i = j = ref = index - 1; j >= -1; i = j += -1) {
-    if (isSurrogate(string, i)) {
-      // check for already processed high surrogates
-      continue
-    }
-    let prev = classTrie.get(codePointAt(string, i))
-    switch (shouldBreak(true, prev, mid, next)) {
-      case BreakType.Break:
-        return i + mid.length + 1
-      case BreakType.BreakStart:
-        return i + 1
-      case BreakType.BreakLastRegional:
-        const offset = getUnicodeByteOffset(string, i, mid.concat(next).lastIndexOf(Regional_Indicator) + 1)
-        return offset
-      case BreakType.BreakPenultimateRegional:
-        return getUnicodeByteOffset(string, i, mid.concat(next).lastIndexOf(Regional_Indicator))
+  let brk = findSafeBreak(string, index - 1)
+  scanBreaks(string, brk, index, (i) => {
+    brk = i
+  })
+  return brk
+}
+
+// MOD::ADD
+// Iterates over the grapheme clusters of the given string lazily, yields
+// `{segment, index}` where `index` is the start of the cluster in the string
+gb.iterate = function*(str) {
+  const state = createState()
+  let start = 0
+  let i = 0
+  while (i < str.length) {
+    const codePoint = str.codePointAt(i)
+    const cls = classTrie.get(codePoint)
+    const incb = incbTrie.get(codePoint)
+    if (i > 0 && isBreakBefore(state, cls, incb)) {
+      yield { segment: str.slice(start, i), index: start }
+      start = i
     }
-    mid.unshift(prev)
+    advance(state, cls, incb)
+    i += codePoint > 0xFFFF ? 2 : 1
+  }
+  if (start < str.length) {
+    yield { segment: str.slice(start), index: start }
   }
 }
 
@@ -223,11 +269,10 @@ gb.previousBreak = function(string, index = string.length) {
 gb.break = function(str) {
   const res = []
   let index = 0
-  let brk
-  while ((brk = gb.nextBreak(str, index)) < str.length) {
+  scanBreaks(str, 0, str.length, (brk) => {
     res.push(str.slice(index, brk))
     index = brk
-  }
+  })
   if (index < str.length) {
     res.push(str.slice(index))
   }
@@ -237,16 +282,10 @@ gb.break = function(str) {
 // MOD::rename 'exports' into 'gb'
 // Returns the number of grapheme clusters there are in the given string
 gb.countBreaks = function(str) {
-  let count = 0
-  let index = 0
-  let brk
-  while ((brk = gb.nextBreak(str, index)) < str.length) {
-    index = brk
-    count++
-  }
-  if (index < str.length) {
+  let count = str.length > 0 ? 1 : 0
+  scanBreaks(str, 0, str.length, () => {
     count++
-  }
+  })
   return count
 }
 
@@ -0,0 +1,27 @@
+module.exports = {
+ "trie": "ABAOAAAAAAAwoQAAAREJ7vbtmnuIVUUcx8+6e/feu7rr+ojwUWT2RwuaRqA9yIrKikiFNAIlKrfQisgwQVIr0CjK2ECLnihtWlA+wEQJI0tJylDKyMpQy5BIsbQoH2Xfw5nDjuPMnHmf63p+8GHOmZnz+/3mN89z7m2vj6KHwEwwBywCr1N5tmkneA+8A1Yp1F8HPpaUbwJbwQ6wC+wDB8BhcIyqdxKUG6KoF+gPBoILwRDQBi4Bo8BmsBVsb0ieHUPSb5GOBbvBXvAr+AMcBcdAj1IUNYG+oB8YBC6g7i8GI0tJ/cuRXltKnr8Z6R6kE0qJnTtLSfndpS799+P6YTALzANPgnGU/fi5Z5D3ZiW57sD1y0RfzGu4fovcL0e6glyvRfoR2Axuoup/ietvwI/gFyo/ZmOli88J28EhAl1XxkbFeq45iPYcAcMIcd5RpHWNJFYNp9ZvR1lj46l5LY1i/eeQssFILyLXS8AAoncY8kaA0eBqcCO4jdSbSNLJHP33IG+6xG4nwTY+S+HncvA4bE2j8uM2bCHxaqx25Tfjun9VXf+5qHs+VT+9Hoq0TaLnUknZaJRdA64Dt4BxFJOY+ylgKngAPAoeA3M1/I9ZoFmf5nny7CIDHY8w/X+QMwZs+z9mFmVnnmTMqfCqRawKCgoKCgoKCgoKCgoKClRYgHfXodT3nHdL2c8sxDOLqXfeZRU8B95A3tsk/32ka8AnleR74HpcD0e6kZR/hnQb+Jrc/4C0FeU/Z7xL/4byf6DzKDgGjoMT4F/wX6UoK8qKsqKsKHNdthPsBr9X8t+zCgoKui+HLH9PyWJVfdfv6ixzOHn0+Xhlgx+fdGhtSZgAVjVn04F6Szh19zB5rb2hE3SALb2TvBNIR7ZG0TQwH6wDN/SMopngp2oUDWnCu0BdwhTqmmY16n7fk1/G8gTRMbAX3h9wPQnpYrAN9IY/45vV9BQUFBQUdD/+xL7QgP2krRxFfbEfDwLDy8n/hCbiegrZowcjvQz5q/HOcgUpH4O0ndrDx5aT7070/hr/Z2Rcuet/ZHfg+q5yUtYep6h/X/qdDPczy9T5Adfzy+K9+1mUvUiVv1JOvoul90upsuW4XinRtUZSFjMDemczbfsQz3wKvgBzUfYV0bHA4FzzHWV/L673M/4cxP1CovevDF9pjqPuYjxXh36r1sj7ZgfoUyO+0FwFnx4MaG8t+uVW2DzE+U58ew3GR4X4/7udFIsYOiVsaDi9/tmGTez/znjXG86sSyc9vxuaUMZ61VOwvrUr/J6iQpXo76e4jg4g9fpQ8Wsj10MUdMTvvAPO0PmswnmkbUMdtXG/hZ42PLsejKB0jOrGsU+J18/rK8n5zYWuyZUkvRfpdDDjDIrhbPj6FOXvlZw5qjtWj5C18mnLOGQ9P9zBGse2rdPRullrjKvKWVpN/ucf112GdAX4gJS9hBhtQLoJbM3Qw+OFilq98WBHRp2dVX576Lbuou73kfIDJO8wSY8hPUk9/xx8rMf7XVOTfvtY+ybx90kc16n1dRGWOyXqqeseis+oUEh+UsTf3Tj2Of5bOD6zeaZSOstxKaHs1Jrk3Yem/U6nouvuLnUCVEU35rW859Ti+hJqDMraUJdRh9XBq+tDaL/ykloaK7UsZ0McXLXNZQxk67lOn9Rp1ndFmZMXkfwU9p5es2TiIs6sXdZ3Oj8Vnm86vujsz1mS2tUZJ7GUIzfxKzEpm0fHMrXLxroucuNLarPMIWKuWf9SP8pUmvdaJptTvPnME9H50HYu6/rsso9lwvZlnkK3vyFy3/5UZ3Pk7nuc6299rr5zpOLi+0zWvi4aw1m2XOyXtfo9lhcvURxV64USE7su+lJlPc1L6PU8iuTnIJ7fbH16b5U9q+Nf6HFC22bPCiFtsz6IYsj6SNfXsaVaN2R/lJjrvOaLbH7w6vL85u0vLv2z0S+a77Ru3tndtfgeX7brkUs/aH98zG/T9TYPEa21Wd8HVHXr2M/jnY+3n6b5sjNUls48+zMWelxnnRHYex/tcxETk/2HPTPlKWy8dfwR7Xe8Mwpdn/ctxvVc4405k7U+69zrSlT9tRnnee11IWyxY4xnz+V8U+kjHipnK1t7Nv65wlZU48a2N+s87lJUz/4+4mGqIxbVb7Y24iP2vteuUOuiypimx7Jsr1T9PqPbNp8xkLWRl88Kr/0iPSH70ue7At1elbWfTqOMZ1TjqDKmRLpDiqrPeY0ZmfjYW/PqB1p4YylrjLkWdv7w1lIXfqis2yrj0lUceOuDLrrvUTK/6TLXZzWX40fUVpPfL13/5pklvmLAyzMdE7rjxoXwzhm+fRDN/1BiMt9drcdZ64Breyr+6K55ru2L9gHRGVikJ6So7lW2Y1zlGdG8DSU+xkSasnGTxdEkxqrjy3Tsi95NaVt5/KbCkzx9CGFbZ00V7fEqen2LzplCRUeI/cWn7tDnB3oO5yGq66HoWdG+HvrskfrjUnS/1Zj0ociGyK5I0jIdn30I7Tu7B4ruddYZVWFtqcYh5Hjliazvffli8/2EnvM+xZX+rPjS7RF9v8rjPZMnKuuE7DeAvMa3S5umY9dkzIrGRh57nUx47VPdp12LyR4acoykwo4R0d6UxzlNJW4hxprOPq26d9iIynfzrHHmSlT7iOdjVjt8r9sq44mNZ8SpIxPebzWsPtv1OUvYcehDVM9urudCloj0y+yajmmdtqjqE63htuJ7HfW5XrPzxgQd32181KkfYi9T9cF2/NvMIROdviTUOiWz6xpXtlTaoNNeXyLy3WUMXfjkyjfdeZNl14e4ttESEF6MRHUbA+FKTM+IPs+WOvZt9v+QbbA5u7igUgPQUs2ZJs/0YtAVl21lxUd7Wd9lbfEhvvtTp/2x9IxOHwM+CW0vFZ//SfStm4eJjpCiajOkX65s6ZzJZM+G8NVUdMeMat2820ULr69k/ah7Hjd5xhemMbG1ZxKvKJL7bFrGq2uylspsyfwXtVXHtmm/2oiuPRu/8npWptOmn/L2RUWnSp4PMZ0HPD2uYmO7frJ6bPzI8snVWuB6nwm1T9mKbox59VTt+CIPm77WNxO/fYhP+679dzmfTJ4P1T+hxjPru0mZz/n1Pw==",
+ "classes": {
+  "Other": 0,
+  "Prepend": 1,
+  "CR": 2,
+  "LF": 3,
+  "Control": 4,
+  "Extend": 5,
+  "Regional_Indicator": 6,
+  "SpacingMark": 7,
+  "L": 8,
+  "V": 9,
+  "T": 10,
+  "LV": 11,
+  "LVT": 12,
+  "ZWJ": 13,
+  "ExtPict": 14
+ },
+ "incbTrie": "AAgOAAAAAABQfgAAAVUGqvntmm2IVkUUx2d9tmezXXtBiSCLsKDIiMIIoYINciGwQHrRL2Ufii0qMtPng6CUUFG4ZFmu4BKEEUUR0kaJW1LZB8vtS1m5ZdH6wV7oxRIUNKr/7c7DjuPM3Hk5c+9ddw78mPdzzsw9M/Ps3dvXYOxmcDu4E/TxMlXaAmvAKrDWov/T4DlD+0bwIngFvAneAtvBB2CX0O8z8CUYA+PgR/AH+B0cBsdAo5Ox18BW8HZnPvZ9rmME5Z3gGnA96AY3gkVgMZgJloLdYBTsAWOgHzwIzgUref/V4ELwOBgH+8Ev3N4A0g1gLvgLfIe6Q0iP8fJm8BKYJ7Rn4zpOydOM6cifKZRnIT+bly9AejHPX470anAd+KFzov8ClG8Ct4E7BD2UbIig04Z7MJ/7wcOcrK6FdA3PPyHNdwDlbyUdLxjWZIi3bUH6Os8vBwd4+zDq3gE7wMdgHepGeb8veLpXof971B0w2G1xQtfnG019NofeSLGQsOM3af1HFDFAYeeQYOdIeuaJRCKRSCQSiUQikag5/+Bv14NCeY7F37LNJmMzmifWz0LdbF5/EdK5PL8NXIH8UaT7eN/5KPc28/eAWfmGZv6ebqFCr8gtBe2JRCKRSCQSicnH/s64+tc2Jv6vbsNBYvuhbJqRc44le8FPivpLTj++vATlTWAXYGfkdVchvRsMgW3gVzA+nbGzTmNsEVgPTu3I2S3kRRrdjF3WrW6TeYD3exbpKPgbXNvDWAsM9tjpSCQSicTJyVc9Yffn4oJ3SEel8tIavnPqh0/PaN7VDRB9j3Ifn/dDlvNf2e4v1B3m6WpJR/aubxl4FzzWzL/xeqqZf+uXtWfvDNfzMRt5+2akWwQ9rzYnvu1rk33vs5X3H27m3wyO8DEfIv2kmX9/2Mftjwr6diK/xzDXscw/of3n5vGx8qfQdgT5fw26OrvMa9mN9plSn7O7cnvnI50DLuXtVxboUjFfGNOb5SUdC1G+ldctcdD/CF/7bM/c5eFXLO6tyJfsb4dlNVoHalbwua2qwRwH+X57VPDlyRr4JbOuhj5Rk31n+XxXfr67jBvCmJdBv+IO2zFJv7PM1uKNrjwdRrodfDSJYuBT+Pq54O+g4l5z3f9f8/77AtehaPxygpiR53beJI3DIt6rgQ+thv47/ZYBl/d5dWVBo+N/kiSZytKY4lBKWXbqJlU/Q9/nLqa6/MkuVe2VGFLH86GsdbOZg227qi+1r1VJnWKjzjIV1oFqbnI/V53yXyGmsdMKUI0vEtu/glS6RLs6+6q71ce+rVDP36RLnr/Onm4tGg72RXvT9N1Lff4m21RSFPMxEJ+TSmKdfbb7u0ybKh9s2k022qJbZ9/1LdobOtH9DqKQWOtr6ivORSUx7+72/vG5v2LN3/Rb12d+vqKK81Chji9bHaL/MX8Thvrqi3xfxxTT7yVTvalfWeJj1+XvCx/KsFFktwpR2dX5ozsTY5xRJl989Fe1vrL9mL777KeyRXen6n7P+dwXPnPTxbvJHx+dPqLzw/UMtzmLyvTX9znF9t/GfmwbqpRSP+UdyZh5XShslEmouMyJsRPt1iGeY6+Hjw5Zn03fUFtUEvusin0OxvZbzPvsSVV8UO31kJiV50chVZwPpjPCVo+PDUpRnbMxbYk2TWe/7ItvzLrGfIy7z1V892mVPqt8CDlfbHQX2aQWOX5NbSF+uMZqqKj2nytF41Q2Tf6o/KMQyvgoK+5Mtqn0+Dx/lS5TWVdHIab1oLZZ9hnrsx+p4rJon8Y454v8cT2TqO3rfJHrXfW6nPUhdwtFHx+brmsVMkfqeco+h+iKIWXYd9njujvFRm8ZUvZ5FVN3FfeR7IPPWCpfQs5g071R9t3WthtTN9WdaVp3SjE9W5szyKSvzOeqE5d1t/W76nmZnpVuvqbfCCpd8vgYItupKkZE8d0HVc6hzDuw6Fxy9UMXq3U6Q9o+iWk7b3OvxfbL9s6h8sVFT9FaVHkn6O49mzFVxabNPnTxx9ZnF7u2YrumMWO5yA9TO2Pl+WF7BtuuW1lrKPfR+VHG+uqkyFfb8bF9NZ1NpjGhcWXjl6s+yjUL8d1XfyzffXX42KxSbM+A0HPPN85d4tfl+VHMiVpC18/F11hnket5FUt0vlPHZ6hPVL65xm2R3ZhCpT+2z/8B",
+ "incbClasses": {
+  "None": 0,
+  "Linker": 1,
+  "Consonant": 2,
+  "Extend": 3
+ }
+}
\ No newline at end of file
@@ -3,7 +3,7 @@
 // import UnicodeTrieBuilder from 'unicode-trie/builder.js' // MOD::REM
 
 const fsPromise = require('fs/promises'); // MOD::ADD
-const fetch = require('node-fetch'); // MOD::ADD
+const path = require('path'); // MOD::ADD
 const UnicodeTrieBuilder = require('unicode-trie/builder'); // MOD::ADD
 
 //v10.0.0
@@ -20,8 +20,38 @@ console.log(s.match(re))
 process.exit(0)
 */
 
+// MOD::ADD
+// 读取本地 UCD 目录里的数据文件，目录的结构可以跟 unicode.org 上的 ucd 目录
+// 一致（比如 auxiliary/GraphemeBreakProperty.txt），也可以把所有文件直接放在
+// 该目录下。
+const readUcdFile = async function(ucdDir, filePath) {
+  const candidates = [path.join(ucdDir, filePath), path.join(ucdDir, path.basename(filePath))]
+  for (const candidate of candidates) {
+    try {
+      return await fsPromise.readFile(candidate, 'utf8')
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err
+      }
+    }
+  }
+  throw new Error(`Cannot find "${filePath}" in directory "${ucdDir}".`)
+}
+
 const main = async function() {
-  const UNICODE_VERSION = '13.0.0'
+  const UNICODE_VERSION = '17.0.0' // MOD::MOD 13.0.0 => 17.0.0
+
+  // MOD::ADD
+  const ucdDir = process.argv[2] || process.env.UCD_DIR
+  if (!ucdDir) {
+    console.log('Usage:')
+    console.log('$ npm run generate_data -- <ucd-dir>')
+    console.log(`where <ucd-dir> contains the UCD ${UNICODE_VERSION} files (auxiliary/GraphemeBreakProperty.txt,`)
+    console.log('emoji/emoji-data.txt and DerivedCoreProperties.txt), e.g. the extracted')
+    console.log(`https://www.unicode.org/Public/${UNICODE_VERSION}/ucd/UCD.zip`)
+    process.exitCode = 1
+    return
+  }
 
   let nextClass = 1
   const classes = { Other: 0 }
@@ -29,8 +59,9 @@ const main = async function() {
 
   // collect entries in the table into ranges to keep things smaller.
   {
-    const url = `https://www.unicode.org/Public/${UNICODE_VERSION}/ucd/auxiliary/GraphemeBreakProperty.txt`
-    const data = await (await fetch(url)).text()
+    // const url = `https://www.unicode.org/Public/${UNICODE_VERSION}/ucd/auxiliary/GraphemeBreakProperty.txt` // MOD::REM
+    // const data = await (await fetch(url)).text() // MOD::REM
+    const data = await readUcdFile(ucdDir, 'auxiliary/GraphemeBreakProperty.txt') // MOD::ADD
     let match = null
     const re = /^([0-9A-F]+)(?:\.\.([0-9A-F]+))?\s*;\s*([A-Za-z_]+)/gm
     while (match = re.exec(data)) {
@@ -48,8 +79,9 @@ const main = async function() {
   classes['ExtPict'] = nextClass++
   {
     //const url = 'https://www.unicode.org/Public/13.0.0/ucd/emoji/emoji-data.txt' // Date: 2020-01-28, 20:52:38 GMT
-    const url = 'https://www.unicode.org/Public/UCD/latest/ucd/emoji/emoji-data.txt' // Date: 2020-01-28, 20:52:38 GMT
-    const data = await (await fetch(url)).text()
+    // const url = 'https://www.unicode.org/Public/UCD/latest/ucd/emoji/emoji-data.txt' // MOD::REM
+    // const data = await (await fetch(url)).text() // MOD::REM
+    const data = await readUcdFile(ucdDir, 'emoji/emoji-data.txt') // MOD::ADD
     let match = null
     const re = /^([0-9A-F]+)(?:\.\.([0-9A-F]+))?\s*;\s*([A-Za-z_]+)/gm
     while (match = re.exec(data)) {
@@ -62,10 +94,32 @@ const main = async function() {
     }
   }
 
-  const output = { trie: trie.toBuffer().toString('base64'), classes }
+  // MOD::ADD
+  // Indic_Conjunct_Break 属性（规则 GB9c），因为它跟 Grapheme_Cluster_Break
+  // 属性互相重叠（比如 InCB=Linker 的字符同时为 Extend），所以单独保存在另一个 trie 里。
+  const incbClasses = { None: 0, Linker: 1, Consonant: 2, Extend: 3 }
+  const incbTrie = new UnicodeTrieBuilder(incbClasses.None)
+  {
+    const data = await readUcdFile(ucdDir, 'DerivedCoreProperties.txt')
+    let match = null
+    const re = /^([0-9A-F]+)(?:\.\.([0-9A-F]+))?\s*;\s*InCB\s*;\s*([A-Za-z_]+)/gm
+    while (match = re.exec(data)) {
+      const start = match[1]
+      const end = match[2] ? match[2] : start
+      const type = match[3]
+      incbTrie.setRange(parseInt(start, 16), parseInt(end, 16), incbClasses[type])
+    }
+  }
+
+  const output = {
+    trie: trie.toBuffer().toString('base64'),
+    classes,
+    incbTrie: incbTrie.toBuffer().toString('base64'), // MOD::ADD
+    incbClasses // MOD::ADD
+  }
   // write the trie and classes to a file
   // fs.writeFileSync(`./classes-v${UNICODE_VERSION}.mjs`, 'export default ' + JSON.stringify(output)) // MOD::REM
-  await fsPromise.writeFile(`./classes-v${UNICODE_VERSION}.js`, 'module.exports = ' + JSON.stringify(output, undefined, ' ')) // MOD::ADD
+  await fsPromise.writeFile(path.join(__dirname, `classes-v${UNICODE_VERSION}.js`), 'module.exports = ' + JSON.stringify(output, undefined, ' ')) // MOD::ADD
 
   const key = []
   for (const n in classes) {
@@ -73,8 +127,9 @@ const main = async function() {
   }
 
   console.log('Usage:') // MOD::ADD
-  console.log('const classesmjs = require(\'./classes-v13.0.0\')') // MOD::ADD
+  console.log(`const classesmjs = require('./classes-v${UNICODE_VERSION}')`) // MOD::ADD
   console.log('const trie = classesmjs.trie'); // MOD::ADD
   console.log('const { ' + key.join(', ') + '} = classesmjs.classes')
+  console.log('const { ' + Object.keys(incbClasses).map(n => `${n}: InCB_${n}`).join(', ') + ' } = classesmjs.incbClasses') // MOD::ADD
 }
 main()
@@ -89,10 +89,36 @@ describe('GraphemeBreaker', function() {
     res.push(str.slice(index));
     return expect(res).to.deep.equal(['👩‍❤️‍👩', '😜', '🇺🇸', '👍🏻']);
   });
+  // MOD::ADD
+  it('iterate', function() {
+    var str;
+    str = 'a👩‍❤️‍👩🇺🇸\r\n';
+    expect(Array.from(GraphemeBreaker.iterate(str))).to.deep.equal([
+      { segment: 'a', index: 0 },
+      { segment: '👩‍❤️‍👩', index: 1 },
+      { segment: '🇺🇸', index: 9 },
+      { segment: '\r\n', index: 13 }
+    ]);
+    expect(Array.from(GraphemeBreaker.iterate(''))).to.deep.equal([]);
+  });
+  // MOD::ADD
+  it('Indic conjuncts (GB9c)', function() {
+    var str;
+    str = 'क्षत्रिय'; // क्ष त्रि य
+    expect(GraphemeBreaker.break(str)).to.deep.equal(['क्ष', 'त्रि', 'य']);
+    expect(GraphemeBreaker.previousBreak(str, str.length)).to.equal(7);
+    expect(GraphemeBreaker.previousBreak(str, 7)).to.equal(3);
+    expect(GraphemeBreaker.previousBreak(str, 3)).to.equal(0);
+    // the index is inside a conjunct that starts before it
+    str = 'ःaक्तa中'; // ः a क्त a 中
+    expect(GraphemeBreaker.nextBreak(str, 3)).to.equal(5);
+    expect(GraphemeBreaker.nextBreak(str, 2)).to.equal(5);
+    expect(GraphemeBreaker.nextBreak(str, 5)).to.equal(6);
+  });
   it('should pass all tests in GraphemeBreakTest.txt', async function() {
     var codePoints, cols, comment, data, expected, j, len, line, lines, results, str;
     // data = fs.readFileSync(__dirname + '/GraphemeBreakTest-13.0.0.txt', 'utf8'); // MOD::REM
-    data = await fsPromise.readFile(__dirname + '/GraphemeBreakTest-13.0.0.txt', 'utf8'); // MOD::ADD
+    data = await fsPromise.readFile(__dirname + '/GraphemeBreakTest-17.0.0.txt', 'utf8'); // MOD::ADD
     lines = data.split('\n');
     results = [];
     for (j = 0, len = lines.length; j < len; j++) {
@@ -115,6 +141,14 @@ describe('GraphemeBreaker', function() {
       });
       comment = comment.trim();
       expect(GraphemeBreaker.break(str)).to.deep.equal(expected, comment);
+      // MOD::ADD nextBreak from every index, including the ones inside a cluster
+      let offset = 0;
+      for (const segment of expected) {
+        for (let i = offset; i < offset + segment.length; i++) {
+          expect(GraphemeBreaker.nextBreak(str, i)).to.equal(offset + segment.length, comment);
+        }
+        offset += segment.length;
+      }
       results.push(expect(GraphemeBreaker.countBreaks(str)).to.equal(expected.length, comment));
     }
     return results;
@@ -122,7 +156,7 @@ describe('GraphemeBreaker', function() {
   it('should pass all tests in GraphemeBreakTest.txt in reverse', async function() {
     var brk, codePoints, cols, comment, data, expected, index, j, len, line, lines, res, results, str;
     // data = fs.readFileSync(__dirname + '/GraphemeBreakTest-13.0.0.txt', 'utf8'); // MOD::REM
-    data = await fsPromise.readFile(__dirname + '/GraphemeBreakTest-13.0.0.txt', 'utf8'); // MOD::ADD
+    data = await fsPromise.readFile(__dirname + '/GraphemeBreakTest-17.0.0.txt', 'utf8'); // MOD::ADD
     lines = data.split('\n');
     results = [];
     for (j = 0, len = lines.length; j < len; j++) {
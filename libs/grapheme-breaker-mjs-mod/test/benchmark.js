@@ -0,0 +1,63 @@
+// MOD::ADD
+// Compares the state machine implementation of GraphemeBreaker with the
+// previous (array based) implementation in ./legacy/GraphemeBreaker.js
+// The timings are only reported, not asserted, since they depend on the
+// machine load.
+//
+// $ npm run benchmark
+
+const GraphemeBreaker = require('../src/GraphemeBreaker');
+const LegacyGraphemeBreaker = require('./legacy/GraphemeBreaker');
+const chai = require('chai');
+
+const expect = chai.expect
+
+// about 128 KB of mixed text: ASCII, CJK, emoji ZWJ sequences, flags,
+// combining marks, Hangul jamo and Indic conjuncts
+const buildText = function() {
+  const paragraph = '# Title\r\n' +
+    'The quick brown fox jumps over the lazy dog. 敏捷的棕色狐狸跳过了懒狗。\n' +
+    'Emoji: 👩‍❤️‍💋‍👨 👍🏽 🇨🇳🇺🇸 #️⃣ Zalgo: Z͑ͫ̓ͪ̂ͫ̽͏̴̙̤̞͉͚̯̞̠͍A̴̵̜̰͔ͫ͗͢ Hangul: 각 Devanagari: क्षत्रिय\n\n'
+  return paragraph.repeat(Math.ceil(128 * 1024 / paragraph.length))
+}
+
+const measure = function(fn) {
+  const start = process.hrtime.bigint()
+  const result = fn()
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 }
+}
+
+describe('GraphemeBreaker benchmark', function() {
+  this.timeout(120000)
+
+  const text = buildText()
+
+  it('countBreaks', function() {
+    const legacy = measure(() => LegacyGraphemeBreaker.countBreaks(text))
+    const current = measure(() => GraphemeBreaker.countBreaks(text))
+    console.log(`      countBreaks: ${legacy.ms.toFixed(1)} ms => ${current.ms.toFixed(1)} ms (x${(legacy.ms / current.ms).toFixed(1)})`)
+    expect(current.result).to.equal(legacy.result)
+  })
+
+  it('break', function() {
+    const legacy = measure(() => LegacyGraphemeBreaker.break(text))
+    const current = measure(() => GraphemeBreaker.break(text))
+    console.log(`      break: ${legacy.ms.toFixed(1)} ms => ${current.ms.toFixed(1)} ms (x${(legacy.ms / current.ms).toFixed(1)})`)
+    expect(current.result).to.deep.equal(legacy.result)
+  })
+
+  it('previousBreak', function() {
+    const iterate = (breaker) => {
+      let count = 0
+      let index = text.length
+      while ((index = breaker.previousBreak(text, index)) > 0) {
+        count++
+      }
+      return count
+    }
+    const legacy = measure(() => iterate(LegacyGraphemeBreaker))
+    const current = measure(() => iterate(GraphemeBreaker))
+    console.log(`      previousBreak: ${legacy.ms.toFixed(1)} ms => ${current.ms.toFixed(1)} ms (x${(legacy.ms / current.ms).toFixed(1)})`)
+    expect(current.result).to.equal(legacy.result)
+  })
+})
@@ -0,0 +1,3 @@
+const HtmlEntities = require('./src/HtmlEntities');
+
+module.exports = HtmlEntities;
@@ -0,0 +1,88 @@
+const entities = require('./entities');
+
+// 字符引用的解码规则详细见：
+// https://html.spec.whatwg.org/multipage/parsing.html#character-reference-state
+
+const referencePattern = /&(?:#[xX]([0-9A-Fa-f]+);?|#([0-9]+);?|([A-Za-z][A-Za-z0-9]*;?))/g;
+
+const replacementChar = '\uFFFD';
+
+// 数字实体 0x80 到 0x9F 按照 Windows-1252 编码解释，
+// 见 https://html.spec.whatwg.org/multipage/parsing.html#numeric-character-reference-end-state
+const windows1252CodePoints = {
+    0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E,
+    0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021, 0x88: 0x02C6,
+    0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152,
+    0x8E: 0x017D, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201C,
+    0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+    0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A,
+    0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178
+};
+
+const isAlphanumeric = function (char) {
+    return char !== undefined && /[A-Za-z0-9]/.test(char);
+};
+
+/**
+ * 解码数字实体
+ *
+ * 0、大于 0x10FFFF 的值以及代理（surrogate）码点解码为替换字符 U+FFFD。
+ */
+const decodeCodePoint = function (codePoint) {
+    if (codePoint === 0 || codePoint > 0x10FFFF ||
+        (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+        return replacementChar;
+    }
+
+    const mapped = windows1252CodePoints[codePoint];
+    return String.fromCodePoint(mapped === undefined ? codePoint : mapped);
+};
+
+const he = {};
+
+/**
+ * 解码文本当中的命名实体以及数字实体
+ *
+ * 命名实体按照最长匹配的原则解码，比如 '&notit;' 解码为 '¬it;'（因为
+ * '&not' 为不带分号的旧式命名实体，而 '&notit;' 不是命名实体）。
+ * 无法识别的实体保持原样。
+ *
+ * @param {*} str
+ * @param {*} options {attribute}，attribute 为 true 时按照属性值的规则解码，
+ *     即不带分号的旧式命名实体之后如果是 '=' 或者字母、数字，则不解码，
+ *     比如 URL 'a.php?x=1&copy=2' 当中的 '&copy' 保持原样。
+ * @returns
+ */
+he.decode = function (str, options = {}) {
+    const { attribute = false } = options;
+
+    return str.replace(referencePattern, (match, hexDigits, decimalDigits, name, offset) => {
+        if (hexDigits !== undefined) {
+            return decodeCodePoint(parseInt(hexDigits, 16));
+        }
+
+        if (decimalDigits !== undefined) {
+            return decodeCodePoint(parseInt(decimalDigits, 10));
+        }
+
+        for (let length = name.length; length > 0; length--) {
+            const candidate = name.substring(0, length);
+            if (!Object.prototype.hasOwnProperty.call(entities, candidate)) {
+                continue;
+            }
+
+            if (attribute && !candidate.endsWith(';')) {
+                const nextChar = length < name.length ? name[length] : str[offset + match.length];
+                if (nextChar === '=' || isAlphanumeric(nextChar)) {
+                    return match;
+                }
+            }
+
+            return entities[candidate] + name.substring(length);
+        }
+
+        return match;
+    });
+};
+
+module.exports = he;
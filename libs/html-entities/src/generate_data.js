@@ -0,0 +1,34 @@
+const fsPromise = require('fs/promises');
+const path = require('path');
+
+const ENTITIES_URL = 'https://html.spec.whatwg.org/entities.json';
+
+const main = async function () {
+    const entitiesFile = process.argv[2] || process.env.ENTITIES_JSON;
+    if (!entitiesFile) {
+        console.log('Usage:');
+        console.log('$ npm run generate_data -- <entities-json-file>');
+        console.log('where <entities-json-file> is the local copy of');
+        console.log(ENTITIES_URL);
+        process.exitCode = 1;
+        return;
+    }
+
+    // entities.json 的格式为：
+    // {"&AElig": {"codepoints": [198], "characters": "Æ"}, "&AElig;": {...}, ...}
+    //
+    // 其中不带分号的为旧式（legacy）命名实体，它们同时也有带分号的形式。
+    const data = JSON.parse(await fsPromise.readFile(entitiesFile, 'utf8'));
+
+    // 输出的格式为 {"AElig": "Æ", "AElig;": "Æ", ...}
+    const output = {};
+    for (const key of Object.keys(data).sort()) {
+        output[key.substring(1)] = data[key].characters;
+    }
+
+    await fsPromise.writeFile(path.join(__dirname, 'entities.js'), 'module.exports = ' + JSON.stringify(output, undefined, ' '));
+
+    console.log(`Total ${Object.keys(output).length} entities.`);
+};
+
+main();
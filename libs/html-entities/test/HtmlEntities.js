@@ -0,0 +1,35 @@
+const HtmlEntities = require('../src/HtmlEntities');
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('HtmlEntities', function () {
+    it('decode named entities', function () {
+        expect(HtmlEntities.decode('&lt;p&gt; &amp; &quot;&apos;')).to.equal('<p> & "\'');
+        expect(HtmlEntities.decode('&nbsp;&copy;&hellip;&euro;')).to.equal(' ©…€');
+        expect(HtmlEntities.decode('&NotEqualTilde;')).to.equal('≂̸');
+        expect(HtmlEntities.decode('&CounterClockwiseContourIntegral;')).to.equal('∳');
+
+        // 不带分号的旧式命名实体
+        expect(HtmlEntities.decode('&copy 2021 &amp')).to.equal('© 2021 &');
+        expect(HtmlEntities.decode('&notit;')).to.equal('¬it;');
+        expect(HtmlEntities.decode('&notin;')).to.equal('∉');
+
+        // 无法识别的实体
+        expect(HtmlEntities.decode('&foo; &hellip &; & &#; &#x;')).to.equal('&foo; &hellip &; & &#; &#x;');
+    });
+
+    it('decode numeric entities', function () {
+        expect(HtmlEntities.decode('&#39;&#x27;&#X27;')).to.equal('\'\'\'');
+        expect(HtmlEntities.decode('&#x1F600;&#128512;')).to.equal('😀😀');
+        expect(HtmlEntities.decode('&#169')).to.equal('©');
+        expect(HtmlEntities.decode('&#0;&#xD800;&#x110000;&#99999999999;')).to.equal('\uFFFD'.repeat(4));
+        expect(HtmlEntities.decode('&#x80;&#x81;&#150;')).to.equal('€\u0081–');
+    });
+
+    it('decode attribute values', function () {
+        expect(HtmlEntities.decode('a.php?x=1&copy=2', { attribute: true })).to.equal('a.php?x=1&copy=2');
+        expect(HtmlEntities.decode('&copyx &copy; &copy', { attribute: true })).to.equal('&copyx © ©');
+        expect(HtmlEntities.decode('a.php?x=1&copy=2')).to.equal('a.php?x=1©=2');
+    });
+});
@@ -0,0 +1,3 @@
+const LineBreaker = require('./src/LineBreaker');
+
+module.exports = LineBreaker;
@@ -0,0 +1,453 @@
+const classesData = require('./classes-v17.0.0');
+const trie = classesData.trie;
+const {
+    AL, BK, CR, LF, NL, SP, ZW, ZWJ, CM, WJ, GL, BA, HY, CL, CP, EX, IS, SY,
+    OP, QU, NS, B2, CB, BB, HL, IN, NU, PR, PO, ID, EB, EM, JL, JV, JT, H2, H3,
+    RI, AK, AP, AS, VF, VI
+} = classesData.classes;
+const { EastAsian, Pi, Pf, ExtPictCn } = classesData.properties;
+
+const UnicodeTrie = require('unicode-trie');
+
+const classTrie = new UnicodeTrie(Buffer.from(trie, 'base64'));
+const propertyTrie = new UnicodeTrie(Buffer.from(classesData.propertyTrie, 'base64'));
+
+// 换行的规则详细见：
+// https://www.unicode.org/reports/tr14/#BreakingRules
+
+const HYPHEN = 0x2010;
+const DOTTED_CIRCLE = 0x25CC;
+
+const isHardBreak = function (c) {
+    return c === BK || c === CR || c === LF || c === NL;
+};
+
+const isAHLetter = function (c) {
+    return c === AL || c === HL;
+};
+
+const isHangul = function (c) {
+    return c === JL || c === JV || c === JT || c === H2 || c === H3;
+};
+
+/**
+ * 将文本转换为 “单元” 列表，每个单元为 {cls, flags, codePoint, start, end, hasZWJ}，
+ * 其中 flags 为规则用到的其他属性（见 generate_data.js 里的 properties）。
+ *
+ * 根据规则 LB9，除了 BK, CR, LF, NL, SP 和 ZW 之外，字符之后的 CM 和 ZWJ
+ * 合并到该字符，根据规则 LB10，其余的 CM 和 ZWJ 作为 AL 处理。
+ */
+const getUnits = function (str) {
+    const units = [];
+    let index = 0;
+    while (index < str.length) {
+        const codePoint = str.codePointAt(index);
+        const length = codePoint > 0xFFFF ? 2 : 1;
+        const cls = classTrie.get(codePoint);
+        const flags = propertyTrie.get(codePoint);
+
+        if (cls === CM || cls === ZWJ) {
+            const last = units[units.length - 1];
+            if (last !== undefined &&
+                !isHardBreak(last.cls) && last.cls !== SP && last.cls !== ZW) {
+                // LB9
+                last.end = index + length;
+                last.hasZWJ = (cls === ZWJ);
+            } else {
+                // LB10
+                units.push({ cls: AL, flags, codePoint, start: index, end: index + length, hasZWJ: (cls === ZWJ) });
+            }
+        } else {
+            units.push({ cls, flags, codePoint, start: index, end: index + length, hasZWJ: false });
+        }
+
+        index += length;
+    }
+    return units;
+};
+
+const isEastAsian = function (unit) {
+    return (unit.flags & EastAsian) !== 0;
+};
+
+/**
+ * 判断单元是否为规则 LB28a 当中的 (AK | ◌ | AS)
+ */
+const isAksara = function (unit) {
+    return unit.cls === AK || unit.cls === AS || unit.codePoint === DOTTED_CIRCLE;
+};
+
+/**
+ * 判断单元列表当中 idx 位置的单元是否为 'NU (SY | IS)*' 的结尾
+ */
+const isNumberEnd = function (units, idx) {
+    for (; idx >= 0; idx--) {
+        const c = units[idx].cls;
+        if (c === NU) {
+            return true;
+        }
+
+        if (c !== SY && c !== IS) {
+            return false;
+        }
+    }
+    return false;
+};
+
+// 换行类型
+const BreakType = {
+    NotBreak: 0,
+    Break: 1, // 可以换行
+    Mandatory: 2 // 必须换行
+};
+
+/**
+ * 判断第 idx - 1 个单元与第 idx 个单元之间能否换行
+ *
+ * @param {*} units
+ * @param {*} idx
+ * @param {*} state 当前的状态，{beforeSpaceIndex, regionalCount}，其中
+ *     beforeSpaceIndex 为 idx 之前最后一个不是 SP 的单元的位置（没有则为 -1），
+ *     regionalCount 为 idx 之前连续的 RI 的个数。
+ * @returns
+ */
+const getBreakType = function (units, idx, state) {
+    const previousUnit = units[idx - 1];
+    const nextUnit = units[idx];
+    const a = previousUnit.cls;
+    const b = nextUnit.cls;
+    const { beforeSpaceIndex } = state;
+    const beforeSpace = beforeSpaceIndex >= 0 ? units[beforeSpaceIndex].cls : null;
+
+    // 第 idx - 2 个单元（即 a 之前）以及第 idx + 1 个单元（即 b 之后），
+    // 不存在时为 undefined（即 sot 和 eot）
+    const unitBefore = units[idx - 2];
+    const unitAfter = units[idx + 1];
+
+    // LB4
+    if (a === BK) {
+        return BreakType.Mandatory;
+    }
+
+    // LB5
+    if (a === CR && b === LF) {
+        return BreakType.NotBreak;
+    }
+
+    if (a === CR || a === LF || a === NL) {
+        return BreakType.Mandatory;
+    }
+
+    // LB6
+    if (isHardBreak(b)) {
+        return BreakType.NotBreak;
+    }
+
+    // LB7
+    if (b === SP || b === ZW) {
+        return BreakType.NotBreak;
+    }
+
+    // LB8
+    if (beforeSpace === ZW) {
+        return BreakType.Break;
+    }
+
+    // LB8a
+    if (previousUnit.hasZWJ) {
+        return BreakType.NotBreak;
+    }
+
+    // LB11
+    if (a === WJ || b === WJ) {
+        return BreakType.NotBreak;
+    }
+
+    // LB12
+    if (a === GL) {
+        return BreakType.NotBreak;
+    }
+
+    // LB12a
+    if (b === GL && a !== SP && a !== BA && a !== HY) {
+        return BreakType.NotBreak;
+    }
+
+    // LB13
+    if (b === CL || b === CP || b === EX || b === SY) {
+        return BreakType.NotBreak;
+    }
+
+    // LB14
+    if (beforeSpace === OP) {
+        return BreakType.NotBreak;
+    }
+
+    // LB15a
+    // (sot | BK | CR | LF | NL | OP | QU | GL | SP | ZW) [\p{Pi}&QU] SP* ×
+    if (beforeSpace === QU && (units[beforeSpaceIndex].flags & Pi) !== 0) {
+        const c = beforeSpaceIndex > 0 ? units[beforeSpaceIndex - 1].cls : null;
+        if (c === null || isHardBreak(c) ||
+            c === OP || c === QU || c === GL || c === SP || c === ZW) {
+            return BreakType.NotBreak;
+        }
+    }
+
+    // LB15b
+    // × [\p{Pf}&QU] (SP | GL | WJ | CL | QU | CP | EX | IS | SY | BK | CR | LF | NL | ZW | eot)
+    if (b === QU && (nextUnit.flags & Pf) !== 0) {
+        const c = unitAfter === undefined ? null : unitAfter.cls;
+        if (c === null || isHardBreak(c) ||
+            c === SP || c === GL || c === WJ || c === CL || c === QU || c === CP ||
+            c === EX || c === IS || c === SY || c === ZW) {
+            return BreakType.NotBreak;
+        }
+    }
+
+    // LB15c
+    if (a === SP && b === IS && unitAfter !== undefined && unitAfter.cls === NU) {
+        return BreakType.Break;
+    }
+
+    // LB15d
+    if (b === IS) {
+        return BreakType.NotBreak;
+    }
+
+    // LB16
+    if ((beforeSpace === CL || beforeSpace === CP) && b === NS) {
+        return BreakType.NotBreak;
+    }
+
+    // LB17
+    if (beforeSpace === B2 && b === B2) {
+        return BreakType.NotBreak;
+    }
+
+    // LB18
+    if (a === SP) {
+        return BreakType.Break;
+    }
+
+    // LB19
+    if ((b === QU && (nextUnit.flags & Pi) === 0) ||
+        (a === QU && (previousUnit.flags & Pf) === 0)) {
+        return BreakType.NotBreak;
+    }
+
+    // LB19a
+    if (b === QU &&
+        (!isEastAsian(previousUnit) || unitAfter === undefined || !isEastAsian(unitAfter))) {
+        return BreakType.NotBreak;
+    }
+
+    if (a === QU &&
+        (!isEastAsian(nextUnit) || unitBefore === undefined || !isEastAsian(unitBefore))) {
+        return BreakType.NotBreak;
+    }
+
+    // LB20
+    if (a === CB || b === CB) {
+        return BreakType.Break;
+    }
+
+    // LB20a
+    // (sot | BK | CR | LF | NL | SP | ZW | CB | GL) (HY | [‐]) × AL
+    if ((a === HY || previousUnit.codePoint === HYPHEN) && b === AL) {
+        const c = unitBefore === undefined ? null : unitBefore.cls;
+        if (c === null || isHardBreak(c) || c === SP || c === ZW || c === CB || c === GL) {
+            return BreakType.NotBreak;
+        }
+    }
+
+    // LB21
+    if (b === BA || b === HY || b === NS || a === BB) {
+        return BreakType.NotBreak;
+    }
+
+    // LB21a
+    // HL (HY | [BA - $EastAsian]) × [^HL]
+    if ((a === HY || (a === BA && !isEastAsian(previousUnit))) &&
+        unitBefore !== undefined && unitBefore.cls === HL && b !== HL) {
+        return BreakType.NotBreak;
+    }
+
+    // LB21b
+    if (a === SY && b === HL) {
+        return BreakType.NotBreak;
+    }
+
+    // LB22
+    if (b === IN) {
+        return BreakType.NotBreak;
+    }
+
+    // LB23
+    if ((isAHLetter(a) && b === NU) || (a === NU && isAHLetter(b))) {
+        return BreakType.NotBreak;
+    }
+
+    // LB23a
+    if ((a === PR && (b === ID || b === EB || b === EM)) ||
+        ((a === ID || a === EB || a === EM) && b === PO)) {
+        return BreakType.NotBreak;
+    }
+
+    // LB24
+    if (((a === PR || a === PO) && isAHLetter(b)) ||
+        (isAHLetter(a) && (b === PR || b === PO))) {
+        return BreakType.NotBreak;
+    }
+
+    // LB25
+    // NU (SY | IS)* (CL | CP)? × (PO | PR)
+    if (b === PO || b === PR) {
+        if (isNumberEnd(units, idx - 1) ||
+            ((a === CL || a === CP) && isNumberEnd(units, idx - 2))) {
+            return BreakType.NotBreak;
+        }
+    }
+
+    // (PO | PR) × OP IS? NU
+    if ((a === PO || a === PR) && b === OP && unitAfter !== undefined &&
+        (unitAfter.cls === NU ||
+            (unitAfter.cls === IS && idx + 2 < units.length && units[idx + 2].cls === NU))) {
+        return BreakType.NotBreak;
+    }
+
+    // (PO | PR | HY | IS) × NU
+    if ((a === PO || a === PR || a === HY || a === IS) && b === NU) {
+        return BreakType.NotBreak;
+    }
+
+    // NU (SY | IS)* × NU
+    if (b === NU && isNumberEnd(units, idx - 1)) {
+        return BreakType.NotBreak;
+    }
+
+    // LB26
+    if ((a === JL && (b === JL || b === JV || b === H2 || b === H3)) ||
+        ((a === JV || a === H2) && (b === JV || b === JT)) ||
+        ((a === JT || a === H3) && b === JT)) {
+        return BreakType.NotBreak;
+    }
+
+    // LB27
+    if ((isHangul(a) && b === PO) || (a === PR && isHangul(b))) {
+        return BreakType.NotBreak;
+    }
+
+    // LB28
+    if (isAHLetter(a) && isAHLetter(b)) {
+        return BreakType.NotBreak;
+    }
+
+    // LB28a
+    // AP × (AK | ◌ | AS)
+    if (a === AP && isAksara(nextUnit)) {
+        return BreakType.NotBreak;
+    }
+
+    // (AK | ◌ | AS) × (VF | VI)
+    if (isAksara(previousUnit) && (b === VF || b === VI)) {
+        return BreakType.NotBreak;
+    }
+
+    // (AK | ◌ | AS) VI × (AK | ◌)
+    if (a === VI && unitBefore !== undefined && isAksara(unitBefore) &&
+        (b === AK || nextUnit.codePoint === DOTTED_CIRCLE)) {
+        return BreakType.NotBreak;
+    }
+
+    // (AK | ◌ | AS) × (AK | ◌ | AS) VF
+    if (isAksara(previousUnit) && isAksara(nextUnit) &&
+        unitAfter !== undefined && unitAfter.cls === VF) {
+        return BreakType.NotBreak;
+    }
+
+    // LB29
+    if (a === IS && isAHLetter(b)) {
+        return BreakType.NotBreak;
+    }
+
+    // LB30
+    if (((isAHLetter(a) || a === NU) && b === OP && !isEastAsian(nextUnit)) ||
+        (a === CP && !isEastAsian(previousUnit) && (isAHLetter(b) || b === NU))) {
+        return BreakType.NotBreak;
+    }
+
+    // LB30a
+    if (a === RI && b === RI && state.regionalCount % 2 === 1) {
+        return BreakType.NotBreak;
+    }
+
+    // LB30b
+    if ((a === EB || (previousUnit.flags & ExtPictCn) !== 0) && b === EM) {
+        return BreakType.NotBreak;
+    }
+
+    // LB31
+    return BreakType.Break;
+};
+
+const lb = {};
+
+/**
+ * 返回文本当中所有可以换行的位置（break opportunities）
+ *
+ * 这是一个迭代器（generator），每次返回 {position, required}，其中
+ * - position 为可以换行的位置，即在第 position 个 UTF-16 字符之前换行；
+ * - required 表示是否必须换行，即 position 之前为换行符（比如 '\n'）。
+ *
+ * 注意文本的结尾也会作为一个位置返回（规则 LB3），文本的开头则不会（规则 LB2）。
+ *
+ * @param {*} str
+ */
+lb.opportunities = function* (str) {
+    const units = getUnits(str);
+    const state = {
+        beforeSpaceIndex: -1,
+        regionalCount: 0
+    };
+
+    for (let idx = 1; idx < units.length; idx++) {
+        const a = units[idx - 1].cls;
+        if (a !== SP) {
+            state.beforeSpaceIndex = idx - 1;
+        }
+        state.regionalCount = (a === RI) ? state.regionalCount + 1 : 0;
+
+        const breakType = getBreakType(units, idx, state);
+        if (breakType !== BreakType.NotBreak) {
+            yield {
+                position: units[idx].start,
+                required: breakType === BreakType.Mandatory
+            };
+        }
+    }
+
+    if (units.length > 0) {
+        yield {
+            position: str.length,
+            required: isHardBreak(units[units.length - 1].cls)
+        };
+    }
+};
+
+/**
+ * 按照可以换行的位置拆分文本
+ *
+ * @param {*} str
+ * @returns
+ */
+lb.break = function (str) {
+    const res = [];
+    let index = 0;
+    for (let { position } of lb.opportunities(str)) {
+        res.push(str.slice(index, position));
+        index = position;
+    }
+    return res;
+};
+
+module.exports = lb;
@@ -0,0 +1,55 @@
+module.exports = {
+ "trie": "AAgOAAAAAAAw2gAAAWMOnPHtnXuMXUUdx6fttr3du7e73d12C11KbYEtKOUPoRoEhBpq5NEoAiZNxQAqgoq8NLWCaZSXloIVKmDEalQaNZYEaUMCFJOGmlDEyEN8UEEENTyqAkERBL/jmcmdnc7Mmcdvzrmt95d8Mo8zM7/fPM7MnDln7/50EmN3gW1gB/gTeA48DH6f4L4EXgOTehhrggEwu6c83zykWehItwjXFoNjwFKwDJwOVoCPKvnOhf9CsBKsBleCa8FasB7cAn4AfgLuAHeKvPcK9+dwfwl+DX4DngR/BX8H/wCvggmT2+Fp8A8o4dnwz1PCY/AfBt4BrkP43XCXgmWTi+unwz0DfFwJnz+50H8x3C+AL4vyuH1fhf/rkwv/jXA3CD/nVvg3ifAWuFuFfzvcB8GjYKeS/mn4nwcvg9eVeE7PlDZ9gkEwLFDTuhhF2gMM6d8WUIYPhyvlHQX/sWApOEnA498Ap04pxsAKTf/ZCK/qGR/3ScRdpKX7nAhfJtzL4V4DbgBvInyFKONbCG8At4JN4GrEb4G7Fdwn8j4g8j2i6Hgc/qccbfMsru1KbLtXkP8NMGUqY9PBLLAvmA8OAYvA4qnuMo5yXD8O194LllnSnFJStg+no4wzRDkfE+6n4X4WXAauEHFfgbtO0XcT/Bsi9G8UeTbB3Uxgv4t7tPLv08J8bv0F4h4FO8W1Z+A+L/ib4tf5J/gPmNxgrAVmgv3AgeBQ4T8CHA2Oa7TzLVX8J8N/mgh/uGHX1aVLF1rkHFC3HV26dOnSpUuXLl32LM7ssOe2c4Q95zfGn4fYuLhRnONw/8pGcbYmr61ulOe/Gmm+JtLdCHd+T3E+tAH+jaLs2+BuAVvBdnA/eAj8rlGc4zwF91nwoijn33AvRb6J09y6e3F9EAyBYTATzAIjYHb3Wvda91r3Wvca+bX9wUE8jvjdQ5cuXfYuUvezizDPLAbHTIu3YYkl7wmIPwUsB2eCc7V0n0L4EnApuBxcA9ZNK97Z3Az3uwk2UXFSf8E1/W2/jQdA3wBjxw7sfm21Fncnwv8C75zB2AUzirjvw30SzB5k7HBwCfgjXw96GfsI+Db4A/gZf8/dLNzDhCs5B+EbwPUTCh6Bf7hvfBrOqYi7QMR/A+6vwIwWYx8Aa8AO0JzeLqcOTuwA/Xq7denSpcv/C2uml6+RP3Ss0z8qWcNv165vRvhuEbdwij3fLT3ldlGx1VKHu0vqth3X7wcPGdL9VsQ9kbjH+cu0oi12eZbzskj3uBK3XrTl61oZPXzPgT7ogzvUW3wbNgfuAjAmwovgLgZHivBysKS3XcYJvcVZowyfgvCHeDq4Z4FPgAvASrAaXAHWgvWijJvgblDK49+ubey1128Trm3R0m9FeLuI24y95YPwP9pbfPO301HWM5ZrvL1fwLWXwGtamonYb/WCQTALzG0W8QfCPbTZTndE0653TJR5JNIsAe8Dy8CpWp7lCJ8l4s5t+t8TFyLt58EXwZVamWsRXu+wrQ5uqcGe7wmdP3bo3mS5thnx93RYG4awjcj2e3F/7diD26EUpW783ntMhHfCfZqg3s95lPGiJc2rzeL7yzeV61P76n9/Vie7KtCR2uf9fXnHrE8dRmDDKFgQOF5eIKh/bt7aV/zNQt12uBhz7El84ff+21HXqwLr+i7keQ9YYth7n5h5bFLz/r7inIuiLVf0Fe7ZcM8DF+1BbbEKtn5Jsfcqg+1r+sKeqQ4Xf4ezLrEdbi7J/x2Cdl6jlbGxwr67rUJdMWvTHWKOvytib7ANeXbw+oHHlPxPwP9nsAu8osS/Af9kfq4MpoOZrSJ+Dtz5rXa6g+E/VISPgHt0a3f7j2+1/Z8R+T4o0pwsrp0Gdzk4S+Q/D+5Fwr9KuKvhXqWVf3xrfD2vQ/j6lrvt+Zxd597mm6169dcNrz8/Z5ikoPfRpB47D3f4nsCH2ydNYA3GSsEjAUNyNkEw0SOPL1gWWD8YYoXMAaPCz+MGwXTl2gDoE+4MsK8nAwJV+lm1wuvC6zC9LGFG/bwvWyLcqMmOThLTmOyxxOcAy8D/+oWP+TkKJpH3SFOJk/mkjDjqOqSFBx1pbeW5yg8VyrJipap+3hPojcxjI8aGWNHndpZJz54gvC2ahng5T9Q9zmJosna/NQz+fiXOJbMrpEx3jNj2N6qMKuj7npA271dcSSdJjnHmu58cZea2zz23yD4oq4MrDdOum9JK8W0PSqlzfqYcS3uzVNUOdYy/WIlpCz436/MqT+d6DqAQk102e33TVSWUel3jh3Js51ir9Dk/t466+10VnzEZWx/K/m4KqpzH6uyfkDa0hX3tjukPKaH9IffTJpHx6nxtmztdNtnSUs5zZaTq972vTGFKSelvn3U35/hOmW+kVL1vqmstcN0zrjndt2xfoWxv1/irew2Oubd9x3uMHVIo2t/3PFqtV11n2BT1r2vsqP4c40nVF2MbF8r72bZvKLPHZqOtvVxpytottL6Uc49tjSyzvWyd9mkL33rLfTyF+NY3ZV5Mra9LRjTUuF7F3xThfgO9Ip/p7INynJaJ/l5BuvzdaEtxqcd7DE2P+FR9KfZRwVj5/ebbF+pYtK3V8n1lqOSod675qGxOcY0Bn/qG6Iqx13fchj7n6jbOq5m31Mz8mqlDTHNPXVKn7qr1y7U1VpqMdl+mCsUc5lt+jjrE2k29psm6DYvym4qrfo+ii9wnyvwjWrxuq/zeiGJ/mKvPXbpC1jnK/LI9qzov9NVDoatMfNonlx7XHqZqVDtT+yY1v8m+gyoktO0O8SiTi5zHFnoi0+/Hxq9zMs4HH/t9ytHX2ZQxljo+fNsvN6H1P1gQKrnudS76uKp730uhX69rahsxS5zpmqsMUxpfYr+lpkDXXYeo5zamMSvp1cJTWGHzVNa2X083U9M1xNp/dzRkCOuyjwIvT/6NlK0tR0tQbeAyzNp7Z5MMsPZz1LBHeps0hX7TfKCGp1nyx95bPpL6nKjKHAf63+CEYMo7avCn6OBQrwEpUvY9TIhQf+tI8f3kPgR26O8RYkXuxUJ05hB9b0hVnhrW9cwl1Bdik4++nDZVVV+T3hBM+fVymCW9rf9N+ctsdl0z2ayPL1d6my1qGSp1yJAFLvKcR7dfn5983RDJOR+V6aSsB5XOnG2dKnXqVvVTiO+eRz1nbmpxqZJSBrfbdk+X4XpOUvf1g2y8jeqcoYbLxqhevjyjNz1HmGSmwPbsMcj862TTJedA+ZsSNlfNF7oWxlKlrpC1vEw6xY5c9snfy2gpccOK33cO900/rPjVfGXYnvVsaU3x8uxA74dhNr7eNjc3Vekp0+9T77Jr6hmN7KthDb1POqX9qepvi1evm6TKPqfUR11WmZjaNJQq2zqmvXzagJrUdsllX1Ui93e5vlmJeX9DbQOXlPdjuk2h75UoJPXdlkliznZDRH6v6/t7I7Hjgervcqnes/mK+i7Mla9MX85vznK+i5hXA6ro9lf5bUrqtyoc/r2Kbf1wfWPCWNj3K7q41qiQcVDF9yM572G1jRus/ExDLzu0/fV+rVJyrc+2sl26YuzwnTdj6+gzR+tlp47/BeCACqlaX6hQ/u2ELnvL30fw36prsLDfvYv9vTxXPLOkDdFXl8gzvqpF36/Hrm2SloI8I1DP1Xm867sJ+T2ZyfW5Ztq3hL5P0/O5nqlbissMdXbp9z3fkN8FVfkMbxL5bZesl26bqc1amhtyhqKfo/QHlpHKYKTtufSr5/6qXz8L7uQzO71/pbjuAerrqsjv7dTr1L+tp86Ps7RrnfBttb5H7gShOAugFt8+0m32ee6oqo4uXRT6fd7B+9qYoo/i20xfCalvaH/n+Fs427MktVRRdtVzg6pzTNAJZ3r83M52NqevecySJgTfc6aGwXb5N29lEvObG7qEPLtIUX8/Qz1n8xXKv02lvP9jn+lC7DDNf3Wt31JnyG+wmezUvx8ztY/0h/TXiFJm7B4wtC9t39uF9E/OvWrM/aoK9fs6Lj5/v8sc4VDK8uq6bGnUPvdpR1v4ECVuIbOLrU/U90L6WqDrKutn33FgE991i7HxdV2o5c+9znPZr6Rd9PmHaX7XPKX27Zjw6/sF295Bl7rmd11/zLqmimntCl33VJtMtoVKjv2/TULmCBfy99Tkd0D6dxplz4gxz1NqOOU8JbW99d8+9IFSUu33zZ9zHIZI6j0fWq/U87rYuco2d/juS3zS++4tKJ5XGdu9XrZ1aUyJD23/kPWeSlLnUS4jSrqqJWU8VmWH6brpearJwtsy9Z5MLdOEPu7V9aPO9wd1rHE28ekrnzQp3/VWvU7Kb2GpJWWNSsmb03Y9DWP+dqt5XJKr/8va2pXGJQuJMJ0x+Nw7Mq1c43Ocl+TYv5jGk0rZeTzFuXpdYvpNojqEYs1LmespZFBB/XZKFz2uE34DIFUvL8f1/6GlHlOc+rv7NoldhyjuLap+SakDx3c+sUnsekZ1L5nqRHmPutrOZ04ItaWq/aG0u5PObajnV599W8p9TjEn6N/ehb7TTp2PfPYcOYVKT8xvFtrK0b89DClb788ySf3Oog5R57/U+yp1/XLZ57sXp8Kn/FxShQ6XpL4XoCJX35raNceaIsv1FTUt9XOKzXbq+zXVJirbQu/jMr25pYr2TC0vZX8Z8409pf4YvSxRZ2h/xOqSZwqhop/nUJ3vUP/9yIEVYdI91xJPQa728tVhi1d/u9TUDqbrVbO/Ad0+k71lUNgWoi/EHpN9elrfusx1lBkytkyuTZctry2f79g2SWof+krOsil1hoxbn/6LLd9XJwVVt2OMHte9XtXvSKu/Fes676AeE6HzbqhO6nFFLVWP51S7qtLvqyc2n56feh7INZ5s+zGf+ytkrxNyP4bsYarcN+bSYdprpehz7d9S9qx17NGr2l+nYpP/Ag==",
+ "classes": {
+  "AL": 0,
+  "BK": 1,
+  "CR": 2,
+  "LF": 3,
+  "NL": 4,
+  "SP": 5,
+  "ZW": 6,
+  "ZWJ": 7,
+  "CM": 8,
+  "WJ": 9,
+  "GL": 10,
+  "BA": 11,
+  "HY": 12,
+  "CL": 13,
+  "CP": 14,
+  "EX": 15,
+  "IS": 16,
+  "SY": 17,
+  "OP": 18,
+  "QU": 19,
+  "NS": 20,
+  "B2": 21,
+  "CB": 22,
+  "BB": 23,
+  "HL": 24,
+  "IN": 25,
+  "NU": 26,
+  "PR": 27,
+  "PO": 28,
+  "ID": 29,
+  "EB": 30,
+  "EM": 31,
+  "JL": 32,
+  "JV": 33,
+  "JT": 34,
+  "H2": 35,
+  "H3": 36,
+  "RI": 37,
+  "AK": 38,
+  "AP": 39,
+  "AS": 40,
+  "VF": 41,
+  "VI": 42
+ },
+ "propertyTrie": "AAAEAAAAAAAgUwAAAXIDjfztmj2IFDEUx2d3Z+FcBT8aRThQFDwrFa648ipRUCstBOG0ECsRESux0sJDQWQrEUG5yo9DlLNRBC3UShvRRhRBVwu1ELURD/wvk3OzYT7y8ZIM3HvwI5nM5L2XlzdJltnZZpLcB4/AU/AKvAWzon0xlEwxHyVi+8LQ8xX8VNr+EOqfB2kr/16noF2X5ei/GoyCDWAMbAUTYBJsB3vAXrBf2JpCedjRrglHha2Tnmyeht6zku4LrcH7+rk5/P7KdPHcOfHsFZQzon61NfzcLVzfkdrmpPrDVta3X3/SKrbFMAzDMAzDMAzDMCrPxO/IFwF/o+vy2oNPsePNMAyzmNhUw72FYZj64brW+PbvnfiO0wPfcta1mZzvMv1vNr/A3xqsg+NLM3aBuU54JhNzro0kSbeR8QH1dUuG7+/E9bTSdle5/oHrbZ2Bnhgcr4H92PkXkzSNfxaKSa8GPhTRFf8nWJbGz5OYrNDM0TV4bhRsNMzpTzUYYxULvo6lGbH9UdkCn8YlvyZQnwQ7wO4cf/eh7QA4CI6AY+AEOAXOiHaZ/tjPi/JSOvhfyWXUr6eDM8WNnLm/KdruoXwAHoOVrcznvi/PpT5flHi/xL03iv/vpese6t+lsf8W5TzKZjtJpoT/07DXwfXFgtyU47YKz61tZ+3rUW5uV8dfjVdIDi3yPaSfV7ebjf+wsLBk0nTsn+a0NSLjW/oxS6W6eh1CZJs6EmPVM5kP33NXliONgnpI8Tl+at2u71/d3ucyMbGv47/teEziSiFlukzm2aTdVp98vyHVy/rr6CrTTym+c7wqJlVxo/KBKn4uOkKvJz5ypiq3dWXhDJF3llDPNCZnjSI7sSTkubMO59pQ4y3zsQ4+xIoJpT1qXVUSwg61Dd+5Qy0hc9HHuFxtUo+Lur8vqYoT5X0duzrxoxBXva6+xH7vbWJe9KyrHxRSlHs2/XX6Ua4XNvPuOz9UGVHwrb8KCluuOmylQWBfV3zHU2cvoFzXTPPEN6FEjp+Nnz7Xqzxs7Ov4bztPNjYpscl73Xcp9Ny62tYZp6lQjUfWZ6qfyg9X/+vgg4n4iCOVUOoysWk6rrJ8zWurWh9t/C3bF3XmLNS+GmsPz7Ntuz/n9fd5jqE6B8W2r2vHtl+M81ZS0GYjLv7bjD/EWdXmXGiil8IX13Go8g8=",
+ "properties": {
+  "EastAsian": 1,
+  "Pi": 2,
+  "Pf": 4,
+  "ExtPictCn": 8
+ }
+}
\ No newline at end of file
@@ -0,0 +1,268 @@
+const fsPromise = require('fs/promises');
+const path = require('path');
+const UnicodeTrieBuilder = require('unicode-trie/builder');
+
+const UNICODE_VERSION = '17.0.0';
+
+// Line_Break 属性值，见 LineBreak.txt
+//
+// 已经按照 UAX #14 的规则 LB1 转换了以下属性值：
+// - AI, SG, XX 转换为 AL
+// - SA 当中的 Mn 和 Mc 转换为 CM，其余转换为 AL
+// - CJ 转换为 NS
+//
+// 规则当中用到的其他属性见下面的 properties。
+const classes = {
+    AL: 0,
+    BK: 1,
+    CR: 2,
+    LF: 3,
+    NL: 4,
+    SP: 5,
+    ZW: 6,
+    ZWJ: 7,
+    CM: 8,
+    WJ: 9,
+    GL: 10,
+    BA: 11,
+    HY: 12,
+    CL: 13,
+    CP: 14,
+    EX: 15,
+    IS: 16,
+    SY: 17,
+    OP: 18,
+    QU: 19,
+    NS: 20,
+    B2: 21,
+    CB: 22,
+    BB: 23,
+    HL: 24,
+    IN: 25,
+    NU: 26,
+    PR: 27,
+    PO: 28,
+    ID: 29,
+    EB: 30,
+    EM: 31,
+    JL: 32,
+    JV: 33,
+    JT: 34,
+    H2: 35,
+    H3: 36,
+    RI: 37,
+    AK: 38,
+    AP: 39,
+    AS: 40,
+    VF: 41,
+    VI: 42
+};
+
+// 规则用到的其他属性，可以同时具有多个（按位或），单独保存在另一个 trie 里：
+// - EastAsian 为 East_Asian_Width 属性为 F, W 或 H 的字符，规则 LB19a, LB21a, LB30 需要用到
+// - Pi 和 Pf 为一般类别（General_Category）为 Pi 和 Pf 的字符，规则 LB15a, LB15b, LB19 需要用到
+// - ExtPictCn 为 Extended_Pictographic 而且未分配（Cn）的字符，规则 LB30b 需要用到
+const properties = {
+    EastAsian: 1,
+    Pi: 2,
+    Pf: 4,
+    ExtPictCn: 8
+};
+
+// LB1
+const resolvedClasses = {
+    AI: 'AL',
+    SG: 'AL',
+    XX: 'AL',
+    CJ: 'NS'
+};
+
+const rangePattern = /^([0-9A-F]+)(?:\.\.([0-9A-F]+))?\s*;\s*([A-Za-z_0-9]+)/gm;
+
+/**
+ * 读取本地 UCD 目录里的数据文件，目录的结构可以跟 unicode.org 上的 ucd 目录
+ * 一致（比如 emoji/emoji-data.txt），也可以把所有文件直接放在该目录下。
+ *
+ * @param {*} ucdDir
+ * @param {*} filePath 相对于 ucd 目录的文件路径
+ * @returns
+ */
+const readUcdFile = async function (ucdDir, filePath) {
+    const candidates = [path.join(ucdDir, filePath), path.join(ucdDir, path.basename(filePath))];
+    for (const candidate of candidates) {
+        try {
+            return await fsPromise.readFile(candidate, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+    throw new Error(`Cannot find "${filePath}" in directory "${ucdDir}".`);
+};
+
+/**
+ * 读取 UCD 数据文件，并逐个范围调用 callback(start, end, value)
+ *
+ * @param {*} ucdDir
+ * @param {*} filePath 相对于 ucd 目录的文件路径
+ * @param {*} callback
+ */
+const eachRange = async function (ucdDir, filePath, callback) {
+    const data = await readUcdFile(ucdDir, filePath);
+    const re = new RegExp(rangePattern);
+    let match = null;
+    while ((match = re.exec(data)) !== null) {
+        const start = parseInt(match[1], 16);
+        const end = match[2] ? parseInt(match[2], 16) : start;
+        callback(start, end, match[3]);
+    }
+};
+
+const main = async function () {
+    const ucdDir = process.argv[2] || process.env.UCD_DIR;
+    if (!ucdDir) {
+        console.log('Usage:');
+        console.log('$ npm run generate_data -- <ucd-dir>');
+        console.log(`where <ucd-dir> contains the UCD ${UNICODE_VERSION} files (LineBreak.txt, EastAsianWidth.txt,`);
+        console.log('emoji/emoji-data.txt and extracted/DerivedGeneralCategory.txt), e.g. the extracted');
+        console.log(`https://www.unicode.org/Public/${UNICODE_VERSION}/ucd/UCD.zip`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const values = new Uint8Array(0x110000); // 默认为 AL（即 XX）
+
+    const fill = (start, end, value) => {
+        values.fill(value, start, end + 1);
+    };
+
+    // LineBreak.txt 文件头部说明了未列出的码点的默认值：
+    // 表意文字以及 emoji 区段里未分配的码点默认为 ID，货币符号区段默认为 PR，
+    // 其余默认为 XX。
+    fill(0x3400, 0x4DBF, classes.ID);
+    fill(0x4E00, 0x9FFF, classes.ID);
+    fill(0xF900, 0xFAFF, classes.ID);
+    fill(0x20000, 0x2FFFD, classes.ID);
+    fill(0x30000, 0x3FFFD, classes.ID);
+    fill(0x1F000, 0x1FAFF, classes.ID);
+    fill(0x1FC00, 0x1FFFD, classes.ID);
+    fill(0x20A0, 0x20CF, classes.PR);
+
+    // SA 需要根据 General_Category 转换
+    const complexContextRanges = [];
+
+    await eachRange(ucdDir, 'LineBreak.txt', (start, end, property) => {
+        if (property === 'SA') {
+            complexContextRanges.push([start, end]);
+            property = 'AL';
+        } else if (resolvedClasses[property] !== undefined) {
+            property = resolvedClasses[property];
+        }
+
+        if (classes[property] === undefined) {
+            throw new Error(`Unknown Line_Break property value: ${property}`);
+        }
+        fill(start, end, classes[property]);
+    });
+
+    const combiningMarks = new Uint8Array(0x110000);
+    const unassigned = new Uint8Array(0x110000).fill(1);
+    const flags = new Uint8Array(0x110000);
+
+    const setFlag = (start, end, flag) => {
+        for (let codePoint = start; codePoint <= end; codePoint++) {
+            flags[codePoint] |= flag;
+        }
+    };
+
+    await eachRange(ucdDir, 'extracted/DerivedGeneralCategory.txt', (start, end, category) => {
+        if (category === 'Mn' || category === 'Mc') {
+            combiningMarks.fill(1, start, end + 1);
+        } else if (category === 'Pi') {
+            setFlag(start, end, properties.Pi);
+        } else if (category === 'Pf') {
+            setFlag(start, end, properties.Pf);
+        }
+
+        if (category !== 'Cn') {
+            unassigned.fill(0, start, end + 1);
+        }
+    });
+
+    for (let [start, end] of complexContextRanges) {
+        for (let codePoint = start; codePoint <= end; codePoint++) {
+            if (combiningMarks[codePoint] === 1) {
+                values[codePoint] = classes.CM;
+            }
+        }
+    }
+
+    // 跟 LineBreak.txt 一样，EastAsianWidth.txt 里未列出的表意文字区段的码点默认为 W
+    setFlag(0x3400, 0x4DBF, properties.EastAsian);
+    setFlag(0x4E00, 0x9FFF, properties.EastAsian);
+    setFlag(0xF900, 0xFAFF, properties.EastAsian);
+    setFlag(0x20000, 0x2FFFD, properties.EastAsian);
+    setFlag(0x30000, 0x3FFFD, properties.EastAsian);
+
+    await eachRange(ucdDir, 'EastAsianWidth.txt', (start, end, width) => {
+        if (width === 'F' || width === 'W' || width === 'H') {
+            setFlag(start, end, properties.EastAsian);
+        } else {
+            for (let codePoint = start; codePoint <= end; codePoint++) {
+                flags[codePoint] &= ~properties.EastAsian;
+            }
+        }
+    });
+
+    await eachRange(ucdDir, 'emoji/emoji-data.txt', (start, end, property) => {
+        if (property !== 'Extended_Pictographic') {
+            return;
+        }
+
+        for (let codePoint = start; codePoint <= end; codePoint++) {
+            if (unassigned[codePoint] === 1) {
+                flags[codePoint] |= properties.ExtPictCn;
+            }
+        }
+    });
+
+    const trie = new UnicodeTrieBuilder(classes.AL);
+    let start = 0;
+    for (let codePoint = 1; codePoint <= 0x110000; codePoint++) {
+        if (codePoint === 0x110000 || values[codePoint] !== values[start]) {
+            if (values[start] !== classes.AL) {
+                trie.setRange(start, codePoint - 1, values[start]);
+            }
+            start = codePoint;
+        }
+    }
+
+    const propertyTrie = new UnicodeTrieBuilder(0);
+    start = 0;
+    for (let codePoint = 1; codePoint <= 0x110000; codePoint++) {
+        if (codePoint === 0x110000 || flags[codePoint] !== flags[start]) {
+            if (flags[start] !== 0) {
+                propertyTrie.setRange(start, codePoint - 1, flags[start]);
+            }
+            start = codePoint;
+        }
+    }
+
+    const output = {
+        trie: trie.toBuffer().toString('base64'),
+        classes,
+        propertyTrie: propertyTrie.toBuffer().toString('base64'),
+        properties
+    };
+    await fsPromise.writeFile(path.join(__dirname, `classes-v${UNICODE_VERSION}.js`), 'module.exports = ' + JSON.stringify(output, undefined, ' '));
+
+    console.log('Usage:');
+    console.log(`const classesData = require('./classes-v${UNICODE_VERSION}')`);
+    console.log('const trie = classesData.trie');
+    console.log('const { ' + Object.keys(classes).join(', ') + ' } = classesData.classes');
+    console.log('const propertyTrie = classesData.propertyTrie');
+    console.log('const { ' + Object.keys(properties).join(', ') + ' } = classesData.properties');
+};
+
+main();
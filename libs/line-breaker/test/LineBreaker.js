@@ -0,0 +1,96 @@
+const LineBreaker = require('../src/LineBreaker');
+const chai = require('chai');
+const fsPromise = require('fs/promises');
+const punycode = require('punycode/');
+
+const expect = chai.expect;
+
+/**
+ * 读取 UCD 的测试数据文件，返回 [{str, expected, comment}, ...]
+ *
+ * @param {*} fileName
+ * @returns
+ */
+const readTestCases = async function (fileName) {
+    let data = await fsPromise.readFile(__dirname + '/' + fileName, 'utf8');
+    let testCases = [];
+    for (let line of data.split('\n')) {
+        if (!line || /^#/.test(line)) {
+            continue;
+        }
+
+        let [cols, comment] = line.split('#');
+        let codePoints = cols.split(/\s*[×÷]\s*/).filter(Boolean).map((c) => {
+            return parseInt(c, 16);
+        });
+
+        // 注意 LineBreakTest.txt 的每一行以 '×' 开头
+        let expected = cols.split(/\s*÷\s*/).filter(Boolean).map((c) => {
+            let codes = c.split(/\s*×\s*/).filter(Boolean).map((c) => {
+                return parseInt(c, 16);
+            });
+            return punycode.ucs2.encode(codes);
+        });
+
+        testCases.push({
+            str: punycode.ucs2.encode(codePoints),
+            expected: expected,
+            comment: comment.trim()
+        });
+    }
+    return testCases;
+};
+
+describe('LineBreaker', function () {
+    it('basic test', function () {
+        let broken = LineBreaker.break('The quick (“brown”) fox can’t jump 32.3 feet, right?');
+        expect(broken).to.deep.equal([
+            'The ', 'quick ', '(“brown”) ', 'fox ', 'can’t ', 'jump ', '32.3 ', 'feet, ', 'right?']);
+    });
+
+    it('CJK', function () {
+        let broken = LineBreaker.break('（中文）、日本語のテキスト。');
+        expect(broken).to.deep.equal([
+            '（中', '文）、', '日', '本', '語', 'の', 'テ', 'キ', 'ス', 'ト。']);
+    });
+
+    it('emoji', function () {
+        let broken = LineBreaker.break('👩‍❤️‍👩🇺🇸🇨🇳👍🏻');
+        expect(broken).to.deep.equal(['👩‍❤️‍👩', '🇺🇸', '🇨🇳', '👍🏻']);
+    });
+
+    it('quotation marks, numbers and hyphens', function () {
+        // LB19a: 东亚文字之间的引号可以断开
+        expect(LineBreaker.break('他说“你好”然后走了')).to.deep.equal([
+            '他', '说', '“你', '好”', '然', '后', '走', '了']);
+        expect(LineBreaker.break('He said “hi” then')).to.deep.equal(['He ', 'said ', '“hi” ', 'then']);
+
+        // LB15c, LB25
+        expect(LineBreaker.break('1.5 .5 $(12.35)')).to.deep.equal(['1.5 ', '.5 ', '$(12.35)']);
+
+        // LB20a
+        expect(LineBreaker.break('e.g. -x')).to.deep.equal(['e.g. ', '-x']);
+    });
+
+    it('opportunities', function () {
+        let str = 'foo bar\nbaz\r\n';
+        let opportunities = Array.from(LineBreaker.opportunities(str));
+        expect(opportunities).to.deep.equal([
+            { position: 4, required: false },
+            { position: 8, required: true },
+            { position: 13, required: true }
+        ]);
+
+        expect(Array.from(LineBreaker.opportunities(''))).to.deep.equal([]);
+        expect(Array.from(LineBreaker.opportunities('foo'))).to.deep.equal([
+            { position: 3, required: false }
+        ]);
+    });
+
+    it('should pass all tests in LineBreakTest.txt', async function () {
+        let testCases = await readTestCases('LineBreakTest-17.0.0.txt');
+        for (let { str, expected, comment } of testCases) {
+            expect(LineBreaker.break(str)).to.deep.equal(expected, comment);
+        }
+    });
+});
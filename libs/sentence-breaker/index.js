@@ -0,0 +1,3 @@
+const SentenceBreaker = require('./src/SentenceBreaker');
+
+module.exports = SentenceBreaker;
\ No newline at end of file
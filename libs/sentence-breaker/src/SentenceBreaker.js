@@ -0,0 +1,391 @@
+const classesData = require('./classes-v17.0.0');
+const trie = classesData.trie;
+const {
+    CR, LF, Extend, Sep, Format, Sp, Lower, Upper, OLetter, Numeric,
+    ATerm, SContinue, STerm, Close
+} = classesData.classes;
+
+const UnicodeTrie = require('unicode-trie');
+
+const classTrie = new UnicodeTrie(Buffer.from(trie, 'base64'));
+
+// 句子边界的规则详细见：
+// https://www.unicode.org/reports/tr29/#Sentence_Boundary_Rules
+
+const isHighSurrogate = function (code) {
+    return code >= 0xD800 && code <= 0xDBFF;
+};
+
+const isLowSurrogate = function (code) {
+    return code >= 0xDC00 && code <= 0xDFFF;
+};
+
+/**
+ * 判断 index 是否位于一个代理对（surrogate pair）的中间
+ */
+const isInsideSurrogatePair = function (str, index) {
+    return isLowSurrogate(str.charCodeAt(index)) &&
+        isHighSurrogate(str.charCodeAt(index - 1));
+};
+
+/**
+ * 返回位于 index 的码点之后的码点的位置
+ */
+const nextCodePointIndex = function (str, index) {
+    return index + (isHighSurrogate(str.charCodeAt(index)) &&
+        isLowSurrogate(str.charCodeAt(index + 1)) ? 2 : 1);
+};
+
+/**
+ * 返回位于 index 的码点之前的码点的位置
+ */
+const previousCodePointIndex = function (str, index) {
+    return index - (isInsideSurrogatePair(str, index - 1) ? 2 : 1);
+};
+
+const classAt = function (str, index) {
+    return classTrie.get(str.codePointAt(index));
+};
+
+// SB5 规则当中被忽略的字符
+const isIgnorable = function (c) {
+    return c === Extend || c === Format;
+};
+
+const isParaSep = function (c) {
+    return c === Sep || c === CR || c === LF;
+};
+
+const isSATerm = function (c) {
+    return c === STerm || c === ATerm;
+};
+
+/**
+ * 从 index 开始（包括 index）向后跳过 SB5 规则当中被忽略的字符，
+ * 返回第一个有效字符的位置，如果没有则返回 -1。
+ *
+ * 注意 SB5 不适用于段落分隔符（ParaSep）之后的 Extend 和 Format，所以
+ * 当跳过之后遇到 ParaSep 时，同样返回 -1。
+ */
+const skipIgnorableBackward = function (str, index) {
+    let skipped = false;
+    while (index >= 0 && isIgnorable(classAt(str, index))) {
+        index = previousCodePointIndex(str, index);
+        skipped = true;
+    }
+
+    if (skipped && index >= 0 && isParaSep(classAt(str, index))) {
+        return -1;
+    }
+
+    return index;
+};
+
+/**
+ * 返回 index 之前的有效字符的位置，如果没有则返回 -1。
+ */
+const previousEffectiveIndex = function (str, index) {
+    return index > 0 ? skipIgnorableBackward(str, previousCodePointIndex(str, index)) : -1;
+};
+
+/**
+ * 匹配 index 位置（包括 index）及之前的 SATerm Close* Sp*
+ *
+ * @returns 返回 {term, hasSp}，term 为 SATerm 的类别（ATerm 或者 STerm），
+ *     不匹配时为 null。
+ */
+const matchTermBackward = function (str, index) {
+    let termIndex = index;
+    let hasSp = false;
+    while (termIndex >= 0 && classAt(str, termIndex) === Sp) {
+        termIndex = previousEffectiveIndex(str, termIndex);
+        hasSp = true;
+    }
+
+    while (termIndex >= 0 && classAt(str, termIndex) === Close) {
+        termIndex = previousEffectiveIndex(str, termIndex);
+    }
+
+    if (termIndex < 0 || !isSATerm(classAt(str, termIndex))) {
+        return { term: null, hasSp: false };
+    }
+
+    return { term: classAt(str, termIndex), hasSp: hasSp };
+};
+
+/**
+ * 向后扫描越过一个字符时，更新 SATerm Close* Sp* 的匹配状态
+ *
+ * @param {*} state {term, hasSp}，见 matchTermBackward()
+ * @param {*} c 所越过的字符的类别
+ */
+const advanceTerm = function (state, c) {
+    if (isIgnorable(c)) {
+        return;
+    }
+
+    if (isSATerm(c)) {
+        state.term = c;
+        state.hasSp = false;
+    } else if (c === Sp && state.term !== null) {
+        state.hasSp = true;
+    } else if (c !== Close || state.hasSp) {
+        state.term = null;
+        state.hasSp = false;
+    }
+};
+
+/**
+ * SB8 的向后查找，即从 index 开始，在遇到 OLetter, Upper, ParaSep 或者
+ * SATerm 之前是否有 Lower。
+ *
+ * @returns 返回 {end, lower}，end 为查找停止的位置，从 index 与 end
+ *     之间的任意位置开始查找的结果均相同。
+ */
+const lookAheadLower = function (str, index) {
+    let idx = index;
+    for (; idx < str.length; idx = nextCodePointIndex(str, idx)) {
+        const c = classAt(str, idx);
+        if (c === Lower) {
+            return { end: idx, lower: true };
+        }
+
+        if (c === OLetter || c === Upper || isParaSep(c) || isSATerm(c)) {
+            break;
+        }
+    }
+    return { end: idx, lower: false };
+};
+
+/**
+ * 判断 index 位置（即第 index 个 UTF-16 字符之前）是否为句子边界
+ *
+ * @param {*} str
+ * @param {*} index 必须位于码点的边界，即不能在代理对的中间
+ * @param {*} state 可选，向后扫描时由调用者维护的状态 {term, hasSp, lookahead}，
+ *     其中 term 和 hasSp 为 index 之前的 SATerm Close* Sp* 的匹配状态，
+ *     lookahead 为上一次 SB8 向后查找的结果。未指定时则向前回溯匹配。
+ * @returns
+ */
+const isBoundary = function (str, index, state) {
+    // SB1, SB2
+    if (index <= 0 || index >= str.length) {
+        return true;
+    }
+
+    const previousIndex = previousCodePointIndex(str, index);
+    const previous = classAt(str, previousIndex);
+    const next = classAt(str, index);
+
+    // SB3
+    if (previous === CR && next === LF) {
+        return false;
+    }
+
+    // SB4
+    if (isParaSep(previous)) {
+        return true;
+    }
+
+    // SB5
+    if (isIgnorable(next)) {
+        return false;
+    }
+
+    // 以下规则的字符均跳过 Extend 和 Format
+    const leftIndex = skipIgnorableBackward(str, previousIndex);
+    if (leftIndex < 0) {
+        return false;
+    }
+
+    const left = classAt(str, leftIndex);
+    const right = next;
+
+    // SB6
+    if (left === ATerm && right === Numeric) {
+        return false;
+    }
+
+    // SB7
+    if (left === ATerm && right === Upper) {
+        const left2Index = previousEffectiveIndex(str, leftIndex);
+        if (left2Index >= 0) {
+            const left2 = classAt(str, left2Index);
+            if (left2 === Upper || left2 === Lower) {
+                return false;
+            }
+        }
+    }
+
+    // 匹配左侧的 SATerm Close* Sp*
+    const { term, hasSp } = state !== undefined ? state : matchTermBackward(str, leftIndex);
+    if (term === null) {
+        // SB998
+        return false;
+    }
+
+    // SB8
+    if (term === ATerm) {
+        let lookahead = state !== undefined ? state.lookahead : undefined;
+        if (lookahead === undefined || lookahead.end < index) {
+            lookahead = lookAheadLower(str, index);
+            if (state !== undefined) {
+                state.lookahead = lookahead;
+            }
+        }
+
+        if (lookahead.lower) {
+            return false;
+        }
+    }
+
+    // SB8a
+    if (right === SContinue || isSATerm(right)) {
+        return false;
+    }
+
+    // SB9
+    if (!hasSp && (right === Close || right === Sp || isParaSep(right))) {
+        return false;
+    }
+
+    // SB10
+    if (right === Sp || isParaSep(right)) {
+        return false;
+    }
+
+    // SB11
+    return true;
+};
+
+/**
+ * 从 index 之后开始向后检查每个位置是否为句子边界，对每个边界调用
+ * callback(position)，当 callback 返回 false 时停止扫描。
+ *
+ * 扫描时维护左侧 SATerm Close* Sp* 的匹配状态，并复用 SB8 向后查找的
+ * 结果，所以扫描整个文本只需线性的时间。
+ */
+const scanBreaks = function (str, index, callback) {
+    let i = index + 1;
+    if (isInsideSurrogatePair(str, i)) {
+        i++;
+    }
+
+    if (i >= str.length) {
+        return;
+    }
+
+    const leftIndex = skipIgnorableBackward(str, previousCodePointIndex(str, i));
+    const state = leftIndex >= 0 ? matchTermBackward(str, leftIndex) : { term: null, hasSp: false };
+    state.lookahead = undefined;
+
+    while (i < str.length) {
+        if (isBoundary(str, i, state) && callback(i) === false) {
+            return;
+        }
+
+        advanceTerm(state, classAt(str, i));
+        i = nextCodePointIndex(str, i);
+    }
+};
+
+const sb = {};
+
+/**
+ * 返回 index 之后的下一个句子边界的位置
+ *
+ * @param {*} string
+ * @param {*} index
+ * @returns 如果 index 超出文本范围，则返回文本的长度。
+ */
+sb.nextBreak = function (string, index = 0) {
+    if (index < 0) {
+        return 0;
+    }
+
+    let brk = string.length;
+    scanBreaks(string, index, (i) => {
+        brk = i;
+        return false;
+    });
+    return brk;
+};
+
+/**
+ * 返回 index 之前的上一个句子边界的位置
+ *
+ * @param {*} string
+ * @param {*} index
+ * @returns 如果 index 超出文本范围，则返回文本的长度。
+ */
+sb.previousBreak = function (string, index = string.length) {
+    if (index > string.length) {
+        return string.length;
+    }
+
+    for (let i = index - 1; i > 0; i--) {
+        if (isInsideSurrogatePair(string, i)) {
+            continue;
+        }
+
+        if (isBoundary(string, i)) {
+            return i;
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * 判断指定位置是否为句子边界
+ *
+ * @param {*} string
+ * @param {*} index
+ * @returns
+ */
+sb.isBreak = function (string, index) {
+    if (index < 0 || index > string.length || isInsideSurrogatePair(string, index)) {
+        return false;
+    }
+    return isBoundary(string, index);
+};
+
+/**
+ * 将文本拆分为句子
+ *
+ * 句子末尾的空格以及换行符属于该句子。
+ *
+ * @param {*} str
+ * @returns
+ */
+sb.break = function (str) {
+    const res = [];
+    let index = 0;
+    scanBreaks(str, 0, (brk) => {
+        res.push(str.slice(index, brk));
+        index = brk;
+    });
+    if (index < str.length) {
+        res.push(str.slice(index));
+    }
+    return res;
+};
+
+/**
+ * 计算句子的个数
+ *
+ * @param {*} str
+ * @returns
+ */
+sb.countBreaks = function (str) {
+    let count = 0;
+    scanBreaks(str, 0, () => {
+        count++;
+    });
+    if (str.length > 0) {
+        count++;
+    }
+    return count;
+};
+
+module.exports = sb;
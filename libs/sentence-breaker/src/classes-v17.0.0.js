@@ -0,0 +1,20 @@
+module.exports = {
+ "trie": "AAgOAAAAAADAFwEAAUcSuO3tXQmsXUUZnm7vvfveu/e9R4ESWQpUAQsWZJcikKKlggKCslQCZdEiFCuLZauiRaTWEEqNrBFb3ArBpCACRaItIFAWbSNICzG2bpQYlgaFEiP1O5w5ufOGWf7Zzrl9vX/yZWbOmeXfz5xzz713z5GM7QdMBI4EpgJnAecBFwFXAHOAucB84GZgIbAYWALcD/wGeBz4PbAKWAOsA14BNgDvAP8B/geMGsVYHdgK+ACwKzAemAAcCBwGTAaOBU4CTgCmAmcA04ELgK8BXweuAa4DfgDcBvwYWAwsAX4J/Bp4FHgaWAWsAVYDa4H1wBvARmAT0NnBWG+Dsb6OfL4xKMcCuwF7APsABwNHAJOBY4GTgNOBc4AZwCXAbGAOMA9YANzK23cAdwH3Ag8BjwBr+hl7CuVKYDWwFlgPvAa8BbwLdHQy1gOMBrYHxgH94HM8yn2B58DrISgnAcdAv9vh3NGon8DbU1GeBeyE4+ehvBC4DPgmP5/JOhf1+cDNwMLO3Car6tBFb36egg828nIvlLsC+/P2PrxcjHm3G2Ds+Xo+f4YxvTn/1DVsOARrvd3TbB+B9hKs+yCwDHiyMz/+FLAS9XXQ/+rOZv8p6L8W7X/yY8ejfQrwGtrTUH6Ry3IByosbuf7e4n3fRdnRBZ/HnA2Uo7vy89t35euNQ7knsB8wsSsfM4mXR6O8EvPNAcZCJ/NQnoBjp2RjR6qxgeMKCbv3Dm7vjfZBwOHAUbx+HHAycAYwDWssg842AU8C03tzvl8FzsW5mWhfClzVm8fptfw8FQfA5hMH3MasqedrXe+4lgmHgYfJAh+Hov4ZR74yfJ6POQ3l2R7jZRT5L7PpTZLtvsrt/yMeh5ehvQC+cStHZv/zwcMdqO/syUsn5v5mVzMO5wr1uzDvvcAOjWaMPMDr742vhcsfK/bbaGNLQjt+2mijjTbaaKONNtoYCvhto3lv+UTD3v8P6PNCI79fno9715u7mucWov4izv2c31ffjfI+4CFgObACWIw+S/iYtej7IH9eswzlk135c8KVKF/I6o38eeAtOPYXtF/m415H+Tawibc7wXsfMAZ4A2NWZs+5gJd6m89vsn5ja9Xru4022mhjS8JG5ORNwPC+eM+X22ijjaEHl7zS3desN3hu2R17vG1R30k4tyvqLxH2tgXGZ3PxveK+fJ6DUR4K7I3jBwH9A4x9om/wuJU9jG3ozz/b/xv2np/G+RdH5Z9pfg711T3V63evgRznAouB9cDOWzE2DVgIrAa2Gw3ZgG8DjwHPAVtvzdgUYC7wILAROHgbHANmA/cB/wb235axGcBC4BmgdwzmAqYBC4F10N0u3YydCSwCLq8z9hNgHeoLhzH2d9SXdTSxC3R2Zk9+LkP2ufc5jcF9rkP7WWBRT95+AuVw6H8SMAd4BPgY5p3R35wnFup9eflJlNfw+vy+wX0e78v5Wi8c34Pzckz/YFnaaKONNtpIg+G4DuyIa8VpyMXn9L1/z3Fqo3mtzNozpHuWwxXvYKwv3lNC36P4vuGivvz9tuPQnsX3Cd/gc2XvoOwF/Iu/Z5KdXwe+3kT7HX7sO3zMKzg+DKjV8/a8PtoeJntvJXufKtu3DGDsNvUmvwuyOfry8wv4O1fFuR/y442+wXr4qdA+GTKdDuwxkMu+no/P3nn7Epf/eL7+/Y18/6Xa4/1C0Mcb9fw53Y5czq9gno2oz0L5obp5T/OebtHvV5jv6lrOz8Oof6+W7+O+z8tH+3J5s3fCVmDMbTh2Ry1v34XyXuDpvry9FPXlwO/4+ewZ5LPc9n9En+dR/zNvv4j2X4Eb0ecfOPYq8CbwX2BEd37d70E5Gti+O+f3QMw5DvU5XF/ZO5N7duvl2w/nJnY321n/I4X2Mai/g70EG8jf/TsR7dc199tZ/y9Ia2U2yPT/NsZsAs7G+fOFPqMw98VoXwlcDVwLXM9lubG7uV+e0jDbqY55/oT+twPboL4D8DPU7xbWGodj96H9MDAe9ce683cHKfvbZ9D3OWBNd76nLI7v2z+Yj6qxFnvUV7qrWdumw+yeZYPGF4cCYuhwCs+bk/rzdlafmcUgt+kw2PdTOPfZ/vwdXF8+TzX4fRGzEwbU8tV68ncW+4T7zjEtcA8q6vG7kG8seHq5Bfgy4c0Izy4zW+wOOSc4ynoA+n8cOFI1zlNvH4FP7l/P74sPB44CjgNOBj4KnAFMB2YClwCT680x+/Axs4EJwFV8zLXA9cBNwO3APGABcCuwCLgOuBPoivAeb6bLE7l/T+XPCL7cQj50D+Rcaoj7C8Hr5T15/C5Hv29JvL8XGzh2A/G6l11/b+Dv4t8SooeaZXwtf84Soptb+vV59U4+d5bbVkAv97SQTUUsggx3AvcAS4HlwAqqrYDXe5rfKdigOL/BgKUtqhMXfBi2fZdjpGHPWDUu9shVZe/nGpr7qwwPGJ57H+Lgr0MGwjsgFxDvpVPhVIfPJGzQ3eu1mq+2Es40XIeqRvbsZHp/8xnJloqZRBtdin6zgasdbbo5vJNQtS+mxFCXr0DDcK2ZVfF1qGrsVrH8qyJeB2ZtBvmkFXJNb8S9T0z4PqtLgRjPnEJBoQ5gOC8zDKMNI88Nk7CG4lxDQEG9HD283U1EMU6kOi+7SkIhhyxrZ0nQrb+lEzEMolAHsZ9or1GEvqbxIqX0b9v8qf2bEfp0DfEyVp9WLk1ymfrIdVkf8nHbGF0fKt9U/lR9MtQU/NQk2OQpy+dc59LJ3gr+F1teFXS20ukkdL3NBbUW4EHFkw5FH5lMY1TwJRW/JqpJZSiN2MIhx1+h16JdkGyjXt5HR11C2SW1xeOqPOEDeS0dUsaZ6hqhuh6nLHU8MamvjtfNHVXn2tT2pZYZucT9UCpDYqcV+A+1e1mxVpB8LRafY1UdjxmK52g6qvoa7AMmlbq6jVz3eSGgrO1KuuepOpKfs7rqPHvWVRdQpv5sSOFn1OfXTKqLPFWtl1ZC4TM2nTPDedneqr5FH6r9VDFY8FvAlUYJfA6FmBD1MtTgogfRR1zJxx9bWSdyzGTXlrp0rAzfUfGl45fSj0J1qRSPF8fKtpNMtrGmPhmZ9hMu/hEz/nyv46nXCJE/pU/E1K9tLlf+ilhx2WfFjhdKjDBD2xW2sYwNXkfVvyCKTcS+qnYxh41M+UXmUV7L9bpHpaKvTi6ZL5UOVbKYxsWyr60uykW5RpnsK/czEcUfZaLaV5UnbPzI5Bq/KptQx8W0r2/8qnxA1S7WCqHQ+KWu4SInxR7M0HaBb/40kalf7PzJWLgPFDzbfF0lh26Mqi9T9Nf1062jOk6NYZFs+dXko9T4o+Q5nz0Vs7Rj5zcX/VL3J1T9mnSm0gNT1FPnNxPJupB5bjX76voWVLZ9VaTiNTR/1pidLxOv1NhNYV9fiDyH2lP0EZHk9Uyk4q2g2PFqso3PfpNqd9v6uv4q3dnsZepjizFXfVPiWkWx/Fj2G6qslPgwzRfql7rc4KIbqvyqWDXlJ5ZAfpufx6bYfk5dUy4bElyuFzZ9UWxOze8+cWC7NpQNCvnkKh/yuR7HQjYn1b91n3lSeTWdV7Vt8rqslUK3xRjX51yyD8a4vrnmhVBdUfRHoZiyiWu7fD4fe31X8rWj3PZdP3ZOkT/rVMmr4rP4nNh0XFxnFHOLPx2ZbFlWXBZrUfkLiUvXa2Po+NR6q2J9F13Eji8XG9jyQSZLnZnfaUrBVwip5i0rTnW2t43JyPVzbdkePu+cxbKJ6B9V6T0kp4m8UvWfggefGIi1LoUf3/caTRQjH6p0YLKLSldFHMrU4YBizzGC1+Xv+at+s0K+r9fd51eVV1Xf+aD2FXkQv28hk+n6QsmdOrKdt1Ghu5CcoxvPCOeoa/tClFP0E7GP7/dqVDphimM2vZX9faACsa5hojyq9z5tpMtprnkvBii5JTTfqOZrxb2EjXzeUzTJHwpbDmBCm+JPlPiN/X2fMq59tjGmPVDGY6rnDVQdhexfdevHsAPVFq5yy3P76L+s76fJclLi0ydGdHOb1hohjZX5TUEq3YTmA5UdQ/zPBPF+t6DQ+Dd9L9eVqHPo/MYHxT1OXaoXvwlo+6260PUZe/99lu0eS/W7hGXSCE29CkqV+6jXA7kvs/S37XNkmVLKqMpnJnltubgMstnJRqH5zvZbCUzBU8FXxm/obx242FOlE9W1vUyy+T/1WmayufwZgOm+VbcedXwo2a7XKdcWyeVzf9UejEIx9o0+fiF+/iA+96eSmA9SX2OocrnkMfl+wcVuseUV56WQymfkuFDFTVF3ub8U+fK9v3K1pSiLWJfjrCoKycMZxX6elBF1L6Nru8I2Vl7Ldj22+Yksu0oXokw60tnE5LeqtUx2pvqBjmLmF5VNqH4ry66STSdvTShDPteugkx6seXdjHzjWxcHsv1slOL5ZYxcL8pJ8T+T36j2s1RQ4tz2jpuJytS/67W18CcTuc4XKr98T5F6f2HLy6F51pZTTbFQk8rCFxmj59Aq4z9WHpCvV2WSi0+lulZT9Kg6L5Iqf1J06RpTZcSpfE0Qc1gq/coxm8oHGHGdEB5d8p9MKf1YJFWOpPi/jcrKhzbb6OQRfSBkfR8eKXtzWd++Pl5FjlTJ4Sq/TC7PBVVk0mFofqRQaB6uan9h4t/Fhin9jeJPPjKLsqf0E1VuCrFXwasLufqzTD56dR0vzyHaP9QuofHpkxNCySf3ZhhlQQydpaLU61RhR3nd2Ii1FkUGF3lFivn5oo73KmPaNndMO1PX0vVVUej7AiEUQ/8he5+CBx0oc4Tse2JQ6H6rqv2nqOMQHlz3IzKF5gY5Hmz+JFPszy/Lzn89Unskh2r/Qf1vWPHdQ/keQDWv7riur2veKvhxeT8qJkTZyyBZXyKFykK1k8l+ZVNV62aUxUxZfkZ957fol/r9teJ7pPJvXah4pr7HTOkntsuOcznHpP7vLdu+jrIHNH2XNVQnqb/XaJOJ0s8Em3597RO6fqvwz4T+qjK1/KH+77M+s4xnbDAPMh+U8Tr+5eOmsb7yq8iXfx8Sc3mI7UVS8SX7ucru8jHVXC46MMWKyodU/ijnWJNf6Hiw6UynR1dSXQt0++MUFOIzMUi8bql8S1fK/VXjKHFtklcnt3g81r2PSVZTSdGVz3w23ansQZnfJLNqPxQin85PTP7jOq9OD7KMTCpN86cglS5r0nGKr1L292XBZT2KXlLzEArx/q0oQ+eMcf8SE7Ht42NPkVx5p553lS1UF7bxTKoz4Zi4j6rC76lrqSilb1Ao5lw+FDs+dUhl+xT8sBLWbxX9qeRhwrpMaDPDOZc8p5KHSWUM28Swj24+ndwU2W19XGWMET86eUz8i5RKnqEQTyn4pOg9FkLs5wLTOpuznCnlcllH9Bvq5+42UHUg7w9j6VVFrv1DKDbvrlR2PqP6LxNKFc8FxXo+Fpuo8Rf6/kpo/IfqwzU/xs63rkTVd+rnETqqUjcUCo2t0HilPiuU+6l4YMw8V0x+U85JWUOW3aYrn/Gh66eWL5VtMkrxW58i+Y6TKTaPrbI+lcqQ34VH1991js1LiC514110kNr+LvciIeN1MpVtV1+U8XvFLj6Ycj0T2canPu/7u7Ly7xBQSX73tGz7U2xUJk+u/mKjqtYNWT+W7nzzSTE2Rj5yzb8pKaWPUt8jb4U4svULPe8ivytVoZdWsA11nqr4dlnfl0/dOKY4r6tXrR8blc1ngVjfFwmVIzXF5Ef+7zff9V34Kr63VNir13F8avumOG/Tn48eqbLGmpvCf8rxlLl9qSzf89GPK6+6PrF0ETo+tW0p+k3Bp8kOMn82XmOvaaKy/Dpk3TKo7PV0PFD6lB1TIRTKT1W/j2GKrdA5VHOFzu8ynvJ/KTFlNcnd6n4c6n8hRJVfrlP9xHWNVAihGPkh5DcUqvKPmDGaIjarWiuUQueoIkeJ5OuPsZ6Xp/r9WQqV5U8x5oz1f8wpY7YK/xUpVjzr8pBrngrlIwap+HGZ29W+rRhLIvnGTwp7UHyNWc676sHVv1PkB7nOpHoMeeS5ZVKd04334Z8yn2q8i22oY3SyuM7ta2+ZKOukWt/kExRKoY+MyrovqPL+NMb6Mfg37Tnl952K/+IufjeTur78H97FumXJX7ZdU/EbCspvC5pItr/8n/C9mjXkeVU+V+b/+cb4b/iC31b4D/qydOe6Rhm6KFPPqnVdZKS+Xxqqt1TzxlgztewhVOXa4vo6flLrrCy5fXn9Pw==",
+ "classes": {
+  "Other": 0,
+  "CR": 1,
+  "LF": 2,
+  "Extend": 3,
+  "Sep": 4,
+  "Format": 5,
+  "Sp": 6,
+  "Lower": 7,
+  "Upper": 8,
+  "OLetter": 9,
+  "Numeric": 10,
+  "ATerm": 11,
+  "SContinue": 12,
+  "STerm": 13,
+  "Close": 14
+ }
+}
\ No newline at end of file
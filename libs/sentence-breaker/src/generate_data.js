@@ -0,0 +1,98 @@
+const fsPromise = require('fs/promises');
+const path = require('path');
+const UnicodeTrieBuilder = require('unicode-trie/builder');
+
+const UNICODE_VERSION = '17.0.0';
+
+// Sentence_Break 属性值，见 SentenceBreakProperty.txt
+const classes = {
+    Other: 0,
+    CR: 1,
+    LF: 2,
+    Extend: 3,
+    Sep: 4,
+    Format: 5,
+    Sp: 6,
+    Lower: 7,
+    Upper: 8,
+    OLetter: 9,
+    Numeric: 10,
+    ATerm: 11,
+    SContinue: 12,
+    STerm: 13,
+    Close: 14
+};
+
+const rangePattern = /^([0-9A-F]+)(?:\.\.([0-9A-F]+))?\s*;\s*([A-Za-z_]+)/gm;
+
+/**
+ * 读取本地 UCD 目录里的数据文件，目录的结构可以跟 unicode.org 上的 ucd 目录
+ * 一致（比如 emoji/emoji-data.txt），也可以把所有文件直接放在该目录下。
+ *
+ * @param {*} ucdDir
+ * @param {*} filePath 相对于 ucd 目录的文件路径
+ * @returns
+ */
+const readUcdFile = async function (ucdDir, filePath) {
+    const candidates = [path.join(ucdDir, filePath), path.join(ucdDir, path.basename(filePath))];
+    for (const candidate of candidates) {
+        try {
+            return await fsPromise.readFile(candidate, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+    throw new Error(`Cannot find "${filePath}" in directory "${ucdDir}".`);
+};
+
+/**
+ * 读取 UCD 数据文件，并逐个范围调用 callback(start, end, value)
+ *
+ * @param {*} ucdDir
+ * @param {*} filePath 相对于 ucd 目录的文件路径
+ * @param {*} callback
+ */
+const eachRange = async function (ucdDir, filePath, callback) {
+    const data = await readUcdFile(ucdDir, filePath);
+    const re = new RegExp(rangePattern);
+    let match = null;
+    while ((match = re.exec(data)) !== null) {
+        const start = parseInt(match[1], 16);
+        const end = match[2] ? parseInt(match[2], 16) : start;
+        callback(start, end, match[3]);
+    }
+};
+
+const main = async function () {
+    const ucdDir = process.argv[2] || process.env.UCD_DIR;
+    if (!ucdDir) {
+        console.log('Usage:');
+        console.log('$ npm run generate_data -- <ucd-dir>');
+        console.log(`where <ucd-dir> contains the UCD ${UNICODE_VERSION} file (auxiliary/SentenceBreakProperty.txt),`);
+        console.log('e.g. the extracted');
+        console.log(`https://www.unicode.org/Public/${UNICODE_VERSION}/ucd/UCD.zip`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const trie = new UnicodeTrieBuilder(classes.Other);
+
+    await eachRange(ucdDir, 'auxiliary/SentenceBreakProperty.txt', (start, end, property) => {
+        if (classes[property] === undefined) {
+            throw new Error(`Unknown Sentence_Break property value: ${property}`);
+        }
+        trie.setRange(start, end, classes[property]);
+    });
+
+    const output = { trie: trie.toBuffer().toString('base64'), classes };
+    await fsPromise.writeFile(path.join(__dirname, `classes-v${UNICODE_VERSION}.js`), 'module.exports = ' + JSON.stringify(output, undefined, ' '));
+
+    console.log('Usage:');
+    console.log(`const classesData = require('./classes-v${UNICODE_VERSION}')`);
+    console.log('const trie = classesData.trie');
+    console.log('const { ' + Object.keys(classes).join(', ') + ' } = classesData.classes');
+};
+
+main();
@@ -0,0 +1,121 @@
+const SentenceBreaker = require('../src/SentenceBreaker');
+const chai = require('chai');
+const fsPromise = require('fs/promises');
+const punycode = require('punycode/');
+
+const expect = chai.expect;
+
+/**
+ * 读取 UCD 的测试数据文件，返回 [{str, expected, comment}, ...]
+ *
+ * @param {*} fileName
+ * @returns
+ */
+const readTestCases = async function (fileName) {
+    let data = await fsPromise.readFile(__dirname + '/' + fileName, 'utf8');
+    let testCases = [];
+    for (let line of data.split('\n')) {
+        if (!line || /^#/.test(line)) {
+            continue;
+        }
+
+        let [cols, comment] = line.split('#');
+        let codePoints = cols.split(/\s*[×÷]\s*/).filter(Boolean).map((c) => {
+            return parseInt(c, 16);
+        });
+
+        let expected = cols.split(/\s*÷\s*/).filter(Boolean).map((c) => {
+            let codes = c.split(/\s*×\s*/).map((c) => {
+                return parseInt(c, 16);
+            });
+            return punycode.ucs2.encode(codes);
+        });
+
+        testCases.push({
+            str: punycode.ucs2.encode(codePoints),
+            expected: expected,
+            comment: comment.trim()
+        });
+    }
+    return testCases;
+};
+
+describe('SentenceBreaker', function () {
+    it('basic test', function () {
+        let broken = SentenceBreaker.break('He said, "Are you going?" John shook his head. The end.\nNew line');
+        expect(broken).to.deep.equal([
+            'He said, "Are you going?" ',
+            'John shook his head. ',
+            'The end.\n',
+            'New line']);
+    });
+
+    it('CJK terminators', function () {
+        let broken = SentenceBreaker.break('他说：「你好。」今天天气很好！是吗？对');
+        expect(broken).to.deep.equal(['他说：「你好。」', '今天天气很好！', '是吗？', '对']);
+    });
+
+    it('nextBreak', function () {
+        let str = 'One. Two? 三。';
+        let index = 0;
+        let res = [];
+        let brk;
+        while ((brk = SentenceBreaker.nextBreak(str, index)) < str.length) {
+            res.push(str.slice(index, brk));
+            index = brk;
+        }
+        res.push(str.slice(index));
+        expect(res).to.deep.equal(['One. ', 'Two? ', '三。']);
+    });
+
+    it('previousBreak', function () {
+        let str = 'One. Two? 三。';
+        let index = str.length;
+        let res = [];
+        let brk;
+        while ((brk = SentenceBreaker.previousBreak(str, index)) > 0) {
+            res.push(str.slice(brk, index));
+            index = brk;
+        }
+        res.push(str.slice(0, index));
+        expect(res).to.deep.equal(['One. ', 'Two? ', '三。'].reverse());
+    });
+
+    it('isBreak', function () {
+        let str = 'e.g. this. That';
+        expect(SentenceBreaker.isBreak(str, 0)).to.equal(true);
+        expect(SentenceBreaker.isBreak(str, 5)).to.equal(false);
+        expect(SentenceBreaker.isBreak(str, 11)).to.equal(true);
+        expect(SentenceBreaker.isBreak(str, str.length)).to.equal(true);
+    });
+
+    it('long runs', function () {
+        // 扫描时维护匹配状态，不会随着连续的空格或者 SB8 的向后查找而变慢
+        expect(SentenceBreaker.break(' '.repeat(40000))).to.deep.equal([' '.repeat(40000)]);
+        expect(SentenceBreaker.countBreaks('a.' + ' '.repeat(40000) + 'b')).to.equal(1);
+        expect(SentenceBreaker.countBreaks('a.' + ' '.repeat(40000) + 'B')).to.equal(2);
+    });
+
+    it('should pass all tests in SentenceBreakTest.txt', async function () {
+        let testCases = await readTestCases('SentenceBreakTest-17.0.0.txt');
+        for (let { str, expected, comment } of testCases) {
+            expect(SentenceBreaker.break(str)).to.deep.equal(expected, comment);
+            expect(SentenceBreaker.countBreaks(str)).to.equal(expected.length, comment);
+        }
+    });
+
+    it('should pass all tests in SentenceBreakTest.txt in reverse', async function () {
+        let testCases = await readTestCases('SentenceBreakTest-17.0.0.txt');
+        for (let { str, expected, comment } of testCases) {
+            let res = [];
+            let index = str.length;
+            let brk;
+            while ((brk = SentenceBreaker.previousBreak(str, index)) > 0) {
+                res.push(str.slice(brk, index));
+                index = brk;
+            }
+            res.push(str.slice(0, index));
+            expect(res).to.deep.equal(expected.reverse(), comment);
+        }
+    });
+});
@@ -0,0 +1,3 @@
+const WordBreaker = require('./src/WordBreaker');
+
+module.exports = WordBreaker;
\ No newline at end of file
@@ -0,0 +1,366 @@
+const classesData = require('./classes-v17.0.0');
+const trie = classesData.trie;
+const {
+    CR, LF, Newline, Extend, ZWJ, Regional_Indicator, Format, Katakana,
+    Hebrew_Letter, ALetter, Single_Quote, Double_Quote, MidNumLet, MidLetter,
+    MidNum, Numeric, ExtendNumLet, WSegSpace, ExtPict, ALetter_ExtPict
+} = classesData.classes;
+
+const UnicodeTrie = require('unicode-trie');
+
+const classTrie = new UnicodeTrie(Buffer.from(trie, 'base64'));
+
+// 单词边界的规则详细见：
+// https://www.unicode.org/reports/tr29/#Word_Boundary_Rules
+
+const isHighSurrogate = function (code) {
+    return code >= 0xD800 && code <= 0xDBFF;
+};
+
+const isLowSurrogate = function (code) {
+    return code >= 0xDC00 && code <= 0xDFFF;
+};
+
+/**
+ * 判断 index 是否位于一个代理对（surrogate pair）的中间
+ */
+const isInsideSurrogatePair = function (str, index) {
+    return isLowSurrogate(str.charCodeAt(index)) &&
+        isHighSurrogate(str.charCodeAt(index - 1));
+};
+
+/**
+ * 返回位于 index 的码点之后的码点的位置
+ */
+const nextCodePointIndex = function (str, index) {
+    return index + (isHighSurrogate(str.charCodeAt(index)) &&
+        isLowSurrogate(str.charCodeAt(index + 1)) ? 2 : 1);
+};
+
+/**
+ * 返回位于 index 的码点之前的码点的位置
+ */
+const previousCodePointIndex = function (str, index) {
+    return index - (isInsideSurrogatePair(str, index - 1) ? 2 : 1);
+};
+
+const classAt = function (str, index) {
+    return classTrie.get(str.codePointAt(index));
+};
+
+// WB4 规则当中被忽略的字符
+const isIgnorable = function (c) {
+    return c === Extend || c === Format || c === ZWJ;
+};
+
+const isAHLetter = function (c) {
+    return c === ALetter || c === ALetter_ExtPict || c === Hebrew_Letter;
+};
+
+const isMidNumLetQ = function (c) {
+    return c === MidNumLet || c === Single_Quote;
+};
+
+/**
+ * 从 index 开始（包括 index）向后跳过 WB4 规则当中被忽略的字符，
+ * 返回第一个有效字符的位置，如果没有则返回 -1。
+ */
+const skipIgnorableBackward = function (str, index) {
+    while (index >= 0 && isIgnorable(classAt(str, index))) {
+        index = previousCodePointIndex(str, index);
+    }
+    return index;
+};
+
+/**
+ * 从 index 开始（包括 index）向前跳过 WB4 规则当中被忽略的字符，
+ * 返回第一个有效字符的位置，如果没有则返回 -1。
+ */
+const skipIgnorableForward = function (str, index) {
+    while (index < str.length && isIgnorable(classAt(str, index))) {
+        index = nextCodePointIndex(str, index);
+    }
+    return index < str.length ? index : -1;
+};
+
+/**
+ * 计算 index 之前连续的区域指示符（跳过 WB4 规则当中被忽略的字符）的个数
+ */
+const countRegionalIndicators = function (str, index) {
+    let count = 0;
+    let idx = index > 0 ? skipIgnorableBackward(str, previousCodePointIndex(str, index)) : -1;
+    while (idx >= 0 && classAt(str, idx) === Regional_Indicator) {
+        count++;
+        idx = idx > 0 ? skipIgnorableBackward(str, previousCodePointIndex(str, idx)) : -1;
+    }
+    return count;
+};
+
+/**
+ * 判断 index 位置（即第 index 个 UTF-16 字符之前）是否为单词边界
+ *
+ * @param {*} str
+ * @param {*} index 必须位于码点的边界，即不能在代理对的中间
+ * @param {*} regionalCount 可选，index 之前连续的区域指示符的个数，
+ *     见 countRegionalIndicators()。向后扫描时由调用者累计，以避免
+ *     每次都向前回数；未指定时则在需要时计算。
+ * @returns
+ */
+const isBoundary = function (str, index, regionalCount) {
+    // WB1, WB2
+    if (index <= 0 || index >= str.length) {
+        return true;
+    }
+
+    const previousIndex = previousCodePointIndex(str, index);
+    const previous = classAt(str, previousIndex);
+    const next = classAt(str, index);
+
+    // WB3
+    if (previous === CR && next === LF) {
+        return false;
+    }
+
+    // WB3a, WB3b
+    if (previous === CR || previous === LF || previous === Newline ||
+        next === CR || next === LF || next === Newline) {
+        return true;
+    }
+
+    // WB3c
+    if (previous === ZWJ && (next === ExtPict || next === ALetter_ExtPict)) {
+        return false;
+    }
+
+    // WB3d
+    if (previous === WSegSpace && next === WSegSpace) {
+        return false;
+    }
+
+    // WB4
+    if (isIgnorable(next)) {
+        return false;
+    }
+
+    // 以下规则的字符均跳过 Extend, Format 和 ZWJ
+    const leftIndex = skipIgnorableBackward(str, previousIndex);
+    if (leftIndex < 0) {
+        return true;
+    }
+
+    const left = classAt(str, leftIndex);
+    const right = next;
+
+    const left2Index = leftIndex > 0 ?
+        skipIgnorableBackward(str, previousCodePointIndex(str, leftIndex)) : -1;
+    const left2 = left2Index >= 0 ? classAt(str, left2Index) : null;
+
+    const right2Index = skipIgnorableForward(str, nextCodePointIndex(str, index));
+    const right2 = right2Index >= 0 ? classAt(str, right2Index) : null;
+
+    // WB5
+    if (isAHLetter(left) && isAHLetter(right)) {
+        return false;
+    }
+
+    // WB6
+    if (isAHLetter(left) && (right === MidLetter || isMidNumLetQ(right)) && isAHLetter(right2)) {
+        return false;
+    }
+
+    // WB7
+    if (isAHLetter(left2) && (left === MidLetter || isMidNumLetQ(left)) && isAHLetter(right)) {
+        return false;
+    }
+
+    // WB7a
+    if (left === Hebrew_Letter && right === Single_Quote) {
+        return false;
+    }
+
+    // WB7b
+    if (left === Hebrew_Letter && right === Double_Quote && right2 === Hebrew_Letter) {
+        return false;
+    }
+
+    // WB7c
+    if (left2 === Hebrew_Letter && left === Double_Quote && right === Hebrew_Letter) {
+        return false;
+    }
+
+    // WB8, WB9, WB10
+    if ((left === Numeric || isAHLetter(left)) && (right === Numeric || isAHLetter(right))) {
+        return false;
+    }
+
+    // WB11
+    if (left2 === Numeric && (left === MidNum || isMidNumLetQ(left)) && right === Numeric) {
+        return false;
+    }
+
+    // WB12
+    if (left === Numeric && (right === MidNum || isMidNumLetQ(right)) && right2 === Numeric) {
+        return false;
+    }
+
+    // WB13
+    if (left === Katakana && right === Katakana) {
+        return false;
+    }
+
+    // WB13a
+    if ((isAHLetter(left) || left === Numeric || left === Katakana || left === ExtendNumLet) &&
+        right === ExtendNumLet) {
+        return false;
+    }
+
+    // WB13b
+    if (left === ExtendNumLet &&
+        (isAHLetter(right) || right === Numeric || right === Katakana)) {
+        return false;
+    }
+
+    // WB15, WB16
+    if (left === Regional_Indicator && right === Regional_Indicator) {
+        // 左侧连续的区域指示符为奇数个时不可断开
+        if (regionalCount === undefined) {
+            regionalCount = countRegionalIndicators(str, index);
+        }
+        return regionalCount % 2 === 0;
+    }
+
+    // WB999
+    return true;
+};
+
+/**
+ * 从 index 之后开始向后检查每个位置是否为单词边界，对每个边界调用
+ * callback(position)，当 callback 返回 false 时停止扫描。
+ *
+ * 扫描时累计左侧连续的区域指示符的个数（用于 WB15, WB16），
+ * 所以扫描整个文本只需线性的时间。
+ */
+const scanBreaks = function (str, index, callback) {
+    let i = index + 1;
+    if (isInsideSurrogatePair(str, i)) {
+        i++;
+    }
+
+    let regionalCount = i < str.length ? countRegionalIndicators(str, i) : 0;
+    while (i < str.length) {
+        if (isBoundary(str, i, regionalCount) && callback(i) === false) {
+            return;
+        }
+
+        const c = classAt(str, i);
+        if (c === Regional_Indicator) {
+            regionalCount++;
+        } else if (!isIgnorable(c)) {
+            regionalCount = 0;
+        }
+
+        i = nextCodePointIndex(str, i);
+    }
+};
+
+const wb = {};
+
+/**
+ * 返回 index 之后的下一个单词边界的位置
+ *
+ * @param {*} string
+ * @param {*} index
+ * @returns 如果 index 超出文本范围，则返回文本的长度。
+ */
+wb.nextBreak = function (string, index = 0) {
+    if (index < 0) {
+        return 0;
+    }
+
+    let brk = string.length;
+    scanBreaks(string, index, (i) => {
+        brk = i;
+        return false;
+    });
+    return brk;
+};
+
+/**
+ * 返回 index 之前的上一个单词边界的位置
+ *
+ * @param {*} string
+ * @param {*} index
+ * @returns 如果 index 超出文本范围，则返回文本的长度。
+ */
+wb.previousBreak = function (string, index = string.length) {
+    if (index > string.length) {
+        return string.length;
+    }
+
+    for (let i = index - 1; i > 0; i--) {
+        if (isInsideSurrogatePair(string, i)) {
+            continue;
+        }
+
+        if (isBoundary(string, i)) {
+            return i;
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * 判断指定位置是否为单词边界
+ *
+ * @param {*} string
+ * @param {*} index
+ * @returns
+ */
+wb.isBreak = function (string, index) {
+    if (index < 0 || index > string.length || isInsideSurrogatePair(string, index)) {
+        return false;
+    }
+    return isBoundary(string, index);
+};
+
+/**
+ * 将文本拆分为单词片段
+ *
+ * 注意片段包括单词以及单词之间的空格、标点符号等，所有片段
+ * 连接起来即为原文本。
+ *
+ * @param {*} str
+ * @returns
+ */
+wb.break = function (str) {
+    const res = [];
+    let index = 0;
+    scanBreaks(str, 0, (brk) => {
+        res.push(str.slice(index, brk));
+        index = brk;
+    });
+    if (index < str.length) {
+        res.push(str.slice(index));
+    }
+    return res;
+};
+
+/**
+ * 计算单词片段的个数
+ *
+ * @param {*} str
+ * @returns
+ */
+wb.countBreaks = function (str) {
+    let count = 0;
+    scanBreaks(str, 0, () => {
+        count++;
+    });
+    if (str.length > 0) {
+        count++;
+    }
+    return count;
+};
+
+module.exports = wb;
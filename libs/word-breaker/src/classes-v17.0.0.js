@@ -0,0 +1,26 @@
+module.exports = {
+ "trie": "AAgOAAAAAABw8QAAAYEPfvDtnQuMXUUZx6d0u4+7e+92+4CQCg1WAgSqqREFkYegIAJuSDCridCiYklMBdEGhfAQAtIgImmLJBWBVATUoiBSISChtikS0dhIlGoDBQkrj1BCDSjB+p+cObmzs/P45nXOupwv+WXOYx7ffPPNN3PPPXv3JzMZuxc8CDaBp8BO8E/wGngD7AlIZ/QwNgBGwL5gPtgPHAgWg/eCD/ZMLncMrp0oXT8ex58Eo2AMnAnOASvASnAJuApcC1ZL5W7C8a3gTvALcD/4DXgYbAFPgCfBDvAP8DLYDf4j6thrFmMtMALmggVgETgULAFHgo+Ck8EoGANLwXKwAqwEl4CrxPl1YC24GdwONoD7wENgE3gcbAPbwTNgHOwCb4K3waxextpgPngXeA84DPwOui5BeoQ45hyL45PE+SjSMXAq+rUU6ZfACrBSyn8xjq8E14LVvUX/1yHdJcaFwm2i3F1IbwH3iPMNIt0o2nukt1tmK44f6KG34eKPqO8vUv1P4/gF8Cq/BvYIHXr64JtgBOzT182/EMcHgcXi2hKkryI9sq8Yq9JenOP6ivQTIh1FOgaWgllgubh+HtIh9PFCpJeCq8F3Rf1rRXoz0tvBz/oKH7wP6UNgU5+5ryNibrlsslXY43FRPz/ehnQ7eBa8CF4D/wYz+mGX/kJv3ocRHO8LDgCH9AubID2if6ItbByFvMdL+cvjk5CeZqjnDFz/HPi84f65uH4+uABcBC6TuFo5vw6sAevAevBjcLeH/pz7PfPLPCzKbjHUYRu7J/q7c5GnT+L8t0h39Bfw8ed1PB+h3yso+7pU/i0czxwomAXaA0X8LXXaIlKed/7A5Pr2G+je6xno1nWgJm9DQ0NDQ0NDQ0NDQ0NDdaR69pKKxeJz4nhP93mFjcOR/+iB4vjjSB+RPquehvMXDc9IPo17Z4JzwApRfjbS43qK5zUrcXzJQPGc8Cqk3wFrBorngatw7Qc4Xi/K/RTpL8GDQvdNSB8H28B28KzINz4wUYddA3S7NDQ0NDTE8ybi7h7AeupffxsaGqYvvS3GOmDvVjf+LOtnbP8WPV7xffC42McuEuUOQboYHA6OBieAk5U6R3E+1up+t38Wjpe1iu80z0V6fqt++xw8XPBF8CPwdws9sxn7GDgDrAG/nt2996Y47h9h7CPg6+A+sBscNqe4twzpreCvYDf4wFzGdmIdOAB2OBvcBnaCoUHGTgXLsNc/D+m6GV3uwPkLyjWVg4YYWw6+PVScb0A6Dg5uw+7gTjAODu7Y62loaGhomL6cizXgFKzt38C6c7lYj+U1/Bppjebn31PW7Bs1a/ga8VzpBtz7odgTrG8V7xbd0eo+V/u5pr1yv7EAbGwVn5H4tYdFPZuRPgaeEOezic+w+Hsr/H0qvm85jL97J+m9A8fPtIr7PN+rUl/GxfWz+ifaYYb02W0X16XV7fsa8RyOv/O2R+jJ6+BsFvsv2V6ljqsle2xW0r7B4lngMNK9B+17Gp5/f+T5CupbNFjocyjS9w8W+7gPi3RNq+gvfydsEOfH4/rJg8X56Ug/C5aK8+WDxV7ka+KcP4O8WOhxCI6vxPG14nw10ud6kQ/X1+F4PbgL3AMeAI+CLbw/4MnBQt9VqHMHjt8tztso+7yhn/z+K7j3r8HuOc//tnQ+C/udNpgH5oP9huz2OnBIPyaLcf1wcBQ4QcpzCo5HwRhYCr4AvjxUlLlgqLtfXthnb/ci5L1C7NX4MX8mfD3StVJbN+P4NnAXuAdsHCreHaTsbx9B3q3g9+DPUp1/G5rc16o4y+D/nC2Wcs9ZxnC6Mi59f3CDx2e2nLyEcXh9qF4drkloi62BY8O/63lrGvtkCtsuFO8wLxBrfnk8s12cDyKdCxa0i3ezQ/Vc1Hb3w3T90HbxLusSqY4jLfW9EzgG/T+RYINPIc/p4DPT0F6yHy9D/84BK6Z4P7+aQD8+F77ZLvaDPuW+hTKrwPUaHb4fqFdp/1tEvLgd6QbwK3H+ENKNYHObHpPuRfx5rF38fQmvl/PSzIIrxH7sD7i2LZEtt4v4slM8d9s1hXyIx+M3LPrswb2+TmG3s7FvG+5MHp99cG1hh9Ye388cJOp7H7GMqR5beX7/QxH1c47tmH3opM5E/xyNbCsXfJ6MQbelYDk4D1zooetl/XYuRV1Xdop3S1YhvQHc1Cnu3YL0DnA3uL/jrkvlAWKZy8GjjrxbOvr+TOivZJc/ifqeEteeFukLSF+W2trNfQT8N6B/k9pX4LE8pM5UcLv2Dnf/1mtE8321fE+lM1y//8dClb3ATMEMejGnzBHpkObeoObasEjbIp1NpCOVVaVVEaqM1Nx+I4V4TINKZC6bOF594ppJyrwdzTVd3pz+VZUvT8X2pwImqVuvkp53OC6/NY3XsHJfFX6vY6hXV18KP6vbl3LPI9/8vuM+HfC1U2xbuvbKa6r/14VrrtYdg0JgSmo6dslAhbjaLn3GR0yfL0wyzCZ+7vC1eZ9SX92+LZPDz6if55hIS9vKOlUR71x9YJb7qv10ecs8VHuY4mSMVGXTqnxM7dd0wscOMX4R4o9T2SbqnJHjSSlV+I5OL5O+lHyppOpximk/h/62OrjY1n8f/0vhy7Hrbu42Yvqf0+dS2tdVl69+pfjsi1LPR+q8M52nnHPyfVlMOlHGRM6rOy/rcIktfqk6ho6v2j+XlHlN/VL10tlQ1xdbuVTj6zqW+0VZA23jq+azCcUfVaGOry5OuPRRxXf+6saEWi7l+IbOX50P6M7LtmIkdv5S2/DpJ2U8mOXch9D4aRNbvtTxk7F4Hyh1dvm6rh+mMrq8TJPflM/Uju46dQ7L4oqvNh+lzj+fOJdyvtkkZA/HHOep46nPeFL3Q9TxtNlMZwemOc4dT22i2kLVeaqNrylvKVWPr050usbG6xZz62XTlTp3c4xvKLLOseMp+4gsans20elWSur5ahubkP0tddxd7eee44xN1IWqr27sXP5iy+Oa477jTYkrVDHtMX1imKtsWb6qdUjVi6qjr01z99cUZ1JJar+ktqlLdXrFxh25rlBc+oTWVRcUSRVbfCRHP3PFG5dNbWNO6a9PWyH6Uv3U9zmbqiN1XWZKGVf52L0CpX4WWT62/dz9S7XHSkUpsh+lqjNUcvc19H5M3T7MyWgDyliFlk/lI6n6FhLDU9o2dP1I3b6vhPqReh6zdtqk7r1ZHZ+nbHqV9DG//YNJ6oo7tvZTrU0+c8ekZx02kSXWv3PMD5tQ/dHkk7nHOXV/deL7GaBqZD1j40ds+dyx3CW6equKOyaf9IkdOdenHGNQl51dNndRlqXaO4cOIfZO1W6oPiH+Keubyt650eleR5uxkmJ90vmcbR7ofNPUl1D7u+7L+WxprnGk6qTrB6W8qf8uu6gS46cp9J9jQb3PhfvSLFZ8XlL/Nk0nbdb9rQ7T/VL43+KVvzHSp2FkUmm3yL+bMKKpQ/ebILbfWlDFRyduQ12/mOG6KW9oXEoRz2L9tYo1ktoP2zXfWKPW45qzc6W8ptRnTsvMs+iiE2qcSiGh8c0kcw2E1FGlUNusUq9UbZnGhDJOoWPoK74xbF5AmZTkFl+bU/NWPa9sovM9m1/6+HFomVyE2iS2vRB7MWbXOfSeLm/I2mBry6a/qa8+bcesa6Hi216MXnWVtdUZM05160Kpk3LNJD5rk5pP90zDV2LWydh11PWM1aVfivsxkqKOOZprVexPVDF9NuS+3K9BJ6Vdq96jlLrqdNPpXhc6fXTy/7QPTmGTXELZJ1Qx5jap+7NLbPux/uf7/UlqidFd9xzN55lbivkb+wwvNm7I5y3lWhX+G9sP2Y62c9O1lFCezaZ6XivXF/NMuM73K2zf6ZliFWO08aQ+M889/qmf3ef0X8oYxMaqFO+TVOnfucad2gff+KXWnfP9nVhJ/R1WWaepbltb6h6gLkm13th8IlSHVPdD2lZjf8j90JhH1c8XSnxIPZ9DxiRX/3PWHep/Ln10wn87uYf5/Q5z6O83264zQ16f9qq2sU1SjvlU6I9OYvWJ3XfL4vvb36nb172PFCIjEur/R+LnIf00iWmMcscyio+43kfTvYeW4/9Jcan72S31c1+O+1WL+n6cLC6/Se2Hqeqm6J+zfEybslTVTpWifsaqW6oYW+rneddY+cyhkDHP7Wuxvlm17/vWTb0f2xfftkL6E9q2zdauvCls49sHVb+UtqK0aROe1/UZXxbXc3K1Xzn6aRtfW/wzPa9M/czPJqa2qTrken4si2ktyTFeucVHH90YVK2vKj7+QdEz1fil/l7BpW/KOn0kV798hTrv5Rgnx2iKmOJjbr/QxSsf+8rlc8emnN/fxTyzCtXL109SrgHq8w+KmPYcah7Tnsbn/SCdXjnng83n1Xldl7jmTcuQz1WWMidTrDup3y+h9Isp+dTzUFtQ7pvyyn1x2VXtu84Wcp9MYhoT27zRtWUb59h12ncMmHKcMj6G+j9jk23HLPlUWlIaInXsj9S2Tf3SzUtZQuODaR6Z/MUkVbwfZMInBoSsYSmEEifU/D5Spf199waUORmrP7W8b705JcSOJl+tev6l1D2F/jFCWcOY5jh2L5PC3oxNtqttXQyNdbn9i5qvznVC3c9UKT5zLqcNXXro7ruEksc35lQRx2xrtmu9c0kV8ZyaL6e/qDEsl08zYjsxOvqsd6pQx8mVN8c4yaJbcyjxwCW5/J0Zjqu0ITMc69YW3/6l0JEi6niGzsGqfVfnvyH9V4Xqr6H1q+LyD0p5XTysSmLHl/o7diZsPptq/bdJ7D6jrucrNv19pKr5TW3fV1J+Ps0R/3K0k7L/MX2R150c81S3FsfYrNTVR2LWIp1QfnPDdJ9JaV1S1W9juHTwyVulznXEhhT6yCL7vO73aKuU2PgWG5di9wdUnSg6U/ZSsX3KJbnbqaIPOsm1Z8hRb0j7cj/VPptsEKI/I5atyzamflL0ie2TbBtKm1XZiNp3LrHfA6YiNp77xM4ce+KyXqpUGdN7LNdT9Z0iLl9MKa6+pPQralumvDpJEQNCJcV4x+pss2nKuKbTO4WEjlvuuWZrV6au52fyGMfo4Ls+Msf9FOuvj8TGYtf4qvNJlRTP71R7MOU4xp5qPTYdTNd0qc0fKOV19enKU/yF6q8mm8T4aojPq0KdE7nad0nO3wtP0aeWUqfMPBb2vzB8y+n6ZtIp9n8g6NpKTW9FxOrvY6NY8R1TXT5qO3Xgs4ZWpVNqqbt9Xx1i686ta2w9VbUf205V45V7LoXcS61DHd/DlJL6GVms/A8=",
+ "classes": {
+  "Other": 0,
+  "CR": 1,
+  "LF": 2,
+  "Newline": 3,
+  "Extend": 4,
+  "ZWJ": 5,
+  "Regional_Indicator": 6,
+  "Format": 7,
+  "Katakana": 8,
+  "Hebrew_Letter": 9,
+  "ALetter": 10,
+  "Single_Quote": 11,
+  "Double_Quote": 12,
+  "MidNumLet": 13,
+  "MidLetter": 14,
+  "MidNum": 15,
+  "Numeric": 16,
+  "ExtendNumLet": 17,
+  "WSegSpace": 18,
+  "ExtPict": 19,
+  "ALetter_ExtPict": 20
+ }
+}
\ No newline at end of file
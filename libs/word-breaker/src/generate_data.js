@@ -0,0 +1,134 @@
+const fsPromise = require('fs/promises');
+const path = require('path');
+const UnicodeTrieBuilder = require('unicode-trie/builder');
+
+const UNICODE_VERSION = '17.0.0';
+
+// Word_Break 属性值，见 WordBreakProperty.txt
+//
+// 另外：
+// - ExtPict 为 Extended_Pictographic 而 Word_Break 属性为 Other 的字符，
+// - ALetter_ExtPict 为 Extended_Pictographic 而 Word_Break 属性为 ALetter 的字符
+//   （比如 U+2139 ℹ），规则 WB3c 需要用到。
+const classes = {
+    Other: 0,
+    CR: 1,
+    LF: 2,
+    Newline: 3,
+    Extend: 4,
+    ZWJ: 5,
+    Regional_Indicator: 6,
+    Format: 7,
+    Katakana: 8,
+    Hebrew_Letter: 9,
+    ALetter: 10,
+    Single_Quote: 11,
+    Double_Quote: 12,
+    MidNumLet: 13,
+    MidLetter: 14,
+    MidNum: 15,
+    Numeric: 16,
+    ExtendNumLet: 17,
+    WSegSpace: 18,
+    ExtPict: 19,
+    ALetter_ExtPict: 20
+};
+
+const rangePattern = /^([0-9A-F]+)(?:\.\.([0-9A-F]+))?\s*;\s*([A-Za-z_]+)/gm;
+
+/**
+ * 读取本地 UCD 目录里的数据文件，目录的结构可以跟 unicode.org 上的 ucd 目录
+ * 一致（比如 emoji/emoji-data.txt），也可以把所有文件直接放在该目录下。
+ *
+ * @param {*} ucdDir
+ * @param {*} filePath 相对于 ucd 目录的文件路径
+ * @returns
+ */
+const readUcdFile = async function (ucdDir, filePath) {
+    const candidates = [path.join(ucdDir, filePath), path.join(ucdDir, path.basename(filePath))];
+    for (const candidate of candidates) {
+        try {
+            return await fsPromise.readFile(candidate, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+    throw new Error(`Cannot find "${filePath}" in directory "${ucdDir}".`);
+};
+
+/**
+ * 读取 UCD 数据文件，并逐个范围调用 callback(start, end, value)
+ *
+ * @param {*} ucdDir
+ * @param {*} filePath 相对于 ucd 目录的文件路径
+ * @param {*} callback
+ */
+const eachRange = async function (ucdDir, filePath, callback) {
+    const data = await readUcdFile(ucdDir, filePath);
+    const re = new RegExp(rangePattern);
+    let match = null;
+    while ((match = re.exec(data)) !== null) {
+        const start = parseInt(match[1], 16);
+        const end = match[2] ? parseInt(match[2], 16) : start;
+        callback(start, end, match[3]);
+    }
+};
+
+const main = async function () {
+    const ucdDir = process.argv[2] || process.env.UCD_DIR;
+    if (!ucdDir) {
+        console.log('Usage:');
+        console.log('$ npm run generate_data -- <ucd-dir>');
+        console.log(`where <ucd-dir> contains the UCD ${UNICODE_VERSION} files (auxiliary/WordBreakProperty.txt and emoji/emoji-data.txt),`);
+        console.log('e.g. the extracted');
+        console.log(`https://www.unicode.org/Public/${UNICODE_VERSION}/ucd/UCD.zip`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const values = new Uint8Array(0x110000); // 默认为 Other
+
+    await eachRange(ucdDir, 'auxiliary/WordBreakProperty.txt', (start, end, property) => {
+        if (classes[property] === undefined) {
+            throw new Error(`Unknown Word_Break property value: ${property}`);
+        }
+        values.fill(classes[property], start, end + 1);
+    });
+
+    await eachRange(ucdDir, 'emoji/emoji-data.txt', (start, end, property) => {
+        if (property !== 'Extended_Pictographic') {
+            return;
+        }
+
+        for (let codePoint = start; codePoint <= end; codePoint++) {
+            if (values[codePoint] === classes.Other) {
+                values[codePoint] = classes.ExtPict;
+            } else if (values[codePoint] === classes.ALetter) {
+                values[codePoint] = classes.ALetter_ExtPict;
+            }
+        }
+    });
+
+    const trie = new UnicodeTrieBuilder(classes.Other);
+    let start = 0;
+    for (let codePoint = 1; codePoint <= 0x110000; codePoint++) {
+        if (codePoint === 0x110000 || values[codePoint] !== values[start]) {
+            if (values[start] !== classes.Other) {
+                trie.setRange(start, codePoint - 1, values[start]);
+            }
+            start = codePoint;
+        }
+    }
+
+    const output = { trie: trie.toBuffer().toString('base64'), classes };
+    await fsPromise.writeFile(path.join(__dirname, `classes-v${UNICODE_VERSION}.js`), 'module.exports = ' + JSON.stringify(output, undefined, ' '));
+
+    console.log('Usage:');
+    console.log(`const classesData = require('./classes-v${UNICODE_VERSION}')`);
+    console.log('const trie = classesData.trie');
+    console.log('const { ' + Object.keys(classes).join(', ') + ' } = classesData.classes');
+};
+
+main();
@@ -0,0 +1,139 @@
+const WordBreaker = require('../src/WordBreaker');
+const chai = require('chai');
+const fsPromise = require('fs/promises');
+const punycode = require('punycode/');
+
+const expect = chai.expect;
+
+/**
+ * 读取 UCD 的测试数据文件，返回 [{str, expected, comment}, ...]
+ *
+ * @param {*} fileName
+ * @returns
+ */
+const readTestCases = async function (fileName) {
+    let data = await fsPromise.readFile(__dirname + '/' + fileName, 'utf8');
+    let testCases = [];
+    for (let line of data.split('\n')) {
+        if (!line || /^#/.test(line)) {
+            continue;
+        }
+
+        let [cols, comment] = line.split('#');
+        let codePoints = cols.split(/\s*[×÷]\s*/).filter(Boolean).map((c) => {
+            return parseInt(c, 16);
+        });
+
+        let expected = cols.split(/\s*÷\s*/).filter(Boolean).map((c) => {
+            let codes = c.split(/\s*×\s*/).map((c) => {
+                return parseInt(c, 16);
+            });
+            return punycode.ucs2.encode(codes);
+        });
+
+        testCases.push({
+            str: punycode.ucs2.encode(codePoints),
+            expected: expected,
+            comment: comment.trim()
+        });
+    }
+    return testCases;
+};
+
+describe('WordBreaker', function () {
+    it('basic test', function () {
+        let broken = WordBreaker.break('The quick (“brown”) fox can’t jump 32.3 feet, right?');
+        expect(broken).to.deep.equal([
+            'The', ' ', 'quick', ' ', '(', '“', 'brown', '”', ')', ' ', 'fox', ' ',
+            'can’t', ' ', 'jump', ' ', '32.3', ' ', 'feet', ',', ' ', 'right', '?']);
+    });
+
+    it('nextBreak', function () {
+        let str = 'Hello, 世界! 👩‍❤️‍👩';
+        let index = 0;
+        let res = [];
+        let brk;
+        while ((brk = WordBreaker.nextBreak(str, index)) < str.length) {
+            res.push(str.slice(index, brk));
+            index = brk;
+        }
+        res.push(str.slice(index));
+        expect(res).to.deep.equal(['Hello', ',', ' ', '世', '界', '!', ' ', '👩‍❤️‍👩']);
+    });
+
+    it('nextBreak intermediate indexes', function () {
+        let str = 'foo.bar baz';
+        let breaks = new Set();
+        for (let i = -1; i < str.length; i++) {
+            breaks.add(WordBreaker.nextBreak(str, i));
+        }
+        expect(Array.from(breaks)).to.deep.equal([0, 7, 8, 11]);
+    });
+
+    it('previousBreak', function () {
+        let str = 'Hello, 世界! 👩‍❤️‍👩';
+        let index = str.length;
+        let res = [];
+        let brk;
+        while ((brk = WordBreaker.previousBreak(str, index)) > 0) {
+            res.push(str.slice(brk, index));
+            index = brk;
+        }
+        res.push(str.slice(0, index));
+        expect(res).to.deep.equal(['Hello', ',', ' ', '世', '界', '!', ' ', '👩‍❤️‍👩'].reverse());
+    });
+
+    it('previousBreak intermediate indexes', function () {
+        let str = 'foo.bar baz';
+        let breaks = new Set();
+        for (let i = str.length + 1; i >= 0; i--) {
+            breaks.add(WordBreaker.previousBreak(str, i));
+        }
+        expect(Array.from(breaks)).to.deep.equal([11, 8, 7, 0]);
+    });
+
+    it('isBreak', function () {
+        let str = 'ab 😜';
+        expect(WordBreaker.isBreak(str, 0)).to.equal(true);
+        expect(WordBreaker.isBreak(str, 1)).to.equal(false);
+        expect(WordBreaker.isBreak(str, 2)).to.equal(true);
+        expect(WordBreaker.isBreak(str, 3)).to.equal(true);
+        expect(WordBreaker.isBreak(str, 4)).to.equal(false); // inside surrogate pair
+        expect(WordBreaker.isBreak(str, 5)).to.equal(true);
+    });
+
+    it('regional indicators', function () {
+        let str = '🇺🇸🇨🇳\u200d🇯🇵a';
+        expect(WordBreaker.break(str)).to.deep.equal(['🇺🇸', '🇨🇳\u200d', '🇯🇵', 'a']);
+        expect(WordBreaker.nextBreak(str, 2)).to.equal(4);
+        expect(WordBreaker.nextBreak(str, 4)).to.equal(9);
+        expect(WordBreaker.previousBreak(str, 11)).to.equal(9);
+
+        // 区域指示符的个数在扫描时累计，不会随着连续的区域指示符的增加而变慢
+        let flags = '🇺🇸'.repeat(5000);
+        expect(WordBreaker.countBreaks(flags)).to.equal(5000);
+    });
+
+    it('should pass all tests in WordBreakTest.txt', async function () {
+        let testCases = await readTestCases('WordBreakTest-17.0.0.txt');
+        for (let { str, expected, comment } of testCases) {
+            expect(WordBreaker.break(str)).to.deep.equal(expected, comment);
+            expect(WordBreaker.countBreaks(str)).to.equal(expected.length, comment);
+        }
+    });
+
+    it('should pass all tests in WordBreakTest.txt in reverse', async function () {
+        let testCases = await readTestCases('WordBreakTest-17.0.0.txt');
+        for (let { str, expected, comment } of testCases) {
+            let res = [];
+            let index = str.length;
+            let brk;
+            while ((brk = WordBreaker.previousBreak(str, index)) > 0) {
+                res.push(str.slice(brk, index));
+                index = brk;
+            }
+            res.push(str.slice(0, index));
+            expect(res).to.deep.equal(expected.reverse(), comment);
+        }
+    });
+});
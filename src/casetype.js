@@ -10,6 +10,9 @@ const CaseType = {
     dash: 'dash',               // this-is-an-example // 横线式，全小写，单词间横线分隔，也叫 paramCase，常见于文件名命名
     underscore: 'underscore',   // this_is_an_example // 下划线式，全小写，单词间下划线分隔，也叫 snakeCase，常见于函数名称
     dot: 'dot',                 // this.is.an.example // 点式，全小写，单词间用点号分隔，常见于对象名称路径（name path）
+    path: 'path',               // this/is/an/example // 路径式，全小写，单词间用斜杠分隔，常见于 URL 路径
+    header: 'header',           // This-Is-An-Example // 标头式，每个单词首字母大写，单词间横线分隔，常见于 HTTP 标头名称
+    train: 'train',             // This-Is-An-Example // 火车式，跟标头式相同，也叫 Train-Case
     capital: 'capital',         // This Is An Example // 首字母大写式，单词间空格分隔，每个单词首字母大写
     title: 'title',             // This Is an Example // 标题式，单词间空格分隔，每个单词首字母大写，遵循英语使用规则，比如 'This Is A Step-By-Step Example'
     sentence: 'sentence',       // This is an example // 句子式，句子首字母大写，其他小写，单词间空格分隔
@@ -17,9 +20,4 @@ const CaseType = {
     upper: 'upper'              // THIS IS AN EXAMPLE // 全大写式
 };
 
-// 还有其他不常用的大小写模式，此处省略
-//
-// headerCase    // This-Is-An-Example
-// pathCase      // this/is/an/example
-
 module.exports = CaseType;
\ No newline at end of file
@@ -1,5 +1,30 @@
+/**
+ * 哈希算法
+ *
+ * 加密哈希算法的值为 Node.js crypto 模块的算法名称。
+ *
+ * 注意 md5 和 sha1 已不再安全，仅用于兼容旧系统或者非安全用途（比如缓存键）。
+ *
+ * 非加密哈希算法（FNV-1a, MurmurHash3 以及 xxHash32）速度更快，并且 Hash 值
+ * 更短，适用于内存缓存的键、分片（sharding）以及一致性哈希等场合，但不能
+ * 用于安全用途。
+ */
 const HashAlgorithm = {
-    sha256: 'sha256'
+    md5: 'md5',
+    sha1: 'sha1',
+    sha256: 'sha256',
+    sha384: 'sha384',
+    sha512: 'sha512',
+    sha3_224: 'sha3-224',
+    sha3_256: 'sha3-256',
+    sha3_384: 'sha3-384',
+    sha3_512: 'sha3-512',
+
+    // 非加密哈希算法
+    fnv1a32: 'fnv1a32',     // FNV-1a 32 位
+    fnv1a64: 'fnv1a64',     // FNV-1a 64 位
+    murmur3: 'murmur3',     // MurmurHash3 x86 32 位
+    xxhash32: 'xxhash32'    // xxHash 32 位
 };
 
 module.exports = HashAlgorithm;
\ No newline at end of file
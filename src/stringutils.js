@@ -1,6 +1,6 @@
 const crypto = require('crypto');
 const uslug = require('uslug');
-const { escape, unescape } = require('html-escaper');
+const { escape } = require('html-escaper');
 const {
     camelCase,
     capitalCase,
@@ -19,6 +19,11 @@ const { titleCase } = require('title-case');
 const { lowerCase, localeLowerCase } = require('lower-case');
 const { upperCase, localeUpperCase } = require('upper-case');
 const GraphemeBreaker = require('../libs/grapheme-breaker-mjs-mod');
+const DisplayWidth = require('../libs/display-width');
+const WordBreaker = require('../libs/word-breaker');
+const SentenceBreaker = require('../libs/sentence-breaker');
+const LineBreaker = require('../libs/line-breaker');
+const HtmlEntities = require('../libs/html-entities');
 
 const { ObjectUtils, ObjectAccessor } = require('jsobjectutils');
 const { IllegalArgumentException } = require('jsexception');
@@ -26,6 +31,7 @@ const { IllegalArgumentException } = require('jsexception');
 const UnicodeCharType = require('./unicodechartype');
 const CaseType = require('./casetype');
 const HashAlgorithm = require('./hashalgorithm');
+const UnresolvedPlaceholderException = require('./unresolvedplaceholderexception');
 
 // 字符串中的占位符的正则式
 // 比如
@@ -36,11 +42,59 @@ const HashAlgorithm = require('./hashalgorithm');
 //
 // 占位符名称可以是一个对象名称路径（name path），其中对象（属性）名称只能由
 // [\w- ] 字符（即 a-zA-Z0-9_- ）组成。
-const stringPlaceholderPattern = '\\${([\\w- ]+(\\.[\\w- ]+)*)(:.+)?}';
+//
+// 默认值之后（或者名称之后）可以添加过滤器（filter），每个过滤器使用竖线 “|”
+// 分隔，过滤器的参数使用冒号 “:” 分隔，比如
+// ${user.name|upper|truncate:20}
+// ${user.name:anonymous|capital}
+//
+// 默认值当中的 '|', '}' 和 '\'，以及参数当中的 '|', ':', '}' 和 '\' 需使用反斜杠
+// 转义，比如 '\|'。其他字符之前的反斜杠为普通的字符，比如 '${path:C:\temp}'
+// 的默认值为 'C:\temp'。注意默认值当中未转义的 '|' 表示过滤器的开始。
+//
+// 默认值可以包含其他占位符，比如
+// ${user.nickname:${user.name:anonymous}}
+//
+// 使用 '\${...}' 表示文本 '${...}'（即不是占位符）。注意 '$${...}' 不是转义，
+// 而是文本 '$' 加上一个占位符，比如 'Total: $${amount}' 替换为 'Total: $5'。
+//
+// 模板还支持条件块和循环块，比如
+// ${#if user.admin}...${else}...${/if}
+// ${#each items}${loop.index}: ${item.name}${/each}
+//
+// 各个分组依次为：名称，默认值以及过滤器（包括开头的 ':' 或者 '|'）。
+// 注意这个正则式不能匹配默认值当中嵌套的占位符，以及不能识别转义的占位符，
+// 占位符的解析见 parseTemplateParts()。
+const stringPlaceholderPattern = '\\${([\\w- ]+(?:\\.[\\w- ]+)*)((?:[:|](?:\\\\.|[^\\\\}])*)?)}';
+
+// 占位符名称的正则式
+const placeholderNameExp = /[\w- ]+(?:\.[\w- ]+)*/y;
+
+// 块标签的正则式，比如 '${#if user.admin}', '${#each items as item}', '${else}', '${/if}'
+//
+// 各个分组依次为：开始标签的类型（'if' 或者 'each'），开始标签的表达式，
+// 'else'，结束标签的类型。
+const blockTagExp = /\$\{(?:#(if|each)\s+([^}]*)|(else)|\/(if|each))\}/y;
+
+// 块的表达式的正则式，各个分组依次为：名称，别名（仅用于 each 块）
+const blockExpressionExp = /^\s*([\w-]+(?:\.[\w-]+)*)(?:\s+as\s+([\w-]+))?\s*$/;
+
+// 字符串格式化的说明符（specifier）的正则式，格式为：
+// %[position$][flags][width][.precision]conversion
+//
+// 比如 "%s", "%d", "%-10s", "%08.3f", "%*d", "%2$s", "%%"
+//
+// 各个分组依次为：position, flags, width, precision, conversion，其中
+// width 和 precision 可以是 '*'（或者 '*n$'），表示从参数当中获取。
+const stringFormatSpecifierPattern =
+    '%(?:([1-9]\\d*)\\$)?([-+0 #]*)(\\*(?:[1-9]\\d*\\$)?|\\d+)?(?:\\.(\\*(?:[1-9]\\d*\\$)?|\\d*))?([sdifexXobcj%])';
 
-// 字符串格式化的说明符（specifier）的正则式
-// 比如 "%s", "%d"
-const stringFormatSpecifierPattern = '%[sd]';
+// formatNamed() 的格式说明（format spec）的正则式，格式跟 Python 的 str.format() 一致：
+// [[fill]align][sign][#][0][width][grouping][.precision][type]
+//
+// 比如 "{value:>10.2f}", "{0:*^8}", "{amount:,d}"
+const namedFormatSpecPattern =
+    '^(?:(.)?([<>=^]))?([-+ ])?(#)?(0)?(\\d+)?([,_])?(?:\\.(\\d+))?([bcdeEfFgGosxX%])?$';
 
 // ## CJK 字符的 Unicode 范围表：
 //
@@ -97,90 +151,3187 @@ const CJKCharRanges = [
     0xD7B0, 0xD7FF, // Hangul Jamo Extended-B 韩文
     0xf900, 0xfaff, // CJK Compatibility Ideographs 中日韩兼容性表意文字
 
-    0x20000, 0x2A6DF, // CJK Unified Ideographs Extension B
-    0x2A700, 0x2B73F, // CJK Unified Ideographs Extension C
-    0x2B740, 0x2B81F, // CJK Unified Ideographs Extension D
-    0x2B820, 0x2CEAF, // CJK Unified Ideographs Extension E
-    0x2CEB0, 0x2EBEF, // CJK Unified Ideographs Extension F
-    0x2F800, 0x2FA1F, // CJK Compatibility Ideographs Supplement
-];
+    0x20000, 0x2A6DF, // CJK Unified Ideographs Extension B
+    0x2A700, 0x2B73F, // CJK Unified Ideographs Extension C
+    0x2B740, 0x2B81F, // CJK Unified Ideographs Extension D
+    0x2B820, 0x2CEAF, // CJK Unified Ideographs Extension E
+    0x2CEB0, 0x2EBEF, // CJK Unified Ideographs Extension F
+    0x2F800, 0x2FA1F, // CJK Compatibility Ideographs Supplement
+];
+
+const camelCasePattern = '^([a-z][a-z0-9]*)([A-Z][a-z0-9]*)*$';
+const spaceCasePattern = '^([a-z][a-z0-9]*)( [a-z][a-z0-9]*)*$';
+const dashCasePattern = '^([a-z][a-z0-9]*)(-[a-z][a-z0-9]*)*$';
+
+// 拆分句子时默认的缩写词列表，这些缩写词末尾的点号（.）不作为句子的结束，
+// 比如 "Mr. Smith" 不会在 "Mr." 之后断开。
+const sentenceAbbreviations = Object.freeze([
+    'Mr.', 'Mrs.', 'Ms.', 'Dr.', 'Prof.', 'Sr.', 'Jr.', 'St.',
+    'vs.', 'e.g.', 'i.e.', 'cf.', 'No.', 'Fig.'
+]);
+
+// 禁止出现在行首的字符（避头规则），比如句号、闭括号、小写假名等。
+// 按照 UAX #14 的规则这些字符之前本来就不能换行，这里用于超长片段的强制截断。
+const lineStartProhibitedChars =
+    '!%),.:;?]}¢°’”‰′″℃、。々〉》」』】〕〗〙〟ゝゞーァィゥェォッャュョヮヵヶ' +
+    'ぁぃぅぇぉっゃゅょゎゕゖ・ヽヾ！％），．：；？］｝｡｣､･ｧｨｩｪｫｬｭｮｯｰ';
+
+// 换行符（UAX #14 的 BK, CR, LF 和 NL 类）
+const lineBreakCharsPattern = '[\\r\\n\\u000b\\u000c\\u0085\\u2028\\u2029]';
+
+/**
+ * 按照 printf 的规则把数值转换为文本，用于 format() 方法。
+ *
+ * @param {*} conversion 转换字符，即 'd', 'i', 'f', 'e', 'x', 'X', 'o' 或者 'b'
+ * @param {*} value
+ * @param {*} flags
+ * @param {*} precision 精度，未指定时为 undefined
+ * @returns 返回 {sign, prefix, digits, zeroPaddable}，其中 sign 为符号，
+ *     prefix 为 '#' 标志所添加的前缀（比如 '0x'），zeroPaddable 表示能否
+ *     使用 '0' 标志填充。
+ */
+function formatNumber(conversion, value, flags, precision) {
+    let isInteger = 'dixXob'.includes(conversion);
+
+    let number;
+    if (typeof value === 'bigint') {
+        number = isInteger ? value : Number(value);
+    } else {
+        number = Number(value);
+        if (isInteger && Number.isFinite(number)) {
+            number = Math.trunc(number);
+        }
+    }
+
+    let negative = number < 0;
+    let abs = negative ? -number : number;
+
+    let sign = negative ? '-' : (flags.includes('+') ? '+' : (flags.includes(' ') ? ' ' : ''));
+
+    if (typeof abs === 'number' && !Number.isFinite(abs)) {
+        // NaN 和 Infinity
+        return { sign: Number.isNaN(abs) ? '' : sign, prefix: '', digits: String(abs), zeroPaddable: false };
+    }
+
+    let alternate = flags.includes('#');
+    let prefix = '';
+    let digits;
+
+    switch (conversion) {
+        case 'f':
+            digits = abs.toFixed(precision === undefined ? 6 : precision);
+            if (alternate && precision === 0) {
+                digits += '.';
+            }
+            break;
+
+        case 'e':
+            // 指数部分至少为 2 位数字，比如 '1.500000e+01'
+            digits = abs.toExponential(precision === undefined ? 6 : precision)
+                .replace(/e([+-])(\d)$/, 'e$10$2');
+            if (alternate && precision === 0) {
+                digits = digits.replace('e', '.e');
+            }
+            break;
+
+        default: {
+            let radix = { x: 16, X: 16, o: 8, b: 2 }[conversion] || 10;
+            digits = abs.toString(radix);
+            if (conversion === 'X') {
+                digits = digits.toUpperCase();
+            }
+
+            if (precision !== undefined) {
+                // 整数的精度为最少的数字个数
+                digits = (precision === 0 && abs == 0) ? '' : digits.padStart(precision, '0');
+            }
+
+            if (alternate && abs != 0) {
+                if (conversion === 'x' || conversion === 'X' || conversion === 'b') {
+                    prefix = '0' + conversion;
+                } else if (conversion === 'o' && !digits.startsWith('0')) {
+                    prefix = '0';
+                }
+            }
+        }
+    }
+
+    return {
+        sign: sign,
+        prefix: prefix,
+        digits: digits,
+        zeroPaddable: !(isInteger && precision !== undefined)
+    };
+}
+
+/**
+ * 按照 printf 的规则转换一个说明符（不包括宽度的填充），用于 format() 方法。
+ *
+ * @param {*} conversion
+ * @param {*} value
+ * @param {*} flags
+ * @param {*} precision
+ * @returns 返回 {text, zeroPadding}，其中 zeroPadding 为 {sign, prefix, digits}，
+ *     仅当可以使用 '0' 标志填充时存在。
+ */
+function formatConversion(conversion, value, flags, precision) {
+    switch (conversion) {
+        case 's': {
+            let text = String(value);
+            if (precision !== undefined) {
+                // 字符串的精度为最大的显示宽度
+                text = StringUtils.truncateToWidth(text, precision);
+            }
+            return { text: text };
+        }
+
+        case 'c':
+            if (typeof value === 'number' &&
+                !(Number.isInteger(value) && value >= 0 && value <= 0x10FFFF)) {
+                throw new IllegalArgumentException(`Invalid code point for "%c": ${value}.`);
+            }
+
+            return {
+                text: typeof value === 'number' ?
+                    String.fromCodePoint(value) :
+                    StringUtils.getNextUnicodeChar(String(value), 0)
+            };
+
+        case 'j': {
+            let text;
+            try {
+                text = JSON.stringify(value);
+            } catch (e) {
+                // 只有循环引用才输出 '[Circular]'，其它错误（比如 BigInt）照常抛出
+                if (!(e instanceof TypeError && /circular/i.test(e.message))) {
+                    throw e;
+                }
+                text = '[Circular]';
+            }
+            return { text: text === undefined ? 'undefined' : text };
+        }
+
+        default: {
+            let number = formatNumber(conversion, value, flags, precision);
+            return {
+                text: number.sign + number.prefix + number.digits,
+                zeroPadding: number.zeroPaddable ? number : undefined
+            };
+        }
+    }
+}
+
+/**
+ * 判断占位符当中 idx 位置的反斜杠是否为转义字符，即之后为 chars 当中的字符
+ *
+ * @param {*} text
+ * @param {*} idx
+ * @param {*} chars 可以转义的字符，比如 '|}\\'
+ * @returns
+ */
+function isPlaceholderEscape(text, idx, chars) {
+    return text.charAt(idx) === '\\' && idx + 1 < text.length && chars.includes(text.charAt(idx + 1));
+}
+
+/**
+ * 按照未转义的分隔符拆分过滤器的文本，拆分后的各部分保留转义字符。
+ *
+ * @param {*} text
+ * @param {*} separator
+ * @returns
+ */
+function splitUnescaped(text, separator) {
+    let parts = [];
+    let start = 0;
+    for (let idx = 0; idx < text.length; idx++) {
+        let char = text.charAt(idx);
+        if (isPlaceholderEscape(text, idx, '|:}\\')) {
+            idx++;
+        } else if (char === separator) {
+            parts.push(text.substring(start, idx));
+            start = idx + 1;
+        }
+    }
+    parts.push(text.substring(start));
+    return parts;
+}
+
+/**
+ * 去除过滤器参数当中的转义字符，即 '|', ':', '}' 和 '\' 之前的反斜杠，
+ * 其他的反斜杠保持不变。
+ *
+ * @param {*} text
+ * @returns
+ */
+function unescapePlaceholderText(text) {
+    return text.replace(/\\([|:}\\])/g, '$1');
+}
+
+/**
+ * 解析占位符的过滤器
+ *
+ * @param {*} expression 比如 'upper|truncate:20'（不包括开头的 '|'）
+ * @returns 返回 [{name, args}, ...]
+ */
+function parsePlaceholderFilters(expression) {
+    let filters = [];
+    for (let part of splitUnescaped(expression, '|')) {
+        let [name, ...args] = splitUnescaped(part, ':').map(unescapePlaceholderText);
+        filters.push({ name: name.trim(), args: args });
+    }
+    return filters;
+}
+
+/**
+ * 查找跟 '{' 配对的 '}' 的位置
+ *
+ * @param {*} text
+ * @param {*} start '{' 之后的位置
+ * @returns 如果找不到则返回 -1
+ */
+function findClosingBrace(text, start) {
+    let depth = 1;
+    for (let idx = start; idx < text.length; idx++) {
+        let char = text.charAt(idx);
+        if (char === '\\') {
+            idx++;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return idx;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * 解析文本（或者占位符的默认值）当中的文本和占位符
+ *
+ * - '\${...}' 为转义的占位符，解析为文本 '${...}'；
+ * - 在默认值当中，'|', '}' 和 '\' 之前的 '\' 为转义字符，其他的 '\' 为普通的
+ *   字符，未转义的 '|' 和 '}' 表示默认值的结束；
+ * - 在默认值之外，'${#if ...}' 和 '${#each ...}' 为块（block），见 parseBlockAt()。
+ *
+ * @param {*} text
+ * @param {*} start 开始解析的位置
+ * @param {*} inDefault 是否正在解析占位符的默认值
+ * @param {*} blockKeyword 正在解析的块的类型（'if' 或者 'each'），遇到该块的
+ *     '${else}' 或者结束标签时结束解析。不在块之内时为 null。
+ * @returns 返回 {parts, placeholders, source, end, tag}，其中 parts 为文本（字符串）、
+ *     占位符对象和块对象组成的数组，placeholders 为所有占位符（包括默认值以及
+ *     块当中嵌套的占位符），source 为去除转义字符之后的文本（嵌套的占位符
+ *     保持原样），end 为解析结束的位置，tag 为结束解析的标签 {type, end}，
+ *     type 为 'else' 或者 'close'，end 为标签之后的位置。
+ *     如果在解析默认值时到达文本的结尾，则返回 null。
+ */
+function parseTemplateParts(text, start, inDefault, blockKeyword = null) {
+    let parts = [];
+    let placeholders = [];
+    let source = '';
+    let literal = '';
+
+    let idx = start;
+    while (idx < text.length) {
+        let char = text.charAt(idx);
+        if (inDefault && (char === '|' || char === '}')) {
+            break;
+        }
+
+        if (text.startsWith('${', idx)) {
+            let tag = inDefault ? null : parseBlockTagAt(text, idx);
+            if (tag !== null && (tag.type === 'else' || tag.type === 'close')) {
+                if (tag.type === 'close' && tag.keyword !== blockKeyword) {
+                    throw new IllegalArgumentException(`Unexpected block tag "${tag.text}" at position ${idx}.`);
+                }
+
+                // 注意块之外的 '${else}' 是普通的占位符
+                if (blockKeyword !== null) {
+                    if (literal !== '') {
+                        parts.push(literal);
+                    }
+                    return { parts, placeholders, source, end: idx, tag: { type: tag.type, end: tag.end } };
+                }
+            }
+
+            let part = (tag !== null && tag.type === 'open') ?
+                parseBlockAt(text, tag) :
+                parsePlaceholderAt(text, idx);
+
+            if (part !== null) {
+                if (literal !== '') {
+                    parts.push(literal);
+                    literal = '';
+                }
+                parts.push(part);
+                if (part.block === undefined) {
+                    placeholders.push(part);
+                }
+                placeholders.push(...part.nestedPlaceholders);
+                source += text.substring(part.start, part.end);
+                idx = part.end;
+                continue;
+            }
+        } else if (text.startsWith('\\${', idx)) {
+            // 转义的占位符
+            let closingIndex = findClosingBrace(text, idx + 3);
+            let end = (closingIndex === -1) ? idx + 3 : closingIndex + 1;
+            let escaped = text.substring(idx + 1, end);
+            literal += escaped;
+            source += escaped;
+            idx = end;
+            continue;
+        } else if (inDefault && isPlaceholderEscape(text, idx, '|}\\')) {
+            char = text.charAt(idx + 1);
+            idx++;
+        }
+
+        literal += char;
+        source += char;
+        idx++;
+    }
+
+    if (inDefault && idx >= text.length) {
+        return null;
+    }
+
+    if (blockKeyword !== null) {
+        throw new IllegalArgumentException(`Unclosed block "${blockKeyword}", expected "\${/${blockKeyword}}".`);
+    }
+
+    if (literal !== '') {
+        parts.push(literal);
+    }
+
+    return { parts, placeholders, source, end: idx, tag: null };
+}
+
+/**
+ * 解析位于 start 位置的块标签，即 '${#if ...}', '${#each ...}', '${else}',
+ * '${/if}' 或者 '${/each}'。
+ *
+ * @param {*} text
+ * @param {*} start '${' 的位置
+ * @returns 返回 {type, keyword, expression, text, start, end}，其中 type 为
+ *     'open', 'else' 或者 'close'，如果不是块标签则返回 null。
+ */
+function parseBlockTagAt(text, start) {
+    blockTagExp.lastIndex = start;
+    let result = blockTagExp.exec(text);
+    if (result === null) {
+        return null;
+    }
+
+    let [tagText, openKeyword, expression, elseKeyword, closeKeyword] = result;
+    return {
+        type: openKeyword !== undefined ? 'open' : (elseKeyword !== undefined ? 'else' : 'close'),
+        keyword: openKeyword !== undefined ? openKeyword : closeKeyword,
+        expression: expression,
+        text: tagText,
+        start: start,
+        end: blockTagExp.lastIndex
+    };
+}
+
+/**
+ * 解析块，块的格式为：
+ *
+ * ${#if name.path}...${else}...${/if}
+ * ${#each name.path}...${else}...${/each}
+ * ${#each name.path as alias}...${/each}
+ *
+ * 其中 '${else}' 分支是可选的。
+ *
+ * @param {*} text
+ * @param {*} tag 块的开始标签，见 parseBlockTagAt()
+ * @returns 返回块对象 {block, start, end, name, camelName, alias, parts,
+ *     elseParts, nestedPlaceholders}，其中 block 为 'if' 或者 'each'。
+ */
+function parseBlockAt(text, tag) {
+    let result = blockExpressionExp.exec(tag.expression);
+    if (result === null || (tag.keyword === 'if' && result[2] !== undefined)) {
+        throw new IllegalArgumentException(`Invalid block tag "${tag.text}" at position ${tag.start}.`);
+    }
+
+    let [, name, alias = 'item'] = result;
+
+    let body = parseTemplateParts(text, tag.end, false, tag.keyword);
+    let elseBody = { parts: [], placeholders: [] };
+    let end = body.tag.end;
+
+    if (body.tag.type === 'else') {
+        elseBody = parseTemplateParts(text, body.tag.end, false, tag.keyword);
+        if (elseBody.tag.type === 'else') {
+            throw new IllegalArgumentException(`Duplicate "\${else}" at position ${elseBody.end}.`);
+        }
+        end = elseBody.tag.end;
+    }
+
+    return {
+        block: tag.keyword,
+        start: tag.start,
+        end: end,
+        name: name,
+        camelName: StringUtils.camelCaseNamePath(name),
+        alias: StringUtils.camelCaseNamePath(alias),
+        parts: body.parts,
+        elseParts: elseBody.parts,
+        nestedPlaceholders: [...body.placeholders, ...elseBody.placeholders]
+    };
+}
+
+/**
+ * 解析位于 start 位置的占位符
+ *
+ * @param {*} text
+ * @param {*} start '${' 的位置
+ * @returns 返回占位符对象 {start, end, name, camelName, defaultValue,
+ *     defaultParts, filters, nestedPlaceholders}，如果不是有效的占位符
+ *     则返回 null。
+ */
+function parsePlaceholderAt(text, start) {
+    placeholderNameExp.lastIndex = start + 2;
+    let result = placeholderNameExp.exec(text);
+    if (result === null) {
+        return null;
+    }
+
+    let name = result[0];
+    let idx = placeholderNameExp.lastIndex;
+
+    let defaultValue;
+    let defaultParts;
+    let nestedPlaceholders = [];
+    if (text.charAt(idx) === ':') {
+        let defaultResult = parseTemplateParts(text, idx + 1, true);
+        if (defaultResult === null) {
+            return null;
+        }
+
+        defaultValue = defaultResult.source;
+        defaultParts = defaultResult.parts;
+        nestedPlaceholders = defaultResult.placeholders;
+        idx = defaultResult.end;
+    }
+
+    let filters = [];
+    if (text.charAt(idx) === '|') {
+        let filtersStart = idx + 1;
+        while (idx < text.length && text.charAt(idx) !== '}') {
+            idx += isPlaceholderEscape(text, idx, '|:}\\') ? 2 : 1;
+        }
+        filters = parsePlaceholderFilters(text.substring(filtersStart, idx));
+    }
+
+    if (text.charAt(idx) !== '}') {
+        return null;
+    }
+
+    return {
+        start: start,
+        end: idx + 1,
+        name: name,
+
+        // convert hyphen and space case name path into camel case,
+        // e.g.
+        // ${abc.def-ijk.lmn opq.xyz} -> ${abc.defIjk.lmnOpq.uvw}
+        camelName: StringUtils.camelCaseNamePath(name),
+        defaultValue: defaultValue,
+        defaultParts: defaultParts,
+        filters: filters,
+        nestedPlaceholders: nestedPlaceholders
+    };
+}
+
+// 占位符的过滤器，过滤器的签名为 function (value, ...args) {...}
+const placeholderFilters = new Map();
+
+for (let caseType of Object.values(CaseType)) {
+    placeholderFilters.set(caseType, (value, localeCode = '') => {
+        return StringUtils.changeCase(String(value), caseType, localeCode);
+    });
+}
+
+placeholderFilters.set('slugify', (value) => {
+    return StringUtils.slugify(String(value));
+});
+
+placeholderFilters.set('escapeHtml', (value) => {
+    return StringUtils.escapeHtml(String(value));
+});
+
+placeholderFilters.set('hashText', (value, hashAlgorithm, encoding) => {
+    return StringUtils.hashText(String(value), hashAlgorithm, encoding);
+});
+
+placeholderFilters.set('truncate', (value, maxWidth, ellipsis = '') => {
+    return StringUtils.truncateToWidth(String(value), Number(maxWidth), { ellipsis: ellipsis });
+});
+
+for (let padFunctionName of ['padStart', 'padEnd', 'padCenter']) {
+    placeholderFilters.set(padFunctionName, (value, width, padChar = ' ') => {
+        return StringUtils[padFunctionName](String(value), Number(width), padChar);
+    });
+}
+
+/**
+ * 依次应用占位符的过滤器
+ *
+ * @param {*} value
+ * @param {*} filters [{name, args}, ...]
+ * @returns
+ */
+function applyPlaceholderFilters(value, filters) {
+    for (let { name, args } of filters) {
+        let filter = placeholderFilters.get(name);
+        if (filter === undefined) {
+            throw new IllegalArgumentException(`Unknown placeholder filter: "${name}".`);
+        }
+        value = filter(value, ...args);
+    }
+    return value;
+}
+
+// 匹配数字的正则式，用于 matchTemplate() 的数字转换
+const numberTextExp = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+/**
+ * 按照名称路径设置对象的属性值，中间的对象不存在时自动创建。
+ *
+ * @param {*} object
+ * @param {*} namePath 比如 'user.name'
+ * @param {*} value
+ */
+function setPropertyValueByNamePath(object, namePath, value) {
+    let names = namePath.split('.');
+    let lastName = names.pop();
+    for (let name of names) {
+        if (typeof object[name] !== 'object' || object[name] === null) {
+            object[name] = {};
+        }
+        object = object[name];
+    }
+    object[lastName] = value;
+}
+
+// 异步解析时，表示占位符的值尚未获得
+const pendingPlaceholderValue = Symbol('pending');
+
+/**
+ * 预先解析的模板，由 StringUtils.compileTemplate() 创建。
+ *
+ * 模板在创建时解析所有的占位符，之后每次替换只需按顺序拼接，适用于
+ * 使用同一个模板替换多个上下文的场合。
+ */
+class CompiledTemplate {
+
+    /**
+     *
+     * @param {*} text
+     * @param {*} options {strict, recursive, maxDepth}，见 StringUtils.compileTemplate()
+     */
+    constructor(text, options = {}) {
+        let { strict = false, recursive = false, maxDepth = 10 } = options;
+
+        if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+            throw new IllegalArgumentException('The max depth should be a positive integer.');
+        }
+
+        this.text = text;
+        this.strict = strict;
+        this.recursive = recursive;
+        this.maxDepth = maxDepth;
+
+        // 模板的各个部分，字符串为原样输出的文本，对象为占位符
+        let { parts, placeholders } = parseTemplateParts(text, 0, false);
+        this.parts = parts;
+        this.placeholders = placeholders;
+    }
+
+    /**
+     * 返回模板当中的所有占位符，包括默认值当中嵌套的占位符。
+     *
+     * @returns 返回 [{name, defaultValue, filters, start, end}, ...]，其中
+     *     defaultValue 在没有默认值时为 undefined，filters 为 [{name, args}, ...]，
+     *     start 和 end 为占位符在模板文本当中的位置（不包括 end）。
+     */
+    getPlaceholders() {
+        return this.placeholders.map(({ name, defaultValue, filters, start, end }) => {
+            return {
+                name: name,
+                defaultValue: defaultValue,
+                filters: filters.map(filter => ({ name: filter.name, args: filter.args.slice() })),
+                start: start,
+                end: end
+            };
+        });
+    }
+
+    /**
+     * 使用解析方法替换模板当中的占位符
+     *
+     * 在同一次替换当中，相同名称的占位符只解析一次。
+     *
+     * @param {*} resolverFunc 解析占位符的方法，见 StringUtils.resolvePlaceholder()
+     * @returns
+     */
+    resolve(resolverFunc) {
+        let values = new Map();
+        return this.buildText((name) => {
+            if (!values.has(name)) {
+                values.set(name, resolverFunc(name));
+            }
+            return values.get(name);
+        });
+    }
+
+    /**
+     * 使用异步的解析方法替换模板当中的占位符
+     *
+     * 相同名称的占位符只解析一次，各个占位符并行解析，最多同时解析
+     * concurrency 个。默认值当中嵌套的占位符只在需要使用默认值时才解析，
+     * 递归模式下，值当中的占位符在获得该值之后解析。
+     *
+     * @param {*} resolverFunc 解析占位符的方法，可以返回 Promise，
+     *     见 StringUtils.resolvePlaceholderAsync()
+     * @param {*} concurrency 同时解析的最大数量，默认为不限制。
+     * @returns 返回 Promise
+     */
+    async resolveAsync(resolverFunc, concurrency = Infinity) {
+        if (!(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency > 0))) {
+            throw new IllegalArgumentException('The concurrency should be a positive integer.');
+        }
+
+        let values = new Map();
+
+        for (; ;) {
+            // 找出当前还需要解析的占位符
+            let names = [];
+            let text = this.buildText((name) => {
+                if (values.has(name)) {
+                    return values.get(name);
+                }
+
+                if (!names.includes(name)) {
+                    names.push(name);
+                }
+                return pendingPlaceholderValue;
+            });
+
+            if (names.length === 0) {
+                return text;
+            }
+
+            let nextIndex = 0;
+            let failed = false; // 任一解析失败后不再发起新的调用
+            let worker = async () => {
+                while (!failed && nextIndex < names.length) {
+                    let name = names[nextIndex++];
+                    try {
+                        values.set(name, await resolverFunc(name));
+                    } catch (err) {
+                        failed = true;
+                        throw err;
+                    }
+                }
+            };
+
+            let workers = [];
+            for (let idx = 0; idx < Math.min(concurrency, names.length); idx++) {
+                workers.push(worker());
+            }
+            await Promise.all(workers);
+        }
+    }
+
+    /**
+     * 拼接模板的各个部分
+     *
+     * @param {*} getValue 获取占位符的值的方法，方法签名为 function (camelName) {...}，
+     *     如果返回 pendingPlaceholderValue 则表示该值尚未获得（用于异步解析），
+     *     此时返回的结果不完整。
+     * @returns
+     */
+    buildText(getValue) {
+        let state = {
+            unresolvedNames: [],
+            pending: false
+        };
+
+        let text = this.buildParts(this.parts, getValue, [], state);
+
+        if (this.strict && !state.pending && state.unresolvedNames.length > 0) {
+            throw new UnresolvedPlaceholderException(state.unresolvedNames);
+        }
+
+        return text;
+    }
+
+    /**
+     *
+     * @param {*} parts
+     * @param {*} getValue
+     * @param {*} chain 递归模式下，当前正在展开的占位符名称，用于检测循环引用。
+     * @param {*} state {unresolvedNames, pending}
+     * @returns
+     */
+    buildParts(parts, getValue, chain, state) {
+        let buffer = [];
+
+        for (let part of parts) {
+            if (typeof part === 'string') {
+                buffer.push(part);
+                continue;
+            }
+
+            if (part.block !== undefined) {
+                buffer.push(this.buildBlock(part, getValue, chain, state));
+                continue;
+            }
+
+            if (chain.includes(part.camelName)) {
+                throw new IllegalArgumentException(
+                    `Circular placeholder reference: ${[...chain, part.camelName].join(' -> ')}.`);
+            }
+
+            let value = getValue(part.camelName);
+            if (value === pendingPlaceholderValue) {
+                state.pending = true;
+                continue;
+            }
+
+            if (value === undefined) {
+                // 当解析函数没返回值时，先尝试查找默认值，如果没有默认值
+                // 则用占位符名称替换占位符（严格模式则抛出异常）。
+                if (part.defaultValue === undefined) {
+                    if (!state.unresolvedNames.includes(part.name)) {
+                        state.unresolvedNames.push(part.name);
+                    }
+
+                    // 添加原始的占位符名称
+                    buffer.push(part.name);
+                    continue;
+                }
+
+                // 添加默认值，默认值可以包含其他占位符
+                value = this.buildParts(part.defaultParts, getValue, chain, state);
+
+            } else if (this.recursive && typeof value === 'string') {
+                // 递归模式，继续解析值当中的占位符
+                if (chain.length >= this.maxDepth) {
+                    throw new IllegalArgumentException(
+                        `Placeholder nesting is too deep: ${[...chain, part.camelName].join(' -> ')}.`);
+                }
+
+                let { parts: valueParts } = parseTemplateParts(value, 0, false);
+                value = this.buildParts(valueParts, getValue, [...chain, part.camelName], state);
+            }
+
+            if (state.pending) {
+                // 结果不完整，跳过过滤器
+                continue;
+            }
+
+            buffer.push(applyPlaceholderFilters(value, part.filters));
+        }
+
+        return buffer.join('');
+    }
+
+    /**
+     * 拼接块
+     *
+     * - if 块：当值为真（非空数组，或者除了空数组之外 JavaScript 的 truthy 值）
+     *   时输出块的内容，否则输出 else 分支；
+     * - each 块：对值（数组或者其他可迭代对象）的每个元素输出一次块的内容，
+     *   当值为 undefined, null 或者没有元素时输出 else 分支。在块之内，
+     *   元素可以通过别名（默认为 'item'）访问，比如 '${item.name}'，另外
+     *   'loop' 为循环变量 {index, first, last, length}，比如 '${loop.index}'。
+     *
+     * @param {*} block
+     * @param {*} getValue
+     * @param {*} chain
+     * @param {*} state
+     * @returns
+     */
+    buildBlock(block, getValue, chain, state) {
+        let value = getValue(block.camelName);
+        if (value === pendingPlaceholderValue) {
+            state.pending = true;
+            return '';
+        }
+
+        if (block.block === 'if') {
+            let truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+            return this.buildParts(truthy ? block.parts : block.elseParts, getValue, chain, state);
+        }
+
+        if (value === undefined || value === null) {
+            return this.buildParts(block.elseParts, getValue, chain, state);
+        }
+
+        if (typeof value === 'string' || typeof value[Symbol.iterator] !== 'function') {
+            throw new IllegalArgumentException(`The value of "${block.name}" is not iterable.`);
+        }
+
+        let items = Array.from(value);
+        if (items.length === 0) {
+            return this.buildParts(block.elseParts, getValue, chain, state);
+        }
+
+        let buffer = [];
+        items.forEach((item, index) => {
+            let scope = {
+                [block.alias]: item,
+                loop: {
+                    index: index,
+                    first: index === 0,
+                    last: index === items.length - 1,
+                    length: items.length
+                }
+            };
+
+            // 块之内的名称先从元素以及循环变量当中查找
+            let getScopedValue = (name) => {
+                let rootName = name.split('.')[0];
+                if (Object.prototype.hasOwnProperty.call(scope, rootName)) {
+                    return ObjectAccessor.getPropertyValueByNamePath(scope, name);
+                }
+                return getValue(name);
+            };
+
+            buffer.push(this.buildParts(block.parts, getScopedValue, chain, state));
+        });
+
+        return buffer.join('');
+    }
+
+    /**
+     * 从文本当中提取占位符的值，即 resolve() 的逆操作。
+     *
+     * 占位符默认匹配任意文本（尽可能少地匹配），相同名称的占位符必须匹配
+     * 相同的文本。占位符的默认值和过滤器会被忽略。
+     *
+     * @param {*} text
+     * @param {*} options {patterns, coerceNumbers}，见 StringUtils.matchTemplate()
+     * @returns 返回占位符的值组成的对象，如果文本跟模板不匹配则返回 null。
+     */
+    match(text, options = {}) {
+        let { patterns = {}, coerceNumbers = false } = options;
+
+        // 占位符名称（camelName）跟正则式分组名称的对应表
+        let groupNames = new Map();
+        let sources = [];
+
+        for (let part of this.parts) {
+            if (typeof part === 'string') {
+                sources.push(StringUtils.escapeRegularExpress(part));
+                continue;
+            }
+
+            if (part.block !== undefined) {
+                throw new IllegalArgumentException('The template blocks are not supported by match().');
+            }
+
+            let groupName = groupNames.get(part.camelName);
+            if (groupName !== undefined) {
+                sources.push(`\\k<${groupName}>`);
+                continue;
+            }
+
+            groupName = 'p' + groupNames.size;
+            groupNames.set(part.camelName, groupName);
+
+            let pattern = patterns[part.name] !== undefined ? patterns[part.name] : patterns[part.camelName];
+            if (pattern === undefined) {
+                pattern = '[\\s\\S]*?';
+            } else if (pattern instanceof RegExp) {
+                pattern = pattern.source;
+            }
+
+            sources.push(`(?<${groupName}>${pattern})`);
+        }
+
+        let result = new RegExp('^' + sources.join('') + '$').exec(text);
+        if (result === null) {
+            return null;
+        }
+
+        let values = {};
+        for (let part of this.parts) {
+            if (typeof part === 'string') {
+                continue;
+            }
+
+            let value = result.groups[groupNames.get(part.camelName)];
+            let coerce = Array.isArray(coerceNumbers) ?
+                (coerceNumbers.includes(part.name) || coerceNumbers.includes(part.camelName)) :
+                coerceNumbers === true;
+
+            if (coerce && numberTextExp.test(value)) {
+                value = Number(value);
+            }
+
+            setPropertyValueByNamePath(values, part.camelName, value);
+        }
+
+        return values;
+    }
+
+    /**
+     * 使用上下文对象替换模板当中的占位符
+     *
+     * @param {*} contextObject 见 StringUtils.resolvePlaceholderByContextObject()
+     * @returns
+     */
+    render(contextObject) {
+        return this.resolve((placeholderName) => {
+            return ObjectAccessor.getPropertyValueByNamePath(contextObject, placeholderName);
+        });
+    }
+}
+
+/**
+ * 在数字的整数部分插入千位分隔符
+ *
+ * @param {*} digits 比如 '1234567.89'
+ * @param {*} separator ',' 或者 '_'
+ * @param {*} groupSize 每组数字的个数，十进制为 3，其他进制为 4
+ * @returns 比如 '1,234,567.89'
+ */
+function groupDigits(digits, separator, groupSize) {
+    let match = /^([0-9a-fA-F]+)(.*)$/.exec(digits);
+    if (match === null) {
+        return digits;
+    }
+
+    let integerPart = match[1];
+    let groups = [];
+    for (let end = integerPart.length; end > 0; end -= groupSize) {
+        groups.unshift(integerPart.substring(Math.max(end - groupSize, 0), end));
+    }
+    return groups.join(separator) + match[2];
+}
+
+/**
+ * 按照 Python 的 format spec 规则转换数值，用于 formatNamed() 方法。
+ *
+ * @param {*} value
+ * @param {*} type 类型，比如 'd', 'f', 'x', '%'，未指定时为 undefined
+ * @param {*} sign 符号标志，'+', '-' 或者 ' '
+ * @param {*} alternate 是否指定了 '#' 标志
+ * @param {*} grouping 千位分隔符
+ * @param {*} precision 精度
+ * @returns 返回 {sign, prefix, digits}
+ */
+function formatNamedNumber(value, type, sign, alternate, grouping, precision) {
+    let flags = (sign === '+' || sign === ' ') ? sign : '';
+
+    let conversion = type;
+    let number = value;
+    let suffix = '';
+
+    switch (type) {
+        case undefined:
+            if (precision === undefined) {
+                let isInteger = typeof value === 'bigint' || Number.isInteger(value);
+                conversion = isInteger ? 'd' : 'g';
+            } else {
+                conversion = 'g';
+            }
+            break;
+
+        case 'F':
+        case 'E':
+        case 'G':
+            conversion = type.toLowerCase();
+            break;
+
+        case '%':
+            conversion = 'f';
+            number = Number(value) * 100;
+            suffix = '%';
+            break;
+    }
+
+    let result;
+    if (conversion === 'g') {
+        // 先转换为科学计数法，用于获取符号以及处理 NaN 和 Infinity
+        result = formatNumber('e', number, flags, 0);
+
+        let absNumber = Math.abs(Number(number));
+        if (Number.isFinite(absNumber)) {
+            let digits;
+            if (type === undefined && precision === undefined) {
+                // 未指定类型和精度时使用最短的表示方式
+                digits = String(absNumber);
+            } else {
+                // 有效数字为 p 位，当指数小于 -4 或者不小于 p 时使用科学计数法，
+                // 否则使用小数，并去除末尾的 0（除非指定了 '#' 标志）
+                let p = precision === undefined ? 6 : Math.max(precision, 1);
+                let exponent = parseInt(absNumber.toExponential(p - 1).split('e')[1], 10);
+                digits = (exponent >= -4 && exponent < p) ?
+                    absNumber.toFixed(p - 1 - exponent) :
+                    absNumber.toExponential(p - 1);
+
+                if (!alternate) {
+                    digits = digits.replace(/(\.\d*?)0+(?=e|$)/, '$1').replace(/\.(?=e|$)/, '');
+                }
+            }
+            result.digits = digits.replace(/e([+-])(\d)$/, 'e$10$2');
+        }
+    } else {
+        result = formatNumber(conversion, number, flags, precision);
+    }
+
+    if (/^[EFG]$/.test(type)) {
+        result.digits = result.digits.toUpperCase();
+    }
+
+    let prefix = '';
+    if (alternate && /^[xXob]$/.test(type)) {
+        prefix = '0' + (type === 'X' ? 'X' : type);
+    }
+
+    let digits = result.digits;
+    if (grouping !== undefined && /^\d/.test(digits)) {
+        digits = groupDigits(digits, grouping, /^[xXob]$/.test(type) ? 4 : 3);
+    }
+
+    return {
+        sign: result.sign,
+        prefix: prefix,
+        digits: digits + suffix
+    };
+}
+
+/**
+ * 按照格式说明（format spec）转换一个值，用于 formatNamed() 方法。
+ *
+ * @param {*} value
+ * @param {*} spec 格式说明，比如 '>10.2f'
+ * @returns
+ */
+function formatNamedValue(value, spec) {
+    let match = new RegExp(namedFormatSpecPattern, 'u').exec(spec);
+    if (match === null) {
+        throw new IllegalArgumentException(`Invalid format spec: "${spec}".`);
+    }
+
+    let [, fill, align, sign, alternate, zero, width, grouping, precision, type] = match;
+    width = width === undefined ? 0 : parseInt(width, 10);
+    precision = precision === undefined ? undefined : parseInt(precision, 10);
+
+    let isNumber = (type !== undefined && type !== 's' && type !== 'c') ||
+        (type === undefined && (typeof value === 'number' || typeof value === 'bigint'));
+
+    if (zero !== undefined && align === undefined) {
+        fill = '0';
+        align = isNumber ? '=' : '<';
+    }
+
+    if (fill === undefined) {
+        fill = ' ';
+    }
+
+    if (align === undefined) {
+        // 跟 Python 一致，数值默认右对齐，其他默认左对齐
+        align = isNumber ? '>' : '<';
+    }
+
+    let head = '';
+    let body;
+
+    if (type === 'c') {
+        body = typeof value === 'number' ?
+            String.fromCodePoint(value) :
+            StringUtils.getNextUnicodeChar(String(value), 0);
+    } else if (isNumber) {
+        let number = formatNamedNumber(value, type, sign, alternate !== undefined, grouping, precision);
+        head = number.sign + number.prefix;
+        body = number.digits;
+    } else {
+        body = String(value);
+        if (precision !== undefined) {
+            body = StringUtils.truncateToWidth(body, precision);
+        }
+    }
+
+    let padWidth = width - StringUtils.getDisplayWidth(head + body);
+    switch (align) {
+        case '<':
+            return head + body + buildPadding(padWidth, fill);
+        case '>':
+            return buildPadding(padWidth, fill) + head + body;
+        case '^': {
+            let startWidth = Math.floor(padWidth / 2);
+            return buildPadding(startWidth, fill) + head + body +
+                buildPadding(padWidth - startWidth, fill);
+        }
+        default: // '='
+            return head + buildPadding(padWidth, fill) + body;
+    }
+}
+
+/**
+ * 构建指定显示宽度的填充文本
+ *
+ * @param {*} width
+ * @param {*} padChar
+ * @param {*} options
+ * @returns
+ */
+function buildPadding(width, padChar, options) {
+    if (width <= 0) {
+        return '';
+    }
+
+    let padWidth = StringUtils.getDisplayWidth(padChar, options);
+    if (padWidth <= 0) {
+        throw new IllegalArgumentException('The pad char should not be zero width.');
+    }
+
+    let count = Math.floor(width / padWidth);
+    return padChar.repeat(count) + ' '.repeat(width - count * padWidth);
+}
+
+/**
+ * 从字素数组的 start 位置截取不超过指定显示宽度的一段，用于强制截断超长的片段。
+ *
+ * 截取的位置尽量遵循避头规则，即剩余的文本不以 lineStartProhibitedChars 里的
+ * 字符开头；当一个字符都放不下时，至少截取一个字符。
+ *
+ * @param {*} chars 字素（grapheme）数组
+ * @param {*} start
+ * @param {*} maxWidth
+ * @param {*} options
+ * @returns 返回 {count, width}，即截取的字素个数以及显示宽度。
+ */
+function takeByWidth(chars, start, maxWidth, options) {
+    let end = start;
+    let width = 0;
+    while (end < chars.length) {
+        let charWidth = DisplayWidth.getCharWidth(chars[end], options);
+        if (width + charWidth > maxWidth) {
+            break;
+        }
+        width += charWidth;
+        end++;
+    }
+
+    if (end === start) {
+        width = DisplayWidth.getCharWidth(chars[start], options);
+        end++;
+    }
+
+    // 如果剩余的文本以禁止出现在行首的字符开头，则尝试把截取的位置往前移
+    let removedWidth = 0;
+    for (let idx = end; idx > start && idx < chars.length; idx--) {
+        if (!lineStartProhibitedChars.includes(chars[idx])) {
+            end = idx;
+            width -= removedWidth;
+            break;
+        }
+        removedWidth += DisplayWidth.getCharWidth(chars[idx - 1], options);
+    }
+
+    return { count: end - start, width: width };
+}
+
+/**
+ * 判断文本末尾的单词是否为缩写词
+ *
+ * @param {*} head 句子边界之前的文本
+ * @param {*} abbreviations 缩写词列表
+ * @returns
+ */
+function endsWithAbbreviation(head, abbreviations) {
+    let match = /(\S+)\s*$/u.exec(head);
+    if (match === null) {
+        return false;
+    }
+
+    // 去除缩写词前面的开括号和开引号，比如 '(e.g.'
+    let word = match[1].replace(/^[\p{Ps}\p{Pi}"']+/u, '').toLowerCase();
+    return abbreviations.some((abbreviation) => {
+        return abbreviation.toLowerCase() === word;
+    });
+}
+
+/**
+ * 判断指定位置是否为句子边界
+ *
+ * 在 UAX #29 默认规则的基础上：
+ * - 缩写词末尾的点号不作为句子的结束；
+ * - UAX #29 把开括号、开引号和闭括号、闭引号都归为 Close 类，所以默认规则会
+ *   把终止符之后紧接着的开括号归入前一个句子，这里改为归入下一个句子，
+ *   比如 '是吗？「对。」' 在 '「' 之前断开。
+ *
+ * @param {*} text
+ * @param {*} offset
+ * @param {*} abbreviations
+ * @param {*} isBreak 可选，offset 是否为 UAX #29 默认规则的句子边界，
+ *     向后查找时由调用者使用 SentenceBreaker.nextBreak() 一次扫描得出。
+ * @returns
+ */
+function isSentenceBoundary(text, offset, abbreviations, isBreak) {
+    if (offset <= 0 || offset >= text.length) {
+        return true;
+    }
+
+    // 只需检查 offset 之前的一小段文本
+    let head = text.substring(Math.max(offset - 64, 0), offset);
+
+    if (isBreak === undefined) {
+        isBreak = SentenceBreaker.isBreak(text, offset);
+    }
+
+    if (isBreak) {
+        if (/\p{Sentence_Terminal}[\p{Pe}\p{Pf}"']*[\p{Ps}\p{Pi}]+$/u.test(head)) {
+            return false;
+        }
+
+        return !endsWithAbbreviation(head, abbreviations);
+    }
+
+    return /^[\p{Ps}\p{Pi}]/u.test(text.charAt(offset)) &&
+        /\p{Sentence_Terminal}[\p{Pe}\p{Pf}"']*$/u.test(head);
+}
+
+// 各种大小写类型的正则式的缓存，见 getCasePattern()
+const casePatternCache = new Map();
+
+/**
+ * 返回判断大小写类型的正则式
+ *
+ * 注意 CaseType.title 还需要额外检查虚词（比如 'an', 'of'）是否为小写，
+ * 见 StringUtils.isCase()。
+ *
+ * @param {*} caseType
+ * @param {*} unicode 是否允许 Unicode 字母和数字，否则只允许 [a-zA-Z0-9]
+ * @returns
+ */
+function getCasePattern(caseType, unicode) {
+    let key = caseType + (unicode ? ':unicode' : '');
+    let pattern = casePatternCache.get(key);
+    if (pattern !== undefined) {
+        return pattern;
+    }
+
+    let lower = unicode ? '\\p{Ll}' : 'a-z';
+    let upper = unicode ? '\\p{Lu}\\p{Lt}' : 'A-Z';
+    let digit = unicode ? '\\p{Nd}' : '0-9';
+
+    let lowerWord = `[${lower}][${lower}${digit}]*`;         // foo
+    let upperWord = `[${upper}][${upper}${digit}]*`;         // FOO
+    let capitalWord = `[${upper}][${lower}${digit}]*`;       // Foo
+
+    let source;
+    switch (caseType) {
+        case CaseType.camel:
+            source = `${lowerWord}(?:${capitalWord})*`;
+            break;
+
+        case CaseType.pascal:
+            // 全大写的字符串（如 FOO）视为 constant/upper，只有单个字母时才算作 pascal
+            source = `(?:(?=.*[${lower}${digit}])(?:${capitalWord})+|[${upper}])`;
+            break;
+
+        case CaseType.constant:
+            source = `${upperWord}(?:_${upperWord})*`;
+            break;
+
+        case CaseType.space:
+            source = `${lowerWord}(?: ${lowerWord})*`;
+            break;
+
+        case CaseType.dash:
+            source = `${lowerWord}(?:-${lowerWord})*`;
+            break;
+
+        case CaseType.underscore:
+            source = `${lowerWord}(?:_${lowerWord})*`;
+            break;
+
+        case CaseType.dot:
+            source = `${lowerWord}(?:\\.${lowerWord})*`;
+            break;
+
+        case CaseType.path:
+            source = `${lowerWord}(?:/${lowerWord})*`;
+            break;
+
+        case CaseType.header:
+        case CaseType.train:
+            source = `${capitalWord}(?:-${capitalWord})*`;
+            break;
+
+        case CaseType.capital:
+            source = `${capitalWord}(?: ${capitalWord})*`;
+            break;
+
+        case CaseType.title:
+            source = `${capitalWord}(?: (?:${capitalWord}|${lowerWord}))*`;
+            break;
+
+        case CaseType.sentence:
+            source = `${capitalWord}(?: ${lowerWord})*`;
+            break;
+
+        case CaseType.lower:
+            // 至少包含一个小写字母，并且不包含大写字母（包括非 ASCII 字母）
+            source = '[^\\p{Lu}\\p{Lt}]*\\p{Ll}[^\\p{Lu}\\p{Lt}]*';
+            break;
+
+        case CaseType.upper:
+            source = '[^\\p{Ll}]*[\\p{Lu}\\p{Lt}][^\\p{Ll}]*';
+            break;
+
+        default:
+            throw new IllegalArgumentException('Unknown case type.');
+    }
+
+    pattern = new RegExp(`^${source}$`, 'u');
+    casePatternCache.set(key, pattern);
+    return pattern;
+}
+
+/**
+ * 整理大小写转换的选项
+ *
+ * @param {*} options 本地代码（字符串），或者选项对象，见 StringUtils.changeCase()
+ * @returns 返回 {localeCode, acronyms, digits, tokenizer, splitWords}，其中
+ *     acronyms 为小写形式跟原形式的对应表（Map），splitWords 表示是否使用内置的
+ *     单词拆分方法（见 splitCaseWords()）。
+ */
+function normalizeCaseOptions(options) {
+    if (typeof options === 'string') {
+        options = { localeCode: options };
+    }
+
+    let {
+        localeCode = '',
+        acronyms = [],
+        digits,
+        tokenizer
+    } = options;
+
+    // 只有指定了缩写词、数字的拆分规则或者自定义的拆分方法时才使用内置的单词拆分方法
+    let splitWords = acronyms.length > 0 || digits !== undefined || tokenizer !== undefined;
+    if (digits === undefined) {
+        digits = 'attach';
+    }
+
+    if (digits !== 'attach' && digits !== 'separate') {
+        throw new IllegalArgumentException('The digits option should be "attach" or "separate".');
+    }
+
+    if (tokenizer !== undefined && typeof tokenizer !== 'function') {
+        throw new IllegalArgumentException('The tokenizer should be a function.');
+    }
+
+    let acronymMap = new Map();
+    for (let acronym of acronyms) {
+        acronymMap.set(acronym.toLowerCase(), acronym);
+    }
+
+    return {
+        localeCode: localeCode,
+        acronyms: acronymMap,
+        digits: digits,
+        tokenizer: tokenizer,
+        splitWords: splitWords
+    };
+}
+
+const isUpperChar = (char) => /\p{Lu}/u.test(char);
+const isLowerChar = (char) => /\p{Ll}/u.test(char);
+const isDigitChar = (char) => /\p{N}/u.test(char);
+
+/**
+ * 在 chars 的各个位置匹配缩写词（acronym）
+ *
+ * 匹配不区分大小写，且缩写词之后必须为单词的边界，即文本的结尾、数字、
+ * 另一个缩写词或者下一个单词的开始（比如 'IDValue' 当中的 'V'），这样
+ * 'Identity' 和 'IDLE' 不会匹配缩写词 'ID'。
+ *
+ * 两个字符以上的缩写词之后可以有表示复数的小写字母 's'，比如 'userIDs'
+ * 当中的 'IDs'。
+ *
+ * 从后往前匹配，因此判断边界时后面位置的结果已经确定，无需递归。
+ *
+ * @param {*} chars 字符数组
+ * @param {*} acronyms 缩写词的对应表，见 normalizeCaseOptions()
+ * @returns 返回各个位置匹配的字符数的数组，不匹配的位置为 0。
+ */
+function matchAcronyms(chars, acronyms) {
+    let matchedLengths = new Array(chars.length + 1).fill(0);
+
+    let isBoundary = (end) => {
+        let next = chars[end];
+        return next === undefined || isDigitChar(next) ||
+            (isUpperChar(next) && (!isUpperChar(chars[end - 1]) || isLowerChar(chars[end + 1] || ''))) ||
+            matchedLengths[end] > 0;
+    };
+
+    for (let start = chars.length - 1; start >= 0; start--) {
+        let matchedLength = 0;
+        for (let acronym of acronyms.keys()) {
+            let length = Array.from(acronym).length;
+            if (length < matchedLength ||
+                chars.slice(start, start + length).join('').toLowerCase() !== acronym) {
+                continue;
+            }
+
+            let end = start + length;
+            if (length > matchedLength && isBoundary(end)) {
+                matchedLength = length;
+            } else if (length >= 2 && chars[end] === 's' && isBoundary(end + 1)) {
+                matchedLength = length + 1;
+            }
+        }
+        matchedLengths[start] = matchedLength;
+    }
+
+    return matchedLengths;
+}
+
+/**
+ * 查找单词对应的缩写词的原形式，包括复数形式（比如 'ids' 对应 'IDs'）
+ *
+ * @param {*} word
+ * @param {*} acronyms 缩写词的对应表，见 normalizeCaseOptions()
+ * @returns 返回缩写词的原形式，不是缩写词则返回 undefined。
+ */
+function getAcronymForm(word, acronyms) {
+    let lowerWord = word.toLowerCase();
+    let acronym = acronyms.get(lowerWord);
+    if (acronym === undefined && lowerWord.endsWith('s')) {
+        let singular = acronyms.get(lowerWord.slice(0, -1));
+        if (singular !== undefined && Array.from(singular).length >= 2) {
+            acronym = singular + 's';
+        }
+    }
+    return acronym;
+}
+
+/**
+ * 将文本拆分为单词，用于大小写转换。
+ *
+ * - 字母和数字之外的字符为单词的分隔符；
+ * - 小写字母之后的大写字母为新单词的开始，比如 'fooBar'；
+ * - 连续的大写字母之后如果是小写字母，则最后一个大写字母为新单词的开始，
+ *   比如 'XMLHttp'；
+ * - 缩写词（acronym）作为一个单词，比如当 'ID' 为缩写词时，'userIDValue'
+ *   拆分为 ['user', 'ID', 'Value']，'userIDs' 拆分为 ['user', 'IDs']；
+ * - 当 digits 为 'attach' 时，数字属于所在的单词，比如 'v2Api' 拆分为
+ *   ['v2', 'Api']，当 digits 为 'separate' 时，连续的数字为单独的单词，
+ *   比如 'v2Api' 拆分为 ['v', '2', 'Api']。
+ *
+ * @param {*} text
+ * @param {*} options 见 normalizeCaseOptions()
+ * @returns
+ */
+function splitCaseWords(text, options) {
+    let { acronyms, digits } = options;
+    let words = [];
+
+    for (let chunk of text.split(/[^\p{L}\p{N}]+/u)) {
+        let chars = Array.from(chunk);
+        let acronymLengths = matchAcronyms(chars, acronyms);
+        let idx = 0;
+        while (idx < chars.length) {
+            let acronymLength = acronymLengths[idx];
+            if (acronymLength > 0) {
+                words.push(chars.slice(idx, idx + acronymLength).join(''));
+                idx += acronymLength;
+                continue;
+            }
+
+            let end = idx + 1;
+            while (end < chars.length) {
+                let previous = chars[end - 1];
+                let char = chars[end];
+
+                if (digits === 'separate' && isDigitChar(previous) !== isDigitChar(char)) {
+                    break;
+                }
+
+                if (isUpperChar(char)) {
+                    if (!isUpperChar(previous) ||
+                        (end + 1 < chars.length && isLowerChar(chars[end + 1]))) {
+                        break;
+                    }
+                }
+
+                end++;
+            }
+
+            words.push(chars.slice(idx, end).join(''));
+            idx = end;
+        }
+    }
+
+    return words;
+}
+
+/**
+ * 判断单词是否为标题式当中小写的虚词（比如 'an', 'of'），使用 title-case
+ * 的规则。
+ *
+ * @param {*} word 小写的单词
+ * @returns
+ */
+function isTitleSmallWord(word) {
+    return /^[a-z]+$/.test(word) && titleCase(`x ${word} x`) === `X ${word} X`;
+}
+
+/**
+ * 按照大小写类型拼接单词
+ *
+ * @param {*} words
+ * @param {*} caseType
+ * @param {*} acronyms 缩写词的对应表，见 normalizeCaseOptions()
+ * @param {*} localeCode 本地代码，用于单词的大小写转换，比如 'tr' 的 'i' 转换
+ *     为大写时为 'İ'。为空字符串时不使用本地规则。
+ * @returns
+ */
+function joinCaseWords(words, caseType, acronyms, localeCode = '') {
+    let lower = (word) => localeCode === '' ? word.toLowerCase() : word.toLocaleLowerCase(localeCode);
+    let upper = (word) => localeCode === '' ? word.toUpperCase() : word.toLocaleUpperCase(localeCode);
+
+    // 首字母大写，缩写词则使用缩写词的原形式
+    let capitalize = (word) => {
+        let acronym = getAcronymForm(word, acronyms);
+        if (acronym !== undefined) {
+            return acronym;
+        }
+        let [first = '', ...rest] = Array.from(word);
+        return upper(first) + lower(rest.join(''));
+    };
+
+    // 驼峰式的单词需以大写字母开始，否则无法拆分回原来的单词（比如 'iOS'）
+    let capitalizeFirst = (word) => {
+        let [first = '', ...rest] = Array.from(capitalize(word));
+        return upper(first) + rest.join('');
+    };
+
+    // 缩写词使用原形式，其余为小写
+    let keepAcronym = (word) => {
+        let acronym = getAcronymForm(word, acronyms);
+        return acronym !== undefined ? acronym : lower(word);
+    };
+
+    // 驼峰式的第一个单词为小写，以小写字母开始的缩写词（比如 'iOS'）保持原形式
+    let lowerFirst = (word) => {
+        let acronym = getAcronymForm(word, acronyms);
+        return (acronym !== undefined && isLowerChar(acronym.charAt(0))) ? acronym : lower(word);
+    };
+
+    switch (caseType) {
+        case CaseType.camel:
+            return words.map((word, idx) => idx === 0 ? lowerFirst(word) : capitalizeFirst(word)).join('');
+
+        case CaseType.pascal:
+            return words.map(capitalizeFirst).join('');
+
+        case CaseType.constant:
+            return words.map(upper).join('_');
+
+        case CaseType.space:
+            return words.map(lower).join(' ');
+
+        case CaseType.dash:
+            return words.map(lower).join('-');
+
+        case CaseType.underscore:
+            return words.map(lower).join('_');
+
+        case CaseType.dot:
+            return words.map(lower).join('.');
+
+        case CaseType.path:
+            return words.map(lower).join('/');
+
+        case CaseType.header:
+        case CaseType.train:
+            return words.map(capitalizeFirst).join('-');
+
+        case CaseType.capital:
+            return words.map(capitalize).join(' ');
+
+        case CaseType.title:
+            return words.map((word, idx) => {
+                return (idx === 0 || idx === words.length - 1 || !isTitleSmallWord(word.toLowerCase())) ?
+                    capitalize(word) : keepAcronym(word);
+            }).join(' ');
+
+        case CaseType.sentence:
+            return words.map((word, idx) => idx === 0 ? capitalize(word) : keepAcronym(word)).join(' ');
+
+        default:
+            throw new IllegalArgumentException('Unknown case type.');
+    }
+}
+
+/**
+ * 返回使用本地规则转换单词大小写的 change-case 选项
+ *
+ * 各个 transform 方法跟 change-case 默认的转换方法相同，只是改用
+ * toLocaleLowerCase() 和 toLocaleUpperCase()。另外 change-case 默认只把 ASCII
+ * 字母和数字作为单词的字符，这里改为 Unicode 的字母和数字，否则比如
+ * 'DİYARBAKIR' 当中的 'İ' 会被当作分隔符。对于 ASCII 文本，单词的拆分跟
+ * 不使用本地规则时相同。
+ *
+ * @param {*} caseType
+ * @param {*} localeCode 本地代码，为空字符串时返回 undefined，即使用
+ *     change-case 的默认选项。
+ * @returns
+ */
+function getLocaleCaseOptions(caseType, localeCode) {
+    if (localeCode === '') {
+        return undefined;
+    }
+
+    let lower = (word) => word.toLocaleLowerCase(localeCode);
+    let upper = (word) => word.toLocaleUpperCase(localeCode);
+
+    let capitalize = (word) => {
+        let [first = '', ...rest] = Array.from(word);
+        return upper(first) + lower(rest.join(''));
+    };
+
+    // 跟 change-case 的 pascalCaseTransform 一样，第一个单词之外以数字开始的
+    // 单词之前加上下划线，比如 'version_1_2'
+    let pascal = (word, idx) => {
+        let first = word.charAt(0);
+        if (idx > 0 && first >= '0' && first <= '9') {
+            return '_' + first + lower(word.substring(1));
+        }
+        return capitalize(word);
+    };
+
+    let transforms = {
+        [CaseType.camel]: (word, idx) => idx === 0 ? lower(word) : pascal(word, idx),
+        [CaseType.pascal]: pascal,
+        [CaseType.constant]: upper,
+        [CaseType.header]: capitalize,
+        [CaseType.train]: capitalize,
+        [CaseType.capital]: capitalize,
+        [CaseType.sentence]: (word, idx) => idx === 0 ? capitalize(word) : lower(word)
+    };
+
+    return {
+        splitRegexp: [/([\p{Ll}\p{N}])(\p{Lu})/gu, /(\p{Lu})(\p{Lu}\p{Ll})/gu],
+        stripRegexp: /[^\p{L}\p{N}]+/gu,
+        transform: transforms[caseType] || lower
+    };
+}
+
+/**
+ * 使用本地规则转换为标题式
+ *
+ * 由 title-case 决定哪些字符需要转换为大写（title-case 只把单个字符转换为
+ * 大写），然后对这些字符使用本地规则重新转换，所以单词的拆分以及标点符号的
+ * 处理跟 title-case 相同。
+ *
+ * @param {*} text
+ * @param {*} localeCode
+ * @returns
+ */
+function localeTitleCase(text, localeCode) {
+    let titled = titleCase(text);
+    if (localeCode === '') {
+        return titled;
+    }
+
+    let result = '';
+    let idx = 0;
+    for (let char of text) {
+        if (titled.startsWith(char, idx)) {
+            result += char;
+            idx += char.length;
+        } else {
+            // 该字符被 title-case 转换为大写（比如 'ß' 转换为 'SS'，长度会改变）
+            result += char.toLocaleUpperCase(localeCode);
+            idx += char.toUpperCase().length;
+        }
+    }
+    return result;
+}
+
+/**
+ * 判断对象是否为普通对象，即原型为 Object.prototype 或者 null 的对象，
+ * 比如对象字面量以及 JSON.parse() 的结果。
+ *
+ * @param {*} obj
+ * @returns
+ */
+function isPlainObject(obj) {
+    let proto = Object.getPrototypeOf(obj);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * 判断属性名称是否匹配任意一个模式
+ *
+ * @param {*} key
+ * @param {*} patterns 模式数组，每个模式为字符串（完全匹配）或者正则表达式
+ * @returns
+ */
+function matchKeyPatterns(key, patterns) {
+    return patterns.some((pattern) => {
+        if (pattern instanceof RegExp) {
+            pattern.lastIndex = 0;
+            return pattern.test(key);
+        }
+        return pattern === key;
+    });
+}
+
+/**
+ * 规范 changeObjectKeysCase() 的选项
+ *
+ * @param {*} options
+ * @returns 返回 {caseOptions, preserveNonPlain, cycles, include, exclude,
+ *     maxDepth, keyMap, onCollision}，其中 caseOptions 为传给 changeCase()
+ *     的参数。
+ */
+function normalizeObjectKeysCaseOptions(options) {
+    if (typeof options === 'string' || options === null) {
+        return normalizeObjectKeysCaseOptions({ localeCode: options === null ? '' : options });
+    }
+
+    let {
+        localeCode,
+        acronyms,
+        digits,
+        tokenizer,
+        preserveNonPlain = false,
+        cycles = 'throw',
+        include,
+        exclude = [],
+        maxDepth = Infinity,
+        keyMap = new Map(),
+        onCollision = 'last'
+    } = options;
+
+    if (cycles !== 'throw' && cycles !== 'reference') {
+        throw new IllegalArgumentException('The cycles option should be "throw" or "reference".');
+    }
+
+    if (onCollision !== 'throw' && onCollision !== 'first' && onCollision !== 'last') {
+        throw new IllegalArgumentException('The onCollision option should be "throw", "first" or "last".');
+    }
+
+    if (typeof maxDepth !== 'number' || Number.isNaN(maxDepth) || maxDepth < 0) {
+        throw new IllegalArgumentException('The maxDepth option should be a non-negative number.');
+    }
+
+    let toArray = (value) => Array.isArray(value) ? value : [value];
+
+    // 没有传入 changeCase() 的选项时，仍然使用 change-case 转换，
+    // 跟不传选项时的结果一致。
+    let caseOptions = '';
+    if (localeCode !== undefined || acronyms !== undefined ||
+        digits !== undefined || tokenizer !== undefined) {
+        caseOptions = { localeCode, acronyms, digits, tokenizer };
+    }
+
+    return {
+        caseOptions: caseOptions,
+        preserveNonPlain: preserveNonPlain,
+        cycles: cycles,
+        include: include === undefined ? undefined : toArray(include),
+        exclude: toArray(exclude),
+        maxDepth: maxDepth,
+        keyMap: keyMap instanceof Map ? keyMap : new Map(Object.entries(keyMap)),
+        onCollision: onCollision
+    };
+}
+
+/**
+ * changeObjectKeysCase() 的实现
+ *
+ * @param {*} obj
+ * @param {*} caseType
+ * @param {*} options 规范后的选项，见 normalizeObjectKeysCaseOptions()
+ * @param {*} depth 当前对象的深度，顶层对象为 1
+ * @param {*} ancestors 祖先对象（包括数组）跟转换结果的对应表，用于检测循环引用
+ * @returns
+ */
+function changeObjectKeysCaseAt(obj, caseType, options, depth, ancestors) {
+    if (obj === null || typeof obj !== 'object') {
+        return obj;
+    }
+
+    if (ancestors.has(obj)) {
+        if (options.cycles === 'throw') {
+            throw new IllegalArgumentException('Circular reference detected.');
+        }
+        return ancestors.get(obj);
+    }
+
+    if (Array.isArray(obj)) {
+        let result = [];
+        ancestors.set(obj, result);
+        for (let item of obj) {
+            result.push(changeObjectKeysCaseAt(item, caseType, options, depth, ancestors));
+        }
+        ancestors.delete(obj);
+        return result;
+    }
+
+    // Date 对象始终保持原样
+    if (obj instanceof Date ||
+        (options.preserveNonPlain && !isPlainObject(obj)) ||
+        depth > options.maxDepth) {
+        return obj;
+    }
+
+    let result = {};
+    let sourceKeys = new Map(); // 转换后的名称 => 原名称
+    ancestors.set(obj, result);
+
+    for (let key in obj) {
+        let newKey;
+        if (options.keyMap.has(key)) {
+            newKey = options.keyMap.get(key);
+        } else if ((options.include !== undefined && !matchKeyPatterns(key, options.include)) ||
+            matchKeyPatterns(key, options.exclude)) {
+            newKey = key;
+        } else {
+            newKey = StringUtils.changeCase(key, caseType, options.caseOptions);
+        }
+
+        if (sourceKeys.has(newKey)) {
+            if (options.onCollision === 'throw') {
+                throw new IllegalArgumentException(
+                    `Key collision: "${sourceKeys.get(newKey)}" and "${key}" are both converted to "${newKey}".`);
+            } else if (options.onCollision === 'first') {
+                continue;
+            }
+        } else {
+            sourceKeys.set(newKey, key);
+        }
+
+        result[newKey] = changeObjectKeysCaseAt(obj[key], caseType, options, depth + 1, ancestors);
+    }
+
+    ancestors.delete(obj);
+    return result;
+}
+
+const rotateLeft32 = (value, bits) => (value << bits) | (value >>> (32 - bits));
+
+/**
+ * 按照块（block）处理字节，用于 Murmur3Hash 和 XxHash32Hash。
+ *
+ * 完整的块直接从 bytes 当中按照小端序读取 32 位整数，不足一个块的
+ * 剩余字节保存在 state.tail 当中，跟下次 update() 的字节拼接。
+ *
+ * @param {*} state {tail, tailLength, length}，tail 为块大小的 Uint8Array
+ * @param {*} bytes Buffer 或者 Uint8Array
+ * @param {*} processBlock 处理一个块的方法，方法签名为
+ *     function (view, offset) {...}，view 为 DataView
+ */
+function updateHashBlocks(state, bytes, processBlock) {
+    let { tail } = state;
+    let blockSize = tail.length;
+    let offset = 0;
+
+    state.length += bytes.length;
+
+    if (state.tailLength > 0) {
+        offset = Math.min(blockSize - state.tailLength, bytes.length);
+        tail.set(bytes.subarray(0, offset), state.tailLength);
+        state.tailLength += offset;
+        if (state.tailLength < blockSize) {
+            return;
+        }
+        processBlock(new DataView(tail.buffer, tail.byteOffset, blockSize), 0);
+        state.tailLength = 0;
+    }
+
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (; offset + blockSize <= bytes.length; offset += blockSize) {
+        processBlock(view, offset);
+    }
+
+    tail.set(bytes.subarray(offset));
+    state.tailLength = bytes.length - offset;
+}
+
+/**
+ * 非加密哈希算法的基类
+ *
+ * 子类实现 update(bytes) 方法以及 value 属性（32 位算法为无符号整数，
+ * 64 位算法为 BigInt），跟 crypto 的 Hash 对象一样可以分块计算。
+ */
+class NonCryptoHash {
+
+    /**
+     *
+     * @param {*} byteLength Hash 值的字节数
+     */
+    constructor(byteLength) {
+        this.byteLength = byteLength;
+    }
+
+    /**
+     * 返回 Hash 值的字符串，字节按照大端序（big-endian）排列，
+     * 即十六进制字符串跟 Hash 值的数字的十六进制形式（补足前导 0）相同。
+     *
+     * @param {*} encoding
+     * @returns
+     */
+    digest(encoding) {
+        let buffer = Buffer.alloc(this.byteLength);
+        if (this.byteLength === 8) {
+            buffer.writeBigUInt64BE(this.value);
+        } else {
+            buffer.writeUInt32BE(this.value);
+        }
+        return buffer.toString(encoding);
+    }
+}
+
+/**
+ * FNV-1a 32 位
+ *
+ * 种子（seed）用于替代初始值（offset basis）。
+ */
+class Fnv1a32Hash extends NonCryptoHash {
+    constructor(seed = 0x811c9dc5) {
+        super(4);
+        this.hash = seed | 0;
+    }
+
+    update(bytes) {
+        let hash = this.hash;
+        for (let idx = 0; idx < bytes.length; idx++) {
+            hash = Math.imul(hash ^ bytes[idx], 0x01000193);
+        }
+        this.hash = hash;
+    }
+
+    get value() {
+        return this.hash >>> 0;
+    }
+}
+
+/**
+ * FNV-1a 64 位
+ *
+ * 为了避免使用速度较慢的 BigInt 运算，Hash 值分为高低两个 32 位整数，
+ * 乘以 FNV 质数 0x100000001b3（即 2^40 + 0x1b3）时分别计算。
+ *
+ * 种子（seed）用于替代初始值（offset basis）。
+ */
+class Fnv1a64Hash extends NonCryptoHash {
+    constructor(seed = 0xcbf29ce484222325n) {
+        super(8);
+        this.high = Number(seed >> 32n);
+        this.low = Number(seed & 0xffffffffn);
+    }
+
+    update(bytes) {
+        let { high, low } = this;
+        for (let idx = 0; idx < bytes.length; idx++) {
+            low = (low ^ bytes[idx]) >>> 0;
+            let product = low * 0x1b3;
+            high = (Math.imul(high, 0x1b3) + Math.floor(product / 0x100000000) + (low << 8)) >>> 0;
+            low = product >>> 0;
+        }
+        this.high = high;
+        this.low = low;
+    }
+
+    get value() {
+        return (BigInt(this.high) << 32n) | BigInt(this.low);
+    }
+}
+
+/**
+ * MurmurHash3 x86 32 位
+ */
+class Murmur3Hash extends NonCryptoHash {
+    constructor(seed = 0) {
+        super(4);
+        this.hash = seed | 0;
+        this.tail = new Uint8Array(4);
+        this.tailLength = 0;
+        this.length = 0;
+    }
+
+    update(bytes) {
+        let hash = this.hash;
+        updateHashBlocks(this, bytes, (view, offset) => {
+            let block = view.getUint32(offset, true);
+            hash ^= Math.imul(rotateLeft32(Math.imul(block, 0xcc9e2d51), 15), 0x1b873593);
+            hash = (Math.imul(rotateLeft32(hash, 13), 5) + 0xe6546b64) | 0;
+        });
+        this.hash = hash;
+    }
+
+    get value() {
+        let hash = this.hash;
+        let { tail, tailLength } = this;
+
+        if (tailLength > 0) {
+            let block = 0;
+            for (let idx = tailLength - 1; idx >= 0; idx--) {
+                block = (block << 8) | tail[idx];
+            }
+            hash ^= Math.imul(rotateLeft32(Math.imul(block, 0xcc9e2d51), 15), 0x1b873593);
+        }
+
+        hash ^= this.length;
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+}
+
+const xxhPrime1 = 0x9e3779b1;
+const xxhPrime2 = 0x85ebca77;
+const xxhPrime3 = 0xc2b2ae3d;
+const xxhPrime4 = 0x27d4eb2f;
+const xxhPrime5 = 0x165667b1;
+
+const xxhRound = (acc, input) => Math.imul(rotateLeft32((acc + Math.imul(input, xxhPrime2)) | 0, 13), xxhPrime1);
+
+/**
+ * xxHash 32 位
+ */
+class XxHash32Hash extends NonCryptoHash {
+    constructor(seed = 0) {
+        super(4);
+        this.seed = seed | 0;
+        this.accs = [
+            (this.seed + xxhPrime1 + xxhPrime2) | 0,
+            (this.seed + xxhPrime2) | 0,
+            this.seed,
+            (this.seed - xxhPrime1) | 0
+        ];
+        this.tail = new Uint8Array(16);
+        this.tailLength = 0;
+        this.length = 0;
+    }
+
+    update(bytes) {
+        let { accs } = this;
+        updateHashBlocks(this, bytes, (view, offset) => {
+            accs[0] = xxhRound(accs[0], view.getUint32(offset, true));
+            accs[1] = xxhRound(accs[1], view.getUint32(offset + 4, true));
+            accs[2] = xxhRound(accs[2], view.getUint32(offset + 8, true));
+            accs[3] = xxhRound(accs[3], view.getUint32(offset + 12, true));
+        });
+    }
+
+    get value() {
+        let { accs, tail, tailLength } = this;
+        let hash;
+        if (this.length >= 16) {
+            hash = rotateLeft32(accs[0], 1) + rotateLeft32(accs[1], 7) +
+                rotateLeft32(accs[2], 12) + rotateLeft32(accs[3], 18);
+        } else {
+            hash = this.seed + xxhPrime5;
+        }
+        hash = (hash + this.length) | 0;
+
+        let view = new DataView(tail.buffer, tail.byteOffset, tailLength);
+        let offset = 0;
+        for (; offset + 4 <= tailLength; offset += 4) {
+            hash = (hash + Math.imul(view.getUint32(offset, true), xxhPrime3)) | 0;
+            hash = Math.imul(rotateLeft32(hash, 17), xxhPrime4);
+        }
+        for (; offset < tailLength; offset++) {
+            hash = (hash + Math.imul(tail[offset], xxhPrime5)) | 0;
+            hash = Math.imul(rotateLeft32(hash, 11), xxhPrime1);
+        }
+
+        hash ^= hash >>> 15;
+        hash = Math.imul(hash, xxhPrime2);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, xxhPrime3);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+}
+
+const nonCryptoHashClasses = new Map([
+    [HashAlgorithm.fnv1a32, Fnv1a32Hash],
+    [HashAlgorithm.fnv1a64, Fnv1a64Hash],
+    [HashAlgorithm.murmur3, Murmur3Hash],
+    [HashAlgorithm.xxhash32, XxHash32Hash]
+]);
+
+/**
+ * 检查并转换非加密哈希算法的种子
+ *
+ * @param {*} hashAlgorithm
+ * @param {*} seed 32 位算法为 0 到 2^32 - 1 之间的整数，fnv1a64 为
+ *     0 到 2^64 - 1 之间的整数或者 BigInt。
+ * @returns
+ */
+function normalizeHashSeed(hashAlgorithm, seed) {
+    if (hashAlgorithm === HashAlgorithm.fnv1a64) {
+        if ((typeof seed === 'number' && Number.isSafeInteger(seed) && seed >= 0) ||
+            (typeof seed === 'bigint' && seed >= 0n && seed <= 0xffffffffffffffffn)) {
+            return BigInt(seed);
+        }
+    } else if (Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff) {
+        return seed;
+    }
+
+    throw new IllegalArgumentException('Invalid hash seed.');
+}
+
+const hashAlgorithms = new Set(Object.values(HashAlgorithm));
+const hashEncodings = new Set(['hex', 'base64', 'base64url']);
+
+/**
+ * 创建 crypto 的 Hash 对象，或者当 key 不为 undefined 时创建 Hmac 对象，
+ * 对于非加密哈希算法，则创建对应的 NonCryptoHash 对象。
+ *
+ * @param {*} hashAlgorithm
+ * @param {*} key 密钥，字符串（UTF-8）或者 Buffer，仅用于加密哈希算法
+ * @param {*} seed 种子，仅用于非加密哈希算法，见 normalizeHashSeed()
+ * @returns
+ */
+function createHashObject(hashAlgorithm, key, seed) {
+    if (!hashAlgorithms.has(hashAlgorithm)) {
+        throw new IllegalArgumentException('Unsupport hash algorithm.');
+    }
+
+    let NonCryptoHashClass = nonCryptoHashClasses.get(hashAlgorithm);
+    if (NonCryptoHashClass !== undefined) {
+        if (key !== undefined) {
+            throw new IllegalArgumentException('HMAC is not supported by the non-cryptographic hash algorithm.');
+        }
+        return seed === undefined ?
+            new NonCryptoHashClass() :
+            new NonCryptoHashClass(normalizeHashSeed(hashAlgorithm, seed));
+    }
+
+    if (seed !== undefined) {
+        throw new IllegalArgumentException('The seed is only supported by the non-cryptographic hash algorithm.');
+    }
+
+    return key === undefined ?
+        crypto.createHash(hashAlgorithm) :
+        crypto.createHmac(hashAlgorithm, key);
+}
+
+/**
+ * 检查 Hash 值的输出编码
+ *
+ * @param {*} encoding
+ */
+function checkHashEncoding(encoding) {
+    if (!hashEncodings.has(encoding)) {
+        throw new IllegalArgumentException('The encoding should be "hex", "base64" or "base64url".');
+    }
+}
+
+/**
+ * 以流的方式计算 Hash 值，使用 StringUtils.createTextHasher() 创建。
+ */
+class TextHasher {
+
+    /**
+     *
+     * @param {*} hashAlgorithm
+     * @param {*} options {key, seed, encoding}，见 StringUtils.createTextHasher()
+     */
+    constructor(hashAlgorithm, options) {
+        let { key, seed, encoding = 'hex' } = options;
+        checkHashEncoding(encoding);
+
+        this.hash = createHashObject(hashAlgorithm, key, seed);
+        this.encoding = encoding;
+    }
+
+    /**
+     * 添加数据
+     *
+     * @param {*} chunk 字符串（按照 UTF-8 编码）、Buffer 或者 Uint8Array
+     * @returns 返回当前对象，以便链式调用。
+     */
+    update(chunk) {
+        if (typeof chunk === 'string') {
+            chunk = Buffer.from(chunk, 'utf8');
+        }
+        this.hash.update(chunk);
+        return this;
+    }
+
+    /**
+     * 计算所有已添加的数据的 Hash 值
+     *
+     * 这个方法只能调用一次，之后不能再调用 update() 或者 digest()。
+     *
+     * @returns 返回指定编码的 Hash 值字符串。
+     */
+    digest() {
+        return this.hash.digest(this.encoding);
+    }
+}
+
+// XML 1.0 不允许出现的字符，即除了 '\t', '\n', '\r' 之外的控制字符、
+// 单独的代理（lone surrogate）以及 U+FFFE 和 U+FFFF
+const xmlInvalidCharExp = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const loneSurrogateExp = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+const jsStringEscapeMap = {
+    '\\': '\\\\',
+    '"': '\\"',
+    '\'': '\\\'',
+    '`': '\\`',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\b': '\\b',
+    '\f': '\\f',
+    '\v': '\\v',
+    '${': '\\${'
+};
+
+const htmlAttributeEscapeMap = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;'
+};
+
+const xmlEscapeMap = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&apos;'
+};
+
+/**
+ * 将字符（UTF-16 编码单元）转换为指定位数的大写十六进制字符串
+ *
+ * @param {*} char
+ * @param {*} length
+ * @returns
+ */
+function toHexCode(char, length) {
+    return char.charCodeAt(0).toString(16).toUpperCase().padStart(length, '0');
+}
+
+/**
+ * 按照 RFC 3986 转换 URL 的组成部分，即除了非保留字符
+ * （unreserved characters，字母、数字以及 '-._~'）之外的字符都使用 '%XX' 表示。
+ *
+ * 单独的代理（lone surrogate）转换为替换字符 U+FFFD。
+ *
+ * @param {*} text
+ * @returns
+ */
+function encodeUrlComponent(text) {
+    return encodeURIComponent(text.replace(loneSurrogateExp, '\uFFFD'))
+        .replace(/[!'()*]/g, (char) => '%' + toHexCode(char, 2));
+}
+
+/**
+ * 标记为可信任的文本，在标签模板（tagged template），比如 StringUtils.html``
+ * 当中原样输出，不进行转义。
+ *
+ * 使用 StringUtils.raw() 创建。
+ */
+class RawText {
+    constructor(text) {
+        this.text = String(text);
+    }
+
+    toString() {
+        return this.text;
+    }
+}
+
+/**
+ * 拼接标签模板（tagged template）的文本和插值
+ *
+ * @param {*} strings 模板的文本部分
+ * @param {*} values 插值
+ * @param {*} escapeFunc 转义插值的方法，RawText 对象不会被转义。
+ * @param {*} separator 插值为数组时，各个元素转义之后的分隔符。
+ * @returns
+ */
+function buildTaggedTemplate(strings, values, escapeFunc, separator) {
+    let escapeValue = (value) => {
+        return (value instanceof RawText) ? value.text : escapeFunc(value);
+    };
+
+    let buffer = [strings[0]];
+    for (let idx = 0; idx < values.length; idx++) {
+        let value = values[idx];
+        buffer.push(Array.isArray(value) ?
+            value.map(escapeValue).join(separator) :
+            escapeValue(value));
+        buffer.push(strings[idx + 1]);
+    }
+    return buffer.join('');
+}
+
+/**
+ * 转换 SQL 的值为 SQL 字面量（literal）
+ *
+ * @param {*} value
+ * @param {*} options {dialect}，见 StringUtils.escapeSqlLiteral()
+ * @returns
+ */
+function toSqlLiteral(value, options) {
+    if (value === undefined || value === null) {
+        return 'NULL';
+    }
+
+    switch (typeof value) {
+        case 'number':
+            if (!Number.isFinite(value)) {
+                throw new IllegalArgumentException('Cannot convert a non-finite number to SQL literal.');
+            }
+            return String(value);
+
+        case 'bigint':
+            return String(value);
+
+        case 'boolean':
+            return value ? 'TRUE' : 'FALSE';
+    }
+
+    if (value instanceof Date) {
+        return StringUtils.escapeSqlLiteral(value.toISOString(), options);
+    }
+
+    return StringUtils.escapeSqlLiteral(String(value), options);
+}
+
+/**
+ * 拼接 SQL 的标签模板（tagged template）
+ *
+ * @param {*} strings
+ * @param {*} values
+ * @param {*} options {dialect}
+ * @returns
+ */
+function buildSqlTemplate(strings, values, options) {
+    if (values.some(value => Array.isArray(value) && value.length === 0)) {
+        throw new IllegalArgumentException('Cannot convert an empty array to SQL literals.');
+    }
+
+    return buildTaggedTemplate(strings, values, (value) => toSqlLiteral(value, options), ', ');
+}
+
+// cmd.exe 的元字符，在命令行里需要使用 '^' 转义
+const cmdMetaCharExp = /[()[\]%!^"`<>&|;, *?]/g;
+
+// PowerShell 把这些弯引号（typographic quotes）也视为单引号或者双引号
+const powerShellSingleQuotes = '\'‘’‚‛';
+const powerShellDoubleQuotes = '"“”„';
+
+const powerShellEscapeMap = {
+    '0': '\0',
+    'a': '\x07',
+    'b': '\b',
+    'e': '\x1B',
+    'f': '\f',
+    'n': '\n',
+    'r': '\r',
+    't': '\t',
+    'v': '\v'
+};
+
+/**
+ * 按照 CommandLineToArgvW 的规则转换 Windows 程序的一个参数，
+ * 然后再使用 '^' 转义 cmd.exe 的元字符。
+ *
+ * 见 https://learn.microsoft.com/en-us/cpp/c-language/parsing-c-command-line-arguments
+ *
+ * @param {*} arg
+ * @returns
+ */
+function quoteCmdArg(arg) {
+    if (/[\r\n]/.test(arg)) {
+        throw new IllegalArgumentException('The cmd argument cannot contain line breaks.');
+    }
+
+    if (/^[\w@+=:./\\-]+$/.test(arg)) {
+        return arg;
+    }
+
+    // 双引号之前的反斜杠需要加倍并且转义双引号，结尾的反斜杠需要加倍
+    // （因为之后紧接着包围参数的双引号）。
+    let quoted = '"' + arg
+        .replace(/(\\*)"/g, '$1$1\\"')
+        .replace(/(\\*)$/, '$1$1') + '"';
+
+    return quoted.replace(cmdMetaCharExp, '^$&');
+}
+
+/**
+ * 转换 PowerShell 的一个参数，即使用单引号包围，并将单引号转换为两个单引号。
+ *
+ * @param {*} arg
+ * @returns
+ */
+function quotePowerShellArg(arg) {
+    if (/^[\w./\\:=+-]+$/.test(arg)) {
+        return arg;
+    }
+
+    let escaped = '';
+    for (let char of arg) {
+        escaped += powerShellSingleQuotes.includes(char) ? char + char : char;
+    }
+    return '\'' + escaped + '\'';
+}
+
+/**
+ * 按照 POSIX shell 的规则拆分命令行
+ *
+ * @param {*} text
+ * @returns
+ */
+function splitPosixCommandLine(text) {
+    let args = [];
+    let current = null; // null 表示当前还没有参数
+
+    for (let idx = 0; idx < text.length; idx++) {
+        let char = text.charAt(idx);
+
+        if (char === ' ' || char === '\t' || char === '\n') {
+            if (current !== null) {
+                args.push(current);
+                current = null;
+            }
+
+        } else if (char === '\\') {
+            idx++;
+            if (idx >= text.length) {
+                current = (current ?? '') + '\\';
+            } else if (text.charAt(idx) !== '\n') { // 反斜杠加换行符为续行
+                current = (current ?? '') + text.charAt(idx);
+            }
+
+        } else if (char === '\'') {
+            let end = text.indexOf('\'', idx + 1);
+            if (end === -1) {
+                throw new IllegalArgumentException('Unterminated single quote.');
+            }
+            current = (current ?? '') + text.substring(idx + 1, end);
+            idx = end;
+
+        } else if (char === '"') {
+            current = current ?? '';
+            for (idx++; ; idx++) {
+                if (idx >= text.length) {
+                    throw new IllegalArgumentException('Unterminated double quote.');
+                }
+
+                let quotedChar = text.charAt(idx);
+                if (quotedChar === '"') {
+                    break;
+                } else if (quotedChar === '\\' && '$`"\\\n'.includes(text.charAt(idx + 1)) && idx + 1 < text.length) {
+                    idx++;
+                    if (text.charAt(idx) !== '\n') {
+                        current += text.charAt(idx);
+                    }
+                } else {
+                    current += quotedChar;
+                }
+            }
+
+        } else {
+            current = (current ?? '') + char;
+        }
+    }
+
+    if (current !== null) {
+        args.push(current);
+    }
+
+    return args;
+}
+
+/**
+ * 按照 cmd.exe 以及 CommandLineToArgvW 的规则拆分命令行
+ *
+ * 首先去除 cmd.exe 的转义字符 '^'（双引号之内的 '^' 除外），然后按照
+ * CommandLineToArgvW 的规则拆分。
+ *
+ * @param {*} text
+ * @returns
+ */
+function splitCmdCommandLine(text) {
+    let unescaped = '';
+    let inQuote = false;
+    for (let idx = 0; idx < text.length; idx++) {
+        let char = text.charAt(idx);
+        if (char === '^' && !inQuote && idx + 1 < text.length) {
+            idx++;
+            unescaped += text.charAt(idx);
+        } else {
+            if (char === '"') {
+                inQuote = !inQuote;
+            }
+            unescaped += char;
+        }
+    }
+
+    let args = [];
+    let current = null;
+    inQuote = false;
+
+    for (let idx = 0; idx < unescaped.length; idx++) {
+        let char = unescaped.charAt(idx);
+
+        if ((char === ' ' || char === '\t') && !inQuote) {
+            if (current !== null) {
+                args.push(current);
+                current = null;
+            }
+
+        } else if (char === '\\') {
+            let count = 1;
+            while (unescaped.charAt(idx + count) === '\\') {
+                count++;
+            }
+
+            if (unescaped.charAt(idx + count) === '"') {
+                // 2n 个反斜杠加双引号为 n 个反斜杠，双引号切换引号状态；
+                // 2n + 1 个反斜杠加双引号为 n 个反斜杠以及一个双引号。
+                current = (current ?? '') + '\\'.repeat(Math.floor(count / 2));
+                if (count % 2 === 1) {
+                    current += '"';
+                    idx += count;
+                } else {
+                    idx += count - 1;
+                }
+            } else {
+                current = (current ?? '') + '\\'.repeat(count);
+                idx += count - 1;
+            }
+
+        } else if (char === '"') {
+            current = current ?? '';
+            if (inQuote && unescaped.charAt(idx + 1) === '"') {
+                // 双引号之内的两个双引号为一个双引号
+                current += '"';
+                idx++;
+            } else {
+                inQuote = !inQuote;
+            }
+
+        } else {
+            current = (current ?? '') + char;
+        }
+    }
+
+    if (inQuote) {
+        throw new IllegalArgumentException('Unterminated double quote.');
+    }
+
+    if (current !== null) {
+        args.push(current);
+    }
+
+    return args;
+}
+
+/**
+ * 按照 PowerShell 的规则拆分命令行
+ *
+ * 仅处理引号、转义字符 '`' 以及空白，不处理变量以及子表达式。
+ *
+ * @param {*} text
+ * @returns
+ */
+function splitPowerShellCommandLine(text) {
+    let args = [];
+    let current = null;
+
+    let unescapeAt = (idx) => {
+        let char = text.charAt(idx);
+        return powerShellEscapeMap[char] ?? char;
+    };
+
+    for (let idx = 0; idx < text.length; idx++) {
+        let char = text.charAt(idx);
+
+        if (char === ' ' || char === '\t' || char === '\n') {
+            if (current !== null) {
+                args.push(current);
+                current = null;
+            }
+
+        } else if (char === '`' && idx + 1 < text.length) {
+            idx++;
+            if (text.charAt(idx) !== '\n') { // 反引号加换行符为续行
+                current = (current ?? '') + unescapeAt(idx);
+            }
+
+        } else if (powerShellSingleQuotes.includes(char) || powerShellDoubleQuotes.includes(char)) {
+            let quotes = powerShellSingleQuotes.includes(char) ? powerShellSingleQuotes : powerShellDoubleQuotes;
+            current = current ?? '';
+            for (idx++; ; idx++) {
+                if (idx >= text.length) {
+                    throw new IllegalArgumentException('Unterminated quote.');
+                }
+
+                let quotedChar = text.charAt(idx);
+                if (quotes.includes(quotedChar)) {
+                    if (!quotes.includes(text.charAt(idx + 1)) || idx + 1 >= text.length) {
+                        break;
+                    }
+                    // 两个引号为一个引号
+                    current += quotedChar;
+                    idx++;
+                } else if (quotedChar === '`' && quotes === powerShellDoubleQuotes && idx + 1 < text.length) {
+                    idx++;
+                    current += unescapeAt(idx);
+                } else {
+                    current += quotedChar;
+                }
+            }
+
+        } else {
+            current = (current ?? '') + char;
+        }
+    }
+
+    if (current !== null) {
+        args.push(current);
+    }
+
+    return args;
+}
+
+class StringUtils {
+
+    /**
+     * 转换文本当中的 HTML 实体（entities）
+     *
+     * 在 HTML 文档里显示文本内容需要先进行 HTML Escape。
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeHtml(text) {
+        return escape(text);
+
+        // HTML Escape 的大致原理如下：
+        //
+        // const htmlEntityMap = {
+        //     '&': '&amp;',
+        //     '<': '&lt;',
+        //     '>': '&gt;',
+        //     '"': '&quot;',
+        //     "'": '&#39;'
+        // };
+        //
+        // return text.replace(/[&<>"']/g, (s) => {
+        //     return htmlEntityMap[s];
+        // });
+
+    }
+
+    /**
+     * 还原 HTML 实体（entities）
+     *
+     * 按照 HTML5 标准解码，支持所有的命名实体（比如 '&nbsp;', '&copy;'，
+     * 以及不带分号的旧式写法 '&copy'）和数字实体（比如 '&#169;', '&#x1F600;'），
+     * 无法识别的实体保持原样。
+     *
+     * 示例：
+     * unescapeHtml('&copy; 2021 &mdash; &#x1F600;') => '© 2021 — 😀'
+     * unescapeHtml('?a=1&copy=2', {attribute: true}) => '?a=1&copy=2'
+     *
+     * @param {*} text
+     * @param {*} options {attribute}，attribute 为 true 时按照 HTML 属性值的规则
+     *     解码，即不带分号的旧式命名实体之后如果是 '=' 或者字母、数字，则不解码，
+     *     比如 URL 当中的 '&copy=2'。
+     * @returns
+     */
+    static unescapeHtml(text, options = {}) {
+        return HtmlEntities.decode(text, options);
+    }
+
+    /**
+     * 转换文本为 HTML 属性值
+     *
+     * 除了字母、数字以及 ',.-_' 和非 ASCII 字符之外，其余的字符都转换为实体，
+     * 所以转换结果即使在没有引号包围的属性值里也是安全的。
+     *
+     * 示例：
+     * escapeHtmlAttribute('a "b" c') => 'a&#x20;&quot;b&quot;&#x20;c'
+     *
+     * 注意不能用于 'href', 'src' 以及事件（比如 'onclick'）等属性值的 URL 或者
+     * 脚本部分，这些部分需要先使用 escapeUrlQueryComponent() 或者
+     * escapeJsString() 等方法转换。
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeHtmlAttribute(text) {
+        return text.replace(/[^\w,.\-\u0080-\uFFFF]/g, (char) => {
+            return htmlAttributeEscapeMap[char] || `&#x${toHexCode(char, 2)};`;
+        });
+    }
+
+    /**
+     * 转换文本为 XML 的文本内容或者属性值
+     *
+     * 转换 '&', '<', '>', '"' 和 '\''，并删除 XML 1.0 不允许出现的字符，
+     * 比如 '\u0000' 等控制字符（'\t', '\n' 和 '\r' 除外）以及单独的代理
+     * （lone surrogate），这些字符即使转换为实体也是不允许的。
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeXml(text) {
+        return text.replace(xmlInvalidCharExp, '').replace(/[&<>"']/g, (char) => {
+            return xmlEscapeMap[char];
+        });
+    }
+
+    /**
+     * 转换文本为 XML 的 CDATA 段
+     *
+     * 文本当中的 ']]>' 会拆分到两个 CDATA 段，并删除 XML 1.0 不允许出现的字符，
+     * 见 escapeXml()。
+     *
+     * 示例：
+     * escapeCdata('a]]>b') => '<![CDATA[a]]]]><![CDATA[>b]]>'
+     *
+     * @param {*} text
+     * @returns 返回包括 '<![CDATA[' 和 ']]>' 的 CDATA 段
+     */
+    static escapeCdata(text) {
+        return '<![CDATA[' +
+            text.replace(xmlInvalidCharExp, '').replace(/]]>/g, ']]]]><![CDATA[>') +
+            ']]>';
+    }
+
+    /**
+     * 转换文本为 JavaScript 的字符串字面量的内容（不包括引号）
+     *
+     * 转换结果可以放在单引号、双引号或者反引号（模板字符串）之内，
+     * 也可以安全地放在 HTML 的 <script> 元素之内（'<' 和 '>' 会被转换），
+     * 还有行分隔符 U+2028、段分隔符 U+2029 以及单独的代理（lone surrogate）
+     * 也会被转换。
+     *
+     * 示例：
+     * escapeJsString('it\'s "ok"\n') => 'it\\\'s \\"ok\\"\\n'
+     * escapeJsString('</script>') => '\\x3C/script\\x3E'
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeJsString(text) {
+        return text.replace(/[\\"'`\n\r\t\b\f\v<>\u2028\u2029\x00-\x1F\x7F]|\$\{|[\uD800-\uDFFF]/g, (char, offset) => {
+            let escaped = jsStringEscapeMap[char];
+            if (escaped !== undefined) {
+                return escaped;
+            }
+
+            let charCode = char.charCodeAt(0);
+            if (charCode >= 0xD800 && charCode <= 0xDFFF) {
+                // 成对的代理保持不变
+                let isPaired = (charCode <= 0xDBFF) ?
+                    /[\uDC00-\uDFFF]/.test(text.charAt(offset + 1)) :
+                    /[\uD800-\uDBFF]/.test(text.charAt(offset - 1));
+                return isPaired ? char : '\\u' + toHexCode(char, 4);
+            }
+
+            return charCode <= 0xFF ? '\\x' + toHexCode(char, 2) : '\\u' + toHexCode(char, 4);
+        });
+    }
+
+    /**
+     * 转换文本为 CSS 的标识符（identifier），比如选择器当中的类名或者 ID。
+     *
+     * 跟浏览器的 CSS.escape() 方法一致，见
+     * https://drafts.csswg.org/cssom/#serialize-an-identifier
+     *
+     * 示例：
+     * escapeCssIdentifier('1a.b') => '\\31 a\\.b'
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeCssIdentifier(text) {
+        let result = '';
+        for (let idx = 0; idx < text.length; idx++) {
+            let char = text.charAt(idx);
+            let charCode = text.charCodeAt(idx);
+
+            if (charCode === 0) {
+                result += '\uFFFD';
+            } else if ((charCode >= 0x01 && charCode <= 0x1F) || charCode === 0x7F ||
+                (idx === 0 && /[0-9]/.test(char)) ||
+                (idx === 1 && /[0-9]/.test(char) && text.charAt(0) === '-')) {
+                result += '\\' + charCode.toString(16) + ' ';
+            } else if (idx === 0 && char === '-' && text.length === 1) {
+                result += '\\-';
+            } else if (charCode >= 0x80 || /[\w-]/.test(char)) {
+                result += char;
+            } else {
+                result += '\\' + char;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 转换文本为 CSS 的字符串的内容（不包括引号）
+     *
+     * 转换结果可以放在单引号或者双引号之内，也可以安全地放在 HTML 的
+     * <style> 元素或者 style 属性之内（'<', '>' 和 '&' 会被转换）。
+     *
+     * 示例：
+     * escapeCssString('a "b"\n') => 'a \\"b\\"\\a '
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeCssString(text) {
+        return text.replace(/[\x00-\x1F\x7F"'\\<>&]/g, (char) => {
+            let charCode = char.charCodeAt(0);
+            if (charCode === 0) {
+                return '\uFFFD';
+            } else if (char === '"' || char === '\'' || char === '\\') {
+                return '\\' + char;
+            } else {
+                return '\\' + charCode.toString(16) + ' ';
+            }
+        });
+    }
+
+    /**
+     * 转换文本为 URL 路径的一个片段（segment）
+     *
+     * 按照 RFC 3986，除了字母、数字以及 '-._~' 之外的字符（包括 '/'）都转换
+     * 为 '%XX'，单独的代理（lone surrogate）转换为替换字符 U+FFFD。
+     *
+     * 示例：
+     * escapeUrlPathSegment('a b/c') => 'a%20b%2Fc'
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeUrlPathSegment(text) {
+        // '.' 和 '..' 具有特殊的含义，即使转换为 '%2E' 也会被 URL 解析器
+        // 视为当前或者上一级目录。
+        if (text === '.' || text === '..') {
+            throw new IllegalArgumentException('The URL path segment should not be "." or "..".');
+        }
+
+        return encodeUrlComponent(text);
+    }
+
+    /**
+     * 转换文本为 URL 查询字符串（query string）的名称或者值
+     *
+     * 按照 RFC 3986，除了字母、数字以及 '-._~' 之外的字符（包括 '&', '=' 和
+     * '+'）都转换为 '%XX'，单独的代理（lone surrogate）转换为替换字符 U+FFFD。
+     *
+     * 示例：
+     * escapeUrlQueryComponent('a b&c=d') => 'a%20b%26c%3Dd'
+     * escapeUrlQueryComponent('a b', true) => 'a+b'
+     *
+     * @param {*} text
+     * @param {*} spaceAsPlus 是否将空格转换为 '+'（即 application/x-www-form-urlencoded
+     *     格式），默认为 false，即转换为 '%20'。
+     * @returns
+     */
+    static escapeUrlQueryComponent(text, spaceAsPlus = false) {
+        let encoded = encodeUrlComponent(text);
+        return spaceAsPlus ? encoded.replace(/%20/g, '+') : encoded;
+    }
+
+    /**
+     * 转换文本当中的正则表达式实体（entities）字符。
+     *
+     * 用于从用户输入的文本当中安全地构建正则表达式。
+     *
+     * @param {*} text
+     * @returns
+     */
+    static escapeRegularExpress(text) {
+        // the regular express entities:
+        // "^$\\.*+?()[]{}|"
+
+        return text.replace(/[\\^$*+?.()|[\]{}]/g, '\\$&');
+    }
+
+    /**
+     * 转换文本为 SQL 的字符串字面量（literal），即使用单引号包围文本，
+     * 并将文本当中的单引号转换为两个单引号。
+     *
+     * 比如 "it's" 将被转换为 "'it''s'"
+     *
+     * 默认的 'ansi' 方言不转义反斜杠，只适用于把反斜杠视为普通字符的数据库，
+     * 比如 SQLite、SQL Server 以及 standard_conforming_strings 为 on（默认）
+     * 的 PostgreSQL。MySQL（未启用 NO_BACKSLASH_ESCAPES 时）需要使用 'mysql'
+     * 方言，否则文本当中的反斜杠可以转义结尾的单引号。
+     *
+     * 注意参数化查询（prepared statement）才是防止 SQL 注入的首选方法。
+     *
+     * @param {*} text
+     * @param {*} options {dialect}，dialect 为：
+     *     - 'ansi'（默认），只转换单引号；
+     *     - 'mysql'，同时将反斜杠转换为两个反斜杠。
+     * @returns
+     */
+    static escapeSqlLiteral(text, options = {}) {
+        let { dialect = 'ansi' } = options;
+
+        switch (dialect) {
+            case 'ansi':
+                return '\'' + text.replace(/'/g, '\'\'') + '\'';
 
-const camelCasePattern = '^([a-z][a-z0-9]*)([A-Z][a-z0-9]*)*$';
-const spaceCasePattern = '^([a-z][a-z0-9]*)( [a-z][a-z0-9]*)*$';
-const dashCasePattern = '^([a-z][a-z0-9]*)(-[a-z][a-z0-9]*)*$';
+            case 'mysql':
+                return '\'' + text.replace(/'/g, '\'\'').replace(/\\/g, '\\\\') + '\'';
 
-class StringUtils {
+            default:
+                throw new IllegalArgumentException('The dialect should be "ansi" or "mysql".');
+        }
+    }
 
     /**
-     * 转换文本当中的 HTML 实体（entities）
+     * 转换文本为 POSIX shell（比如 sh, bash）的一个参数
      *
-     * 在 HTML 文档里显示文本内容需要先进行 HTML Escape。
+     * 仅包含安全字符（字母、数字以及 '@%+=:,./-_'）的文本保持不变，
+     * 其余的使用单引号包围，并将文本当中的单引号转换为 '\''。
+     *
+     * 比如 "it's a file.txt" 将被转换为 "'it'\''s a file.txt'"
      *
      * @param {*} text
      * @returns
      */
-    static escapeHtml(text) {
-        return escape(text);
+    static escapeShellArg(text) {
+        if (/^[\w@%+=:,./-]+$/.test(text)) {
+            return text;
+        }
 
-        // HTML Escape 的大致原理如下：
-        //
-        // const htmlEntityMap = {
-        //     '&': '&amp;',
-        //     '<': '&lt;',
-        //     '>': '&gt;',
-        //     '"': '&quot;',
-        //     "'": '&#39;'
-        // };
-        //
-        // return text.replace(/[&<>"']/g, (s) => {
-        //     return htmlEntityMap[s];
-        // });
+        return '\'' + text.replace(/'/g, '\'\\\'\'') + '\'';
+    }
+
+    /**
+     * 转换文本为命令行的一个参数
+     *
+     * 示例：
+     * quoteShellArg('it\'s a file.txt') => "'it'\\''s a file.txt'"
+     * quoteShellArg('a "b" & c', {dialect: 'cmd'}) => '^"a^ \\^"b\\^"^ ^&^ c^"'
+     * quoteShellArg('it\'s $HOME', {dialect: 'powershell'}) => "'it''s $HOME'"
+     *
+     * 转换结果可以使用 splitCommandLine() 拆分还原。
+     *
+     * @param {*} arg
+     * @param {*} options {dialect}，dialect 为：
+     *     - 'posix'（默认），用于 sh, bash 等 POSIX shell，见 escapeShellArg()；
+     *     - 'cmd'，用于 Windows 的 cmd.exe，参数首先按照 CommandLineToArgvW
+     *       的规则使用双引号包围，然后使用 '^' 转义 cmd.exe 的元字符（包括 '%'
+     *       和 '!'）。因为 cmd.exe 无法传递换行符，包含换行符的参数会抛出
+     *       IllegalArgumentException 异常；
+     *     - 'powershell'，用于 PowerShell，参数使用单引号包围，不会展开变量。
+     * @returns
+     */
+    static quoteShellArg(arg, options = {}) {
+        let { dialect = 'posix' } = options;
+
+        if (arg.includes('\0')) {
+            throw new IllegalArgumentException('The shell argument cannot contain NUL characters.');
+        }
 
+        switch (dialect) {
+            case 'posix':
+                return StringUtils.escapeShellArg(arg);
+
+            case 'cmd':
+                return quoteCmdArg(arg);
+
+            case 'powershell':
+                return quotePowerShellArg(arg);
+
+            default:
+                throw new IllegalArgumentException('The dialect should be "posix", "cmd" or "powershell".');
+        }
     }
 
     /**
-     * 还原 HTML 实体（entities）
+     * 拆分命令行为参数数组（argv），即 quoteShellArg() 的逆操作。
+     *
+     * 示例：
+     * splitCommandLine('git commit -m "fix: it\'s done" --author=\'A B\'')
+     * => ['git', 'commit', '-m', 'fix: it\'s done', '--author=A B']
+     *
+     * 只处理引号、转义字符以及空白，不展开变量、通配符等，也不处理
+     * 管道、重定向等操作符，它们作为普通的字符。
      *
      * @param {*} text
-     * @returns
+     * @param {*} options {dialect}，dialect 为：
+     *     - 'posix'（默认），单引号之内的字符均为普通字符；双引号之内的 '\\'
+     *       只转义 '$', '`', '"', '\\' 和换行符；引号之外的 '\\' 转义任意字符，
+     *       '\\' 加换行符为续行。
+     *     - 'cmd'，首先去除 cmd.exe 的转义字符 '^'，然后按照 CommandLineToArgvW
+     *       的规则拆分。
+     *     - 'powershell'，单引号之内的两个单引号为一个单引号；双引号之内的
+     *       两个双引号为一个双引号；'`' 为转义字符，比如 '`n' 为换行符。
+     * @returns 返回参数数组，引号未闭合时抛出 IllegalArgumentException 异常。
      */
-    static unescapeHtml(text) {
-        return unescape(text);
+    static splitCommandLine(text, options = {}) {
+        let { dialect = 'posix' } = options;
 
-        // HTML Unescape 的大致原理如下：
-        //
-        // const reverseHtmlEntityMap = {
-        //     '&amp;': '&',
-        //     '&#38;': '&',
-        //     '&lt;': '<',
-        //     '&#60;': '<',
-        //     '&gt;': '>',
-        //     '&#62;': '>',
-        //     '&quot;': '"',
-        //     '&#34;': '"',
-        //     '&apos;': "'",
-        //     '&#39;': "'"
-        // };
-        //
-        // return text.replace(/(&amp;|&#38;|&lt;|&#60;|&gt;|
-        //     &#62;|&quot;|&#34;|&apos;|&#39;)/g, (s) => {
-        //     return reverseHtmlEntityMap[s];
-        // });
+        switch (dialect) {
+            case 'posix':
+                return splitPosixCommandLine(text);
+
+            case 'cmd':
+                return splitCmdCommandLine(text);
+
+            case 'powershell':
+                return splitPowerShellCommandLine(text);
+
+            default:
+                throw new IllegalArgumentException('The dialect should be "posix", "cmd" or "powershell".');
+        }
     }
 
     /**
-     * 转换文本当中的正则表达式实体（entities）字符。
+     * 标记文本为可信任的，在 html, sql, shell 和 regex 等标签模板
+     * （tagged template）当中原样输出，不进行转义。
      *
-     * 用于从用户输入的文本当中安全地构建正则表达式。
+     * 示例：
+     * StringUtils.html`<div>${StringUtils.raw('<b>bold</b>')}</div>`
+     * => '<div><b>bold</b></div>'
      *
      * @param {*} text
      * @returns
      */
-    static escapeRegularExpress(text) {
-        // the regular express entities:
-        // "^$\\.*+?()[]{}|"
+    static raw(text) {
+        return new RawText(text);
+    }
 
-        return text.replace(/[\\^$*+?.()|[\]{}]/g, '\\$&');
+    /**
+     * HTML 的标签模板（tagged template），插值使用 escapeHtml() 转义。
+     *
+     * 插值为数组时，各个元素转义之后直接拼接。插值为 undefined 或者 null 时
+     * 输出空字符串（而不是 'undefined' 或者 'null'）。
+     *
+     * 示例：
+     * StringUtils.html`<a href="${url}">${name}</a>`
+     *
+     * @param {*} strings
+     * @param  {...any} values
+     * @returns
+     */
+    static html(strings, ...values) {
+        return buildTaggedTemplate(strings, values, (value) => {
+            if (value === undefined || value === null) {
+                return '';
+            }
+            return StringUtils.escapeHtml(String(value));
+        }, '');
+    }
+
+    /**
+     * SQL 的标签模板（tagged template），插值转换为 SQL 字面量：
+     *
+     * - 字符串使用 escapeSqlLiteral() 转换；
+     * - 数字、BigInt 原样输出，布尔值转换为 TRUE/FALSE；
+     * - undefined 和 null 转换为 NULL；
+     * - Date 转换为 ISO 8601 格式的字符串；
+     * - 数组的各个元素转换之后使用逗号分隔，用于 'IN (...)'，空数组会抛出
+     *   IllegalArgumentException 异常（'IN ()' 不是合法的 SQL）。
+     *
+     * 默认使用 'ansi' 方言，即不转义反斜杠，使用其它方言时先传入选项对象，
+     * 见 escapeSqlLiteral()。
+     *
+     * 示例：
+     * StringUtils.sql`SELECT * FROM user WHERE name = ${name} AND id IN (${ids})`
+     * => "SELECT * FROM user WHERE name = 'O''Brien' AND id IN (1, 2)"
+     * StringUtils.sql({dialect: 'mysql'})`SELECT * FROM file WHERE path = ${'C:\\tmp'}`
+     * => "SELECT * FROM file WHERE path = 'C:\\\\tmp'"
+     *
+     * @param {*} strings 模板的文本部分，或者选项对象 {dialect}（此时返回
+     *     使用该方言的标签模板）
+     * @param  {...any} values
+     * @returns
+     */
+    static sql(strings, ...values) {
+        if (!Array.isArray(strings)) {
+            let options = strings;
+            StringUtils.escapeSqlLiteral('', options); // 检查选项
+            return (strings, ...values) => buildSqlTemplate(strings, values, options);
+        }
+
+        return buildSqlTemplate(strings, values, {});
+    }
+
+    /**
+     * POSIX shell 的标签模板（tagged template），插值使用 escapeShellArg() 转义。
+     *
+     * 插值为数组时，各个元素转义之后使用空格分隔，即作为多个参数。插值为
+     * undefined 或者 null 时输出空字符串，即省略该参数（而不是传入 'undefined'
+     * 或者 'null'），如需传入空字符串参数，插值应为 ''。
+     *
+     * 示例：
+     * StringUtils.shell`cp ${files} ${targetDir}`
+     * => "cp a.txt 'my file.txt' /tmp"
+     *
+     * @param {*} strings
+     * @param  {...any} values
+     * @returns
+     */
+    static shell(strings, ...values) {
+        return buildTaggedTemplate(strings, values, (value) => {
+            if (value === undefined || value === null) {
+                return '';
+            }
+            return StringUtils.escapeShellArg(String(value));
+        }, ' ');
+    }
+
+    /**
+     * 正则表达式的标签模板（tagged template），返回 RegExp 对象。
+     *
+     * - 模板的文本部分为正则表达式（使用原始文本，即不需要双重转义反斜杠）；
+     * - 插值使用 escapeRegularExpress() 转义，即匹配插值的文本本身；
+     * - 插值为数组时，各个元素转义之后使用 '|' 分隔，即匹配其中任一文本。
+     *
+     * 示例：
+     * StringUtils.regex`^${prefix}\d+$`
+     * StringUtils.regex('gi')`(${words})`
+     *
+     * @param {*} strings 模板的文本部分，或者正则表达式的标志（flags），
+     *     此时返回一个使用该标志的标签模板方法。
+     * @param  {...any} values
+     * @returns
+     */
+    static regex(strings, ...values) {
+        if (typeof strings === 'string') {
+            let flags = strings;
+            return (strings, ...values) => {
+                return new RegExp(buildTaggedTemplate(strings.raw, values, (value) => {
+                    return StringUtils.escapeRegularExpress(String(value));
+                }, '|'), flags);
+            };
+        }
+
+        return StringUtils.regex('')(strings, ...values);
     }
 
     /**
@@ -238,11 +3389,30 @@ class StringUtils {
 
     /**
      * 格式化字符串，类似 C 语言的 printf() 方法。
-     * 目前只支持 '%d' 和 '%s' 两个说明符（specifier）。
+     *
+     * 说明符（specifier）的格式为 %[position$][flags][width][.precision]conversion，
+     * 其中：
+     *
+     * - conversion 为转换字符：
+     *   %s 字符串，%d 和 %i 整数（小数部分会被舍去），%f 小数，%e 科学计数法，
+     *   %x 和 %X 十六进制，%o 八进制，%b 二进制，%c 字符（数字则视为码点，
+     *   无效的码点会抛出 IllegalArgumentException），%j JSON（循环引用输出
+     *   '[Circular]'），%% 为百分号本身；
+     * - flags 为标志：'-' 左对齐，'+' 正数也显示正号，' ' 正数前面添加空格，
+     *   '0' 使用 0 填充数字，'#' 添加前缀 '0x', '0X', '0', '0b'（对于 %f 和 %e
+     *   总是显示小数点）；
+     * - width 为最小的宽度，precision 为精度（对于整数是最少的数字个数，对于
+     *   %f 和 %e 是小数位数，对于 %s 是最大的宽度），两者都可以是 '*'，表示
+     *   从参数当中获取（负数的 width 表示左对齐）；
+     * - position 为参数的位置（从 1 开始），比如 '%2$s' 表示第 2 个参数。
+     *
+     * 宽度为显示宽度（见 getDisplayWidth()），所以包含中文的表格也能够对齐。
+     * 当参数不足时，说明符会原样保留在结果当中。
      *
      * 示例：
-     * let s = format('Hello %s, my number is %d', 'Foo', 123456);
-     * s: 'Hello Foo, my number is 123456'
+     * format('Hello %s, my number is %d', 'Foo', 123456) => 'Hello Foo, my number is 123456'
+     * format('%-6s|%5.1f|%#06x', '中文', 3.14159, 255) => '中文  |  3.1|0x00ff'
+     * format('%2$s %1$s', 'World', 'Hello') => 'Hello World'
      *
      * Java 还有一种字符串格式化方式 MessageFormat.format()，使用占位符
      * 取代说明符，比如：
@@ -255,37 +3425,139 @@ class StringUtils {
      * @returns
      */
     static format(text, ...values) {
-        let buffer = [];
-        let bufferPos = 0;
+        let nextIndex = 0;
 
-        let idx = 0;
+        // 获取 '*', '*n$' 或者说明符所对应的参数，参数不足时返回 undefined
+        let takeValue = (position) => {
+            let index = (position === undefined) ? nextIndex++ : position - 1;
+            return index < values.length ? { value: values[index] } : undefined;
+        };
 
-        let placeholderExp = new RegExp(stringFormatSpecifierPattern, 'g');
-        let result = placeholderExp.exec(text);
-        while (result !== null) {
-            let length = result[0].length;
-            // let type = result[0].substring(1); // 暂时用不上
-            if (result.index !== bufferPos) {
-                // add leading or gap string.
-                buffer.push(text.substring(bufferPos, result.index));
-                bufferPos = result.index;
+        let takeNumber = (field) => {
+            if (field === undefined || field === '') {
+                return field === '' ? { value: 0 } : { value: undefined };
             }
 
-            if (idx < values.length) {
-                buffer.push(values[idx]);
-                idx++;
+            if (field.startsWith('*')) {
+                let position = field.length > 1 ? parseInt(field.substring(1), 10) : undefined;
+                let arg = takeValue(position);
+                return arg === undefined ? undefined : { value: Math.trunc(Number(arg.value)) };
             }
 
-            bufferPos += length;
-            result = placeholderExp.exec(text);
-        }
+            return { value: parseInt(field, 10) };
+        };
 
-        // add the tail string.
-        if (bufferPos < text.length) {
-            buffer.push(text.substring(bufferPos, text.length));
-        }
+        let specifierExp = new RegExp(stringFormatSpecifierPattern, 'g');
+        return text.replace(specifierExp, (specifier, position, flags, widthField, precisionField, conversion) => {
+            if (conversion === '%') {
+                return '%';
+            }
 
-        return buffer.join('');
+            let width = takeNumber(widthField);
+            let precision = takeNumber(precisionField);
+            let arg = takeValue(position === undefined ? undefined : parseInt(position, 10));
+
+            if (width === undefined || precision === undefined || arg === undefined) {
+                // 参数不足
+                return specifier;
+            }
+
+            let leftJustify = flags.includes('-');
+            let minWidth = width.value === undefined ? 0 : width.value;
+            if (minWidth < 0) {
+                leftJustify = true;
+                minWidth = -minWidth;
+            }
+
+            // 负数的精度视为未指定
+            let precisionValue = (precision.value === undefined || precision.value < 0) ?
+                undefined : precision.value;
+
+            let { text, zeroPadding } = formatConversion(conversion, arg.value, flags, precisionValue);
+
+            if (leftJustify) {
+                return StringUtils.padEnd(text, minWidth);
+            }
+
+            if (zeroPadding !== undefined && flags.includes('0')) {
+                let { sign, prefix, digits } = zeroPadding;
+                return sign + prefix + digits.padStart(minWidth - sign.length - prefix.length, '0');
+            }
+
+            return StringUtils.padStart(text, minWidth);
+        });
+    }
+
+    /**
+     * 使用花括号占位符格式化字符串，类似 Python 的 str.format() 方法。
+     *
+     * - 占位符 '{0}', '{1}' 表示数组 values 的元素，'{}' 则依次表示数组的各个元素；
+     * - 占位符 '{name}', '{user.name}' 表示对象的属性，可以是一个对象名称路径
+     *   （name path），跟 resolvePlaceholderByContextObject() 一样使用
+     *   ObjectAccessor.getPropertyValueByNamePath() 获取属性值；
+     * - '{{' 和 '}}' 分别表示 '{' 和 '}' 本身；
+     * - 占位符名称之后可以添加格式说明（format spec），跟名称使用冒号 “:” 分隔，
+     *   格式为 [[fill]align][sign][#][0][width][grouping][.precision][type]：
+     *   - fill 为填充字符，默认为空格；
+     *   - align 为对齐方式：'<' 左对齐，'>' 右对齐，'^' 居中，'=' 在符号之后填充。
+     *     数值默认右对齐，其他默认左对齐；
+     *   - sign 为符号：'+' 正数也显示正号，' ' 正数前面添加空格，'-' 只有负数显示负号；
+     *   - '#' 为二进制、八进制和十六进制数添加前缀 '0b', '0o' 和 '0x'；
+     *   - '0' 表示使用 0 填充数字；
+     *   - width 为最小宽度，grouping 为千位分隔符 ',' 或者 '_'；
+     *   - precision 对于 'f', 'e' 和 '%' 为小数位数，对于 'g' 和未指定类型的数值
+     *     为有效数字位数，对于字符串为最大宽度；
+     *   - type 为类型：'s' 字符串，'d' 整数，'f', 'e', 'g' 小数（以及大写形式
+     *     'F', 'E', 'G'），'%' 百分数，'x', 'X', 'o', 'b' 十六、八、二进制整数，
+     *     'c' 字符。
+     *
+     * 宽度为显示宽度（见 getDisplayWidth()）。当找不到对应的值时（即值为 undefined），
+     * 占位符会原样保留在结果当中。
+     *
+     * 示例：
+     * formatNamed('{0} has {1} items', ['Foo', 3]) => 'Foo has 3 items'
+     * formatNamed('{user.name:>6}|{price:,.2f}', {user: {name: '中文'}, price: 1234.5})
+     *     => '  中文|1,234.50'
+     * formatNamed('{{literal}} {0:*^7}', ['abc']) => '{literal} **abc**'
+     *
+     * @param {*} text
+     * @param {*} valuesOrObject 数组或者对象
+     * @returns
+     */
+    static formatNamed(text, valuesOrObject) {
+        let nextIndex = 0;
+
+        let getValue = (name) => {
+            if (name === '') {
+                name = String(nextIndex++);
+            }
+
+            if (Array.isArray(valuesOrObject)) {
+                let [index, ...names] = name.split('.');
+                let value = valuesOrObject[index];
+                if (names.length === 0 || value === undefined || value === null) {
+                    return value;
+                }
+                return ObjectAccessor.getPropertyValueByNamePath(value, names.join('.'));
+            }
+
+            return ObjectAccessor.getPropertyValueByNamePath(valuesOrObject, name);
+        };
+
+        return text.replace(/\{\{|\}\}|\{([^{}:]*)(?::([^{}]*))?\}/g, (placeholder, name, spec) => {
+            if (placeholder === '{{') {
+                return '{';
+            } else if (placeholder === '}}') {
+                return '}';
+            }
+
+            let value = getValue(name.trim());
+            if (value === undefined) {
+                return placeholder;
+            }
+
+            return formatNamedValue(value, spec === undefined ? '' : spec);
+        });
     }
 
     /**
@@ -298,15 +3570,52 @@ class StringUtils {
      *   ${abc.bbb.ccc:default Value}
      * - 占位符名称可以是一个对象名称路径（name path），其中对象（属性）名称只能由
      *   [\w- ] 字符（即 a-zA-Z0-9_- ）组成。
+     * - 默认值之后（或者名称之后）可以添加过滤器，对解析后的值（或者默认值）
+     *   进行处理，每个过滤器使用竖线 “|” 分隔，过滤器的参数使用冒号 “:” 分隔，比如：
+     *   ${user.name|upper|truncate:20}
+     *   ${user.name:anonymous|capital|padEnd:10}
+     *   默认值当中的 '|', '}' 和 '\'，以及参数当中的 '|', ':', '}' 和 '\' 需使用
+     *   反斜杠转义，其他字符之前的反斜杠为普通的字符，比如 '${path:C:\temp}'
+     *   的默认值为 'C:\temp'。
+     *   注意默认值当中未转义的 '|' 表示过滤器的开始，所以以前包含 '|' 的默认值
+     *   （比如 '${sep:a|b}'）需改为 '${sep:a\|b}'，否则 'b' 作为过滤器，
+     *   过滤器不存在时抛出 IllegalArgumentException 异常。
+     * - 默认值可以包含其他占位符，比如：
+     *   ${user.nickname:${user.name:anonymous}}
+     * - 使用 '\${...}' 表示文本 '${...}'，比如 '\${name}' 替换为 '${name}'。
+     *   注意 '$${name}' 仍然是文本 '$' 加上占位符，比如 '$${price}' 替换为 '$5'。
+     * - 如果 options.recursive 为 true，则继续解析 resolverFunc 返回的字符串当中的
+     *   占位符，当出现循环引用（比如 a 的值为 '${b}'，而 b 的值为 '${a}'）或者
+     *   嵌套的层数超过 options.maxDepth 时，抛出 IllegalArgumentException 异常。
+     * - 条件块 '${#if name.path}...${else}...${/if}'，当值为真（空数组视为假）时
+     *   输出块的内容，否则输出 '${else}' 分支（可选）。
+     * - 循环块 '${#each name.path}...${else}...${/each}'，对值（数组或者其他
+     *   可迭代对象）的每个元素输出一次块的内容，没有元素时输出 '${else}' 分支。
+     *   在块之内，当前元素为 '${item}'（或者使用 '${#each items as alias}' 指定
+     *   名称），循环变量为 '${loop.index}', '${loop.first}', '${loop.last}'
+     *   以及 '${loop.length}'，比如：
+     *   ${#each users as user}${user.name}${#if loop.last}.${else}, ${/if}${/each}
+     *   块之外的 '${else}' 仍然是普通的占位符。
+     *
+     * 内置的过滤器有：
+     * - CaseType 的各种大小写类型，比如 'camel', 'dash', 'upper'，参数为
+     *   可选的本地代码，见 changeCase()；
+     * - 'slugify', 'escapeHtml'；
+     * - 'hashText'，参数为可选的哈希算法以及输出的编码，见 hashText()；
+     * - 'truncate'，参数为最大显示宽度以及可选的省略号，见 truncateToWidth()；
+     * - 'padStart', 'padEnd', 'padCenter'，参数为显示宽度以及可选的填充字符。
+     *
+     * 自定义过滤器见 registerPlaceholderFilter()。
      *
      * @param {*} text
      * @param {*} resolverFunc 解析占位符的方法，方法签名如下：
      *            function (placeholderName) {
      *                return 'value';
      *            }
+     * @param {*} options {strict, recursive, maxDepth}，见 compileTemplate()
      * @returns
      */
-    static resolvePlaceholder(text, resolverFunc) {
+    static resolvePlaceholder(text, resolverFunc, options = {}) {
 
         // resolverFunc 方法签名如下：
         //
@@ -314,54 +3623,105 @@ class StringUtils {
         //      return 'value';
         // }
 
-        let buffer = [];
-        let bufferPos = 0;
-
-        // see also:
-        // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RegExp
-        // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RegExp/exec
-        let placeholderExp = new RegExp(stringPlaceholderPattern, 'g');
-        let result = placeholderExp.exec(text);
-        while (result !== null) {
-            let length = result[0].length;
-            let name = result[1];
-            if (result.index !== bufferPos) {
-                // add leading or gap string.
-                buffer.push(text.substring(bufferPos, result.index));
-                bufferPos = result.index;
-            }
-
-            // convert hyphen and space case name path into camel case,
-            // e.g.
-            // ${abc.def-ijk.lmn opq.xyz} -> ${abc.defIjk.lmnOpq.uvw}
-
-            let camelName = StringUtils.camelCaseNamePath(name);
-            let value = resolverFunc(camelName);
-            if (value === undefined) {
-                // 占位符可以包含一个默认值，默认值跟占位符名称使用冒号 “:” 分隔，比如：
-                // ${abc.bbb.ccc:default Value}
-                // 当解析函数没返回值时，先尝试查找默认值，如果没有默认值
-                // 则用占位符名称替换占位符。
-                if (result[3] !== undefined) {
-                    // 添加默认值
-                    buffer.push(result[3]);
-                } else {
-                    // 添加原始的占位符名称
-                    buffer.push(`${name}`);
-                }
-            } else {
-                buffer.push(value);
-            }
+        return new CompiledTemplate(text, options).resolve(resolverFunc);
+    }
+
+    /**
+     * 替换字符串当中的占位符，跟 resolvePlaceholder() 相同，但解析方法
+     * 可以返回 Promise（比如从密钥存储或者数据库当中获取值）。
+     *
+     * 相同名称的占位符只解析一次，各个占位符并行解析。
+     *
+     * 示例：
+     * await resolvePlaceholderAsync('db: ${db.password}', async (name) => {
+     *     return await secretStore.get(name);
+     * }, {concurrency: 4});
+     *
+     * @param {*} text
+     * @param {*} resolverFunc 解析占位符的方法，方法签名如下：
+     *            async function (placeholderName) {
+     *                return 'value';
+     *            }
+     * @param {*} options {concurrency, strict, recursive, maxDepth}，concurrency
+     *     为同时解析的占位符的最大数量，默认为不限制，其余的见 compileTemplate()。
+     * @returns 返回 Promise
+     */
+    static async resolvePlaceholderAsync(text, resolverFunc, options = {}) {
+        let { concurrency = Infinity } = options;
+        return new CompiledTemplate(text, options).resolveAsync(resolverFunc, concurrency);
+    }
+
+    /**
+     * 预先解析字符串当中的占位符，返回一个模板对象，用于使用同一个模板
+     * 多次替换占位符。
+     *
+     * 占位符的格式见 resolvePlaceholder()。
+     *
+     * 示例：
+     * let template = compileTemplate('Hello ${user.name}!');
+     * template.render({user: {name: 'Foo'}}) => 'Hello Foo!'
+     * template.resolve(name => 'Bar') => 'Hello Bar!'
+     * template.getPlaceholders() => [{name: 'user.name', defaultValue: undefined, filters: [], start: 6, end: 18}]
+     *
+     * @param {*} text
+     * @param {*} options {strict, recursive, maxDepth}
+     *     - strict，当 strict 为 true 时，如果存在无法解析（即解析函数没有
+     *       返回值并且没有默认值）的占位符，则抛出 UnresolvedPlaceholderException
+     *       异常，异常包含所有无法解析的占位符的名称。默认为 false，即用占位符
+     *       名称替换占位符。
+     *     - recursive，是否继续解析占位符的值当中的占位符，默认为 false。
+     *     - maxDepth，递归解析的最大层数，默认为 10。
+     * @returns 返回模板对象，有如下方法：
+     *     - resolve(resolverFunc)，使用解析方法替换占位符，见 resolvePlaceholder()；
+     *     - resolveAsync(resolverFunc, concurrency)，使用异步的解析方法替换占位符，
+     *       见 resolvePlaceholderAsync()；
+     *     - render(contextObject)，使用上下文对象替换占位符，见 resolvePlaceholderByContextObject()；
+     *     - match(text, options)，从文本当中提取占位符的值，见 matchTemplate()；
+     *     - getPlaceholders()，返回所有占位符（包括默认值当中嵌套的占位符）
+     *       [{name, defaultValue, filters, start, end}, ...]。
+     */
+    static compileTemplate(text, options = {}) {
+        return new CompiledTemplate(text, options);
+    }
 
-            bufferPos += length;
-            result = placeholderExp.exec(text);
+    /**
+     * 注册占位符的过滤器，如果同名的过滤器已存在，则替换原有的过滤器。
+     *
+     * 示例：
+     * registerPlaceholderFilter('currency', (value, symbol = '$') => {
+     *     return symbol + Number(value).toFixed(2);
+     * });
+     *
+     * resolvePlaceholder('${price|currency:¥}', ...) => '¥12.50'
+     *
+     * @param {*} name 过滤器名称，只能由 [\w-] 字符组成。
+     * @param {*} filterFunc 过滤器，方法签名如下：
+     *            function (value, ...args) {
+     *                return 'value';
+     *            }
+     *     其中 value 为占位符的值（或者前一个过滤器的结果），args 为过滤器
+     *     的参数（字符串）。
+     */
+    static registerPlaceholderFilter(name, filterFunc) {
+        if (!/^[\w-]+$/.test(name)) {
+            throw new IllegalArgumentException('Invalid placeholder filter name.');
         }
 
-        if (bufferPos < text.length) {
-            buffer.push(text.substring(bufferPos, text.length));
+        if (typeof filterFunc !== 'function') {
+            throw new IllegalArgumentException('The placeholder filter should be a function.');
         }
 
-        return buffer.join('');
+        placeholderFilters.set(name, filterFunc);
+    }
+
+    /**
+     * 删除占位符的过滤器
+     *
+     * @param {*} name
+     * @returns 返回 true 表示过滤器存在并且已被删除。
+     */
+    static unregisterPlaceholderFilter(name) {
+        return placeholderFilters.delete(name);
     }
 
     /**
@@ -380,12 +3740,42 @@ class StringUtils {
      *
      * @param {*} text
      * @param {*} contextObject
+     * @param {*} options {strict, recursive, maxDepth}，见 compileTemplate()
      * @returns
      */
-    static resolvePlaceholderByContextObject(text, contextObject) {
-        return StringUtils.resolvePlaceholder(text, (placeholderName) => {
-            return ObjectAccessor.getPropertyValueByNamePath(contextObject, placeholderName);
-        });
+    static resolvePlaceholderByContextObject(text, contextObject, options = {}) {
+        return new CompiledTemplate(text, options).render(contextObject);
+    }
+
+    /**
+     * 使用模板从文本当中提取占位符的值，即 resolvePlaceholderByContextObject()
+     * 的逆操作。
+     *
+     * 示例：
+     * matchTemplate('${year}-${month}-${slug}.md', '2024-05-hello.md')
+     * => {year: '2024', month: '05', slug: 'hello'}
+     *
+     * matchTemplate('${user.id}:${user.first-name}', '42:Foo', {coerceNumbers: true})
+     * => {user: {id: 42, firstName: 'Foo'}}
+     *
+     * - 占位符名称按照名称路径转换为对象，名称当中的横线和空格转换为驼峰式，
+     *   跟 resolvePlaceholderByContextObject() 一致；
+     * - 占位符默认匹配任意文本（尽可能少地匹配），相同名称的占位符必须匹配
+     *   相同的文本；
+     * - 占位符的默认值和过滤器会被忽略。
+     *
+     * @param {*} template
+     * @param {*} text
+     * @param {*} options {patterns, coerceNumbers}
+     *     - patterns，各个占位符的正则式（RegExp 或者字符串），比如
+     *       {year: /\d{4}/, month: '\\d{2}'}，名称可以是模板当中的占位符名称
+     *       或者驼峰式名称。注意正则式的标志（flags）会被忽略。
+     *     - coerceNumbers，是否将数字文本转换为数字，值为 true 表示转换所有
+     *       占位符，或者需要转换的占位符名称数组，默认为 false。
+     * @returns 返回占位符的值组成的对象，如果文本跟模板不匹配则返回 null。
+     */
+    static matchTemplate(template, text, options = {}) {
+        return new CompiledTemplate(template).match(text, options);
     }
 
     /**
@@ -434,43 +3824,96 @@ class StringUtils {
     /**
      * 转换大小写类型
      *
+     * 第三个参数可以是本地代码，或者选项对象。本地代码只影响单词的大小写转换
+     * （比如土耳其语的 'i' 转换为大写时为 'İ'），单词的拆分以及标点符号的处理
+     * 跟不指定本地代码时相同。
+     *
+     * 当选项对象指定了 acronyms, digits 或者 tokenizer 时，使用内置的单词拆分
+     * 方法（而不是 change-case），支持缩写词以及数字的拆分规则，使得驼峰式、
+     * Pascal 式、常量式和横线式之间的相互转换不丢失信息。注意内置的拆分方法
+     * 把字母和数字之外的字符都作为分隔符，所以标题式、句子式等类型不保留
+     * 标点符号。
+     *
+     * 示例：
+     * let options = {acronyms: ['ID', 'URL', 'iOS']};
+     * changeCase('userID', CaseType.dash, options) => 'user-id'
+     * changeCase('user-id', CaseType.camel, options) => 'userID'
+     * changeCase('iOSAppURL', CaseType.constant, options) => 'IOS_APP_URL'
+     * changeCase('ios-app-url', CaseType.pascal, options) => 'IOSAppURL'
+     * changeCase('XMLHttpRequest', CaseType.dash, options) => 'xml-http-request'
+     * changeCase('v2Api', CaseType.dash, {digits: 'separate'}) => 'v-2-api'
+     * changeCase('istanbul city', CaseType.capital, 'tr') => 'İstanbul City'
+     * changeCase('straße', CaseType.constant, 'de') => 'STRASSE'
+     *
      * @param {*} text 源文本
      * @param {*} caseType 大小写类型
-     * @param {*} localeCode 本地代码（Locale Code），可选，
-     *     仅用于 CaseType.upper 和 CaseType.lower 两种类型。
+     * @param {*} options 本地代码（Locale Code）字符串，或者选项对象
+     *     {localeCode, acronyms, digits, tokenizer}，均为可选：
+     *     - localeCode，本地代码，用于单词的大小写转换，比如 'tr' 和 'de'。
+     *     - acronyms，缩写词数组，比如 ['ID', 'URL', 'iOS']，缩写词（不区分大小写）
+     *       作为一个单词，并且在驼峰式、Pascal 式、首字母大写式等类型当中
+     *       保持原来的形式（驼峰式的第一个单词除外，为全小写，但以小写字母
+     *       开始的缩写词比如 'iOS' 仍保持原形式）。缩写词之后的小写字母 's'
+     *       视为复数，比如 'userIDs' 拆分为 'user' 和 'IDs'。
+     *     - digits，数字的拆分规则，'attach'（默认）表示数字属于所在的单词，
+     *       比如 'v2Api' 拆分为 'v2' 和 'Api'，'separate' 表示连续的数字为
+     *       单独的单词，比如 'v2Api' 拆分为 'v', '2' 和 'Api'。
+     *     - tokenizer，自定义的单词拆分方法，方法签名为
+     *       function (text, options) {return ['word1', 'word2', ...];}，
+     *       其中 options 为 {acronyms, digits}，acronyms 为缩写词的小写形式
+     *       跟原形式的对应表（Map）。
      * @returns
      */
-    static changeCase(text, caseType, localeCode = '') {
+    static changeCase(text, caseType, options = '') {
+        let caseOptions = normalizeCaseOptions(options === null ? '' : options);
+        let { localeCode } = caseOptions;
+
+        if (caseOptions.splitWords && caseType !== CaseType.lower && caseType !== CaseType.upper) {
+            let words = caseOptions.tokenizer !== undefined ?
+                caseOptions.tokenizer(text, { acronyms: caseOptions.acronyms, digits: caseOptions.digits }) :
+                splitCaseWords(text, caseOptions);
+            return joinCaseWords(words, caseType, caseOptions.acronyms, localeCode);
+        }
+
+        let localeOptions = getLocaleCaseOptions(caseType, localeCode);
+
         switch (caseType) {
             case CaseType.camel:
-                return camelCase(text);
+                return camelCase(text, localeOptions);
 
             case CaseType.pascal:
-                return pascalCase(text);
+                return pascalCase(text, localeOptions);
 
             case CaseType.constant:
-                return constantCase(text);
+                return constantCase(text, localeOptions);
 
             case CaseType.space:
-                return noCase(text);
+                return noCase(text, localeOptions);
 
             case CaseType.dash:
-                return paramCase(text);
+                return paramCase(text, localeOptions);
 
             case CaseType.underscore:
-                return snakeCase(text);
+                return snakeCase(text, localeOptions);
 
             case CaseType.dot:
-                return dotCase(text);
+                return dotCase(text, localeOptions);
+
+            case CaseType.path:
+                return pathCase(text, localeOptions);
+
+            case CaseType.header:
+            case CaseType.train:
+                return headerCase(text, localeOptions);
 
             case CaseType.capital:
-                return capitalCase(text);
+                return capitalCase(text, localeOptions);
 
             case CaseType.title:
-                return titleCase(text);
+                return localeTitleCase(text, localeCode);
 
             case CaseType.sentence:
-                return sentenceCase(text);
+                return sentenceCase(text, localeOptions);
 
             case CaseType.lower:
                 return localeLowerCase(text, localeCode);
@@ -594,40 +4037,113 @@ class StringUtils {
     }
 
     /**
-     * 将对象的所有属性的名称大小写转换为指定的类型。
+     * 判断字符串是否为指定的大小写类型
      *
-     * @param {*} obj
+     * 示例：
+     * isCase('fooBar', CaseType.camel) => true
+     * isCase('FOO_BAR', CaseType.constant) => true
+     * isCase('This Is an Example', CaseType.title) => true
+     * isCase('fooÄpfel', CaseType.camel) => false
+     * isCase('fooÄpfel', CaseType.camel, {unicode: true}) => true
+     *
+     * 注意：
+     * - 单词当中的数字跟小写字母（或者常量式当中的大写字母）相同，但单词
+     *   不能以数字开始，比如 'abc1Foo2' 为驼峰式；
+     * - CaseType.title 要求第一个和最后一个单词首字母大写，其余的单词除了
+     *   虚词（比如 'an', 'of'，见 title-case）为小写之外，首字母大写；
+     * - CaseType.lower 和 CaseType.upper 允许任意的非字母字符，比如
+     *   'this is an example!' 为 CaseType.lower，并且总是检查 Unicode 字母，
+     *   比如 'fooÄpfel' 不是 CaseType.lower。
+     *
+     * @param {*} text
      * @param {*} caseType
+     * @param {*} options {unicode}，unicode 为 true 时允许 Unicode 字母和数字，
+     *     否则只允许 [a-zA-Z0-9]，默认为 false。
      * @returns
      */
-    static changeObjectKeysCase(obj, caseType) {
-        let result;
+    static isCase(text, caseType, options = {}) {
+        let { unicode = false } = options;
 
-        if (obj === undefined || obj === null) {
-            result = obj;
-
-        } else if (Array.isArray(obj)) {
-            result = [];
-            for (let item of obj) {
-                result.push(StringUtils.changeObjectKeysCase(item, caseType));
-            }
+        if (!getCasePattern(caseType, unicode).test(text)) {
+            return false;
+        }
 
-        } else if (obj instanceof Date) {
-            result = obj;
+        if (caseType === CaseType.title) {
+            // 最后一个单词必须首字母大写，虚词必须为小写
+            let words = text.split(' ');
+            return words.length === 1 ||
+                (getCasePattern(CaseType.pascal, unicode).test(words[words.length - 1]) &&
+                    titleCase(text.toLowerCase()) === text);
+        }
 
-        } else if (typeof obj === 'object') {
-            result = {};
-            for (let key in obj) {
-                let camelCaseKey = StringUtils.changeCase(key, caseType);
-                let value = StringUtils.changeObjectKeysCase(obj[key], caseType);
-                result[camelCaseKey] = value;
-            }
+        return true;
+    }
 
-        } else {
-            return obj;
-        }
+    /**
+     * 检测字符串的大小写类型
+     *
+     * 一个字符串可能同时符合多种大小写类型，比如 'foo' 同时为驼峰式、空格式、
+     * 横线式、下划线式、点式和全小写式。
+     *
+     * 示例：
+     * detectCase('fooBar') => ['camel']
+     * detectCase('foo-bar') => ['dash', 'lower']
+     * detectCase('Foo') => ['pascal', 'capital', 'title', 'sentence']
+     *
+     * @param {*} text
+     * @param {*} options {unicode}，见 isCase()
+     * @returns 返回符合的 CaseType 值的数组，按照 CaseType 的定义顺序排列，
+     *     没有符合的类型时返回空数组。
+     */
+    static detectCase(text, options = {}) {
+        return Object.values(CaseType).filter((caseType) => {
+            return StringUtils.isCase(text, caseType, options);
+        });
+    }
 
-        return result;
+    /**
+     * 将对象的所有属性的名称大小写转换为指定的类型。
+     *
+     * 数组当中的对象也会被转换，数组本身不计入深度。Date 对象保持原样，
+     * 其他对象（包括类的实例）转换它们的可枚举属性，如果需要保持 Map、Set、
+     * Buffer 以及类的实例等非普通对象的原样（同一个引用），可以设置
+     * options.preserveNonPlain 为 true。
+     *
+     * 示例：
+     * let row = {user_id: 1, created_at: '2024-01-01', raw_json: {...}};
+     * changeObjectKeysCase(row, CaseType.camel, {
+     *     acronyms: ['ID'],
+     *     exclude: ['raw_json'],
+     *     keyMap: {created_at: 'createTime'},
+     *     onCollision: 'throw'
+     * }) => {userID: 1, createTime: '2024-01-01', raw_json: {...}}
+     *
+     * @param {*} obj
+     * @param {*} caseType
+     * @param {*} options 本地代码，或者选项对象，除了 changeCase() 的选项
+     *     {localeCode, acronyms, digits, tokenizer} 之外，还支持：
+     *     - preserveNonPlain，是否保持非普通对象的原样，默认为 false，即跟普通
+     *       对象一样转换它们的可枚举属性（Date 对象除外）。普通对象是指对象
+     *       字面量、JSON.parse() 的结果以及原型为 null 的对象。
+     *     - cycles，遇到循环引用时的处理方式，'throw'（默认）表示抛出
+     *       IllegalArgumentException 异常，'reference' 表示引用对应的转换结果，
+     *       即转换结果保持同样的循环结构。
+     *     - include，需要转换的属性名称，字符串（完全匹配）或者正则表达式，
+     *       或者它们的数组，默认转换所有属性。
+     *     - exclude，不需要转换的属性名称，格式同 include。
+     *       include 和 exclude 只影响属性名称本身，属性值仍然会被转换。
+     *     - maxDepth，转换的最大深度，顶层对象的深度为 1，超出深度的对象保持原样，
+     *       默认不限制。
+     *     - keyMap，指定属性名称的转换结果，对象或者 Map，比如 {id: 'ID'}，
+     *       优先于 include 和 exclude。
+     *     - onCollision，多个属性名称转换后相同时的处理方式，'throw' 表示抛出
+     *       IllegalArgumentException 异常，'first' 表示保留第一个属性的值，
+     *       'last'（默认）表示保留最后一个属性的值。
+     * @returns
+     */
+    static changeObjectKeysCase(obj, caseType, options = '') {
+        let objectOptions = normalizeObjectKeysCaseOptions(options);
+        return changeObjectKeysCaseAt(obj, caseType, objectOptions, 1, new Map());
     }
 
     /**
@@ -782,6 +4298,506 @@ class StringUtils {
         return GraphemeBreaker.countBreaks(text);
     }
 
+    /**
+     * 逐个迭代文本当中的 Unicode 字符
+     *
+     * 跟 splitIntoUnicodeChar() 不同，这是一个迭代器，不会一次性产生整个字符数组，
+     * 适用于处理很长的文本（比如在遍历的过程中提前结束）。
+     *
+     * 示例：
+     * for (let { segment, index } of StringUtils.iterateUnicodeChars('a👍🏼')) {...}
+     * 依次得到 {segment: 'a', index: 0} 和 {segment: '👍🏼', index: 1}
+     *
+     * @param {*} text
+     * @returns 返回迭代器，每次返回 {segment, index}，其中 segment 为 Unicode 字符，
+     *     index 为该字符在文本当中的位置。
+     */
+    static iterateUnicodeChars(text) {
+        return GraphemeBreaker.iterate(text);
+    }
+
+    /**
+     * 获取一个 Unicode 字符在终端或者等宽字体环境里的显示宽度（列数）
+     *
+     * - 宽字符、全角字符（比如中文）为 2
+     * - 组合字符、零宽字符、控制字符为 0
+     * - emoji（包括以 U+FE0F 结尾的 emoji 表现序列，比如 '❤️'）以及旗帜为 2
+     * - 其他字符为 1
+     *
+     * @param {*} char 一个 Unicode 字符，即 splitIntoUnicodeChar() 返回的数组元素
+     * @param {*} options 可选，{ambiguousWidth: 1}，其中 ambiguousWidth 为宽度不确定
+     *     的字符（East Asian Ambiguous，比如希腊字母、俄文字母、'…' 等）的宽度，
+     *     一般西文环境为 1，CJK 环境为 2。默认为 1。
+     * @returns
+     */
+    static getUnicodeCharDisplayWidth(char, options = {}) {
+        return DisplayWidth.getCharWidth(char, options);
+    }
+
+    /**
+     * 计算文本在终端或者等宽字体环境里的显示宽度（列数）
+     *
+     * 比如 'ab' 的宽度为 2，'中文' 的宽度为 4，'👍🏼' 的宽度为 2。
+     *
+     * @param {*} text
+     * @param {*} options 可选，{ambiguousWidth: 1}，见 getUnicodeCharDisplayWidth()
+     * @returns
+     */
+    static getDisplayWidth(text, options = {}) {
+        let width = 0;
+        for (let char of GraphemeBreaker.break(text)) {
+            width += DisplayWidth.getCharWidth(char, options);
+        }
+        return width;
+    }
+
+    /**
+     * 在文本的开头填充字符，使文本的显示宽度达到指定的宽度。
+     *
+     * 跟 String.prototype.padStart() 不同，这里的宽度是显示宽度（列数），
+     * 而不是 UTF-16 字符的个数，所以适用于中英文、emoji 混合文本的对齐。
+     *
+     * 如果填充字符的宽度为 2（比如全角空格 '　'）而剩余宽度为奇数，则
+     * 最后一列使用空格填充。
+     *
+     * @param {*} text
+     * @param {*} width 目标显示宽度，如果文本的宽度已达到或超过此值，则返回原文本。
+     * @param {*} padChar 填充字符，默认为空格
+     * @param {*} options 可选，{ambiguousWidth: 1}，见 getUnicodeCharDisplayWidth()
+     * @returns
+     */
+    static padStart(text, width, padChar = ' ', options = {}) {
+        let padding = buildPadding(
+            width - StringUtils.getDisplayWidth(text, options), padChar, options);
+        return padding + text;
+    }
+
+    /**
+     * 在文本的末尾填充字符，使文本的显示宽度达到指定的宽度。
+     *
+     * @param {*} text
+     * @param {*} width 目标显示宽度
+     * @param {*} padChar 填充字符，默认为空格
+     * @param {*} options 可选，{ambiguousWidth: 1}
+     * @returns
+     */
+    static padEnd(text, width, padChar = ' ', options = {}) {
+        let padding = buildPadding(
+            width - StringUtils.getDisplayWidth(text, options), padChar, options);
+        return text + padding;
+    }
+
+    /**
+     * 在文本的两侧填充字符，使文本居中并且显示宽度达到指定的宽度。
+     *
+     * 当需填充的宽度为奇数时，右侧比左侧多填充一列。
+     *
+     * @param {*} text
+     * @param {*} width 目标显示宽度
+     * @param {*} padChar 填充字符，默认为空格
+     * @param {*} options 可选，{ambiguousWidth: 1}
+     * @returns
+     */
+    static padCenter(text, width, padChar = ' ', options = {}) {
+        let totalWidth = width - StringUtils.getDisplayWidth(text, options);
+        if (totalWidth <= 0) {
+            return text;
+        }
+
+        let startWidth = Math.floor(totalWidth / 2);
+        return buildPadding(startWidth, padChar, options) +
+            text +
+            buildPadding(totalWidth - startWidth, padChar, options);
+    }
+
+    /**
+     * 截取文本，使文本的显示宽度不超过指定的宽度。
+     *
+     * - 不会把一个 Unicode 字符（比如 ZWJ 组合的 emoji、旗帜、韩文字母组合）截断。
+     * - 当文本被截断时，会在末尾添加省略号（如果有指定的话），省略号的宽度
+     *   也计算在内。
+     *
+     * 示例：
+     * truncateToWidth('中文ABC', 5) => '中文A'
+     * truncateToWidth('中文ABC', 5, {ellipsis: '…'}) => '中文…'
+     *
+     * @param {*} text
+     * @param {*} maxWidth 最大显示宽度
+     * @param {*} options 可选，{ellipsis: '', ambiguousWidth: 1}，其中
+     *     ellipsis 为文本被截断时添加在末尾的文本，默认为空字符串。
+     * @returns
+     */
+    static truncateToWidth(text, maxWidth, options = {}) {
+        let { ellipsis = '' } = options;
+
+        let chars = GraphemeBreaker.break(text);
+        let charWidths = chars.map((char) => {
+            return DisplayWidth.getCharWidth(char, options);
+        });
+
+        let totalWidth = charWidths.reduce((sum, width) => sum + width, 0);
+        if (totalWidth <= maxWidth) {
+            return text;
+        }
+
+        let ellipsisWidth = StringUtils.getDisplayWidth(ellipsis, options);
+        if (ellipsisWidth > maxWidth) {
+            // 连省略号都放不下时，只截取文本，不添加省略号。
+            ellipsis = '';
+            ellipsisWidth = 0;
+        }
+
+        let buffer = [];
+        let width = 0;
+        for (let idx = 0; idx < chars.length; idx++) {
+            if (width + charWidths[idx] + ellipsisWidth > maxWidth) {
+                break;
+            }
+            buffer.push(chars[idx]);
+            width += charWidths[idx];
+        }
+
+        buffer.push(ellipsis);
+        return buffer.join('');
+    }
+
+    /**
+     * 截取文本，使文本的 Unicode 字符个数不超过指定的个数。
+     *
+     * 跟 String.prototype.substring() 不同，这里的个数是 Unicode 字符
+     * 个数（见 countUnicodeChars()），不会把一个复合字符截断。
+     *
+     * @param {*} text
+     * @param {*} maxChars 最大字符个数
+     * @param {*} options 可选，{ellipsis: ''}，其中 ellipsis 为文本被截断时
+     *     添加在末尾的文本，省略号的字符个数也计算在内。
+     * @returns
+     */
+    static truncateToChars(text, maxChars, options = {}) {
+        let { ellipsis = '' } = options;
+
+        let chars = GraphemeBreaker.break(text);
+        if (chars.length <= maxChars) {
+            return text;
+        }
+
+        let ellipsisCount = GraphemeBreaker.countBreaks(ellipsis);
+        if (ellipsisCount > maxChars) {
+            ellipsis = '';
+            ellipsisCount = 0;
+        }
+
+        return chars.slice(0, Math.max(maxChars - ellipsisCount, 0)).join('') + ellipsis;
+    }
+
+    /**
+     * 获取指定位置之后的下一个单词边界的位置。
+     *
+     * 单词边界按照 Unicode 标准附件 #29（UAX #29）的规则确定，单词与单词之间
+     * 的空格、标点符号等也作为单独的片段。UAX #29 不会对 CJK 文字分词，比如
+     * 连续的片假名、韩文会被视为一个单词，所以这里对 CJK 字符（见 isCJKChar()）
+     * 改为逐个字符拆分。
+     *
+     * 示例：
+     * 'Hello, 世界!' 的单词边界为：
+     * 0, 5, 6, 7, 8, 9, 10
+     *
+     * @param {*} text
+     * @param {*} offset 如果 offset 超出文本范围，则返回文本的长度。
+     * @returns
+     */
+    static getNextWordOffset(text, offset) {
+        let nextOffset = WordBreaker.nextBreak(text, offset);
+
+        let charOffset = Math.max(offset, 0);
+        while (charOffset < nextOffset) {
+            let charEndOffset = GraphemeBreaker.nextBreak(text, charOffset);
+            if (StringUtils.isCJKChar(text.substring(charOffset, charEndOffset))) {
+                return charOffset === offset ? charEndOffset : charOffset;
+            }
+            charOffset = charEndOffset;
+        }
+
+        return nextOffset;
+    }
+
+    /**
+     * 获取指定位置之前的上一个单词边界的位置。
+     *
+     * @param {*} text
+     * @param {*} offset 如果 offset 超出文本范围，则返回文本的长度。
+     *     如果 offset 为 0，则返回 0。
+     * @returns
+     */
+    static getPreviousWordOffset(text, offset) {
+        let previousOffset = WordBreaker.previousBreak(text, offset);
+
+        let charOffset = Math.min(offset, text.length);
+        while (charOffset > previousOffset) {
+            let charStartOffset = GraphemeBreaker.previousBreak(text, charOffset);
+            if (StringUtils.isCJKChar(text.substring(charStartOffset, charOffset))) {
+                return charOffset === offset ? charStartOffset : charOffset;
+            }
+            charOffset = charStartOffset;
+        }
+
+        return previousOffset;
+    }
+
+    /**
+     * 将文本拆分为单词
+     *
+     * 返回的数组包括单词以及单词之间的空格、标点符号等片段，所有片段连接
+     * 起来即为原文本。CJK 字符会被逐个拆分，见 getNextWordOffset()。
+     *
+     * 示例：
+     * 'Hello, 世界!' 将被拆分为 ['Hello', ',', ' ', '世', '界', '!']
+     *
+     * @param {*} text
+     * @returns 返回字符串数组 [String,...]
+     */
+    static splitIntoWords(text) {
+        let words = [];
+        let offset = 0;
+        while (offset < text.length) {
+            let nextOffset = StringUtils.getNextWordOffset(text, offset);
+            words.push(text.substring(offset, nextOffset));
+            offset = nextOffset;
+        }
+        return words;
+    }
+
+    /**
+     * 获取指定位置之后的下一个句子边界的位置。
+     *
+     * 句子边界按照 Unicode 标准附件 #29（UAX #29）的规则确定，支持全角的
+     * 终止符（比如 '。'、'！'、'？'）以及闭括号、闭引号（比如 '」'），句子末尾的
+     * 空格和换行符属于该句子。在默认规则的基础上：
+     * - 缩写词（比如 'Mr.'、'e.g.'）末尾的点号不作为句子的结束；
+     * - 终止符之后紧接着的开括号或开引号属于下一个句子，比如 '是吗？「对。」'
+     *   会拆分为 '是吗？' 和 '「对。」'。
+     *
+     * @param {*} text
+     * @param {*} offset 如果 offset 超出文本范围，则返回文本的长度。
+     * @param {*} options 可选，{abbreviations: [...]}，其中 abbreviations 为
+     *     缩写词列表（需包括末尾的点号，不区分大小写），默认为
+     *     StringUtils.sentenceAbbreviations，如果不需要处理缩写词，可以传入空数组。
+     * @returns
+     */
+    static getNextSentenceOffset(text, offset, options = {}) {
+        let { abbreviations = sentenceAbbreviations } = options;
+
+        // 默认规则的下一个句子边界，逐个位置检查时只在越过它之后才重新查找，
+        // 以免每个位置都向前回溯。
+        let nextBreak = -1;
+
+        for (let idx = Math.max(offset + 1, 0); idx < text.length; idx++) {
+            if (idx > 0 && text.codePointAt(idx - 1) > 0xffff) {
+                // 跳过代理对（surrogate pair）的中间位置
+                continue;
+            }
+
+            if (nextBreak < idx) {
+                nextBreak = SentenceBreaker.nextBreak(text, idx - 1);
+            }
+
+            if (isSentenceBoundary(text, idx, abbreviations, nextBreak === idx)) {
+                return idx;
+            }
+        }
+
+        return text.length;
+    }
+
+    /**
+     * 获取指定位置之前的上一个句子边界的位置。
+     *
+     * @param {*} text
+     * @param {*} offset 如果 offset 超出文本范围，则返回文本的长度。
+     *     如果 offset 为 0，则返回 0。
+     * @param {*} options 可选，{abbreviations: [...]}，见 getNextSentenceOffset()
+     * @returns
+     */
+    static getPreviousSentenceOffset(text, offset, options = {}) {
+        let { abbreviations = sentenceAbbreviations } = options;
+
+        if (offset > text.length) {
+            return text.length;
+        }
+
+        for (let idx = offset - 1; idx > 0; idx--) {
+            if (text.codePointAt(idx - 1) > 0xffff) {
+                continue;
+            }
+
+            if (isSentenceBoundary(text, idx, abbreviations)) {
+                return idx;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * 将文本拆分为句子
+     *
+     * 示例：
+     * 'Mr. Smith is here. 你好。再见！' 将被拆分为
+     * ['Mr. Smith is here. ', '你好。', '再见！']
+     *
+     * @param {*} text
+     * @param {*} options 可选，{abbreviations: [...]}，见 getNextSentenceOffset()
+     * @returns 返回字符串数组 [String,...]
+     */
+    static splitIntoSentences(text, options = {}) {
+        let sentences = [];
+        let offset = 0;
+        while (offset < text.length) {
+            let nextOffset = StringUtils.getNextSentenceOffset(text, offset, options);
+            sentences.push(text.substring(offset, nextOffset));
+            offset = nextOffset;
+        }
+        return sentences;
+    }
+
+    /**
+     * 获取文本当中所有可以换行的位置（break opportunities）
+     *
+     * 换行的位置按照 Unicode 标准附件 #14（UAX #14）的规则确定，比如空格之后、
+     * CJK 字符之间可以换行，而句号、闭括号之前，开括号之后则不能换行。
+     *
+     * 这是一个迭代器，每次返回 {position, required}，其中 position 为可以换行
+     * 的位置，required 表示是否必须换行（即 position 之前为换行符）。文本的
+     * 结尾也会作为一个位置返回。
+     *
+     * 示例：
+     * Array.from(getLineBreakOpportunities('foo bar\nbaz')) 返回
+     * [{position: 4, required: false},
+     *  {position: 8, required: true},
+     *  {position: 11, required: false}]
+     *
+     * @param {*} text
+     * @returns
+     */
+    static getLineBreakOpportunities(text) {
+        return LineBreaker.opportunities(text);
+    }
+
+    /**
+     * 按照指定的显示宽度折行
+     *
+     * - 只在可以换行的位置（见 getLineBreakOpportunities()）折行，所以不会把
+     *   英文单词截断，也不会让句号、闭括号等出现在行首（避头规则）；
+     * - 行的宽度为显示宽度（见 getDisplayWidth()），CJK 字符的宽度为 2；
+     * - 保留原文本的换行符，折行处的行尾空格会被删除；
+     * - 宽度超过一行的片段（比如很长的网址）会被强制截断，除非指定
+     *   breakLongWords 为 false。
+     *
+     * 示例：
+     * wrap('The quick brown fox', 10) => 'The quick\nbrown fox'
+     * wrap('中文中文中文。中文', 6) => '中文中\n文中\n文。中\n文'
+     *
+     * @param {*} text
+     * @param {*} width 每行最大的显示宽度
+     * @param {*} options 可选，{hangingIndent: '', breakLongWords: true,
+     *     newline: '\n', ambiguousWidth: 1}，其中
+     *     - hangingIndent 为悬挂缩进，即添加在折行所产生的行（原文本每段的
+     *       第一行除外）开头的文本，也可以是一个数字，表示空格的个数；
+     *     - newline 为折行时插入的换行符。
+     * @returns
+     */
+    static wrap(text, width, options = {}) {
+        let {
+            hangingIndent = '',
+            breakLongWords = true,
+            newline = '\n'
+        } = options;
+
+        if (typeof hangingIndent === 'number') {
+            hangingIndent = ' '.repeat(hangingIndent);
+        }
+
+        let hangingIndentWidth = StringUtils.getDisplayWidth(hangingIndent, options);
+        if (width - hangingIndentWidth <= 0) {
+            throw new IllegalArgumentException('The width should be greater than the width of hanging indent.');
+        }
+
+        let lines = [];
+        let line = '';
+        let lineWidth = 0; // 当前行的宽度，包括行尾的空格
+        let indent = '';
+        let availableWidth = width;
+
+        let flushLine = () => {
+            lines.push(indent + line.replace(/ +$/, '') + newline);
+            line = '';
+            lineWidth = 0;
+            indent = hangingIndent;
+            availableWidth = width - hangingIndentWidth;
+        };
+
+        let lineBreakCharsRegex = new RegExp(lineBreakCharsPattern, 'g');
+        let trailingRegex = new RegExp('[ ]*' + lineBreakCharsPattern + '*$');
+
+        let lastPosition = 0;
+        for (let { position, required } of LineBreaker.opportunities(text)) {
+            let segment = text.substring(lastPosition, position);
+            lastPosition = position;
+
+            // 片段末尾的空格和换行符不参与折行的判断
+            let content = segment.replace(trailingRegex, '');
+            let contentWidth = StringUtils.getDisplayWidth(content, options);
+
+            if (lineWidth + contentWidth > availableWidth) {
+                if (/[^ ]/.test(line)) {
+                    flushLine();
+                } else {
+                    // 当前行只有空格时，删除这些空格
+                    line = '';
+                    lineWidth = 0;
+                }
+            }
+
+            if (breakLongWords && contentWidth > availableWidth) {
+                // 逐段截取，最后一段留在当前行，跟随后的片段拼接
+                let chars = GraphemeBreaker.break(content);
+                let start = 0;
+                while (contentWidth > availableWidth) {
+                    let { count, width: chunkWidth } = takeByWidth(chars, start, availableWidth, options);
+                    line = chars.slice(start, start + count).join('');
+                    start += count;
+                    contentWidth -= chunkWidth;
+
+                    if (start === chars.length) {
+                        lineWidth = chunkWidth;
+                        break;
+                    }
+                    flushLine();
+                }
+
+                segment = chars.slice(start).join('') + segment.substring(content.length);
+            }
+
+            line += segment;
+            lineWidth += StringUtils.getDisplayWidth(segment.replace(lineBreakCharsRegex, ''), options);
+
+            if (required) {
+                // 保留原文本的换行符
+                lines.push(indent + line);
+                line = '';
+                lineWidth = 0;
+                indent = '';
+                availableWidth = width;
+            }
+        }
+
+        if (line !== '') {
+            lines.push(indent + line);
+        }
+
+        return lines.join('');
+    }
+
     /**
     * 判断一个 Unicode 字符是否为普通字母（包括 CJK 文字）还是标点(包括符号）。
     *
@@ -878,26 +4894,102 @@ class StringUtils {
      *
      * 注意这个方法仅用于计算短文本的 Hash 值，对于一个文本文件，
      * 因为不知道它的文件大小，最好不要使用这个方法来计算 Hash 以免
-     * 出现性能问题。
+     * 出现性能问题，而应该使用 createTextHasher() 分块计算。
+     *
+     * 示例：
+     * hashText('abc') => 'ba7816bf...f20015ad'
+     * hashText('abc', HashAlgorithm.md5, 'base64') => 'kAFQmDzST7DWlj99KOF/cg=='
+     * hashText('foobar', HashAlgorithm.fnv1a32) => 'bf9cf968'
+     *
+     * 非加密哈希算法的 Hash 值为固定长度（32 位算法为 8 个十六进制字符，
+     * 64 位算法为 16 个），即 Hash 值的数字的大端序字节，数字形式的 Hash 值
+     * 以及带种子的计算见 hashTextToNumber()。
      *
      * @param {*} text
-     * @param {*} hashAlgorithm
-     * @returns 返回 Hash 值的 16 进制的小写字符串。
+     * @param {*} hashAlgorithm 哈希算法，见 HashAlgorithm，默认为 sha256
+     * @param {*} encoding 输出的编码，'hex'（默认，小写字母）, 'base64' 或者 'base64url'
+     * @returns 返回 Hash 值的字符串。
      */
-    static hashText(text, hashAlgorithm = HashAlgorithm.sha256) {
-        let hash
+    static hashText(text, hashAlgorithm = HashAlgorithm.sha256, encoding = 'hex') {
+        return StringUtils.createTextHasher(hashAlgorithm, { encoding: encoding })
+            .update(text)
+            .digest();
+    }
 
-        switch (hashAlgorithm) {
-            case HashAlgorithm.sha256:
-                hash = crypto.createHash('sha256');
-                break;
+    /**
+     * 使用非加密哈希算法计算文本的 Hash 值，返回数字
+     *
+     * 示例：
+     * hashTextToNumber('foobar') => 0xbf9cf968
+     * hashTextToNumber('foobar', HashAlgorithm.fnv1a64) => 0x85944171f73967e8n
+     * hashTextToNumber('test', HashAlgorithm.murmur3, 42) => 0xec06e15a
+     *
+     * 比如用于分片：
+     * let shardIndex = hashTextToNumber(userId, HashAlgorithm.xxhash32) % shardCount;
+     *
+     * @param {*} text
+     * @param {*} hashAlgorithm 非加密哈希算法，即 HashAlgorithm.fnv1a32（默认）,
+     *     fnv1a64, murmur3 以及 xxhash32。
+     * @param {*} seed 可选的种子，32 位算法为 0 到 2^32 - 1 之间的整数，
+     *     fnv1a64 为 0 到 2^64 - 1 之间的整数或者 BigInt。MurmurHash3 和 xxHash32
+     *     的默认种子为 0，FNV-1a 的种子用于替代初始值（offset basis）。
+     * @returns 32 位算法返回无符号整数，fnv1a64 返回 BigInt。
+     */
+    static hashTextToNumber(text, hashAlgorithm = HashAlgorithm.fnv1a32, seed) {
+        if (!nonCryptoHashClasses.has(hashAlgorithm)) {
+            throw new IllegalArgumentException('The hash algorithm should be a non-cryptographic hash algorithm.');
+        }
 
-            default:
-                throw new IllegalArgumentException('Unsupport hash algorithm.');
+        let hash = createHashObject(hashAlgorithm, undefined, seed);
+        hash.update(Buffer.from(text, 'utf8'));
+        return hash.value;
+    }
+
+    /**
+     * 计算文本的 HMAC 值，比如用于生成或者校验 Webhook 的签名。
+     *
+     * 示例：
+     * hmacText('payload', 'secret') => 'b82fcb79...bf2ccd4c'
+     *
+     * @param {*} text
+     * @param {*} key 密钥，字符串（按照 UTF-8 编码）或者 Buffer
+     * @param {*} hashAlgorithm 哈希算法，见 HashAlgorithm，默认为 sha256
+     * @param {*} encoding 输出的编码，见 hashText()
+     * @returns 返回 HMAC 值的字符串。
+     */
+    static hmacText(text, key, hashAlgorithm = HashAlgorithm.sha256, encoding = 'hex') {
+        if (key === undefined || key === null) {
+            throw new IllegalArgumentException('The HMAC key should not be empty.');
         }
 
-        hash.update(text, 'utf8');
-        return hash.digest('hex');
+        return StringUtils.createTextHasher(hashAlgorithm, { key: key, encoding: encoding })
+            .update(text)
+            .digest();
+    }
+
+    /**
+     * 创建一个以流的方式计算 Hash 值（或者 HMAC 值）的对象，
+     * 用于分块计算大文本或者文件的 Hash 值。
+     *
+     * 示例：
+     * let hasher = StringUtils.createTextHasher(HashAlgorithm.sha256);
+     * for await (let chunk of fs.createReadStream(filePath)) {
+     *     hasher.update(chunk);
+     * }
+     * let hash = hasher.digest();
+     *
+     * @param {*} hashAlgorithm 哈希算法，见 HashAlgorithm，默认为 sha256
+     * @param {*} options {key, seed, encoding}，均为可选：
+     *     - key，HMAC 的密钥，存在时计算 HMAC 值，见 hmacText()，
+     *       仅用于加密哈希算法；
+     *     - seed，种子，仅用于非加密哈希算法，见 hashTextToNumber()；
+     *     - encoding，输出的编码，见 hashText()。
+     * @returns 返回 {update(chunk), digest()} 对象，其中 update() 方法
+     *     接受字符串（按照 UTF-8 编码）、Buffer 或者 Uint8Array，并返回
+     *     对象本身；digest() 方法返回 Hash 值的字符串，只能调用一次。
+     */
+    static createTextHasher(hashAlgorithm = HashAlgorithm.sha256, options = {}) {
+        return new TextHasher(hashAlgorithm, options);
     }
 
     static get stringPlaceholderPattern() {
@@ -907,6 +4999,10 @@ class StringUtils {
     static get stringFormatSpecifierPattern() {
         return stringFormatSpecifierPattern;
     }
+
+    static get sentenceAbbreviations() {
+        return sentenceAbbreviations;
+    }
 }
 
 module.exports = StringUtils;
@@ -0,0 +1,288 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const GraphemeBreaker = require('../libs/grapheme-breaker-mjs-mod');
+
+/**
+ * 在升序排列的数组当中查找最后一个小于或等于 value 的元素，返回该元素的索引。
+ *
+ * @param {*} array
+ * @param {*} value
+ * @returns
+ */
+function floorIndex(array, value) {
+    let low = 0;
+    let high = array.length - 1;
+    while (low < high) {
+        let mid = (low + high + 1) >>> 1;
+        if (array[mid] <= value) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * 计算一个码点的 UTF-8 编码的字节数
+ *
+ * 单独的代理（lone surrogate）按照替换字符 U+FFFD 计算（3 个字节），
+ * 跟 TextEncoder 以及 Buffer.from(text, 'utf8') 一致。
+ *
+ * @param {*} codePoint
+ * @returns
+ */
+function getUtf8ByteLength(codePoint) {
+    if (codePoint < 0x80) {
+        return 1;
+    } else if (codePoint < 0x800) {
+        return 2;
+    } else if (codePoint < 0x10000) {
+        return 3;
+    } else {
+        return 4;
+    }
+}
+
+/**
+ * 检查位置是否为 0 到 max（包括）之间的整数
+ *
+ * @param {*} value
+ * @param {*} max
+ */
+function checkRange(value, max) {
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw new IllegalArgumentException('Offset out of range.');
+    }
+}
+
+/**
+ * 文本位置的转换表
+ *
+ * JavaScript 字符串的位置（索引值）是 UTF-16 编码单元的位置，而 LSP、
+ * Rust 等环境使用的是码点（code point）位置、UTF-8 字节位置或者
+ * 行列号，这个类用于在它们之间相互转换：
+ *
+ * - UTF-16 位置，即 String.prototype.substring() 等方法所使用的位置；
+ * - 码点位置，即 Array.from(text) 的索引值；
+ * - Unicode 字符（grapheme）位置，即 StringUtils.splitIntoUnicodeChar() 的索引值；
+ * - UTF-8 字节位置；
+ * - 行列号 {line, column}，均从 0 开始，column 为该行内的 UTF-16 位置
+ *   （跟 LSP 的默认设置一致）。换行符为 '\n', '\r\n' 和 '\r'。
+ *
+ * 所有的转换表在构造时计算，之后的每次转换只需二分查找，适用于对同一段
+ * 文本进行多次转换的场合。
+ *
+ * 示例：
+ * let map = new TextOffsetMap('a中😜\nb');
+ * map.toCodePointIndex(4) => 3
+ * map.toUtf8Offset(4) => 8
+ * map.toLineColumn(6) => {line: 1, column: 0}
+ * map.fromUtf8Offset(8) => 4
+ *
+ * 当位置位于一个码点或者 Unicode 字符的中间时（比如代理对的中间），
+ * 返回该码点或者 Unicode 字符的开始位置。
+ */
+class TextOffsetMap {
+
+    /**
+     *
+     * @param {*} text
+     */
+    constructor(text) {
+        this.text = text;
+
+        let length = text.length;
+
+        // 每个码点开始的 UTF-16 位置以及 UTF-8 字节位置，最后一个元素为文本的结尾
+        let codePointOffsets = new Uint32Array(length + 1);
+        let utf8Offsets = new Uint32Array(length + 1);
+
+        let count = 0;
+        let byteOffset = 0;
+        for (let idx = 0; idx < length;) {
+            let codePoint = text.codePointAt(idx);
+            codePointOffsets[count] = idx;
+            utf8Offsets[count] = byteOffset;
+            count++;
+
+            byteOffset += getUtf8ByteLength(codePoint);
+            idx += codePoint > 0xFFFF ? 2 : 1;
+        }
+
+        codePointOffsets[count] = length;
+        utf8Offsets[count] = byteOffset;
+
+        this.codePointOffsets = codePointOffsets.slice(0, count + 1);
+        this.utf8Offsets = utf8Offsets.slice(0, count + 1);
+
+        // 每个 Unicode 字符开始的 UTF-16 位置，最后一个元素为文本的结尾
+        let graphemeOffsets = [];
+        for (let { index } of GraphemeBreaker.iterate(text)) {
+            graphemeOffsets.push(index);
+        }
+        graphemeOffsets.push(length);
+        this.graphemeOffsets = Uint32Array.from(graphemeOffsets);
+
+        // 每一行开始的 UTF-16 位置
+        let lineStarts = [0];
+        for (let idx = 0; idx < length; idx++) {
+            let char = text.charCodeAt(idx);
+            if (char === 0x0D) { // '\r'
+                if (text.charCodeAt(idx + 1) === 0x0A) { // '\r\n'
+                    idx++;
+                }
+                lineStarts.push(idx + 1);
+            } else if (char === 0x0A) { // '\n'
+                lineStarts.push(idx + 1);
+            }
+        }
+        this.lineStarts = Uint32Array.from(lineStarts);
+    }
+
+    /**
+     * 文本的长度（UTF-16 编码单元的个数）
+     */
+    get length() {
+        return this.text.length;
+    }
+
+    /**
+     * 码点的个数
+     */
+    get codePointCount() {
+        return this.codePointOffsets.length - 1;
+    }
+
+    /**
+     * Unicode 字符的个数
+     */
+    get graphemeCount() {
+        return this.graphemeOffsets.length - 1;
+    }
+
+    /**
+     * UTF-8 编码的字节数
+     */
+    get utf8Length() {
+        return this.utf8Offsets[this.utf8Offsets.length - 1];
+    }
+
+    /**
+     * 行数
+     */
+    get lineCount() {
+        return this.lineStarts.length;
+    }
+
+    /**
+     * UTF-16 位置转换为码点位置
+     *
+     * @param {*} index UTF-16 位置，范围为 0 到文本的长度（包括）
+     * @returns
+     */
+    toCodePointIndex(index) {
+        checkRange(index, this.length);
+        return floorIndex(this.codePointOffsets, index);
+    }
+
+    /**
+     * 码点位置转换为 UTF-16 位置
+     *
+     * @param {*} codePointIndex 码点位置，范围为 0 到码点的个数（包括）
+     * @returns
+     */
+    fromCodePointIndex(codePointIndex) {
+        checkRange(codePointIndex, this.codePointCount);
+        return this.codePointOffsets[codePointIndex];
+    }
+
+    /**
+     * UTF-16 位置转换为 Unicode 字符（grapheme）位置
+     *
+     * @param {*} index UTF-16 位置，范围为 0 到文本的长度（包括）
+     * @returns
+     */
+    toGraphemeIndex(index) {
+        checkRange(index, this.length);
+        return floorIndex(this.graphemeOffsets, index);
+    }
+
+    /**
+     * Unicode 字符（grapheme）位置转换为 UTF-16 位置
+     *
+     * @param {*} graphemeIndex Unicode 字符位置，范围为 0 到 Unicode 字符的个数（包括）
+     * @returns
+     */
+    fromGraphemeIndex(graphemeIndex) {
+        checkRange(graphemeIndex, this.graphemeCount);
+        return this.graphemeOffsets[graphemeIndex];
+    }
+
+    /**
+     * UTF-16 位置转换为 UTF-8 字节位置
+     *
+     * @param {*} index UTF-16 位置，范围为 0 到文本的长度（包括）
+     * @returns
+     */
+    toUtf8Offset(index) {
+        return this.utf8Offsets[this.toCodePointIndex(index)];
+    }
+
+    /**
+     * UTF-8 字节位置转换为 UTF-16 位置
+     *
+     * @param {*} utf8Offset UTF-8 字节位置，范围为 0 到字节数（包括）
+     * @returns
+     */
+    fromUtf8Offset(utf8Offset) {
+        checkRange(utf8Offset, this.utf8Length);
+        return this.codePointOffsets[floorIndex(this.utf8Offsets, utf8Offset)];
+    }
+
+    /**
+     * UTF-16 位置转换为行列号
+     *
+     * 注意 '\r\n' 的中间（即 '\n' 之前）仍属于当前行。
+     *
+     * @param {*} index UTF-16 位置，范围为 0 到文本的长度（包括）
+     * @returns 返回 {line, column}
+     */
+    toLineColumn(index) {
+        checkRange(index, this.length);
+        let line = floorIndex(this.lineStarts, index);
+        return {
+            line: line,
+            column: index - this.lineStarts[line]
+        };
+    }
+
+    /**
+     * 行列号转换为 UTF-16 位置
+     *
+     * 跟 LSP 一致，如果 column 超出该行的长度，则返回该行的末尾（换行符之前）的位置。
+     *
+     * @param {*} position {line, column}，line 的范围为 0 到行数（不包括）
+     * @returns
+     */
+    fromLineColumn(position) {
+        let { line, column } = position;
+        checkRange(line, this.lineCount - 1);
+        checkRange(column, Number.MAX_SAFE_INTEGER);
+
+        let lineStart = this.lineStarts[line];
+        let lineEnd = (line + 1 < this.lineCount) ? this.lineStarts[line + 1] : this.length;
+
+        // 去除行末的换行符
+        if (lineEnd > lineStart && this.text.charCodeAt(lineEnd - 1) === 0x0A) {
+            lineEnd--;
+        }
+        if (lineEnd > lineStart && this.text.charCodeAt(lineEnd - 1) === 0x0D) {
+            lineEnd--;
+        }
+
+        return Math.min(lineStart + column, lineEnd);
+    }
+}
+
+module.exports = TextOffsetMap;
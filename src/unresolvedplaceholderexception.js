@@ -0,0 +1,21 @@
+const { IllegalArgumentException } = require('jsexception');
+
+/**
+ * 以严格模式（strict）替换占位符时，存在无法解析（即解析函数没有返回值
+ * 并且没有默认值）的占位符。
+ *
+ * placeholderNames 为所有无法解析的占位符的名称（不重复，按出现的顺序排列）。
+ */
+class UnresolvedPlaceholderException extends IllegalArgumentException {
+
+    /**
+     *
+     * @param {*} placeholderNames
+     */
+    constructor(placeholderNames) {
+        super(`Unresolved placeholder: ${placeholderNames.map(name => `"${name}"`).join(', ')}.`);
+        this.placeholderNames = placeholderNames;
+    }
+}
+
+module.exports = UnresolvedPlaceholderException;
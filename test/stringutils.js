@@ -5,7 +5,8 @@ const {
     StringUtils,
     CaseType,
     HashAlgorithm,
-    UnicodeCharType } = require('../index');
+    UnicodeCharType,
+    UnresolvedPlaceholderException } = require('../index');
 
 describe('StringUtils Test', () => {
     it('Test escapeHtml()', () => {
@@ -24,6 +25,83 @@ describe('StringUtils Test', () => {
 
         assert.equal(r1, s1);
         assert.equal(r2, s1);
+
+        // HTML5 命名实体以及数字实体
+        assert.equal(StringUtils.unescapeHtml('&copy; 2021 &mdash; &#x1F600;&nbsp;&foo;'), '© 2021 — 😀\u00A0&foo;');
+        assert.equal(StringUtils.unescapeHtml('&copy 2021 &notin; &notit;'), '© 2021 ∉ ¬it;');
+        assert.equal(StringUtils.unescapeHtml('&#0;&#x80;&#169'), '\uFFFD€©');
+
+        // 属性值
+        assert.equal(StringUtils.unescapeHtml('?a=1&copy=2&amp;b'), '?a=1©=2&b');
+        assert.equal(StringUtils.unescapeHtml('?a=1&copy=2&amp;b', { attribute: true }), '?a=1&copy=2&b');
+    });
+
+    it('Test escapeHtmlAttribute()', () => {
+        assert.equal(StringUtils.escapeHtmlAttribute('a "b" <c> & d=\'e\' `f`'),
+            'a&#x20;&quot;b&quot;&#x20;&lt;c&gt;&#x20;&amp;&#x20;d&#x3D;&#x27;e&#x27;&#x20;&#x60;f&#x60;');
+        assert.equal(StringUtils.escapeHtmlAttribute('中文_x,y.z-1'), '中文_x,y.z-1');
+        assert.equal(StringUtils.unescapeHtml(StringUtils.escapeHtmlAttribute('a "b" =\'c\'\n'), { attribute: true }), 'a "b" =\'c\'\n');
+    });
+
+    it('Test escapeXml()', () => {
+        assert.equal(StringUtils.escapeXml('<a href="x">Tom & Jerry\'s</a>'),
+            '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+
+        // 删除 XML 1.0 不允许出现的字符
+        assert.equal(StringUtils.escapeXml('a\u0000\u0008\t\n\r\uD800\uFFFEb😀'), 'a\t\n\rb😀');
+    });
+
+    it('Test escapeCdata()', () => {
+        assert.equal(StringUtils.escapeCdata('<b>&</b>'), '<![CDATA[<b>&</b>]]>');
+        assert.equal(StringUtils.escapeCdata('a]]>b]]>'), '<![CDATA[a]]]]><![CDATA[>b]]]]><![CDATA[>]]>');
+        assert.equal(StringUtils.escapeCdata('a\u0001b'), '<![CDATA[ab]]>');
+    });
+
+    it('Test escapeJsString()', () => {
+        assert.equal(StringUtils.escapeJsString('it\'s "ok"\n'), 'it\\\'s \\"ok\\"\\n');
+        assert.equal(StringUtils.escapeJsString('\\ `${x}` $y'), '\\\\ \\`\\${x}\\` $y');
+        assert.equal(StringUtils.escapeJsString('</script><!--'), '\\x3C/script\\x3E\\x3C!--');
+        assert.equal(StringUtils.escapeJsString('\u0000\u001b\u007f\u2028\u2029'), '\\x00\\x1B\\x7F\\u2028\\u2029');
+
+        // 成对的代理保持不变，单独的代理被转换
+        assert.equal(StringUtils.escapeJsString('😀\uD800x\uDC00'), '😀\\uD800x\\uDC00');
+
+        // 转换结果是合法的字符串字面量
+        let s1 = 'a\'b"c`d${e}\\\n\u2028</script>\uD800😀';
+        for (let quote of ['\'', '"', '`']) {
+            assert.equal(eval(quote + StringUtils.escapeJsString(s1) + quote), s1);
+        }
+    });
+
+    it('Test escapeCssIdentifier()', () => {
+        assert.equal(StringUtils.escapeCssIdentifier('foo-bar_1'), 'foo-bar_1');
+        assert.equal(StringUtils.escapeCssIdentifier('1a.b'), '\\31 a\\.b');
+        assert.equal(StringUtils.escapeCssIdentifier('-1a'), '-\\31 a');
+        assert.equal(StringUtils.escapeCssIdentifier('--x'), '--x');
+        assert.equal(StringUtils.escapeCssIdentifier('-'), '\\-');
+        assert.equal(StringUtils.escapeCssIdentifier('a b#c\u0000\u0001中'), 'a\\ b\\#c\uFFFD\\1 中');
+    });
+
+    it('Test escapeCssString()', () => {
+        assert.equal(StringUtils.escapeCssString('a "b"\n\'c\' \\'), 'a \\"b\\"\\a \\\'c\\\' \\\\');
+        assert.equal(StringUtils.escapeCssString('</style>&\u0000'), '\\3c /style\\3e \\26 \uFFFD');
+    });
+
+    it('Test escapeUrlPathSegment()', () => {
+        assert.equal(StringUtils.escapeUrlPathSegment('a b/c?d#e%f'), 'a%20b%2Fc%3Fd%23e%25f');
+        assert.equal(StringUtils.escapeUrlPathSegment('!\'()*~._-'), '%21%27%28%29%2A~._-');
+        assert.equal(StringUtils.escapeUrlPathSegment('中\uD800'), '%E4%B8%AD%EF%BF%BD');
+        assert.equal(StringUtils.escapeUrlPathSegment('...'), '...');
+
+        assert.throws(() => {
+            StringUtils.escapeUrlPathSegment('..');
+        }, /should not be/);
+    });
+
+    it('Test escapeUrlQueryComponent()', () => {
+        assert.equal(StringUtils.escapeUrlQueryComponent('a b&c=d+e#f'), 'a%20b%26c%3Dd%2Be%23f');
+        assert.equal(StringUtils.escapeUrlQueryComponent('a b&c=d+e#f', true), 'a+b%26c%3Dd%2Be%23f');
+        assert.equal(new URLSearchParams('q=' + StringUtils.escapeUrlQueryComponent('a b+c&d', true)).get('q'), 'a b+c&d');
     });
 
     it('Test escapeRegularExpress()', () => {
@@ -34,6 +112,148 @@ describe('StringUtils Test', () => {
         assert.equal(r1, e1);
     });
 
+    it('Test escapeSqlLiteral()', () => {
+        assert.equal(StringUtils.escapeSqlLiteral('foo'), '\'foo\'');
+        assert.equal(StringUtils.escapeSqlLiteral('O\'Brien\'s'), '\'O\'\'Brien\'\'s\'');
+        assert.equal(StringUtils.escapeSqlLiteral('a\\\' OR 1=1'), '\'a\\\'\' OR 1=1\'');
+        assert.equal(StringUtils.escapeSqlLiteral('a\\\' OR 1=1', { dialect: 'mysql' }), '\'a\\\\\'\' OR 1=1\'');
+        assert.throws(() => StringUtils.escapeSqlLiteral('a', { dialect: 'oracle' }), /dialect/);
+    });
+
+    it('Test escapeShellArg()', () => {
+        assert.equal(StringUtils.escapeShellArg('/usr/local/a-b_c.txt'), '/usr/local/a-b_c.txt');
+        assert.equal(StringUtils.escapeShellArg('my file'), '\'my file\'');
+        assert.equal(StringUtils.escapeShellArg('it\'s $HOME'), '\'it\'\\\'\'s $HOME\'');
+        assert.equal(StringUtils.escapeShellArg(''), '\'\'');
+    });
+
+    it('Test quoteShellArg()', () => {
+        // POSIX
+        assert.equal(StringUtils.quoteShellArg('/usr/local/a-b_c.txt'), '/usr/local/a-b_c.txt');
+        assert.equal(StringUtils.quoteShellArg('it\'s $HOME'), '\'it\'\\\'\'s $HOME\'');
+        assert.equal(StringUtils.quoteShellArg('', { dialect: 'posix' }), '\'\'');
+
+        // cmd
+        assert.equal(StringUtils.quoteShellArg('C:\\Windows\\a-b_c.txt', { dialect: 'cmd' }), 'C:\\Windows\\a-b_c.txt');
+        assert.equal(StringUtils.quoteShellArg('a "b" & c', { dialect: 'cmd' }), '^"a^ \\^"b\\^"^ ^&^ c^"');
+        assert.equal(StringUtils.quoteShellArg('%PATH%!', { dialect: 'cmd' }), '^"^%PATH^%^!^"');
+        assert.equal(StringUtils.quoteShellArg('C:\\my dir\\', { dialect: 'cmd' }), '^"C:\\my^ dir\\\\^"');
+        assert.equal(StringUtils.quoteShellArg('', { dialect: 'cmd' }), '^"^"');
+
+        assert.throws(() => {
+            StringUtils.quoteShellArg('a\nb', { dialect: 'cmd' });
+        }, /line breaks/);
+
+        // PowerShell
+        assert.equal(StringUtils.quoteShellArg('./a-b_c.txt', { dialect: 'powershell' }), './a-b_c.txt');
+        assert.equal(StringUtils.quoteShellArg('it\'s $HOME', { dialect: 'powershell' }), '\'it\'\'s $HOME\'');
+        assert.equal(StringUtils.quoteShellArg('a,b;c', { dialect: 'powershell' }), '\'a,b;c\'');
+        assert.equal(StringUtils.quoteShellArg('‘q’', { dialect: 'powershell' }), '\'‘‘q’’\'');
+
+        assert.throws(() => {
+            StringUtils.quoteShellArg('a\0b');
+        }, /NUL/);
+
+        assert.throws(() => {
+            StringUtils.quoteShellArg('a', { dialect: 'fish' });
+        }, /dialect/);
+    });
+
+    it('Test splitCommandLine()', () => {
+        // POSIX
+        assert.deepEqual(StringUtils.splitCommandLine('git commit -m "fix: it\'s done" --author=\'A B\''),
+            ['git', 'commit', '-m', 'fix: it\'s done', '--author=A B']);
+        assert.deepEqual(StringUtils.splitCommandLine('  a\\ b  "" \'\' c\'d\'"e"  '), ['a b', '', '', 'cde']);
+        assert.deepEqual(StringUtils.splitCommandLine('"a\\"b\\$c\\d" \'a\\"b\''), ['a"b$c\\d', 'a\\"b']);
+        assert.deepEqual(StringUtils.splitCommandLine('a \\\n b\tc\nd'), ['a', 'b', 'c', 'd']);
+        assert.deepEqual(StringUtils.splitCommandLine('a | b > c'), ['a', '|', 'b', '>', 'c']);
+        assert.deepEqual(StringUtils.splitCommandLine(''), []);
+
+        assert.throws(() => {
+            StringUtils.splitCommandLine('echo \'abc');
+        }, /Unterminated single quote/);
+
+        assert.throws(() => {
+            StringUtils.splitCommandLine('echo "abc\\"');
+        }, /Unterminated double quote/);
+
+        // cmd
+        assert.deepEqual(StringUtils.splitCommandLine('copy "C:\\my dir\\a.txt" C:\\b\\', { dialect: 'cmd' }),
+            ['copy', 'C:\\my dir\\a.txt', 'C:\\b\\']);
+        assert.deepEqual(StringUtils.splitCommandLine('a\\\\"b c" a\\\\\\"b "a""b"', { dialect: 'cmd' }),
+            ['a\\b c', 'a\\"b', 'a"b']);
+        assert.deepEqual(StringUtils.splitCommandLine('echo a^&b "c^d"', { dialect: 'cmd' }), ['echo', 'a&b', 'c^d']);
+
+        // PowerShell
+        assert.deepEqual(StringUtils.splitCommandLine('Write-Output \'it\'\'s\' "a""b`t`"c" d` e', { dialect: 'powershell' }),
+            ['Write-Output', 'it\'s', 'a"b\t"c', 'd e']);
+
+        // quoteShellArg() 的逆操作
+        let args = ['a b', 'a"b', 'a\\"b', 'C:\\my dir\\', '', '%PATH%', '&|<>^!()', 'it\'s', '$HOME `id`', '‘q’ “d”', '\\'];
+        for (let dialect of ['posix', 'cmd', 'powershell']) {
+            let commandLine = args.map(arg => StringUtils.quoteShellArg(arg, { dialect })).join(' ');
+            assert.deepEqual(StringUtils.splitCommandLine(commandLine, { dialect }), args);
+        }
+    });
+
+    it('Test html()', () => {
+        let url = '/search?q=a&b="c"';
+        let name = '<script>';
+        assert.equal(StringUtils.html`<a href="${url}">${name}</a>`,
+            '<a href="/search?q=a&amp;b=&quot;c&quot;">&lt;script&gt;</a>');
+
+        assert.equal(StringUtils.html`<ul>${['<1>', StringUtils.raw('<li>2</li>')]}</ul>${StringUtils.raw('<br>')}`,
+            '<ul>&lt;1&gt;<li>2</li></ul><br>');
+
+        // undefined 和 null 输出空字符串
+        assert.equal(StringUtils.html`<p>${null}${undefined}</p>`, '<p></p>');
+        assert.equal(StringUtils.html`<p>${[0, null, false]}</p>`, '<p>0false</p>');
+    });
+
+    it('Test sql()', () => {
+        let name = 'O\'Brien';
+        assert.equal(StringUtils.sql`SELECT * FROM user WHERE name = ${name} AND id IN (${[1, 2n]})`,
+            'SELECT * FROM user WHERE name = \'O\'\'Brien\' AND id IN (1, 2)');
+        assert.equal(StringUtils.sql`VALUES (${true}, ${null}, ${undefined}, ${new Date(0)}) ${StringUtils.raw('RETURNING id')}`,
+            'VALUES (TRUE, NULL, NULL, \'1970-01-01T00:00:00.000Z\') RETURNING id');
+
+        assert.throws(() => {
+            StringUtils.sql`SELECT ${NaN}`;
+        });
+        assert.throws(() => {
+            StringUtils.sql`SELECT * FROM user WHERE id IN (${[]})`;
+        }, /empty array/);
+
+        let mysql = StringUtils.sql({ dialect: 'mysql' });
+        assert.equal(mysql`SELECT * FROM file WHERE path IN (${['C:\\tmp', 'it\'s']})`,
+            'SELECT * FROM file WHERE path IN (\'C:\\\\tmp\', \'it\'\'s\')');
+        assert.equal(StringUtils.sql`SELECT ${'C:\\tmp'}`, 'SELECT \'C:\\tmp\'');
+    });
+
+    it('Test shell()', () => {
+        let files = ['a.txt', 'my file.txt'];
+        let target = '/tmp/it\'s';
+        assert.equal(StringUtils.shell`cp ${files} ${target}`,
+            'cp a.txt \'my file.txt\' \'/tmp/it\'\\\'\'s\'');
+        assert.equal(StringUtils.shell`ls ${StringUtils.raw('*.txt')} | grep ${'a b'}`,
+            'ls *.txt | grep \'a b\'');
+
+        // undefined 和 null 输出空字符串（省略参数），'' 为空字符串参数
+        assert.equal(StringUtils.shell`ls ${null}${undefined}`, 'ls ');
+        assert.equal(StringUtils.shell`ls ${''}`, 'ls \'\'');
+    });
+
+    it('Test regex()', () => {
+        let r1 = StringUtils.regex`^${'v1.0'}\.\d+$`;
+        assert.equal(r1.source, '^v1\\.0\\.\\d+$');
+        assert(r1.test('v1.0.3'));
+        assert(!r1.test('v100.3'));
+
+        let r2 = StringUtils.regex('gi')`(${['a+b', 'c']})${StringUtils.raw('\\w')}`;
+        assert.equal(r2.source, '(a\\+b|c)\\w');
+        assert.equal(r2.flags, 'gi');
+    });
+
     it('Test compare()', () => {
         let c1 = StringUtils.compare('abc', 'xyz');
         let c2 = StringUtils.compare('abc', 'abc');
@@ -62,6 +282,80 @@ describe('StringUtils Test', () => {
         let r1 = StringUtils.format(s1, 'Foo', 123456);
 
         assert.equal(r1, 'Hello Foo, my number is 123456.');
+
+        // 整数
+        assert.equal(StringUtils.format('%d %i %d', 3.9, -3.9, 12345678901234567890n),
+            '3 -3 12345678901234567890');
+        assert.equal(StringUtils.format('%5d|%-5d|%05d|%+d|% d|%.3d|%+05d', 42, 42, 42, 42, 42, 7, -42),
+            '   42|42   |00042|+42| 42|007|-0042');
+        assert.equal(StringUtils.format('%x %X %#x %o %#o %b %#b %08b', 255, 255, 255, 8, 8, 5, 5, 5),
+            'ff FF 0xff 10 010 101 0b101 00000101');
+
+        // 小数
+        assert.equal(StringUtils.format('%f|%.2f|%10.3f|%-6.1f|%e|%.2e', 1.5, 2.5, -3.14159, 2.5, 12345.678, 0.000123),
+            '1.500000|2.50|    -3.142|2.5   |1.234568e+04|1.23e-04');
+        assert.equal(StringUtils.format('%05.1f|%d', NaN, Infinity), '  NaN|Infinity');
+
+        // 字符、JSON 和百分号
+        assert.equal(StringUtils.format('%c%c%c', 65, '中文', 0x1F600), 'A中😀');
+        assert.equal(StringUtils.format('%j %j', { a: 1 }, [1, 'x']), '{"a":1} [1,"x"]');
+        let o1 = {};
+        o1.self = o1;
+        assert.equal(StringUtils.format('%j', o1), '[Circular]');
+        assert.throws(() => StringUtils.format('%j', { n: 1n }), TypeError);
+        for (let codePoint of [-1, 1.5, 0x110000]) {
+            assert.throws(() => StringUtils.format('%c', codePoint), /Invalid code point/);
+        }
+        assert.equal(StringUtils.format('100%% %s', 'done'), '100% done');
+
+        // 宽度和精度使用显示宽度
+        assert.equal(StringUtils.format('%-6s|%5s|%.4s|%.3s', '中文', '中文', '中文字', 'abcdef'),
+            '中文  | 中文|中文|abc');
+
+        // '*' 和参数位置
+        assert.equal(StringUtils.format('%*d|%-*d|%.*f|%*s', 5, 42, 5, 42, 2, 3.14159, -4, 'ab'),
+            '   42|42   |3.14|ab  ');
+        assert.equal(StringUtils.format('%2$s %1$s, %1$s', 'World', 'Hello'), 'Hello World, World');
+
+        // 参数不足时保留说明符
+        assert.equal(StringUtils.format('%s %s %d', 'only'), 'only %s %d');
+
+        let specifiers = 'a %s %-08.3f %*d %2$x %% %#X %c'.match(
+            new RegExp(StringUtils.stringFormatSpecifierPattern, 'g'));
+        assert.deepEqual(specifiers, ['%s', '%-08.3f', '%*d', '%2$x', '%%', '%#X', '%c']);
+    });
+
+    it('Test formatNamed()', () => {
+        assert.equal(StringUtils.formatNamed('{0} has {1} items, {0}!', ['Foo', 3]), 'Foo has 3 items, Foo!');
+        assert.equal(StringUtils.formatNamed('{} {} {}', [1, 2.5, 'x']), '1 2.5 x');
+        assert.equal(StringUtils.formatNamed('Hello {user.name}, {0.x}', { user: { name: 'Foo' }, 0: { x: 'y' } }),
+            'Hello Foo, y');
+        assert.equal(StringUtils.formatNamed('{0.name}', [{ name: 'Foo' }]), 'Foo');
+
+        // 转义以及找不到值的占位符
+        assert.equal(StringUtils.formatNamed('{{literal}} {missing} {0}', ['a']), '{literal} {missing} a');
+
+        // 对齐、填充和宽度（显示宽度）
+        assert.equal(StringUtils.formatNamed('{0:<6}|{0:>6}|{0:^7}|{0:*^8}', ['中文']),
+            '中文  |  中文| 中文  |**中文**');
+        assert.equal(StringUtils.formatNamed('{0:>6}|{0:<6}|{0:=+8}|{0:08.2f}', [-3.5]),
+            '  -3.5|-3.5  |-    3.5|-0003.50');
+
+        // 数值类型、符号、千位分隔符和精度
+        assert.equal(StringUtils.formatNamed('{0:d} {0:,} {0:_} {0:+,.2f} {0: d}', [1234567.891]),
+            '1234567 1,234,567.891 1_234_567.891 +1,234,567.89  1234567');
+        assert.equal(StringUtils.formatNamed('{0:x} {0:#X} {0:#o} {0:#b} {0:_x}', [1234567]),
+            '12d687 0X12D687 0o4553207 0b100101101011010000111 12_d687');
+        assert.equal(StringUtils.formatNamed('{0:.1%} {0:e} {0:.2E} {1:g} {2:.3g} {1:.2}', [0.12345, 1234.5678, 0.00001]),
+            '12.3% 1.234500e-01 1.23E-01 1234.57 1e-05 1.2e+03');
+
+        // 字符串的精度以及字符
+        assert.equal(StringUtils.formatNamed('{0:.3}|{1:.3s}|{2:c}{3:c}', ['abcdef', '中文字', 65, '中文']),
+            'abc|中|A中');
+
+        assert.throws(() => {
+            StringUtils.formatNamed('{0:zz}', [1]);
+        });
     });
 
     it('Test resolvePlaceholder()', () => {
@@ -77,6 +371,142 @@ describe('StringUtils Test', () => {
         });
 
         assert.equal(r1, 'Hello Foo, my number is 123456.');
+
+        // 默认值以及过滤器
+        let o2 = {
+            name: 'foo bar',
+            code: 42
+        };
+        let getValue = (placeholder) => o2[placeholder];
+
+        assert.equal(StringUtils.resolvePlaceholder(
+            '${name|upper}, ${name|pascal}, ${name|truncate:5:…}, ${code|padStart:5:0}', getValue),
+            'FOO BAR, FooBar, foo …, 00042');
+        assert.equal(StringUtils.resolvePlaceholder(
+            '${user:anon|upper}, ${missing}, ${url:http://x\\}y}', getValue),
+            'ANON, missing, http://x}y');
+
+        assert.throws(() => {
+            StringUtils.resolvePlaceholder('${name|noSuchFilter}', getValue);
+        });
+
+        // 默认值当中只有 '|', '}' 和 '\' 之前的反斜杠为转义字符
+        assert.equal(StringUtils.resolvePlaceholder('${path:C:\\temp\\x}', getValue), 'C:\\temp\\x');
+        assert.equal(StringUtils.resolvePlaceholder('${re:^\\d+$}', getValue), '^\\d+$');
+        assert.equal(StringUtils.resolvePlaceholder('${sep:a\\|b}', getValue), 'a|b');
+        assert.equal(StringUtils.resolvePlaceholder('${sep:a\\\\|upper}', getValue), 'A\\');
+        assert.equal(StringUtils.resolvePlaceholder('${path:C:\\temp|padEnd:9:\\|}', getValue), 'C:\\temp||');
+        assert.equal(StringUtils.resolvePlaceholder('${path:C:\\temp|truncate:5:\\x}', getValue), 'C:\\\\x');
+
+        // 默认值当中未转义的 '|' 表示过滤器的开始
+        assert.throws(() => {
+            StringUtils.resolvePlaceholder('${sep:a|b}', getValue);
+        }, /Unknown placeholder filter: "b"/);
+
+        // 转义以及嵌套的占位符
+        assert.equal(StringUtils.resolvePlaceholder(
+            '\\${name} \\${code} ${nick:${name}} ${nick:${alias:guest}|upper}, ${code}', getValue),
+            '${name} ${code} foo bar GUEST, 42');
+
+        // '$${...}' 不是转义，跟以前的版本一致
+        assert.equal(StringUtils.resolvePlaceholder('Total: $${code}', getValue), 'Total: $42');
+        assert.equal(StringUtils.resolvePlaceholderByContextObject('Total: $${amount}', { amount: 5 }), 'Total: $5');
+
+        // 递归解析
+        let o3 = {
+            greeting: 'Hi ${user}',
+            user: '${first} ${last}',
+            first: 'Foo',
+            last: 'Bar',
+            loop1: '${loop2}',
+            loop2: 'x${loop1}'
+        };
+        let getValue3 = (placeholder) => o3[placeholder];
+
+        assert.equal(StringUtils.resolvePlaceholder('${greeting}!', getValue3), 'Hi ${user}!');
+        assert.equal(StringUtils.resolvePlaceholder('${greeting}!', getValue3, { recursive: true }), 'Hi Foo Bar!');
+
+        assert.throws(() => {
+            StringUtils.resolvePlaceholder('${loop1}', getValue3, { recursive: true });
+        }, /loop1 -> loop2 -> loop1/);
+        assert.throws(() => {
+            StringUtils.resolvePlaceholder('${greeting}', getValue3, { recursive: true, maxDepth: 1 });
+        });
+    });
+
+    it('Test resolvePlaceholderAsync()', async () => {
+        let s1 = 'Hello ${user-name|upper}, ${user-name}, ${user.id}, ${missing:none}.';
+        let calls = [];
+        let running = 0;
+        let maxRunning = 0;
+
+        let resolver = async (placeholder) => {
+            calls.push(placeholder);
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+
+            switch (placeholder) {
+                case 'userName':
+                    return 'foo';
+
+                case 'user.id':
+                    return 42;
+            }
+        };
+
+        let r1 = await StringUtils.resolvePlaceholderAsync(s1, resolver);
+        assert.equal(r1, 'Hello FOO, foo, 42, none.');
+        assert.deepEqual(calls, ['userName', 'user.id', 'missing']);
+        assert.equal(maxRunning, 3);
+
+        calls = [];
+        maxRunning = 0;
+        let r2 = await StringUtils.resolvePlaceholderAsync(s1, resolver, { concurrency: 1 });
+        assert.equal(r2, r1);
+        assert.equal(maxRunning, 1);
+
+        // 默认值当中嵌套的占位符只在需要时才解析
+        calls = [];
+        let r3 = await StringUtils.resolvePlaceholderAsync('${user.id:${missing}} ${none:${user-name}}', resolver);
+        assert.equal(r3, '42 foo');
+        assert.deepEqual(calls, ['user.id', 'none', 'userName']);
+
+        await assert.rejects(StringUtils.resolvePlaceholderAsync(s1, resolver, { concurrency: 0 }));
+
+        // 任一解析失败后不再发起新的调用
+        calls = [];
+        let failingResolver = async (placeholder) => {
+            calls.push(placeholder);
+            if (placeholder === 'userName') {
+                throw new Error('failed: ' + placeholder);
+            }
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return placeholder;
+        };
+        await assert.rejects(StringUtils.resolvePlaceholderAsync(s1, failingResolver, { concurrency: 2 }), /failed: userName/);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepEqual(calls, ['userName', 'user.id']);
+    });
+
+    it('Test registerPlaceholderFilter()', () => {
+        StringUtils.registerPlaceholderFilter('currency', (value, symbol = '$') => {
+            return symbol + Number(value).toFixed(2);
+        });
+
+        let s1 = '${price|currency} ${price|currency:¥}';
+        let r1 = StringUtils.resolvePlaceholder(s1, () => 12.5);
+        assert.equal(r1, '$12.50 ¥12.50');
+
+        StringUtils.unregisterPlaceholderFilter('currency');
+        assert.throws(() => {
+            StringUtils.resolvePlaceholder(s1, () => 12.5);
+        });
+
+        assert.throws(() => {
+            StringUtils.registerPlaceholderFilter('bad name', () => '');
+        });
     });
 
     it('Test resolvePlaceholderByContextObject()', () => {
@@ -92,6 +522,91 @@ describe('StringUtils Test', () => {
         assert.equal(r1, 'Hello Foo, my number is 123456.');
     });
 
+    it('Test compileTemplate() with blocks', () => {
+        let t1 = StringUtils.compileTemplate(
+            '${#if user.admin}Admin ${user.name}${else}Guest${/if}: ' +
+            '${#each items}${loop.index}.${item.name}${#if loop.last};${else}, ${/if}${/each}' +
+            '${#each tags as tag}#${tag}${else}(no tags)${/each}');
+
+        assert.equal(t1.render({
+            user: { admin: true, name: 'Foo' },
+            items: [{ name: 'a' }, { name: 'b' }],
+            tags: ['x', 'y']
+        }), 'Admin Foo: 0.a, 1.b;#x#y');
+
+        assert.equal(t1.render({
+            user: { admin: false },
+            items: []
+        }), 'Guest: (no tags)');
+
+        // 块之外的 '${else}' 是普通的占位符
+        assert.equal(StringUtils.resolvePlaceholderByContextObject('${else}', { else: 'E' }), 'E');
+
+        assert.throws(() => {
+            StringUtils.compileTemplate('${#if a}x');
+        });
+        assert.throws(() => {
+            StringUtils.compileTemplate('${#if a}x${/each}');
+        });
+        assert.throws(() => {
+            StringUtils.resolvePlaceholderByContextObject('${#each a}x${/each}', { a: 'abc' });
+        });
+    });
+
+    it('Test matchTemplate()', () => {
+        assert.deepEqual(StringUtils.matchTemplate('${year}-${month}-${slug}.md', '2024-05-hello-world.md'),
+            { year: '2024', month: '05', slug: 'hello-world' });
+        assert.equal(StringUtils.matchTemplate('${year}-${month}.md', '2024-05.txt'), null);
+
+        // 名称路径、数字转换以及转义的占位符
+        assert.deepEqual(StringUtils.matchTemplate('\\${id} ${user.id}:${user.first-name} (${score})', '${id} 42:Foo (-1.5)',
+            { coerceNumbers: true }),
+            { user: { id: 42, firstName: 'Foo' }, score: -1.5 });
+        assert.deepEqual(StringUtils.matchTemplate('${a}/${b}', '01/02', { coerceNumbers: ['b'] }),
+            { a: '01', b: 2 });
+
+        // 占位符的正则式
+        let t1 = '${name}${version}.tar.gz';
+        assert.deepEqual(StringUtils.matchTemplate(t1, 'node-v20.1.0.tar.gz'),
+            { name: '', version: 'node-v20.1.0' });
+        assert.deepEqual(StringUtils.matchTemplate(t1, 'node-v20.1.0.tar.gz', { patterns: { version: /-v[\d.]+/ } }),
+            { name: 'node', version: '-v20.1.0' });
+
+        // 相同名称的占位符
+        assert.deepEqual(StringUtils.matchTemplate('${x}+${x}', 'ab+ab'), { x: 'ab' });
+        assert.equal(StringUtils.matchTemplate('${x}+${x}', 'ab+cd'), null);
+    });
+
+    it('Test compileTemplate()', () => {
+        let t1 = StringUtils.compileTemplate('Hi ${user.name:guest|upper}, ${user.first-name}!');
+        assert.equal(t1.render({ user: { name: 'foo', firstName: 'Bar' } }), 'Hi FOO, Bar!');
+        assert.equal(t1.render({}), 'Hi GUEST, user.first-name!');
+        assert.equal(t1.resolve(name => name), 'Hi USER.NAME, user.firstName!');
+
+        assert.deepEqual(t1.getPlaceholders(), [
+            { name: 'user.name', defaultValue: 'guest', filters: [{ name: 'upper', args: [] }], start: 3, end: 27 },
+            { name: 'user.first-name', defaultValue: undefined, filters: [], start: 29, end: 47 }
+        ]);
+
+        // 默认值当中嵌套的占位符
+        let t3 = StringUtils.compileTemplate('${a:${b:x\\}}} \\${c}');
+        assert.deepEqual(t3.getPlaceholders().map(({ name, defaultValue, start, end }) => [name, defaultValue, start, end]), [
+            ['a', '${b:x\\}}', 0, 13],
+            ['b', 'x}', 4, 12]
+        ]);
+
+        // 严格模式
+        let t2 = StringUtils.compileTemplate('${a} ${b:x} ${c} ${a}', { strict: true });
+        assert.equal(t2.render({ a: 1, c: 3 }), '1 x 3 1');
+        assert.throws(() => {
+            t2.render({ b: 2 });
+        }, (err) => {
+            assert(err instanceof UnresolvedPlaceholderException);
+            assert.deepEqual(err.placeholderNames, ['a', 'c']);
+            return true;
+        });
+    });
+
     it('Test slugify()', () => {
         let s1 = 'Hello, I\'m Foo!';
         let r1 = StringUtils.slugify(s1);
@@ -114,11 +629,83 @@ describe('StringUtils Test', () => {
         assert.equal(StringUtils.changeCase(s1, CaseType.dash), 'this-is-an-example');
         assert.equal(StringUtils.changeCase(s1, CaseType.underscore), 'this_is_an_example');
         assert.equal(StringUtils.changeCase(s1, CaseType.dot), 'this.is.an.example');
+        assert.equal(StringUtils.changeCase(s1, CaseType.path), 'this/is/an/example');
+        assert.equal(StringUtils.changeCase(s1, CaseType.header), 'This-Is-An-Example');
+        assert.equal(StringUtils.changeCase(s1, CaseType.train), 'This-Is-An-Example');
         assert.equal(StringUtils.changeCase(s1, CaseType.capital), 'This Is An Example');
         assert.equal(StringUtils.changeCase(s1, CaseType.title), 'This Is an Example');
         assert.equal(StringUtils.changeCase(s1, CaseType.sentence), 'This is an example');
         assert.equal(StringUtils.changeCase(s1, CaseType.lower), 'this is an example');
         assert.equal(StringUtils.changeCase(s1, CaseType.upper), 'THIS IS AN EXAMPLE');
+
+        // 缩写词
+        let options = { acronyms: ['ID', 'URL', 'iOS', 'XML', 'HTTP'] };
+        for (let name of ['userID', 'iOSAppURL', 'xmlHTTPRequest', 'pageURLID']) {
+            let dash = StringUtils.changeCase(name, CaseType.dash, options);
+            let constant = StringUtils.changeCase(dash, CaseType.constant, options);
+            let pascal = StringUtils.changeCase(constant, CaseType.pascal, options);
+            assert.equal(StringUtils.changeCase(pascal, CaseType.camel, options), name);
+        }
+
+        assert.equal(StringUtils.changeCase('user-id', CaseType.pascal, options), 'UserID');
+        assert.equal(StringUtils.changeCase('ios-app-url', CaseType.pascal, options), 'IOSAppURL');
+        assert.equal(StringUtils.changeCase('ios-app-url', CaseType.capital, options), 'iOS App URL');
+        assert.equal(StringUtils.changeCase('XMLHttpRequest', CaseType.sentence, options), 'XML HTTP request');
+        assert.equal(StringUtils.changeCase('IDLE_identity', CaseType.camel, options), 'idleIdentity');
+
+        // 缩写词的复数形式
+        for (let name of ['userIDs', 'apiURLs', 'userIDsByURL']) {
+            let dash = StringUtils.changeCase(name, CaseType.dash, options);
+            let constant = StringUtils.changeCase(dash, CaseType.constant, options);
+            let pascal = StringUtils.changeCase(constant, CaseType.pascal, options);
+            assert.equal(StringUtils.changeCase(pascal, CaseType.camel, options), name);
+        }
+        assert.equal(StringUtils.changeCase('userIDs', CaseType.dash, options), 'user-ids');
+        assert.equal(StringUtils.changeCase('userIDs', CaseType.constant, options), 'USER_IDS');
+        assert.equal(StringUtils.changeCase('apiURLs', CaseType.dash, options), 'api-urls');
+        assert.equal(StringUtils.changeCase('api-urls', CaseType.sentence, options), 'Api URLs');
+        assert.equal(StringUtils.changeCase('IDsValue', CaseType.dash, options), 'ids-value');
+
+        // 缩写词的匹配不会指数级增长
+        assert.equal(StringUtils.changeCase('A'.repeat(30), CaseType.dash, { acronyms: ['A', 'AA'] }),
+            Array(15).fill('aa').join('-'));
+
+        // 没有指定缩写词、数字规则或者拆分方法时，跟不传入选项对象的结果相同
+        for (let text of ['it\'s a test', 'version 1.2.3', 'HTML5 parser', 'hello, world. foo-bar']) {
+            for (let caseType of [CaseType.camel, CaseType.dash, CaseType.capital, CaseType.title, CaseType.sentence]) {
+                assert.equal(StringUtils.changeCase(text, caseType, {}), StringUtils.changeCase(text, caseType));
+            }
+        }
+        assert.equal(StringUtils.changeCase('it\'s a test', CaseType.title, {}), 'It\'s a Test');
+        assert.equal(StringUtils.changeCase('version 1.2.3', CaseType.camel, {}), 'version_1_2_3');
+
+        // 数字
+        assert.equal(StringUtils.changeCase('v2Api', CaseType.dash, {}), 'v2-api');
+        assert.equal(StringUtils.changeCase('v2-api', CaseType.camel, {}), 'v2Api');
+        assert.equal(StringUtils.changeCase('v2Api', CaseType.dash, { digits: 'separate' }), 'v-2-api');
+        assert.equal(StringUtils.changeCase('v-2-api', CaseType.camel, { digits: 'separate' }), 'v2Api');
+
+        // 自定义单词拆分方法
+        let tokenizer = (text) => text.split('/');
+        assert.equal(StringUtils.changeCase('foo/bar baz', CaseType.constant, { tokenizer: tokenizer }), 'FOO_BAR BAZ');
+
+        // 本地代码
+        assert.equal(StringUtils.changeCase('TITLE', CaseType.lower, 'tr'), 'tıtle');
+        assert.equal(StringUtils.changeCase('TITLE', CaseType.lower, { localeCode: 'tr' }), 'tıtle');
+        assert.equal(StringUtils.changeCase('istanbul in the city', CaseType.title, 'tr'), 'İstanbul in the City');
+        assert.equal(StringUtils.changeCase('istanbul city', CaseType.sentence, 'tr'), 'İstanbul city');
+        assert.equal(StringUtils.changeCase('istanbul city', CaseType.header, 'tr'), 'İstanbul-City');
+        assert.equal(StringUtils.changeCase('straße', CaseType.constant, 'de'), 'STRASSE');
+        assert.equal(StringUtils.changeCase('DİYARBAKIR IŞIK', CaseType.camel, { localeCode: 'tr' }), 'diyarbakırIşık');
+
+        // 本地代码只影响大小写转换，不影响单词的拆分
+        for (let text of ['hello, world. foo-bar', 'it\'s a test', 'version 1.2.3', 'XMLHttpRequest v2']) {
+            for (let caseType of Object.values(CaseType)) {
+                assert.equal(StringUtils.changeCase(text, caseType, 'en'), StringUtils.changeCase(text, caseType));
+            }
+        }
+        assert.equal(StringUtils.changeCase('hello, world. foo-bar', CaseType.title, 'en'), 'Hello, World. Foo-Bar');
+        assert.equal(StringUtils.changeCase('istanbul, izmir', CaseType.title, 'tr'), 'İstanbul, İzmir');
     });
 
     it('Test camelCase()', () => {
@@ -181,6 +768,54 @@ describe('StringUtils Test', () => {
         assert(!StringUtils.isDashCase('abc.foo.bar'));
     });
 
+    it('Test isCase()', () => {
+        let s1 = 'This is an example';
+        for (let caseType of Object.values(CaseType)) {
+            assert(StringUtils.isCase(StringUtils.changeCase(s1, caseType), caseType));
+        }
+
+        assert(StringUtils.isCase('abc1Foo2Bar3', CaseType.camel));
+        assert(!StringUtils.isCase('AbcFoo', CaseType.camel));
+        assert(StringUtils.isCase('AbcFoo', CaseType.pascal));
+        assert(!StringUtils.isCase('abcFoo', CaseType.pascal));
+        assert(!StringUtils.isCase('ABC_1_FOO', CaseType.constant));
+        assert(StringUtils.isCase('ABC1_FOO', CaseType.constant));
+        assert(!StringUtils.isCase('abc_Foo', CaseType.underscore));
+        assert(!StringUtils.isCase('This Is An Example', CaseType.title));
+        assert(!StringUtils.isCase('This Is an', CaseType.title));
+        assert(!StringUtils.isCase('This Is an Example', CaseType.capital));
+        assert(!StringUtils.isCase('This Is an Example', CaseType.sentence));
+        assert(StringUtils.isCase('this is, an example!', CaseType.lower));
+        assert(!StringUtils.isCase('123', CaseType.lower));
+
+        // Unicode 字母
+        assert(!StringUtils.isCase('straßeÄpfel', CaseType.camel));
+        assert(StringUtils.isCase('straßeÄpfel', CaseType.camel, { unicode: true }));
+        assert(StringUtils.isCase('ÉCOLE_ÉTÉ', CaseType.constant, { unicode: true }));
+        assert(!StringUtils.isCase('straßeÄpfel', CaseType.lower));
+    });
+
+    it('Test detectCase()', () => {
+        assert.deepEqual(StringUtils.detectCase('fooBar'), [CaseType.camel]);
+        assert.deepEqual(StringUtils.detectCase('FooBar'), [CaseType.pascal]);
+        assert.deepEqual(StringUtils.detectCase('foo-bar'), [CaseType.dash, CaseType.lower]);
+        assert.deepEqual(StringUtils.detectCase('FOO_BAR'), [CaseType.constant, CaseType.upper]);
+        assert.deepEqual(StringUtils.detectCase('FOO'), [CaseType.constant, CaseType.upper]);
+        assert.deepEqual(StringUtils.detectCase('A'),
+            [CaseType.pascal, CaseType.constant, CaseType.header, CaseType.train,
+                CaseType.capital, CaseType.title, CaseType.sentence, CaseType.upper]);
+        assert(StringUtils.isCase('Foo1A', CaseType.pascal));
+        assert(!StringUtils.isCase('ABC', CaseType.pascal));
+        assert.deepEqual(StringUtils.detectCase('foo'),
+            [CaseType.camel, CaseType.space, CaseType.dash, CaseType.underscore, CaseType.dot, CaseType.path, CaseType.lower]);
+        assert.deepEqual(StringUtils.detectCase('Foo'),
+            [CaseType.pascal, CaseType.header, CaseType.train, CaseType.capital, CaseType.title, CaseType.sentence]);
+        assert.deepEqual(StringUtils.detectCase('Foo-Bar'), [CaseType.header, CaseType.train]);
+        assert.deepEqual(StringUtils.detectCase('foo/bar'), [CaseType.path, CaseType.lower]);
+        assert.deepEqual(StringUtils.detectCase('fooÄpfel'), []);
+        assert.deepEqual(StringUtils.detectCase('fooÄpfel', { unicode: true }), [CaseType.camel]);
+    });
+
     it('Test changeObjectKeysCase()', () => {
         let o1 = {
             user: {
@@ -204,6 +839,90 @@ describe('StringUtils Test', () => {
                 }
             }
         }));
+
+        let o2 = {
+            user_id: 1,
+            avatar_url: 'x',
+            devices: [{ ios_version: '17' }]
+        };
+        let r2 = StringUtils.changeObjectKeysCase(o2, CaseType.camel, { acronyms: ['ID', 'URL', 'iOS'] });
+        assert.deepEqual(r2, {
+            userID: 1,
+            avatarURL: 'x',
+            devices: [{ iOSVersion: '17' }]
+        });
+
+        // 默认跟以前的版本一致，转换类的实例的属性；设置 preserveNonPlain 时保持原样
+        class Point {
+            constructor() {
+                this.pos_x = 1;
+            }
+        }
+        let point = new Point();
+        let buffer = Buffer.from('abc');
+        let map = new Map([['foo_bar', 1]]);
+        let created = new Date();
+        let o3 = { the_point: point, the_buffer: buffer, the_map: map, created_at: created, no_proto: Object.create(null) };
+        o3.no_proto.foo_bar = 1;
+        let r3 = StringUtils.changeObjectKeysCase(o3, CaseType.camel, { preserveNonPlain: true });
+        assert.equal(r3.thePoint, point);
+        assert.equal(r3.theBuffer, buffer);
+        assert.equal(r3.theMap, map);
+        assert.equal(r3.createdAt, created);
+        assert.deepEqual(Object.keys(r3.noProto), ['fooBar']);
+
+        let r4 = StringUtils.changeObjectKeysCase({ the_point: point, created_at: created }, CaseType.camel);
+        assert.deepEqual(r4, { thePoint: { posX: 1 }, createdAt: created });
+        assert.deepEqual(StringUtils.changeObjectKeysCase({ the_point: point }, CaseType.camel, { preserveNonPlain: false }),
+            { thePoint: { posX: 1 } });
+
+        // 循环引用
+        let o5 = { user_name: 'foo', items: [] };
+        o5.self_ref = o5;
+        o5.items.push(o5);
+        assert.throws(() => {
+            StringUtils.changeObjectKeysCase(o5, CaseType.camel);
+        }, /Circular reference detected/);
+
+        let r5 = StringUtils.changeObjectKeysCase(o5, CaseType.camel, { cycles: 'reference' });
+        assert.equal(r5.userName, 'foo');
+        assert.equal(r5.selfRef, r5);
+        assert.equal(r5.items[0], r5);
+
+        // 共享（非循环）的引用不是循环引用
+        let shared = { foo_bar: 1 };
+        assert.deepEqual(StringUtils.changeObjectKeysCase({ a: shared, b: [shared] }, CaseType.camel),
+            { a: { fooBar: 1 }, b: [{ fooBar: 1 }] });
+
+        // include, exclude 和 maxDepth
+        let o6 = { user_id: 1, raw_json: { foo_bar: 1 }, _meta: 'x', level_a: { level_b: { level_c: {} } } };
+        assert.deepEqual(StringUtils.changeObjectKeysCase(o6, CaseType.camel, { exclude: ['raw_json', /^_/] }),
+            { userId: 1, raw_json: { fooBar: 1 }, _meta: 'x', levelA: { levelB: { levelC: {} } } });
+        assert.deepEqual(StringUtils.changeObjectKeysCase(o6, CaseType.camel, { include: /^(user|level)_/ }),
+            { userId: 1, raw_json: { foo_bar: 1 }, _meta: 'x', levelA: { levelB: { levelC: {} } } });
+
+        let r6 = StringUtils.changeObjectKeysCase(o6, CaseType.camel, { maxDepth: 2 });
+        assert.deepEqual(r6, { userId: 1, rawJson: { fooBar: 1 }, meta: 'x', levelA: { levelB: { level_c: {} } } });
+        assert.equal(r6.levelA.levelB, o6.level_a.level_b);
+
+        // keyMap
+        assert.deepEqual(StringUtils.changeObjectKeysCase({ id: 1, created_at: 2 }, CaseType.camel,
+            { keyMap: { id: 'ID', created_at: 'createTime' } }), { ID: 1, createTime: 2 });
+        assert.deepEqual(StringUtils.changeObjectKeysCase({ id: 1 }, CaseType.camel,
+            { keyMap: new Map([['id', '_id']]) }), { _id: 1 });
+
+        // 名称冲突
+        let o7 = { user_name: 'a', userName: 'b' };
+        assert.deepEqual(StringUtils.changeObjectKeysCase(o7, CaseType.camel), { userName: 'b' });
+        assert.deepEqual(StringUtils.changeObjectKeysCase(o7, CaseType.camel, { onCollision: 'last' }), { userName: 'b' });
+        assert.deepEqual(StringUtils.changeObjectKeysCase(o7, CaseType.camel, { onCollision: 'first' }), { userName: 'a' });
+        assert.throws(() => {
+            StringUtils.changeObjectKeysCase(o7, CaseType.camel, { onCollision: 'throw' });
+        }, /"user_name" and "userName" are both converted to "userName"/);
+
+        assert.throws(() => {
+            StringUtils.changeObjectKeysCase(o7, CaseType.camel, { onCollision: 'skip' });
+        }, /onCollision option/);
     });
 
     it('Test camelCaseObjectKeys()', () => {
@@ -390,6 +1109,284 @@ describe('StringUtils Test', () => {
         assert.equal(c1, 4);
     });
 
+    it('Test iterateUnicodeChars()', () => {
+        let s1 = '😜👍🏼👍🤦🏻‍♂️'; // 长度分别是 2,4,2,7
+        let c1 = Array.from(StringUtils.iterateUnicodeChars(s1));
+
+        assert.deepEqual(c1, [
+            { segment: '😜', index: 0 },
+            { segment: '👍🏼', index: 2 },
+            { segment: '👍', index: 6 },
+            { segment: '🤦🏻‍♂️', index: 8 }]);
+
+        let iterator = StringUtils.iterateUnicodeChars('中文');
+        assert.deepEqual(iterator.next().value, { segment: '中', index: 0 });
+        assert.deepEqual(iterator.next().value, { segment: '文', index: 1 });
+        assert.equal(iterator.next().done, true);
+    });
+
+    it('Test getUnicodeCharDisplayWidth()', () => {
+        assert.equal(StringUtils.getUnicodeCharDisplayWidth('a'), 1);
+        assert.equal(StringUtils.getUnicodeCharDisplayWidth('中'), 2);
+        assert.equal(StringUtils.getUnicodeCharDisplayWidth('\u0308'), 0);
+        assert.equal(StringUtils.getUnicodeCharDisplayWidth('🤦🏻‍♂️'), 2);
+        assert.equal(StringUtils.getUnicodeCharDisplayWidth('\u2764'), 1); // ❤
+        assert.equal(StringUtils.getUnicodeCharDisplayWidth('\u2764\ufe0f'), 2); // ❤️
+        assert.equal(StringUtils.getUnicodeCharDisplayWidth('α'), 1);
+        assert.equal(StringUtils.getUnicodeCharDisplayWidth('α', { ambiguousWidth: 2 }), 2);
+    });
+
+    it('Test getDisplayWidth()', () => {
+        assert.equal(StringUtils.getDisplayWidth(''), 0);
+        assert.equal(StringUtils.getDisplayWidth('ab'), 2);
+        assert.equal(StringUtils.getDisplayWidth('中文'), 4);
+        assert.equal(StringUtils.getDisplayWidth('a中b'), 4);
+        assert.equal(StringUtils.getDisplayWidth('😜👍🏼👍🤦🏻‍♂️'), 8);
+        assert.equal(StringUtils.getDisplayWidth('🇺🇸🇨🇳'), 4);
+        assert.equal(StringUtils.getDisplayWidth('🥹🫨'), 4); // Emoji 14.0, 15.0
+        assert.equal(StringUtils.getDisplayWidth('e\u0301'), 1);
+        assert.equal(StringUtils.getDisplayWidth('αβ'), 2);
+        assert.equal(StringUtils.getDisplayWidth('αβ', { ambiguousWidth: 2 }), 4);
+    });
+
+    it('Test padStart()', () => {
+        assert.equal(StringUtils.padStart('abc', 6), '   abc');
+        assert.equal(StringUtils.padStart('中文', 6), '  中文');
+        assert.equal(StringUtils.padStart('👍🏼', 4, '-'), '--👍🏼');
+        assert.equal(StringUtils.padStart('中文', 3), '中文');
+        assert.equal(StringUtils.padStart('a', 4, '　'), '　 a'); // full width space
+    });
+
+    it('Test padEnd()', () => {
+        assert.equal(StringUtils.padEnd('abc', 6), 'abc   ');
+        assert.equal(StringUtils.padEnd('中文', 6, '.'), '中文..');
+        assert.equal(StringUtils.padEnd('🇺🇸', 3), '🇺🇸 ');
+        assert.equal(StringUtils.padEnd('abc', 2), 'abc');
+    });
+
+    it('Test padCenter()', () => {
+        assert.equal(StringUtils.padCenter('ab', 6), '  ab  ');
+        assert.equal(StringUtils.padCenter('中', 5, '*'), '*中**');
+        assert.equal(StringUtils.padCenter('中文', 4), '中文');
+    });
+
+    it('Test truncateToWidth()', () => {
+        let s1 = '中文ABC';
+        assert.equal(StringUtils.truncateToWidth(s1, 7), s1);
+        assert.equal(StringUtils.truncateToWidth(s1, 5), '中文A');
+        assert.equal(StringUtils.truncateToWidth(s1, 3), '中');
+        assert.equal(StringUtils.truncateToWidth(s1, 5, { ellipsis: '…' }), '中文…');
+        assert.equal(StringUtils.truncateToWidth(s1, 6, { ellipsis: '...' }), '中...');
+
+        let s2 = '🇺🇸🇨🇳👩‍❤️‍👩';
+        assert.equal(StringUtils.truncateToWidth(s2, 3), '🇺🇸');
+        assert.equal(StringUtils.truncateToWidth(s2, 5), '🇺🇸🇨🇳');
+        assert.equal(StringUtils.truncateToWidth(s2, 5, { ellipsis: '…' }), '🇺🇸🇨🇳…');
+        assert.equal(StringUtils.truncateToWidth(s2, 1), '');
+    });
+
+    it('Test truncateToChars()', () => {
+        let s1 = '😜👍🏼👍🤦🏻‍♂️';
+        assert.equal(StringUtils.truncateToChars(s1, 4), s1);
+        assert.equal(StringUtils.truncateToChars(s1, 2), '😜👍🏼');
+        assert.equal(StringUtils.truncateToChars(s1, 3, { ellipsis: '…' }), '😜👍🏼…');
+        assert.equal(StringUtils.truncateToChars('\u1112\u1161\u11ab\u1100\u116e\u11a8\u110b\u1165', 2),
+            '\u1112\u1161\u11ab\u1100\u116e\u11a8'); // Hangul jamo
+        assert.equal(StringUtils.truncateToChars(s1, 0), '');
+    });
+
+    it('Test getNextWordOffset()', () => {
+        let s1 = 'Hello, 世界! can\'t';
+        //        0    5 7 8 9 11  16 <-- offset
+
+        let i1 = StringUtils.getNextWordOffset(s1, 0);
+        assert.equal(i1, 5);
+
+        let i2 = StringUtils.getNextWordOffset(s1, i1);
+        assert.equal(i2, 6);
+
+        let i3 = StringUtils.getNextWordOffset(s1, 7);
+        assert.equal(i3, 8);
+
+        let i4 = StringUtils.getNextWordOffset(s1, i3);
+        assert.equal(i4, 9);
+
+        let i5 = StringUtils.getNextWordOffset(s1, 11);
+        assert.equal(i5, 16);
+
+        let i6 = StringUtils.getNextWordOffset(s1, 2); // 单词中间
+        assert.equal(i6, 5);
+
+        let i7 = StringUtils.getNextWordOffset(s1, 100); // 超出范围
+        assert.equal(i7, 16);
+
+        let s2 = 'カタカナtest';
+        assert.equal(StringUtils.getNextWordOffset(s2, 0), 1);
+        assert.equal(StringUtils.getNextWordOffset(s2, 3), 4);
+    });
+
+    it('Test getPreviousWordOffset()', () => {
+        let s1 = 'Hello, 世界! can\'t';
+        //        0    5 7 8 9 11  16 <-- offset
+
+        let i1 = StringUtils.getPreviousWordOffset(s1, 100); // 超出范围
+        assert.equal(i1, 16);
+
+        let i2 = StringUtils.getPreviousWordOffset(s1, i1);
+        assert.equal(i2, 11);
+
+        let i3 = StringUtils.getPreviousWordOffset(s1, 9);
+        assert.equal(i3, 8);
+
+        let i4 = StringUtils.getPreviousWordOffset(s1, i3);
+        assert.equal(i4, 7);
+
+        let i5 = StringUtils.getPreviousWordOffset(s1, 3); // 单词中间
+        assert.equal(i5, 0);
+
+        let i6 = StringUtils.getPreviousWordOffset(s1, 0);
+        assert.equal(i6, 0);
+
+        let s2 = 'testカタカナ';
+        assert.equal(StringUtils.getPreviousWordOffset(s2, 8), 7);
+        assert.equal(StringUtils.getPreviousWordOffset(s2, 5), 4);
+    });
+
+    it('Test splitIntoWords()', () => {
+        let s1 = 'The quick (“brown”) fox can’t jump 32.3 feet, right?';
+        let w1 = StringUtils.splitIntoWords(s1);
+        assert(ObjectUtils.arrayEquals(w1, [
+            'The', ' ', 'quick', ' ', '(', '“', 'brown', '”', ')', ' ', 'fox', ' ',
+            'can’t', ' ', 'jump', ' ', '32.3', ' ', 'feet', ',', ' ', 'right', '?']));
+
+        let s2 = '我喜欢カタカナ和한국어 emoji👩‍❤️‍👩🇺🇸';
+        let w2 = StringUtils.splitIntoWords(s2);
+        assert(ObjectUtils.arrayEquals(w2, [
+            '我', '喜', '欢', 'カ', 'タ', 'カ', 'ナ', '和', '한', '국', '어', ' ',
+            'emoji', '👩‍❤️‍👩', '🇺🇸']));
+
+        assert.equal(StringUtils.splitIntoWords('').length, 0);
+    });
+
+    it('Test getNextSentenceOffset()', () => {
+        let s1 = 'Mr. Smith is here. 你好。再见！';
+        //        0                  19 22 <-- offset
+
+        let i1 = StringUtils.getNextSentenceOffset(s1, 0);
+        assert.equal(i1, 19);
+
+        let i2 = StringUtils.getNextSentenceOffset(s1, i1);
+        assert.equal(i2, 22);
+
+        let i3 = StringUtils.getNextSentenceOffset(s1, i2);
+        assert.equal(i3, 25);
+
+        let i4 = StringUtils.getNextSentenceOffset(s1, 100); // 超出范围
+        assert.equal(i4, 25);
+
+        let i5 = StringUtils.getNextSentenceOffset(s1, 0, { abbreviations: [] });
+        assert.equal(i5, 4);
+    });
+
+    it('Test getPreviousSentenceOffset()', () => {
+        let s1 = 'Mr. Smith is here. 你好。再见！';
+
+        let i1 = StringUtils.getPreviousSentenceOffset(s1, 100); // 超出范围
+        assert.equal(i1, 25);
+
+        let i2 = StringUtils.getPreviousSentenceOffset(s1, i1);
+        assert.equal(i2, 22);
+
+        let i3 = StringUtils.getPreviousSentenceOffset(s1, i2);
+        assert.equal(i3, 19);
+
+        let i4 = StringUtils.getPreviousSentenceOffset(s1, i3);
+        assert.equal(i4, 0);
+
+        let i5 = StringUtils.getPreviousSentenceOffset(s1, 10, { abbreviations: [] });
+        assert.equal(i5, 4);
+    });
+
+    it('Test splitIntoSentences()', () => {
+        let s1 = 'I like fruits, e.g. Apples and pears. Dr. Foo agrees.\nThe end';
+        assert(ObjectUtils.arrayEquals(StringUtils.splitIntoSentences(s1), [
+            'I like fruits, e.g. Apples and pears. ',
+            'Dr. Foo agrees.\n',
+            'The end']));
+
+        assert(ObjectUtils.arrayEquals(StringUtils.splitIntoSentences(s1, { abbreviations: ['Dr.'] }), [
+            'I like fruits, e.g. ',
+            'Apples and pears. ',
+            'Dr. Foo agrees.\n',
+            'The end']));
+
+        let s2 = '你好。今天天气很好！是吗？「对。」他说：“我们走吧！”然后';
+        assert(ObjectUtils.arrayEquals(StringUtils.splitIntoSentences(s2), [
+            '你好。', '今天天气很好！', '是吗？', '「对。」', '他说：“我们走吧！”', '然后']));
+
+        assert.equal(StringUtils.splitIntoSentences('').length, 0);
+
+        // 连续的空格只需线性的时间
+        let s3 = ' '.repeat(40000);
+        assert.deepEqual(StringUtils.splitIntoSentences(s3), [s3]);
+    });
+
+    it('Test getLineBreakOpportunities()', () => {
+        let o1 = Array.from(StringUtils.getLineBreakOpportunities('foo bar\nbaz'));
+        assert.deepEqual(o1, [
+            { position: 4, required: false },
+            { position: 8, required: true },
+            { position: 11, required: false }]);
+
+        // 句号、闭括号之前以及开括号之后不能换行
+        let o2 = Array.from(StringUtils.getLineBreakOpportunities('（中文）。好'));
+        assert.deepEqual(o2.map(o => o.position), [2, 5, 6]);
+
+        assert.equal(Array.from(StringUtils.getLineBreakOpportunities('')).length, 0);
+    });
+
+    it('Test wrap()', () => {
+        assert.equal(StringUtils.wrap('The quick brown fox', 10), 'The quick\nbrown fox');
+        assert.equal(StringUtils.wrap('The quick brown fox', 100), 'The quick brown fox');
+        assert.equal(StringUtils.wrap('', 10), '');
+
+        // 按显示宽度折行，并且句号、闭括号不出现在行首
+        assert.equal(StringUtils.wrap('中文中文中文。中文', 6), '中文中\n文中\n文。中\n文');
+        assert.equal(StringUtils.wrap('（中文）、日本語のテキスト。', 8),
+            '（中\n文）、日\n本語のテ\nキスト。');
+
+        // 保留原文本的换行符
+        assert.equal(StringUtils.wrap('foo bar baz\r\nqux quux corge\n\nend\n', 8),
+            'foo bar\nbaz\r\nqux quux\ncorge\n\nend\n');
+
+        // 悬挂缩进
+        assert.equal(StringUtils.wrap('- item one two three four five', 12, { hangingIndent: 2 }),
+            '- item one\n  two three\n  four five');
+        assert.equal(StringUtils.wrap('1. foo bar\n2. baz', 7, { hangingIndent: '   ', newline: '\r\n' }),
+            '1. foo\r\n   bar\n2. baz');
+
+        // 超长的片段
+        let s1 = 'see https://example.com/a/very/long/path ok';
+        assert.equal(StringUtils.wrap(s1, 10),
+            'see\nhttps://\nexample.co\nm/a/very/\nlong/path\nok');
+        assert.equal(StringUtils.wrap(s1, 10, { breakLongWords: false }),
+            'see\nhttps://\nexample.com/\na/very/\nlong/path\nok');
+        assert.equal(StringUtils.wrap('中中中。。。中', 4), '中中\n中。\n。。\n中');
+
+        // 最后一段截断的片段之后不添加换行符
+        assert.equal(StringUtils.wrap('👩‍❤️‍👩👩‍❤️‍👩', 1), '👩‍❤️‍👩\n👩‍❤️‍👩');
+        assert.equal(StringUtils.wrap('abcdefg hi', 3), 'abc\ndef\ng\nhi');
+        assert.equal(StringUtils.wrap('abcdefg h', 3), 'abc\ndef\ng h');
+
+        // 截断超长的片段只需线性的时间
+        let s2 = 'QUJD'.repeat(10000);
+        assert.equal(StringUtils.wrap(s2, 76).split('\n').length, Math.ceil(s2.length / 76));
+
+        assert.throws(() => {
+            StringUtils.wrap('foo', 2, { hangingIndent: 2 });
+        });
+    });
+
     it('Test getUnicodeCharType()', () => {
         assert.equal(StringUtils.getUnicodeCharType('好'), UnicodeCharType.letter);
         assert.equal(StringUtils.getUnicodeCharType('g'), UnicodeCharType.letter);
@@ -434,5 +1431,138 @@ describe('StringUtils Test', () => {
 
         let r1 = StringUtils.hashText(s1, HashAlgorithm.sha256);
         assert.equal(r1, h1);
+        assert.equal(StringUtils.hashText(s1), h1);
+
+        assert.equal(StringUtils.hashText(s1, HashAlgorithm.md5), '900150983cd24fb0d6963f7d28e17f72');
+        assert.equal(StringUtils.hashText(s1, HashAlgorithm.sha1), 'a9993e364706816aba3e25717850c26c9cd0d89d');
+        assert.equal(StringUtils.hashText(s1, HashAlgorithm.sha384),
+            'cb00753f45a35e8bb5a03d699ac65007272c32ab0eded1631a8b605a43ff5bed8086072ba1e7cc2358baeca134c825a7');
+        assert.equal(StringUtils.hashText(s1, HashAlgorithm.sha512),
+            'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f');
+        assert.equal(StringUtils.hashText(s1, HashAlgorithm.sha3_256),
+            '3a985da74fe225b2045c172d6bd390bd855f086e3e9d525b46bfe24511431532');
+
+        // 输出的编码
+        assert.equal(StringUtils.hashText(s1, HashAlgorithm.md5, 'base64'), 'kAFQmDzST7DWlj99KOF/cg==');
+        assert.equal(StringUtils.hashText(s1, HashAlgorithm.sha256, 'base64url'), 'ungWv48Bz-pBQUDeXa4iI7ADYaOWF3qctBD_YfIAFa0');
+
+        // 非 ASCII 字符按照 UTF-8 编码
+        assert.equal(StringUtils.hashText('中文', HashAlgorithm.md5), 'a7bac2239fcdcb3a067903d8077c4a07');
+
+        assert.throws(() => {
+            StringUtils.hashText(s1, 'sha0');
+        }, /Unsupport hash algorithm/);
+
+        assert.throws(() => {
+            StringUtils.hashText(s1, HashAlgorithm.sha256, 'binary');
+        }, /encoding/);
+    });
+
+    it('Test hashText() with non-cryptographic algorithms', () => {
+        // FNV-1a
+        assert.equal(StringUtils.hashText('', HashAlgorithm.fnv1a32), '811c9dc5');
+        assert.equal(StringUtils.hashText('a', HashAlgorithm.fnv1a32), 'e40c292c');
+        assert.equal(StringUtils.hashText('foobar', HashAlgorithm.fnv1a32), 'bf9cf968');
+        assert.equal(StringUtils.hashText('', HashAlgorithm.fnv1a64), 'cbf29ce484222325');
+        assert.equal(StringUtils.hashText('a', HashAlgorithm.fnv1a64), 'af63dc4c8601ec8c');
+        assert.equal(StringUtils.hashText('foobar', HashAlgorithm.fnv1a64), '85944171f73967e8');
+
+        // MurmurHash3 x86 32
+        assert.equal(StringUtils.hashText('', HashAlgorithm.murmur3), '00000000');
+        assert.equal(StringUtils.hashText('The quick brown fox jumps over the lazy dog', HashAlgorithm.murmur3), '2e4ff723');
+
+        // xxHash32
+        assert.equal(StringUtils.hashText('', HashAlgorithm.xxhash32), '02cc5d05');
+        assert.equal(StringUtils.hashText('abc', HashAlgorithm.xxhash32), '32d153ff');
+        assert.equal(StringUtils.hashText('Nobody inspects the spammish repetition', HashAlgorithm.xxhash32), 'e2293b2f');
+
+        assert.equal(StringUtils.hashText('foobar', HashAlgorithm.fnv1a32, 'base64'), Buffer.from('bf9cf968', 'hex').toString('base64'));
+
+        assert.throws(() => {
+            StringUtils.hmacText('foobar', 'key', HashAlgorithm.fnv1a32);
+        }, /HMAC is not supported/);
+    });
+
+    it('Test hashTextToNumber()', () => {
+        assert.equal(StringUtils.hashTextToNumber('foobar'), 0xbf9cf968);
+        assert.equal(StringUtils.hashTextToNumber('foobar', HashAlgorithm.fnv1a64), 0x85944171f73967e8n);
+        assert.equal(StringUtils.hashTextToNumber('test', HashAlgorithm.murmur3), 0xba6bd213);
+        assert.equal(StringUtils.hashTextToNumber('abc', HashAlgorithm.xxhash32), 0x32d153ff);
+
+        // 种子
+        assert.equal(StringUtils.hashTextToNumber('', HashAlgorithm.murmur3, 1), 0x514e28b7);
+        assert.equal(StringUtils.hashTextToNumber('', HashAlgorithm.murmur3, 0xffffffff), 0x81f16f39);
+        assert.equal(StringUtils.hashTextToNumber('test', HashAlgorithm.murmur3, 42), 0xec06e15a);
+        assert.equal(StringUtils.hashTextToNumber('', HashAlgorithm.xxhash32, 1), 0x0b2cb792);
+        assert.equal(StringUtils.hashTextToNumber('', HashAlgorithm.fnv1a32, 0x1234), 0x1234);
+        assert.equal(StringUtils.hashTextToNumber('', HashAlgorithm.fnv1a64, 0x1234n), 0x1234n);
+
+        // 长度超过一个块（16 字节）并且以非 ASCII 字符结尾
+        let s1 = 'The quick brown fox jumps over the lazy dog 中文';
+        assert.equal(StringUtils.hashTextToNumber(s1, HashAlgorithm.xxhash32).toString(16).padStart(8, '0'),
+            StringUtils.hashText(s1, HashAlgorithm.xxhash32));
+
+        assert.throws(() => {
+            StringUtils.hashTextToNumber('abc', HashAlgorithm.sha256);
+        }, /non-cryptographic/);
+
+        assert.throws(() => {
+            StringUtils.hashTextToNumber('abc', HashAlgorithm.murmur3, -1);
+        }, /Invalid hash seed/);
+
+        assert.throws(() => {
+            StringUtils.hashTextToNumber('abc', HashAlgorithm.murmur3, 0x100000000);
+        }, /Invalid hash seed/);
+    });
+
+    it('Test hmacText()', () => {
+        assert.equal(StringUtils.hmacText('The quick brown fox jumps over the lazy dog', 'key'),
+            'f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8');
+        assert.equal(StringUtils.hmacText('The quick brown fox jumps over the lazy dog', 'key', HashAlgorithm.md5),
+            '80070713463e7749b90c2dc24911e275');
+        assert.equal(StringUtils.hmacText('payload', Buffer.from('secret'), HashAlgorithm.sha256, 'base64'),
+            Buffer.from('b82fcb791acec57859b989b430a826488ce2e479fdf92326bd0a2e8375a42ba4', 'hex').toString('base64'));
+
+        assert.throws(() => {
+            StringUtils.hmacText('payload');
+        }, /key/);
+    });
+
+    it('Test createTextHasher()', () => {
+        let h1 = StringUtils.createTextHasher();
+        h1.update('a').update(Buffer.from('b')).update(new Uint8Array([0x63]));
+        assert.equal(h1.digest(), StringUtils.hashText('abc'));
+
+        // 多字节字符跨越分块
+        let bytes = Buffer.from('中文');
+        let h2 = StringUtils.createTextHasher(HashAlgorithm.md5, { encoding: 'base64' });
+        h2.update(bytes.subarray(0, 2)).update(bytes.subarray(2));
+        assert.equal(h2.digest(), StringUtils.hashText('中文', HashAlgorithm.md5, 'base64'));
+
+        let h3 = StringUtils.createTextHasher(HashAlgorithm.sha256, { key: 'key' });
+        h3.update('The quick brown fox ').update('jumps over the lazy dog');
+        assert.equal(h3.digest(), StringUtils.hmacText('The quick brown fox jumps over the lazy dog', 'key'));
+
+        // 非加密哈希算法，分块的边界不在块（4 或者 16 字节）的边界上
+        let s4 = 'Nobody inspects the spammish repetition';
+        for (let hashAlgorithm of [HashAlgorithm.fnv1a64, HashAlgorithm.murmur3, HashAlgorithm.xxhash32]) {
+            let h4 = StringUtils.createTextHasher(hashAlgorithm, { seed: 7 });
+            for (let idx = 0; idx < s4.length; idx += 5) {
+                h4.update(s4.substring(idx, idx + 5));
+            }
+            let expected = StringUtils.hashTextToNumber(s4, hashAlgorithm, 7)
+                .toString(16).padStart(hashAlgorithm === HashAlgorithm.fnv1a64 ? 16 : 8, '0');
+            assert.equal(h4.digest(), expected);
+
+            // 分块为不对齐的 subarray
+            let bytes4 = Buffer.from(s4);
+            let h5 = StringUtils.createTextHasher(hashAlgorithm, { seed: 7 });
+            h5.update(bytes4.subarray(0, 1)).update(bytes4.subarray(1, 22)).update(bytes4.subarray(22));
+            assert.equal(h5.digest(), expected);
+        }
+
+        assert.throws(() => {
+            StringUtils.createTextHasher(HashAlgorithm.sha256, { seed: 1 });
+        }, /seed/);
     });
 });
@@ -0,0 +1,90 @@
+const assert = require('assert/strict');
+
+const { TextOffsetMap } = require('../index');
+
+describe('TextOffsetMap Test', () => {
+    it('Test code point index', () => {
+        let m1 = new TextOffsetMap('a中😜b');
+        assert.equal(m1.codePointCount, 4);
+
+        assert.equal(m1.toCodePointIndex(0), 0);
+        assert.equal(m1.toCodePointIndex(2), 2);
+        assert.equal(m1.toCodePointIndex(3), 2); // inside the surrogate pair
+        assert.equal(m1.toCodePointIndex(4), 3);
+        assert.equal(m1.toCodePointIndex(5), 4);
+
+        assert.equal(m1.fromCodePointIndex(0), 0);
+        assert.equal(m1.fromCodePointIndex(2), 2);
+        assert.equal(m1.fromCodePointIndex(3), 4);
+        assert.equal(m1.fromCodePointIndex(4), 5);
+    });
+
+    it('Test grapheme index', () => {
+        let m1 = new TextOffsetMap('a👍🏼🇨🇳e\u0301'); // lengths: 1, 4, 4, 2
+        assert.equal(m1.graphemeCount, 4);
+
+        assert.deepEqual([0, 1, 3, 5, 9, 10, 11].map(i => m1.toGraphemeIndex(i)),
+            [0, 1, 1, 2, 3, 3, 4]);
+        assert.deepEqual([0, 1, 2, 3, 4].map(i => m1.fromGraphemeIndex(i)),
+            [0, 1, 5, 9, 11]);
+    });
+
+    it('Test UTF-8 offset', () => {
+        let s1 = 'aé中😜\n';
+        let m1 = new TextOffsetMap(s1);
+        assert.equal(m1.utf8Length, Buffer.byteLength(s1, 'utf8'));
+
+        assert.deepEqual([0, 1, 2, 3, 4, 5, 6].map(i => m1.toUtf8Offset(i)),
+            [0, 1, 3, 6, 6, 10, 11]);
+
+        for (let idx = 0; idx <= s1.length; idx++) {
+            if (idx !== 4) {
+                let utf8Offset = Buffer.byteLength(s1.substring(0, idx), 'utf8');
+                assert.equal(m1.toUtf8Offset(idx), utf8Offset);
+                assert.equal(m1.fromUtf8Offset(utf8Offset), idx);
+            }
+        }
+
+        // inside a multi-byte sequence
+        assert.equal(m1.fromUtf8Offset(2), 1);
+        assert.equal(m1.fromUtf8Offset(8), 3);
+
+        // lone surrogate
+        let m2 = new TextOffsetMap('\ud83da');
+        assert.equal(m2.utf8Length, Buffer.byteLength('\ud83da', 'utf8'));
+    });
+
+    it('Test line and column', () => {
+        let m1 = new TextOffsetMap('foo\nbar\r\n\r中文\rend');
+        assert.equal(m1.lineCount, 5);
+
+        assert.deepEqual(m1.toLineColumn(0), { line: 0, column: 0 });
+        assert.deepEqual(m1.toLineColumn(3), { line: 0, column: 3 });
+        assert.deepEqual(m1.toLineColumn(4), { line: 1, column: 0 });
+        assert.deepEqual(m1.toLineColumn(8), { line: 1, column: 4 }); // between '\r' and '\n'
+        assert.deepEqual(m1.toLineColumn(9), { line: 2, column: 0 });
+        assert.deepEqual(m1.toLineColumn(10), { line: 3, column: 0 });
+        assert.deepEqual(m1.toLineColumn(12), { line: 3, column: 2 });
+        assert.deepEqual(m1.toLineColumn(16), { line: 4, column: 3 });
+
+        assert.equal(m1.fromLineColumn({ line: 0, column: 0 }), 0);
+        assert.equal(m1.fromLineColumn({ line: 1, column: 2 }), 6);
+        assert.equal(m1.fromLineColumn({ line: 1, column: 100 }), 7); // end of line
+        assert.equal(m1.fromLineColumn({ line: 2, column: 1 }), 9);
+        assert.equal(m1.fromLineColumn({ line: 3, column: 1 }), 11);
+        assert.equal(m1.fromLineColumn({ line: 4, column: 3 }), 16);
+
+        let m2 = new TextOffsetMap('');
+        assert.equal(m2.lineCount, 1);
+        assert.deepEqual(m2.toLineColumn(0), { line: 0, column: 0 });
+        assert.equal(m2.fromLineColumn({ line: 0, column: 5 }), 0);
+    });
+
+    it('Test out of range', () => {
+        let m1 = new TextOffsetMap('foo\nbar');
+        assert.throws(() => { m1.toCodePointIndex(-1); });
+        assert.throws(() => { m1.toUtf8Offset(8); });
+        assert.throws(() => { m1.fromGraphemeIndex(1.5); });
+        assert.throws(() => { m1.fromLineColumn({ line: 2, column: 0 }); });
+    });
+});